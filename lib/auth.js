@@ -0,0 +1,127 @@
+const crypto = require("crypto");
+
+// Token imzalama anahtarı - production'da mutlaka AUTH_SECRET verilmeli
+// Verilmezse her açılışta rastgele üretilir (restart sonrası tüm oturumlar düşer)
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.AUTH_SECRET) {
+  console.warn("AUTH_SECRET yok, rastgele anahtar kullanılıyor (restart sonrası oturumlar geçersiz olur)");
+}
+
+// Token geçerlilik süresi (saniye) - varsayılan 7 gün
+const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL) || 7 * 24 * 60 * 60;
+
+const HASH_PREFIX = "scrypt";
+const KEY_LENGTH = 64;
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+// Şifreyi salt'lı scrypt hash'ine çevir: "scrypt$<salt>$<hash>"
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH).toString("hex");
+  return `${HASH_PREFIX}$${salt}$${hash}`;
+}
+
+function isPasswordHash(value) {
+  return typeof value === "string" && value.startsWith(`${HASH_PREFIX}$`) && value.split("$").length === 3;
+}
+
+// Şifreyi kontrol et. Eski düz metin kayıtlar için needsRehash: true döner.
+function verifyPassword(password, stored) {
+  if (typeof password !== "string" || typeof stored !== "string") {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (isPasswordHash(stored)) {
+    const [, salt, hash] = stored.split("$");
+    const expected = Buffer.from(hash, "hex");
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return { valid: crypto.timingSafeEqual(expected, actual), needsRehash: false };
+  }
+
+  // Düz metin şifre (migration öncesi kayıt) - uzunluk sızdırmamak için hash üzerinden karşılaştır
+  const expected = crypto.createHash("sha256").update(stored).digest();
+  const actual = crypto.createHash("sha256").update(password).digest();
+  const valid = crypto.timingSafeEqual(expected, actual);
+  return { valid, needsRehash: valid };
+}
+
+function sign(data) {
+  return crypto.createHmac("sha256", AUTH_SECRET).update(data).digest("base64url");
+}
+
+// Token'lar kullanıcının token sürümünü taşır. Sürüm artırılınca (çıkış, şifre değişikliği) kullanıcının
+// tüm token'ları geçersiz olur; sürüm users koleksiyonunda saklandığından restart sonrası da geçerlidir.
+function tokenVersion(user) {
+  return user.tokenVersion || 0;
+}
+
+// İmzalı bearer token üret: "<payload>.<imza>"
+function signToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: user.id,
+    ver: tokenVersion(user),
+    jti: crypto.randomBytes(12).toString("hex"),
+    iat: now,
+    exp: now + TOKEN_TTL_SECONDS
+  };
+  const encoded = base64url(JSON.stringify(payload));
+  return { token: `${encoded}.${sign(encoded)}`, payload };
+}
+
+// Token'ı doğrula, geçerliyse payload'ı döndür (değilse null)
+function verifyToken(token) {
+  if (typeof token !== "string") return null;
+
+  const [encoded, signature] = token.split(".");
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+
+  return payload;
+}
+
+// Token kullanıcının güncel sürümüyle mi imzalanmış (sürüm alanı olmayan eski token'lar 0 sayılır)
+function isTokenCurrent(payload, user) {
+  return (payload.ver || 0) === tokenVersion(user);
+}
+
+// Kullanıcının tüm token'larını geçersiz kıl (kaydetmek çağırana ait)
+function revokeTokens(user) {
+  user.tokenVersion = tokenVersion(user) + 1;
+}
+
+// "Authorization: Bearer <token>" header'ından token'ı çıkar
+function getBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+module.exports = {
+  TOKEN_TTL_SECONDS,
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  isTokenCurrent,
+  revokeTokens,
+  getBearerToken
+};
@@ -0,0 +1,92 @@
+// Chat kanalları ve sayfalama: genel kanal (projectId: null) ve her proje için bir kanal.
+// Fonksiyonlar mesaj dizisi üzerinde çalışır, kaydetmek çağırana aittir.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function generateMessageId() {
+  return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Kanal alanı olmayan eski mesajlar genel kanaldadır
+function messageProjectId(message) {
+  return message.projectId === undefined ? null : message.projectId;
+}
+
+// Kanalın mesajları, eskiden yeniye (aynı zamanlı mesajlar kayıt sırasıyla)
+function channelMessages(messages, projectId) {
+  return messages
+    .map((message, position) => ({ message, position }))
+    .filter(({ message }) => messageProjectId(message) === projectId)
+    .sort((a, b) => new Date(a.message.createdAt) - new Date(b.message.createdAt) || a.position - b.position)
+    .map(({ message }) => message);
+}
+
+// ?before=<mesajId>&limit= parametrelerini doğrula. Hatalıysa { error } döner.
+function parsePageQuery(query) {
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit 1 ile ${MAX_PAGE_SIZE} arasında bir tam sayı olmalı` };
+    }
+  }
+  return { page: { before: query.before || null, limit } };
+}
+
+// before mesajından önceki (verilmezse en yeni) limit kadar mesaj, eskiden yeniye.
+// nextBefore bir önceki sayfa için kullanılacak imleçtir; before kanalda yoksa null döner.
+function pageMessages(sortedMessages, { before, limit }) {
+  let end = sortedMessages.length;
+  if (before) {
+    end = sortedMessages.findIndex(message => message.id === before);
+    if (end === -1) return null;
+  }
+  const start = Math.max(end - limit, 0);
+  const messages = sortedMessages.slice(start, end);
+  return {
+    messages,
+    hasMore: start > 0,
+    nextBefore: start > 0 ? messages[0].id : null
+  };
+}
+
+function createMessage(text, user, projectId) {
+  return {
+    id: generateMessageId(),
+    userId: user.id,
+    username: user.username,
+    projectId,
+    message: text,
+    createdAt: new Date().toISOString(),
+    editedAt: null
+  };
+}
+
+function isAuthor(message, user) {
+  return message.userId === user.id;
+}
+
+// İlk mesajlarda userId alanına kullanıcı adı yazılıyordu; bu mesajları kullanıcının id'sine taşır.
+// Taşınan mesaj sayısını döner, adı hiçbir kullanıcıyla eşleşmeyen mesajlar olduğu gibi kalır.
+function migrateMessageAuthors(messages, users) {
+  const userIds = new Set(users.map(user => user.id));
+  const idsByUsername = new Map(users.map(user => [user.username, user.id]));
+  let migrated = 0;
+  for (const message of messages) {
+    if (userIds.has(message.userId) || !idsByUsername.has(message.userId)) continue;
+    message.userId = idsByUsername.get(message.userId);
+    migrated++;
+  }
+  return migrated;
+}
+
+module.exports = {
+  messageProjectId,
+  channelMessages,
+  parsePageQuery,
+  pageMessages,
+  createMessage,
+  isAuthor,
+  migrateMessageAuthors
+};
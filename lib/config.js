@@ -0,0 +1,14 @@
+const path = require("path");
+
+// Veri dizini (testlerde geçici bir dizine yönlendirilebilir)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, "database.sqlite");
+// GitHub'a henüz commit edilmemiş değişikliklerin kuyruğu (restart sonrası kaldığı yerden devam eder).
+// GitHub backend'inde zorunludur ve kalıcı bir diskte olmalıdır, data/ restart'ta silinir.
+const SYNC_QUEUE_FILE = process.env.SYNC_QUEUE_FILE || null;
+
+module.exports = {
+  DATA_DIR,
+  SQLITE_FILE,
+  SYNC_QUEUE_FILE
+};
@@ -0,0 +1,21 @@
+const crypto = require("crypto");
+
+// Dokümanın içeriğinden strong ETag üret
+function etagFor(value) {
+  const hash = crypto.createHash("sha1").update(JSON.stringify(value)).digest("base64url");
+  return `"${hash}"`;
+}
+
+// If-Match header'ı mevcut ETag ile uyuşuyor mu? Header yoksa kontrol yapılmaz.
+function ifMatchSatisfied(req, currentEtag) {
+  const header = req.headers["if-match"];
+  if (!header) return true;
+  if (header.trim() === "*") return true;
+
+  return header
+    .split(",")
+    .map(tag => tag.trim().replace(/^W\//, ""))
+    .includes(currentEtag);
+}
+
+module.exports = { etagFor, ifMatchSatisfied };
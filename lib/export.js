@@ -0,0 +1,297 @@
+const crypto = require("crypto");
+const { createZip } = require("./zip");
+
+// Senaryoyu okunabilir dosya biçimlerine çevirir: md, html, epub, fountain
+// Önce biçimden bağımsız bir doküman modeli kurulur, her biçim bu modeli render eder
+
+const EXPORT_FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  epub: { contentType: "application/epub+zip", extension: "epub" },
+  fountain: { contentType: "text/plain; charset=utf-8", extension: "fountain" }
+};
+
+// list: kaydedilen sıra, position: panodaki konuma göre (yukarıdan aşağı, soldan sağa)
+const EXPORT_ORDERS = ["list", "position"];
+
+// Sorgudan gelen değer desteklenen bir format mı? (prototip anahtarları ve dizi değerler elenir)
+function isExportFormat(format) {
+  return typeof format === "string" && Object.hasOwn(EXPORT_FORMATS, format);
+}
+
+function byPosition(a, b) {
+  return (a.y || 0) - (b.y || 0) || (a.x || 0) - (b.x || 0);
+}
+
+function ordered(items, order) {
+  return order === "position" ? [...items].sort(byPosition) : items;
+}
+
+function characterName(character) {
+  return [character.firstName, character.lastName].filter(Boolean).join(" ").trim() || character.id;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(", ");
+  return String(value);
+}
+
+// Karakter eki: temel alanlar + şablondaki özel alanlar (boş olanlar atlanır)
+function characterSheet(character, template) {
+  const fields = [
+    { label: "Yaş", value: character.age },
+    { label: "Burç", value: character.zodiac },
+    { label: "Özellikler", value: character.traits }
+  ];
+  for (const field of (template && template.fields) || []) {
+    fields.push({ label: field.label, value: (character.customFields || {})[field.key] });
+  }
+
+  return {
+    name: characterName(character),
+    fields: fields
+      .filter(f => f.value !== undefined && f.value !== null && f.value !== "" && !(Array.isArray(f.value) && f.value.length === 0))
+      .map(f => ({ label: f.label, value: formatValue(f.value) }))
+  };
+}
+
+// Biçimden bağımsız doküman modeli
+function buildDocument({ project, chapters, characters, template, order = "list" }) {
+  return {
+    title: project.name || project.id,
+    description: project.description || "",
+    chapters: ordered(chapters, order).map(chapter => ({
+      title: chapter.title || "",
+      content: chapter.content || "",
+      parts: ordered(chapter.parts || [], order).map(part => ({
+        title: part.title || "",
+        content: part.content || ""
+      }))
+    })),
+    characters: characters ? characters.map(c => characterSheet(c, template)) : null
+  };
+}
+
+function paragraphs(text) {
+  return text.split(/\n+/).map(line => line.trim()).filter(Boolean);
+}
+
+// ===== Markdown =====
+
+function renderMarkdown(doc) {
+  const lines = [`# ${doc.title}`, ""];
+  const block = text => {
+    for (const paragraph of paragraphs(text)) lines.push(paragraph, "");
+  };
+
+  block(doc.description);
+  for (const chapter of doc.chapters) {
+    lines.push(`## ${chapter.title}`, "");
+    block(chapter.content);
+    for (const part of chapter.parts) {
+      lines.push(`### ${part.title}`, "");
+      block(part.content);
+    }
+  }
+
+  if (doc.characters) {
+    lines.push("---", "", "## Karakterler", "");
+    for (const character of doc.characters) {
+      lines.push(`### ${character.name}`, "");
+      for (const field of character.fields) lines.push(`- **${field.label}:** ${field.value}`);
+      if (character.fields.length > 0) lines.push("");
+    }
+  }
+
+  return lines.join("\n");
+}
+
+// ===== HTML / XHTML =====
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function htmlParagraphs(text) {
+  return paragraphs(text).map(p => `<p>${escapeHtml(p)}</p>`).join("\n");
+}
+
+function htmlChapter(chapter) {
+  return [
+    `<h2>${escapeHtml(chapter.title)}</h2>`,
+    htmlParagraphs(chapter.content),
+    ...chapter.parts.map(part => `<h3>${escapeHtml(part.title)}</h3>\n${htmlParagraphs(part.content)}`)
+  ].filter(Boolean).join("\n");
+}
+
+function htmlCharacters(characters) {
+  return [
+    "<h2>Karakterler</h2>",
+    ...characters.map(character => [
+      `<h3>${escapeHtml(character.name)}</h3>`,
+      character.fields.length > 0
+        ? `<dl>\n${character.fields.map(f => `<dt>${escapeHtml(f.label)}</dt><dd>${escapeHtml(f.value)}</dd>`).join("\n")}\n</dl>`
+        : ""
+    ].filter(Boolean).join("\n"))
+  ].join("\n");
+}
+
+function renderHtml(doc) {
+  const body = [
+    `<h1>${escapeHtml(doc.title)}</h1>`,
+    htmlParagraphs(doc.description),
+    ...doc.chapters.map(chapter => `<section>\n${htmlChapter(chapter)}\n</section>`),
+    doc.characters ? `<section>\n${htmlCharacters(doc.characters)}\n</section>` : ""
+  ].filter(Boolean).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title)}</title>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// ===== EPUB 3 =====
+
+function xhtmlPage(title, body) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="tr" lang="tr">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function renderEpub(doc, { identifier, modified = new Date() } = {}) {
+  const pages = [
+    { id: "title", file: "title.xhtml", title: doc.title, body: `<h1>${escapeHtml(doc.title)}</h1>\n${htmlParagraphs(doc.description)}` },
+    ...doc.chapters.map((chapter, index) => ({
+      id: `chapter-${index + 1}`,
+      file: `chapter-${index + 1}.xhtml`,
+      title: chapter.title || `Bölüm ${index + 1}`,
+      body: htmlChapter(chapter)
+    }))
+  ];
+  if (doc.characters) {
+    pages.push({ id: "characters", file: "characters.xhtml", title: "Karakterler", body: htmlCharacters(doc.characters) });
+  }
+
+  const uid = identifier || `urn:uuid:${crypto.randomUUID()}`;
+  const timestamp = modified.toISOString().replace(/\.\d{3}Z$/, "Z");
+
+  const container = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`;
+
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="tr">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="uid">${escapeHtml(uid)}</dc:identifier>
+    <dc:title>${escapeHtml(doc.title)}</dc:title>
+    <dc:language>tr</dc:language>${doc.description ? `
+    <dc:description>${escapeHtml(doc.description)}</dc:description>` : ""}
+    <meta property="dcterms:modified">${timestamp}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />
+${pages.map(p => `    <item id="${p.id}" href="${p.file}" media-type="application/xhtml+xml" />`).join("\n")}
+  </manifest>
+  <spine>
+${pages.map(p => `    <itemref idref="${p.id}" />`).join("\n")}
+  </spine>
+</package>
+`;
+
+  const nav = xhtmlPage(doc.title, `<nav epub:type="toc" id="toc">
+<h1>İçindekiler</h1>
+<ol>
+${pages.map(p => `<li><a href="${p.file}">${escapeHtml(p.title)}</a></li>`).join("\n")}
+</ol>
+</nav>`);
+
+  return createZip([
+    { name: "mimetype", content: "application/epub+zip", store: true },
+    { name: "META-INF/container.xml", content: container },
+    { name: "OEBPS/content.opf", content: opf },
+    { name: "OEBPS/nav.xhtml", content: nav },
+    ...pages.map(p => ({ name: `OEBPS/${p.file}`, content: xhtmlPage(p.title, p.body) }))
+  ], modified);
+}
+
+// ===== Fountain =====
+
+// Özel anlamı olan satırlar (tamamı büyük harf = karakter adı, ".", "#", "=", ">" ...) "!" ile aksiyon yapılır
+function fountainAction(line) {
+  const isUpperCase = /\p{L}/u.test(line) && line === line.toLocaleUpperCase("tr");
+  return isUpperCase || /^[.#=>~@!]|^\[\[/.test(line) ? `!${line}` : line;
+}
+
+function fountainBlock(text) {
+  return paragraphs(text).map(line => `${fountainAction(line)}\n`).join("\n");
+}
+
+function renderFountain(doc) {
+  const out = [`Title: ${doc.title}`];
+  if (doc.description) {
+    out.push("Notes:", ...paragraphs(doc.description).map(line => `    ${line}`));
+  }
+  out.push("", "");
+
+  for (const chapter of doc.chapters) {
+    out.push(`# ${chapter.title}`, "", `> ${chapter.title.toLocaleUpperCase("tr")} <`, "");
+    if (chapter.content) {
+      out.push(...paragraphs(chapter.content).map(line => `= ${line}`), "");
+    }
+    for (const part of chapter.parts) {
+      out.push(`.${part.title.toLocaleUpperCase("tr")}`, "");
+      out.push(fountainBlock(part.content));
+    }
+  }
+
+  if (doc.characters) {
+    out.push("# Karakterler", "", "> KARAKTERLER <", "");
+    for (const character of doc.characters) {
+      out.push(`.${character.name.toLocaleUpperCase("tr")}`, "");
+      for (const field of character.fields) out.push(fountainAction(`${field.label}: ${field.value}`), "");
+    }
+  }
+
+  return out.join("\n");
+}
+
+// { contentType, extension, body } döner
+function exportScenario(format, input, options) {
+  if (!isExportFormat(format)) throw new Error(`Bilinmeyen format: ${format}`);
+  const doc = buildDocument(input);
+  const renderers = { md: renderMarkdown, html: renderHtml, epub: renderEpub, fountain: renderFountain };
+  return { ...EXPORT_FORMATS[format], body: renderers[format](doc, options) };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_ORDERS,
+  isExportFormat,
+  buildDocument,
+  exportScenario
+};
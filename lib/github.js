@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const axios = require("axios");
+
+// GitHub API yapılandırması (kalıcı veri için)
+const GITHUB_OWNER = process.env.GITHUB_OWNER || "Timukuu";
+const GITHUB_REPO = process.env.GITHUB_REPO || "character-backend";
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN; // Personal Access Token
+const GITHUB_BRANCH = process.env.GITHUB_BRANCH || "main";
+// Testlerde local mock sunucuya yönlendirilebilir (bkz. scripts/mock-github-server.js)
+const GITHUB_API_URL = (process.env.GITHUB_API_URL || "https://api.github.com").replace(/\/$/, "");
+
+function repoUrl(suffix) {
+  return `${GITHUB_API_URL}/repos/${GITHUB_OWNER}/${GITHUB_REPO}/${suffix}`;
+}
+
+function contentsUrl(filePath) {
+  return repoUrl(`contents/${filePath}`);
+}
+
+function headers(extra = {}) {
+  return {
+    Authorization: `token ${GITHUB_TOKEN}`,
+    Accept: "application/vnd.github.v3+json",
+    ...extra
+  };
+}
+
+// Git'in blob SHA'sı (contents API'nin döndürdüğü sha ile aynı)
+function blobSha(content) {
+  const buffer = Buffer.from(content);
+  return crypto.createHash("sha1").update(`blob ${buffer.length}\0`).update(buffer).digest("hex");
+}
+
+// Blob içeriğini Git Data API'den oku (100 MB'a kadar)
+async function fetchBlob(sha) {
+  const response = await axios.get(repoUrl(`git/blobs/${sha}`), { headers: headers() });
+  return Buffer.from(response.data.content, "base64").toString("utf8");
+}
+
+// Dosyayı GitHub'dan oku. Dosya yoksa null döner.
+// Contents API 1 MB'tan büyük dosyalarda içeriği boş döner (encoding: "none"), bunlar blob'dan okunur.
+async function fetchFile(filePath) {
+  try {
+    const response = await axios.get(contentsUrl(filePath), {
+      headers: headers(),
+      params: { ref: GITHUB_BRANCH }
+    });
+    const { content, encoding, sha } = response.data;
+    if (encoding !== "base64") {
+      return { content: await fetchBlob(sha), sha };
+    }
+    return {
+      content: Buffer.from(content, "base64").toString("utf8"),
+      sha
+    };
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+}
+
+// Birden fazla dosyayı Git Data API ile tek bir atomik commit'te gönder
+// files: [{ path, content }]
+// Branch bu arada ilerlediyse ref güncellemesi 422 ile reddedilir (çağıran tekrar dener)
+async function commitFiles(files, message) {
+  try {
+    const ref = await axios.get(repoUrl(`git/ref/heads/${GITHUB_BRANCH}`), { headers: headers() });
+    const parentSha = ref.data.object.sha;
+
+    const parent = await axios.get(repoUrl(`git/commits/${parentSha}`), { headers: headers() });
+
+    const tree = await axios.post(
+      repoUrl("git/trees"),
+      {
+        base_tree: parent.data.tree.sha,
+        tree: files.map(file => ({
+          path: file.path,
+          mode: "100644",
+          type: "blob",
+          content: file.content
+        }))
+      },
+      { headers: headers() }
+    );
+
+    const commit = await axios.post(
+      repoUrl("git/commits"),
+      { message, tree: tree.data.sha, parents: [parentSha] },
+      { headers: headers() }
+    );
+
+    await axios.patch(
+      repoUrl(`git/refs/heads/${GITHUB_BRANCH}`),
+      { sha: commit.data.sha, force: false },
+      { headers: headers() }
+    );
+
+    console.log(`GitHub'a commit edildi (${files.length} dosya): ${files.map(f => f.path).join(", ")}`);
+    return { sha: commit.data.sha };
+  } catch (err) {
+    console.error("GitHub commit hatası:", err.response?.data || err.message);
+    throw err;
+  }
+}
+
+module.exports = {
+  GITHUB_OWNER,
+  GITHUB_REPO,
+  GITHUB_TOKEN,
+  GITHUB_BRANCH,
+  GITHUB_API_URL,
+  blobSha,
+  fetchBlob,
+  fetchFile,
+  commitFiles
+};
@@ -0,0 +1,566 @@
+// İlişki grafiğini harici graf araçlarının biçimlerine çevirir ve geri okur: GraphML, DOT (Graphviz), JGF
+// Dışa aktarılan grafik karakter adlarıyla gelir (bkz. relationships.withNames); içe aktarımda adlar
+// yok sayılır, düğüm id'leri karakter id'leri olarak kalır. Parse fonksiyonları { graph } ya da
+// { error } döner.
+
+const GRAPH_FORMATS = {
+  graphml: { contentType: "application/graphml+xml; charset=utf-8", extension: "graphml" },
+  dot: { contentType: "text/vnd.graphviz; charset=utf-8", extension: "dot" },
+  jgf: { contentType: "application/json; charset=utf-8", extension: "json" }
+};
+
+// İstekten gelen değer desteklenen bir format mı? (prototip anahtarları ve dizi değerler elenir)
+function isGraphFormat(format) {
+  return typeof format === "string" && Object.hasOwn(GRAPH_FORMATS, format);
+}
+
+// Dosya uzantısı -> format
+const FORMAT_EXTENSIONS = {
+  ".graphml": "graphml",
+  ".xml": "graphml",
+  ".dot": "dot",
+  ".gv": "dot",
+  ".json": "jgf",
+  ".jgf": "jgf"
+};
+
+function formatFromFilename(filename) {
+  const lower = (filename || "").toLowerCase();
+  const extension = Object.keys(FORMAT_EXTENSIONS).find(ext => lower.endsWith(ext));
+  return extension ? FORMAT_EXTENSIONS[extension] : null;
+}
+
+function generateRelationshipId() {
+  return "rel-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+}
+
+function groupsById(graph) {
+  return new Map(graph.groups.map(group => [group.id, group]));
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return hasValue(value) && Number.isFinite(number) ? number : undefined;
+}
+
+function parseHistory(value) {
+  if (!hasValue(value)) return undefined;
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+// undefined alanları at (şema doğrulamasında "eksik" sayılsınlar)
+function compact(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined));
+}
+
+// ===== GraphML =====
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[entity.toLowerCase()];
+    if (named) return named;
+    return String.fromCodePoint(entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+  });
+}
+
+const GRAPHML_KEYS = [
+  { id: "groups", for: "graph", type: "string" },
+  { id: "name", for: "node", type: "string" },
+  { id: "groupId", for: "node", type: "string" },
+  { id: "groupName", for: "node", type: "string" },
+  { id: "color", for: "node", type: "string" },
+  { id: "x", for: "node", type: "double" },
+  { id: "y", for: "node", type: "double" },
+  { id: "type", for: "edge", type: "string" },
+  { id: "strength", for: "edge", type: "double" },
+  { id: "history", for: "edge", type: "string" }
+];
+
+function graphmlData(values) {
+  return Object.entries(values)
+    .filter(([, value]) => hasValue(value))
+    .map(([key, value]) => `<data key="${key}">${escapeXml(value)}</data>`)
+    .join("");
+}
+
+function toGraphml(graph, { id = "relationships" } = {}) {
+  const groups = groupsById(graph);
+  const nodes = graph.characters.map(node => {
+    const group = groups.get(node.groupId);
+    const position = node.position || {};
+    return `    <node id="${escapeXml(node.id)}">${graphmlData({
+      name: node.name,
+      groupId: node.groupId,
+      groupName: group && group.name,
+      color: group && group.color,
+      x: position.x,
+      y: position.y
+    })}</node>`;
+  });
+  const edges = graph.relationships.map(rel => `    <edge id="${escapeXml(rel.id)}" source="${escapeXml(rel.from)}" target="${escapeXml(rel.to)}">${graphmlData({
+    type: rel.type,
+    strength: rel.strength,
+    history: rel.history && rel.history.length > 0 ? JSON.stringify(rel.history) : undefined
+  })}</edge>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">
+${GRAPHML_KEYS.map(key => `  <key id="${key.id}" for="${key.for}" attr.name="${key.id}" attr.type="${key.type}"/>`).join("\n")}
+  <graph id="${escapeXml(id)}" edgedefault="directed">
+    ${graphmlData({ groups: JSON.stringify(graph.groups) })}
+${[...nodes, ...edges].join("\n")}
+  </graph>
+</graphml>
+`;
+}
+
+// Küçük XML okuyucu: { name, attributes, children, text } ağacı (GraphML için yeterli)
+function parseXml(text) {
+  const root = { name: "#root", attributes: {}, children: [], text: "" };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [, cdata, closing, name, attributeText, selfClosing, textContent] = match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (textContent !== undefined) {
+      current.text += decodeXml(textContent);
+    } else if (name && closing) {
+      if (current.name !== name) throw new Error(`Beklenmeyen kapanış etiketi: </${name}>`);
+      stack.pop();
+    } else if (name) {
+      const attributes = {};
+      for (const [, key, , doubleQuoted, singleQuoted] of attributeText.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attributes[key] = decodeXml(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+      }
+      const element = { name, attributes, children: [], text: "" };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+  if (stack.length > 1) throw new Error(`Kapanmamış etiket: <${stack[stack.length - 1].name}>`);
+  return root;
+}
+
+// Ad alanı önekini yok say (ör. "y:ShapeNode" -> "ShapeNode")
+function localName(element) {
+  return element.name.split(":").pop();
+}
+
+function childrenNamed(element, name) {
+  return element.children.filter(child => localName(child) === name);
+}
+
+function fromGraphml(text) {
+  const root = parseXml(text);
+  const graphml = childrenNamed(root, "graphml")[0];
+  const graphElement = graphml && childrenNamed(graphml, "graph")[0];
+  if (!graphElement) throw new Error("GraphML dosyasında <graph> bulunamadı");
+
+  // Veri anahtarları attr.name ile eşlenir (araçlar key id'lerini değiştirebilir)
+  const keyNames = {};
+  for (const key of childrenNamed(graphml, "key")) {
+    keyNames[key.attributes.id] = key.attributes["attr.name"] || key.attributes.id;
+  }
+  const dataOf = element => Object.fromEntries(
+    childrenNamed(element, "data").map(data => [keyNames[data.attributes.key] || data.attributes.key, data.text.trim()])
+  );
+
+  const graphData = dataOf(graphElement);
+  const groups = new Map();
+  if (hasValue(graphData.groups)) {
+    for (const group of JSON.parse(graphData.groups)) groups.set(group.id, group);
+  }
+
+  const characters = childrenNamed(graphElement, "node").map(node => {
+    const data = dataOf(node);
+    if (hasValue(data.groupId) && !groups.has(data.groupId)) {
+      groups.set(data.groupId, compact({ id: data.groupId, name: data.groupName, color: data.color }));
+    }
+    const x = toNumber(data.x);
+    const y = toNumber(data.y);
+    return compact({
+      id: node.attributes.id,
+      groupId: hasValue(data.groupId) ? data.groupId : null,
+      position: x !== undefined && y !== undefined ? { x, y } : undefined
+    });
+  });
+
+  const relationships = childrenNamed(graphElement, "edge").map(edge => {
+    const data = dataOf(edge);
+    return compact({
+      id: edge.attributes.id || generateRelationshipId(),
+      from: edge.attributes.source,
+      to: edge.attributes.target,
+      type: data.type,
+      strength: toNumber(data.strength),
+      history: parseHistory(data.history)
+    });
+  });
+
+  return { characters, groups: [...groups.values()], relationships };
+}
+
+// ===== DOT (Graphviz) =====
+
+// quoteDot'un tersi, tek geçişte (\\n ile \n karışmasın diye); satır sonundaki \ devam işaretidir,
+// bilinmeyen kaçışlar (ör. \l) olduğu gibi kalır
+function unquoteDot(quoted) {
+  return quoted.replace(/\\([\s\S])/g, (escape, char) => {
+    if (char === "\n") return "";
+    if (char === "n") return "\n";
+    if (char === '"' || char === "\\") return char;
+    return escape;
+  });
+}
+
+function quoteDot(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+function dotAttributes(values) {
+  const entries = Object.entries(values).filter(([, value]) => hasValue(value));
+  return entries.length > 0 ? ` [${entries.map(([key, value]) => `${key}=${quoteDot(value)}`).join(", ")}]` : "";
+}
+
+// Graphviz'de y ekseni yukarı doğrudur, panoda aşağı; pos'ta y işareti çevrilir ("!" konumu sabitler)
+function dotPosition(position) {
+  return position ? `${position.x},${-position.y}!` : undefined;
+}
+
+function dotNode(node, group, indent) {
+  return `${indent}${quoteDot(node.id)}${dotAttributes({
+    label: node.name,
+    fillcolor: group && group.color,
+    pos: dotPosition(node.position)
+  })};`;
+}
+
+function toDot(graph, { id = "relationships" } = {}) {
+  const groups = groupsById(graph);
+  const lines = [`digraph ${quoteDot(id)} {`, "  node [style=filled];"];
+
+  // Her grup bir cluster'dır (boş gruplar da korunur)
+  for (const group of graph.groups) {
+    lines.push(`  subgraph ${quoteDot(`cluster_${group.id}`)} {`);
+    if (hasValue(group.name)) lines.push(`    label=${quoteDot(group.name)};`);
+    if (hasValue(group.color)) lines.push(`    color=${quoteDot(group.color)};`);
+    for (const node of graph.characters.filter(n => n.groupId === group.id)) {
+      lines.push(dotNode(node, group, "    "));
+    }
+    lines.push("  }");
+  }
+  for (const node of graph.characters.filter(n => !groups.has(n.groupId))) {
+    lines.push(dotNode(node, null, "  "));
+  }
+
+  for (const rel of graph.relationships) {
+    lines.push(`  ${quoteDot(rel.from)} -> ${quoteDot(rel.to)}${dotAttributes({
+      id: rel.id,
+      label: hasValue(rel.strength) ? `${rel.type} (${rel.strength})` : rel.type,
+      type: rel.type,
+      strength: rel.strength,
+      history: rel.history && rel.history.length > 0 ? JSON.stringify(rel.history) : undefined
+    })};`);
+  }
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+function tokenizeDot(text) {
+  const tokens = [];
+  const pattern = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|^#[^\n]*|"((?:[^"\\]|\\[\s\S])*)"|(->|--)|([{}[\];,=:])|([A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?))|(<)/gmy;
+  let match;
+  while (pattern.lastIndex < text.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(text);
+    if (!match) throw new Error(`DOT okunamadı (konum ${start})`);
+    const [, quoted, edgeOp, punct, id, html] = match;
+    if (quoted !== undefined) {
+      tokens.push({ type: "id", value: unquoteDot(quoted) });
+    } else if (edgeOp) {
+      tokens.push({ type: "edge" });
+    } else if (punct) {
+      tokens.push({ type: punct });
+    } else if (id !== undefined) {
+      tokens.push({ type: "id", value: id });
+    } else if (html) {
+      // HTML etiketli değerler: dengeli < > içeriği ham metin olarak alınır
+      let depth = 1;
+      let index = pattern.lastIndex;
+      while (depth > 0 && index < text.length) {
+        if (text[index] === "<") depth++;
+        if (text[index] === ">") depth--;
+        index++;
+      }
+      if (depth > 0) throw new Error("DOT okunamadı: kapanmamış HTML etiketi");
+      tokens.push({ type: "id", value: text.slice(pattern.lastIndex, index - 1) });
+      pattern.lastIndex = index;
+    }
+  }
+  return tokens;
+}
+
+// DOT grafiğini { nodes: Map(id -> { attributes, cluster }), edges, clusters: Map(id -> attributes) } yapısına oku
+function parseDot(text) {
+  const tokens = tokenizeDot(text);
+  let index = 0;
+  const peek = () => tokens[index] || { type: "eof" };
+  const next = () => tokens[index++] || { type: "eof" };
+  const expect = type => {
+    const token = next();
+    if (token.type !== type) throw new Error(`DOT okunamadı: "${type}" bekleniyordu`);
+    return token;
+  };
+  const isKeyword = (token, word) => token.type === "id" && token.value.toLowerCase() === word;
+
+  const nodes = new Map();
+  const edges = [];
+  const clusters = new Map();
+
+  const attributeList = () => {
+    const attributes = {};
+    while (peek().type === "[") {
+      next();
+      while (peek().type !== "]") {
+        const key = expect("id").value;
+        let value = "true";
+        if (peek().type === "=") {
+          next();
+          value = expect("id").value;
+        }
+        attributes[key] = value;
+        if (peek().type === "," || peek().type === ";") next();
+      }
+      expect("]");
+    }
+    return attributes;
+  };
+
+  const nodeId = () => {
+    const id = expect("id").value;
+    // port (ör. a:n) yok sayılır
+    while (peek().type === ":") {
+      next();
+      expect("id");
+    }
+    return id;
+  };
+
+  // Graphviz'deki gibi düğüm, adının geçtiği ilk cluster'a aittir
+  const touchNode = (id, cluster, attributes = {}) => {
+    if (!nodes.has(id)) nodes.set(id, { attributes: {}, cluster: null });
+    const node = nodes.get(id);
+    if (cluster && !node.cluster) node.cluster = cluster;
+    Object.assign(node.attributes, attributes);
+    return node;
+  };
+
+  const statements = cluster => {
+    while (peek().type !== "}" && peek().type !== "eof") {
+      const token = peek();
+      if (token.type === ";") {
+        next();
+      } else if (isKeyword(token, "subgraph") || token.type === "{") {
+        subgraph();
+      } else if (isKeyword(token, "graph") || isKeyword(token, "node") || isKeyword(token, "edge")) {
+        next();
+        const attributes = attributeList();
+        if (isKeyword(token, "graph") && cluster) Object.assign(clusters.get(cluster), attributes);
+      } else {
+        const id = nodeId();
+        if (peek().type === "=") {
+          next();
+          const value = expect("id").value;
+          if (cluster) clusters.get(cluster)[id] = value;
+        } else if (peek().type === "edge") {
+          const chain = [id];
+          while (peek().type === "edge") {
+            next();
+            if (peek().type === "{" || isKeyword(peek(), "subgraph")) {
+              throw new Error("DOT okunamadı: alt grafiğe kenar desteklenmiyor");
+            }
+            chain.push(nodeId());
+          }
+          const attributes = attributeList();
+          chain.forEach(nodeIdInChain => touchNode(nodeIdInChain, cluster));
+          for (let i = 0; i < chain.length - 1; i++) {
+            edges.push({ from: chain[i], to: chain[i + 1], attributes: { ...attributes } });
+          }
+        } else {
+          touchNode(id, cluster, attributeList());
+        }
+      }
+    }
+  };
+
+  const subgraph = () => {
+    let name = null;
+    if (isKeyword(peek(), "subgraph")) {
+      next();
+      if (peek().type === "id") name = next().value;
+    }
+    // Sadece "cluster_" ile başlayan alt grafikler grup sayılır
+    const cluster = name && name.startsWith("cluster_") ? name.slice("cluster_".length) : null;
+    if (cluster && !clusters.has(cluster)) clusters.set(cluster, {});
+    expect("{");
+    statements(cluster);
+    expect("}");
+  };
+
+  if (isKeyword(peek(), "strict")) next();
+  if (!isKeyword(peek(), "digraph") && !isKeyword(peek(), "graph")) {
+    throw new Error("DOT okunamadı: graph veya digraph bekleniyordu");
+  }
+  next();
+  if (peek().type === "id") next();
+  expect("{");
+  statements(null);
+  expect("}");
+
+  return { nodes, edges, clusters };
+}
+
+function parsePosition(pos) {
+  if (!hasValue(pos)) return undefined;
+  const [x, y] = pos.replace(/!$/, "").split(",").map(Number);
+  return Number.isFinite(x) && Number.isFinite(y) ? { x, y: -y } : undefined;
+}
+
+function fromDot(text) {
+  const { nodes, edges, clusters } = parseDot(text);
+
+  const groups = [...clusters.entries()].map(([id, attributes]) => compact({ id, name: attributes.label, color: attributes.color }));
+  const characters = [...nodes.entries()].map(([id, node]) => compact({
+    id,
+    groupId: node.cluster,
+    position: parsePosition(node.attributes.pos)
+  }));
+  const relationships = edges.map(edge => compact({
+    id: edge.attributes.id || generateRelationshipId(),
+    from: edge.from,
+    to: edge.to,
+    type: edge.attributes.type,
+    strength: toNumber(edge.attributes.strength),
+    history: parseHistory(edge.attributes.history)
+  }));
+
+  return { characters, groups, relationships };
+}
+
+// ===== JSON Graph Format (v2) =====
+
+function toJgf(graph, { id = "relationships", label } = {}) {
+  const groups = groupsById(graph);
+  const nodes = {};
+  for (const node of graph.characters) {
+    const group = groups.get(node.groupId);
+    nodes[node.id] = compact({
+      label: node.name,
+      metadata: compact({
+        groupId: node.groupId,
+        color: group && group.color,
+        position: node.position
+      })
+    });
+  }
+
+  return JSON.stringify({
+    graph: compact({
+      id,
+      label,
+      type: "relationships",
+      directed: true,
+      metadata: { groups: graph.groups },
+      nodes,
+      edges: graph.relationships.map(rel => compact({
+        id: rel.id,
+        source: rel.from,
+        target: rel.to,
+        relation: rel.type,
+        directed: true,
+        metadata: compact({ strength: rel.strength, history: rel.history })
+      }))
+    })
+  }, null, 2);
+}
+
+function fromJgf(text) {
+  const document = JSON.parse(text);
+  const graph = document.graph || (document.graphs || [])[0];
+  if (!graph) throw new Error("JGF dosyasında graph bulunamadı");
+
+  // v2'de nodes id ile anahtarlanmış nesne, v1'de id alanlı dizi
+  const nodeEntries = Array.isArray(graph.nodes)
+    ? graph.nodes.map(node => [node.id, node])
+    : Object.entries(graph.nodes || {});
+
+  const groups = new Map(((graph.metadata && graph.metadata.groups) || []).map(group => [group.id, group]));
+  const characters = nodeEntries.map(([id, node]) => {
+    const metadata = node.metadata || {};
+    if (hasValue(metadata.groupId) && !groups.has(metadata.groupId)) {
+      groups.set(metadata.groupId, compact({ id: metadata.groupId, color: metadata.color }));
+    }
+    return compact({
+      id,
+      groupId: hasValue(metadata.groupId) ? metadata.groupId : null,
+      position: metadata.position
+    });
+  });
+
+  const relationships = (graph.edges || []).map(edge => {
+    const metadata = edge.metadata || {};
+    return compact({
+      id: edge.id || generateRelationshipId(),
+      from: edge.source,
+      to: edge.target,
+      type: edge.relation,
+      strength: toNumber(metadata.strength),
+      history: metadata.history
+    });
+  });
+
+  return { characters, groups: [...groups.values()], relationships };
+}
+
+// ===== Ortak giriş noktaları =====
+
+function exportGraph(format, graph, options) {
+  if (!isGraphFormat(format)) throw new Error(`Bilinmeyen format: ${format}`);
+  const renderers = { graphml: toGraphml, dot: toDot, jgf: toJgf };
+  return { ...GRAPH_FORMATS[format], body: renderers[format](graph, options) };
+}
+
+function importGraph(format, text) {
+  if (!isGraphFormat(format)) return { error: `Bilinmeyen format: ${format}` };
+  const parsers = { graphml: fromGraphml, dot: fromDot, jgf: fromJgf };
+  try {
+    return { graph: parsers[format](text.replace(/^\uFEFF/, "")) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+module.exports = {
+  GRAPH_FORMATS,
+  isGraphFormat,
+  formatFromFilename,
+  exportGraph,
+  importGraph
+};
@@ -0,0 +1,150 @@
+// Markdown / düz metin dosyasını senaryo bölüm ve parçalarına ayırır ve panoya yerleştirir
+const { addChapter, addPart } = require("./scenario");
+
+const IMPORT_FORMATS = {
+  md: [".md", ".markdown"],
+  txt: [".txt"]
+};
+
+// append: mevcut bölümlerin sonuna ekle, replace: mevcut bölümlerin yerine koy
+const IMPORT_MODES = ["append", "replace"];
+
+// Varsayılan pano ızgarası: her bölüm bir satır, bölüm kartı solda, parçaları sağında
+const GRID = {
+  left: 40,
+  top: 70,
+  width: 260,
+  height: 240,
+  gap: 40
+};
+
+// Dosya adı uzantısına göre format (md/txt), desteklenmiyorsa null
+function importFormat(filename) {
+  const lower = (filename || "").toLowerCase();
+  return Object.keys(IMPORT_FORMATS).find(format => IMPORT_FORMATS[format].some(ext => lower.endsWith(ext))) || null;
+}
+
+// Düz metinde "Bölüm 1", "Chapter 2: ..." satırları bölüm, "Sahne 3", "Scene 4" satırları parça başlığıdır
+const TEXT_CHAPTER = /^(bölüm|chapter)\s+\S.*$/iu;
+const TEXT_PART = /^(sahne|scene|parça)\s+\S.*$/iu;
+
+function textToMarkdown(text) {
+  return text
+    .split("\n")
+    .map(line => {
+      const trimmed = line.trim();
+      if (TEXT_CHAPTER.test(trimmed)) return `# ${trimmed}`;
+      if (TEXT_PART.test(trimmed)) return `## ${trimmed}`;
+      return line;
+    })
+    .join("\n");
+}
+
+// Boş satırlarla ayrılan bloklar paragraftır, senaryoda paragraflar tek "\n" ile ayrılır.
+// Markdown'da blok içindeki satırlar aynı paragrafa aittir; düz metinde her satır ayrı kalır.
+function toContent(lines, format) {
+  const separator = format === "md" ? " " : "\n";
+  const paragraphs = [];
+  let current = [];
+  for (const line of [...lines, ""]) {
+    if (line.trim() === "") {
+      if (current.length > 0) paragraphs.push(current.join(separator));
+      current = [];
+    } else {
+      current.push(line.trim());
+    }
+  }
+  return paragraphs.join("\n");
+}
+
+// Başlıklar: [{ level, title, line }]
+function findHeadings(lines) {
+  const headings = [];
+  let inFence = false;
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const match = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (match) headings.push({ level: match[1].length, title: match[2].trim(), line: index });
+  });
+  return headings;
+}
+
+// Metni [{ title, content, parts: [{ title, content }] }] yapısına ayır.
+// Markdown'da en üst seviye başlık tek ve en baştaysa, altında üç seviye ya da birden fazla bölüm varsa
+// belge başlığı sayılır (ör. export'taki "# Proje adı"); tek bölümlü "# Bölüm / ## Parça" dosyası bölüm olarak kalır.
+// Sonraki iki seviye bölüm ve parçadır; daha derin başlıklar içerikte kalır.
+// Başlıksız metin (ya da ilk başlıktan önceki kısım) fallbackTitle adlı bölüm olur.
+function parseScenarioText(raw, format, fallbackTitle = "") {
+  const text = raw.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const lines = (format === "txt" ? textToMarkdown(text) : text).split("\n");
+  let headings = findHeadings(lines);
+  let documentTitle = null;
+
+  const levels = [...new Set(headings.map(h => h.level))].sort((a, b) => a - b);
+  if (format === "md" && levels.length > 1) {
+    const top = headings.filter(h => h.level === levels[0]);
+    const below = headings.filter(h => h.level === levels[1]);
+    if (top.length === 1 && top[0] === headings[0] && (levels.length > 2 || below.length > 1)) {
+      levels.shift();
+      documentTitle = headings.shift();
+    }
+  }
+  const [chapterLevel, partLevel] = levels;
+  const structural = headings.filter(h => h.level === chapterLevel || h.level === partLevel);
+
+  // İlk başlıktan önceki metin ayrı bir bölüm olur (belge başlığının altındaki açıklama hariç)
+  const chapters = [];
+  if (!documentTitle) {
+    const preamble = toContent(lines.slice(0, structural.length > 0 ? structural[0].line : lines.length), format);
+    if (preamble) chapters.push({ title: fallbackTitle, content: preamble, parts: [] });
+  }
+
+  structural.forEach((heading, index) => {
+    const end = index + 1 < structural.length ? structural[index + 1].line : lines.length;
+    const content = toContent(lines.slice(heading.line + 1, end), format);
+
+    if (heading.level === chapterLevel) {
+      chapters.push({ title: heading.title, content, parts: [] });
+      return;
+    }
+    // Bölüm başlığından önce gelen parça için isimsiz bölüm açılır
+    if (chapters.length === 0) chapters.push({ title: fallbackTitle, content: "", parts: [] });
+    chapters[chapters.length - 1].parts.push({ title: heading.title, content });
+  });
+  return chapters;
+}
+
+// Panodaki en alt kartın altı (yeni satırlar buradan başlar)
+function boardBottom(chapters) {
+  let bottom = null;
+  for (const item of chapters.flatMap(chapter => [chapter, ...(chapter.parts || [])])) {
+    if (typeof item.y !== "number") continue;
+    const itemBottom = item.y + (typeof item.height === "number" ? item.height : GRID.height);
+    bottom = bottom === null ? itemBottom : Math.max(bottom, itemBottom);
+  }
+  return bottom;
+}
+
+// Ayrıştırılan bölümleri ızgaraya yerleştirerek chapters'a ekle, eklenen bölümleri döner
+function importChapters(chapters, parsed) {
+  const bottom = boardBottom(chapters);
+  const top = bottom === null ? GRID.top : bottom + GRID.gap;
+  const size = { width: GRID.width, height: GRID.height };
+
+  return parsed.map((item, row) => {
+    const y = top + row * (GRID.height + GRID.gap);
+    const chapter = addChapter(chapters, { title: item.title, content: item.content, x: GRID.left, y, ...size });
+    item.parts.forEach((part, column) => {
+      const x = GRID.left + (column + 1) * (GRID.width + GRID.gap);
+      addPart(chapter, { title: part.title, content: part.content, x, y, ...size });
+    });
+    return chapter;
+  });
+}
+
+module.exports = {
+  IMPORT_MODES,
+  importFormat,
+  parseScenarioText,
+  importChapters
+};
@@ -0,0 +1,293 @@
+// Koleksiyonlar arası referans bütünlüğü: cascade silme ve sahipsiz (orphan) kayıt tespiti
+// Fonksiyonlar yüklenmiş koleksiyon değerleri üzerinde çalışır ({ projects, characters, ... }),
+// kaydetmek çağırana aittir. Silme fonksiyonları koleksiyon bazında silinen/düzeltilen kayıt sayısını döner.
+
+const { characterLinks, unlinkCharacter } = require("./scenario");
+const { characterNode, removeCharacterNode, isLegacyNode } = require("./relationships");
+const { messageProjectId } = require("./chat");
+
+// Proje id'siyle anahtarlanan doküman koleksiyonları
+const PROJECT_DOCUMENTS = ["characterTemplates", "scenarios", "scenarioRevisions", "relationships", "todos"];
+
+// Cascade/orphan işlemlerinin dokunduğu tüm koleksiyonlar (kilit ve yükleme için)
+const INTEGRITY_COLLECTIONS = ["projects", "characters", "characterImages", "users", "chatMessages", ...PROJECT_DOCUMENTS];
+
+function addCount(counts, name, amount) {
+  if (amount > 0) counts[name] = (counts[name] || 0) + amount;
+}
+
+// Projenin chat kanalındaki mesajlar (genel kanal projectId: null)
+function projectMessages(data, projectId) {
+  return data.chatMessages.filter(message => messageProjectId(message) === projectId);
+}
+
+// Projeye bağlı kayıtların sayısı (boşsa bağımlı kayıt yok)
+function projectDependents(data, projectId) {
+  const counts = {};
+  const characters = data.characters[projectId] || [];
+  addCount(counts, "characters", characters.length);
+  for (const character of characters) {
+    addCount(counts, "characterImages", (data.characterImages[character.id] || []).length);
+  }
+  for (const name of PROJECT_DOCUMENTS) {
+    addCount(counts, name, data[name][projectId] !== undefined ? 1 : 0);
+  }
+  addCount(counts, "chatMessages", projectMessages(data, projectId).length);
+  return counts;
+}
+
+// Karaktere bağlı kayıtların sayısı: removeCharacter'ın sileceği/düzelteceği her şey
+function characterDependents(data, projectId, characterId) {
+  const counts = {};
+  addCount(counts, "characterImages", (data.characterImages[characterId] || []).length);
+  if (data.scenarios && data.scenarios[projectId]) {
+    addCount(counts, "scenarios", characterLinks(data.scenarios[projectId].chapters, characterId).length);
+  }
+  if (data.relationships && data.relationships[projectId]) {
+    const found = characterNode(data.relationships[projectId], characterId);
+    if (found) addCount(counts, "relationships", (found.node ? 1 : 0) + found.edges.length);
+  }
+  return counts;
+}
+
+function removeCharacterImages(data, characterId, removed) {
+  const images = data.characterImages[characterId];
+  if (images === undefined) return;
+  addCount(removed, "characterImages", images.length);
+  delete data.characterImages[characterId];
+}
+
+// Karakteri ve galerisini sil, senaryo parçalarındaki bağlantılarını ve ilişki grafiğindeki
+// düğümünü kaldır (data.scenarios / data.relationships yüklüyse)
+function removeCharacter(data, projectId, characterId) {
+  const removed = {};
+  const characters = data.characters[projectId] || [];
+  const remaining = characters.filter(c => c.id !== characterId);
+  if (remaining.length === characters.length) return removed;
+
+  data.characters[projectId] = remaining;
+  addCount(removed, "characters", 1);
+  removeCharacterImages(data, characterId, removed);
+  if (data.scenarios && data.scenarios[projectId]) {
+    addCount(removed, "scenarios", unlinkCharacter(data.scenarios[projectId].chapters, characterId));
+  }
+  if (data.relationships && data.relationships[projectId]) {
+    addCount(removed, "relationships", removeCharacterNode(data.relationships[projectId], characterId));
+  }
+  return removed;
+}
+
+// Projeyi, karakterlerini (ve galerilerini), proje dokümanlarını, chat kanalını ve kullanıcı üyeliklerini sil
+function removeProject(data, projectId) {
+  const removed = {};
+  const projects = data.projects.filter(p => p.id !== projectId);
+  if (projects.length === data.projects.length) return removed;
+
+  data.projects = projects;
+  addCount(removed, "projects", 1);
+
+  const characters = data.characters[projectId];
+  if (characters !== undefined) {
+    for (const character of characters) {
+      removeCharacterImages(data, character.id, removed);
+    }
+    addCount(removed, "characters", characters.length);
+    delete data.characters[projectId];
+  }
+
+  for (const name of PROJECT_DOCUMENTS) {
+    if (data[name][projectId] !== undefined) {
+      delete data[name][projectId];
+      addCount(removed, name, 1);
+    }
+  }
+
+  const messages = data.chatMessages.filter(message => messageProjectId(message) !== projectId);
+  addCount(removed, "chatMessages", data.chatMessages.length - messages.length);
+  data.chatMessages = messages;
+
+  for (const user of data.users) {
+    if ((user.projects || []).includes(projectId)) {
+      user.projects = user.projects.filter(id => id !== projectId);
+      addCount(removed, "users", 1);
+    }
+  }
+  return removed;
+}
+
+// Var olmayan kayıtlara bağlı kayıtları bul
+// reason: missing_project | missing_character | missing_image | missing_chapter | missing_part
+// (ilişki grafiğindeki taşınmamış eski düğümler sahipsiz sayılmaz, /relationships/migrate ile taşınır)
+// (id'li kayıtlar grubun kendisi değil, grup içindeki kopuk bir referanstır)
+function findOrphans(data) {
+  const orphans = [];
+  const projectIds = new Set(data.projects.map(p => p.id));
+  const characterIds = new Set();
+  const imageIds = new Set();
+
+  for (const [projectId, characters] of Object.entries(data.characters)) {
+    if (!projectIds.has(projectId)) {
+      orphans.push({ collection: "characters", key: projectId, reason: "missing_project", count: (characters || []).length });
+      continue;
+    }
+    for (const character of characters || []) characterIds.add(character.id);
+  }
+
+  for (const name of PROJECT_DOCUMENTS) {
+    for (const projectId of Object.keys(data[name])) {
+      if (!projectIds.has(projectId)) {
+        orphans.push({ collection: name, key: projectId, reason: "missing_project", count: 1 });
+      }
+    }
+  }
+
+  for (const [characterId, images] of Object.entries(data.characterImages)) {
+    if (!characterIds.has(characterId)) {
+      orphans.push({ collection: "characterImages", key: characterId, reason: "missing_character", count: (images || []).length });
+      continue;
+    }
+    for (const image of images || []) imageIds.add(image.id);
+  }
+
+  // Senaryo parçalarında projede olmayan karakterlere bağlantılar
+  for (const [projectId, scenario] of Object.entries(data.scenarios)) {
+    if (!projectIds.has(projectId)) continue;
+    const projectCharacterIds = new Set((data.characters[projectId] || []).map(c => c.id));
+    for (const chapter of scenario.chapters || []) {
+      for (const part of chapter.parts || []) {
+        for (const characterId of part.characterIds || []) {
+          if (!projectCharacterIds.has(characterId)) {
+            orphans.push({ collection: "scenarios", key: projectId, id: part.id, field: "characterIds", characterId, reason: "missing_character", count: 1 });
+          }
+        }
+      }
+    }
+  }
+
+  // İlişki grafiğinde karakteri artık olmayan düğümler (ilişkileriyle birlikte)
+  for (const [projectId, graph] of Object.entries(data.relationships)) {
+    if (!projectIds.has(projectId)) continue;
+    const projectCharacterIds = new Set((data.characters[projectId] || []).map(c => c.id));
+    for (const node of graph.characters || []) {
+      if (isLegacyNode(node) || projectCharacterIds.has(node.id)) continue;
+      const { edges } = characterNode(graph, node.id);
+      orphans.push({ collection: "relationships", key: projectId, id: node.id, field: "characters", reason: "missing_character", count: 1 + edges.length });
+    }
+  }
+
+  // İlişki geçmişinde senaryodan silinmiş bölümlere ait durumlar
+  for (const [projectId, graph] of Object.entries(data.relationships)) {
+    if (!projectIds.has(projectId)) continue;
+    const chapterIds = new Set(((data.scenarios[projectId] || {}).chapters || []).map(c => c.id));
+    for (const rel of graph.relationships || []) {
+      for (const state of rel.history || []) {
+        if (!chapterIds.has(state.chapterId)) {
+          orphans.push({ collection: "relationships", key: projectId, id: rel.id, field: "history", chapterId: state.chapterId, reason: "missing_chapter", count: 1 });
+        }
+      }
+    }
+  }
+
+  // Todo bağlantılarında artık olmayan karakter, görsel ve parçalar
+  for (const [projectId, todos] of Object.entries(data.todos)) {
+    if (!projectIds.has(projectId)) continue;
+    const known = {
+      character: new Set((data.characters[projectId] || []).map(c => c.id)),
+      image: imageIds,
+      part: new Set(((data.scenarios[projectId] || {}).chapters || []).flatMap(chapter => (chapter.parts || []).map(p => p.id)))
+    };
+    for (const item of todos.items || []) {
+      for (const link of item.links || []) {
+        if (known[link.type] && !known[link.type].has(link.id)) {
+          orphans.push({ collection: "todos", key: projectId, id: item.id, field: "links", link, reason: `missing_${link.type}`, count: 1 });
+        }
+      }
+    }
+  }
+
+  // Ana görseli silinmiş karakterler
+  for (const [projectId, characters] of Object.entries(data.characters)) {
+    if (!projectIds.has(projectId)) continue;
+    for (const character of characters || []) {
+      if (character.mainImageId && !imageIds.has(character.mainImageId)) {
+        orphans.push({ collection: "characters", key: projectId, id: character.id, field: "mainImageId", reason: "missing_image", count: 1 });
+      }
+    }
+  }
+
+  // Projesi silinmiş chat kanalları (proje başına tek kayıt)
+  const missingChannels = new Map();
+  for (const message of data.chatMessages) {
+    const projectId = messageProjectId(message);
+    if (projectId !== null && !projectIds.has(projectId)) {
+      missingChannels.set(projectId, (missingChannels.get(projectId) || 0) + 1);
+    }
+  }
+  for (const [projectId, count] of missingChannels) {
+    orphans.push({ collection: "chatMessages", key: projectId, reason: "missing_project", count });
+  }
+
+  for (const user of data.users) {
+    for (const projectId of user.projects || []) {
+      if (!projectIds.has(projectId)) {
+        orphans.push({ collection: "users", key: projectId, id: user.id, field: "projects", reason: "missing_project", count: 1 });
+      }
+    }
+  }
+
+  return orphans;
+}
+
+// findOrphans'ın bulduklarını temizle: sahipsiz gruplar silinir, kopuk referanslar boşaltılır
+function removeOrphans(data, orphans) {
+  const removed = {};
+
+  for (const orphan of orphans) {
+    if (orphan.collection === "chatMessages") {
+      data.chatMessages = data.chatMessages.filter(message => messageProjectId(message) !== orphan.key);
+    } else if (orphan.id === undefined) {
+      delete data[orphan.collection][orphan.key];
+    } else if (orphan.collection === "characters") {
+      const character = (data.characters[orphan.key] || []).find(c => c.id === orphan.id);
+      if (!character) continue;
+      character.mainImageId = null;
+      character.mainImageUrl = null;
+    } else if (orphan.collection === "scenarios") {
+      const part = (data.scenarios[orphan.key].chapters || [])
+        .flatMap(chapter => chapter.parts || [])
+        .find(p => p.id === orphan.id);
+      if (!part) continue;
+      part.characterIds = (part.characterIds || []).filter(id => id !== orphan.characterId);
+    } else if (orphan.collection === "relationships" && orphan.field === "characters") {
+      // İki sahipsiz düğüm arasındaki ilişki bir kez silinir, sayı gerçekte silinenden alınır
+      addCount(removed, "relationships", removeCharacterNode(data.relationships[orphan.key], orphan.id));
+      continue;
+    } else if (orphan.collection === "relationships") {
+      const rel = (data.relationships[orphan.key].relationships || []).find(r => r.id === orphan.id);
+      if (!rel) continue;
+      rel.history = (rel.history || []).filter(state => state.chapterId !== orphan.chapterId);
+    } else if (orphan.collection === "todos") {
+      const item = (data.todos[orphan.key].items || []).find(i => i.id === orphan.id);
+      if (!item) continue;
+      item.links = (item.links || []).filter(link => link.type !== orphan.link.type || link.id !== orphan.link.id);
+    } else if (orphan.collection === "users") {
+      const user = data.users.find(u => u.id === orphan.id);
+      if (!user) continue;
+      user.projects = (user.projects || []).filter(id => id !== orphan.key);
+    }
+    addCount(removed, orphan.collection, orphan.count);
+  }
+  return removed;
+}
+
+module.exports = {
+  PROJECT_DOCUMENTS,
+  INTEGRITY_COLLECTIONS,
+  projectMessages,
+  projectDependents,
+  characterDependents,
+  removeProject,
+  removeCharacter,
+  findOrphans,
+  removeOrphans
+};
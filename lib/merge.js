@@ -0,0 +1,99 @@
+const { isDeepStrictEqual } = require("util");
+
+// data/*.json dokümanları için üç yönlü (base / local / remote) merge
+// - id'li kayıt dizileri kayıt bazında, objeler anahtar bazında birleştirilir
+// - Aynı alan iki tarafta farklı değiştirildiyse ya da bir tarafta silinip diğerinde
+//   değiştirildiyse conflict olarak raporlanır (hiçbir taraf ezilmez)
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isRecordArray(value) {
+  return Array.isArray(value) && value.every(item => isPlainObject(item) && item.id !== undefined);
+}
+
+function same(a, b) {
+  return isDeepStrictEqual(a, b);
+}
+
+function mergeValue(base, local, remote, path, conflicts) {
+  if (same(local, remote)) return local;
+  if (same(base, local)) return remote;
+  if (same(base, remote)) return local;
+
+  if (isRecordArray(local) && isRecordArray(remote) && (base === undefined || isRecordArray(base))) {
+    return mergeRecords(base || [], local, remote, path, conflicts);
+  }
+
+  if (isPlainObject(local) && isPlainObject(remote) && (base === undefined || isPlainObject(base))) {
+    return mergeObjects(base || {}, local, remote, path, conflicts);
+  }
+
+  conflicts.push({ path: path || "/", reason: "both_modified", local, remote });
+  return local;
+}
+
+function mergeObjects(base, local, remote, path, conflicts) {
+  const result = {};
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base)]);
+
+  for (const key of keys) {
+    const merged = mergeValue(base[key], local[key], remote[key], `${path}/${key}`, conflicts);
+    if (merged !== undefined) {
+      result[key] = merged;
+    }
+  }
+  return result;
+}
+
+// id'ye göre kayıt birleştirme. Sıra local'den alınır, sadece remote'ta eklenenler sona eklenir.
+function mergeRecords(base, local, remote, path, conflicts) {
+  const byId = list => new Map(list.map(item => [item.id, item]));
+  const baseById = byId(base);
+  const localById = byId(local);
+  const remoteById = byId(remote);
+
+  const mergeOne = (id) => {
+    const b = baseById.get(id);
+    const l = localById.get(id);
+    const r = remoteById.get(id);
+    const recordPath = `${path}/${id}`;
+
+    if (l && r) return mergeValue(b, l, r, recordPath, conflicts);
+
+    // Bir tarafta silinmiş
+    const kept = l || r;
+    if (!b) return kept; // diğer tarafta yeni eklenmiş
+    if (same(b, kept)) return undefined; // silinen taraf kazanır, diğer taraf değiştirmemiş
+
+    conflicts.push({
+      path: recordPath,
+      reason: l ? "deleted_remotely_modified_locally" : "deleted_locally_modified_remotely",
+      local: l,
+      remote: r
+    });
+    return kept;
+  };
+
+  const result = [];
+  for (const item of local) {
+    const merged = mergeOne(item.id);
+    if (merged !== undefined) result.push(merged);
+  }
+  for (const item of remote) {
+    if (localById.has(item.id)) continue;
+    const merged = mergeOne(item.id);
+    if (merged !== undefined) result.push(merged);
+  }
+  return result;
+}
+
+// Üç yönlü merge: { value, conflicts } döner. conflicts boş değilse value kullanılmamalı.
+function mergeDocuments(base, local, remote) {
+  const conflicts = [];
+  const value = mergeValue(base, local, remote, "", conflicts);
+  return { value, conflicts };
+}
+
+module.exports = { mergeDocuments };
@@ -0,0 +1,94 @@
+// Rol bazlı yetki tablosu: rol -> kaynak -> izin verilen aksiyonlar
+// "*" kaynağı tüm kaynakları kapsar
+const ALL_ACTIONS = ["read", "create", "update", "delete"];
+
+const ROLE_PERMISSIONS = {
+  admin: {
+    "*": ALL_ACTIONS
+  },
+  superuser: {
+    projects: ["read"],
+    characters: ALL_ACTIONS,
+    templates: ["read"],
+    images: ALL_ACTIONS,
+    scenarios: ALL_ACTIONS,
+    relationships: ALL_ACTIONS,
+    todos: ALL_ACTIONS,
+    // Proje kanallarında ayrıca üyelik aranır, mesaj düzenleme/silme sadece kendi mesajlarında
+    chat: ALL_ACTIONS,
+    // Öğe bazında ayrıca öğenin kaynağına (proje/karakter/görsel) yetki aranır
+    trash: ALL_ACTIONS,
+    settings: ["read"]
+  }
+};
+
+const RESOURCES = [
+  "projects",
+  "characters",
+  "templates",
+  "images",
+  "scenarios",
+  "relationships",
+  "todos",
+  "settings",
+  "users",
+  "chat",
+  "sync",
+  "maintenance",
+  "trash"
+];
+
+// Kullanıcının rolü bu kaynak üzerinde bu aksiyona izin veriyor mu?
+function can(user, resource, action) {
+  if (!user) return false;
+  const rolePermissions = ROLE_PERMISSIONS[user.role];
+  if (!rolePermissions) return false;
+
+  const actions = rolePermissions[resource] || rolePermissions["*"] || [];
+  return actions.includes(action);
+}
+
+// Route seviyesinde yetki kontrolü yapan middleware
+// Oturum yoksa 401, rol yetkisizse 403 döner
+function authorize(resource, action) {
+  if (!RESOURCES.includes(resource) || !ALL_ACTIONS.includes(action)) {
+    throw new Error(`Bilinmeyen yetki: ${resource}:${action}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Oturum gerekli" });
+    }
+    if (!can(req.user, resource, action)) {
+      return res.status(403).json({ error: "Bu işlem için yetkiniz yok" });
+    }
+    next();
+  };
+}
+
+// Kullanıcı bu projenin üyesi mi? (admin tüm projelere erişebilir)
+function isProjectMember(user, projectId) {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+  return Array.isArray(user.projects) && user.projects.includes(projectId);
+}
+
+// :projectId parametreli route'larda proje üyeliği kontrolü yapan middleware
+function requireProjectMember(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: "Oturum gerekli" });
+  }
+  if (!isProjectMember(req.user, req.params.projectId)) {
+    return res.status(403).json({ error: "Bu projeye erişim yetkiniz yok" });
+  }
+  next();
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  RESOURCES,
+  can,
+  authorize,
+  isProjectMember,
+  requireProjectMember
+};
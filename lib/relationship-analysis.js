@@ -0,0 +1,150 @@
+// İlişki grafiği analizi: derece/merkezilik, en kısa yol, kümeler, gruplar arası ve asimetrik ilişkiler
+// Grafik yönlü kaydedilir (from -> to); derece, yol ve kümeler için yön gözetilmez.
+// strength verilmemiş ilişkiler ağırlıkta 0 sayılır.
+
+const MAX_STRENGTH = 100;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Grafikte düğümü olan uçları birleştiren ilişkiler ve komşuluk listesi
+function buildGraph(graph) {
+  const nodes = new Map(graph.characters.map(node => [node.id, node]));
+  const edges = graph.relationships.filter(rel => nodes.has(rel.from) && nodes.has(rel.to) && rel.from !== rel.to);
+  const adjacency = new Map([...nodes.keys()].map(id => [id, []]));
+  for (const edge of edges) {
+    adjacency.get(edge.from).push({ neighbor: edge.to, edge });
+    adjacency.get(edge.to).push({ neighbor: edge.from, edge });
+  }
+  return { nodes, edges, adjacency };
+}
+
+// Derece: farklı komşu sayısı. Ağırlıklı merkezilik: ilişki güçleri toplamı / mümkün olan en yüksek toplam
+// (her karakterle iki yönde en yüksek güçte ilişki), 0..1 arası
+function characterMetrics({ nodes, edges, adjacency }) {
+  const others = Math.max(nodes.size - 1, 1);
+  return [...nodes.values()]
+    .map(node => {
+      const incident = adjacency.get(node.id);
+      const weightedDegree = incident.reduce((sum, { edge }) => sum + (edge.strength || 0), 0);
+      return {
+        characterId: node.id,
+        name: node.name,
+        groupId: node.groupId === undefined ? null : node.groupId,
+        degree: new Set(incident.map(i => i.neighbor)).size,
+        inDegree: edges.filter(e => e.to === node.id).length,
+        outDegree: edges.filter(e => e.from === node.id).length,
+        weightedDegree,
+        centrality: round(weightedDegree / (2 * MAX_STRENGTH * others))
+      };
+    })
+    .sort((a, b) => b.centrality - a.centrality || b.degree - a.degree);
+}
+
+// En az adımlı yol (BFS). Bulunamazsa null.
+function shortestPath({ adjacency }, from, to) {
+  if (from === to) return { characterIds: [from], relationships: [], length: 0 };
+
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const { neighbor, edge } of adjacency.get(current)) {
+      if (previous.has(neighbor)) continue;
+      previous.set(neighbor, { node: current, edge });
+      if (neighbor === to) {
+        const characterIds = [to];
+        const relationships = [];
+        for (let step = previous.get(to); step; step = previous.get(step.node)) {
+          characterIds.unshift(step.node);
+          relationships.unshift({ id: step.edge.id, from: step.edge.from, to: step.edge.to, type: step.edge.type, strength: step.edge.strength });
+        }
+        return { characterIds, relationships, length: relationships.length };
+      }
+      queue.push(neighbor);
+    }
+  }
+  return null;
+}
+
+// Bağlı bileşenler (büyükten küçüğe)
+function clusters({ nodes, adjacency }) {
+  const seen = new Set();
+  const result = [];
+  for (const id of nodes.keys()) {
+    if (seen.has(id)) continue;
+    const members = [];
+    const stack = [id];
+    seen.add(id);
+    while (stack.length > 0) {
+      const current = stack.pop();
+      members.push(current);
+      for (const { neighbor } of adjacency.get(current)) {
+        if (!seen.has(neighbor)) {
+          seen.add(neighbor);
+          stack.push(neighbor);
+        }
+      }
+    }
+    const groupIds = [...new Set(members.map(m => nodes.get(m).groupId).filter(g => g !== undefined && g !== null))];
+    result.push({ characterIds: members, size: members.length, groupIds });
+  }
+  return result.sort((a, b) => b.size - a.size);
+}
+
+// İki ucu farklı gruplarda olan ilişkiler (grupsuz uçlar sayılmaz)
+function crossGroupRelationships({ nodes, edges }) {
+  return edges
+    .filter(edge => {
+      const fromGroup = nodes.get(edge.from).groupId;
+      const toGroup = nodes.get(edge.to).groupId;
+      return fromGroup && toGroup && fromGroup !== toGroup;
+    })
+    .map(edge => ({
+      id: edge.id,
+      from: edge.from,
+      to: edge.to,
+      type: edge.type,
+      strength: edge.strength,
+      fromGroupId: nodes.get(edge.from).groupId,
+      toGroupId: nodes.get(edge.to).groupId
+    }));
+}
+
+// A->B ve B->A ilişkileri farklı tip ya da güçteyse
+function asymmetricPairs({ edges }) {
+  const byDirection = new Map(edges.map(edge => [`${edge.from}\u0000${edge.to}`, edge]));
+  const pairs = [];
+  for (const forward of edges) {
+    const backward = byDirection.get(`${forward.to}\u0000${forward.from}`);
+    if (!backward || forward.from > forward.to) continue;
+
+    const differences = ["type", "strength"].filter(field => forward[field] !== backward[field]);
+    if (differences.length > 0) {
+      pairs.push({
+        characterIds: [forward.from, forward.to],
+        forward: { id: forward.id, type: forward.type, strength: forward.strength },
+        backward: { id: backward.id, type: backward.type, strength: backward.strength },
+        differences
+      });
+    }
+  }
+  return pairs;
+}
+
+// Tüm analiz; path yalnızca from ve to verildiyse hesaplanır
+function analyzeGraph(graph, { from, to } = {}) {
+  const built = buildGraph(graph);
+  return {
+    characters: characterMetrics(built),
+    path: from && to ? shortestPath(built, from, to) : null,
+    clusters: clusters(built),
+    crossGroupRelationships: crossGroupRelationships(built),
+    asymmetricPairs: asymmetricPairs(built)
+  };
+}
+
+module.exports = {
+  analyzeGraph
+};
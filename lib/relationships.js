@@ -0,0 +1,254 @@
+// İlişki grafiği: düğümler characters.json'daki karakterlere id ile bağlıdır (node.id === character.id),
+// isimler kaydedilmez, okurken karakterden doldurulur. Fonksiyonlar grafiği yerinde değiştirir,
+// kaydetmek çağırana aittir.
+
+function emptyGraph() {
+  return { characters: [], groups: [], relationships: [] };
+}
+
+function characterName(character) {
+  return [character.firstName, character.lastName].filter(Boolean).join(" ").trim() || character.id;
+}
+
+// Düğümlere güncel karakter adını ekle (eşleşmeyen eski düğümlerin kayıtlı adı korunur)
+function withNames(graph, characters) {
+  const byId = new Map(characters.map(c => [c.id, c]));
+  return {
+    ...graph,
+    characters: graph.characters.map(node => {
+      const character = byId.get(node.id);
+      return character ? { ...node, name: characterName(character) } : node;
+    })
+  };
+}
+
+// Düğüm, grup ve ilişki referanslarını doğrula: [{ field, message }]
+function graphErrors(graph, knownCharacterIds) {
+  const errors = [];
+  const groupIds = new Set(graph.groups.map(g => g.id));
+  const nodeIds = new Set();
+
+  graph.characters.forEach((node, index) => {
+    if (!knownCharacterIds.has(node.id)) {
+      errors.push({ field: `characters[${index}].id`, message: "projede böyle bir karakter yok" });
+    } else if (nodeIds.has(node.id)) {
+      errors.push({ field: `characters[${index}].id`, message: "karakter grafikte birden fazla kez var" });
+    }
+    nodeIds.add(node.id);
+
+    if (node.groupId !== undefined && node.groupId !== null && !groupIds.has(node.groupId)) {
+      errors.push({ field: `characters[${index}].groupId`, message: "böyle bir grup yok" });
+    }
+  });
+
+  graph.relationships.forEach((rel, index) => {
+    for (const end of ["from", "to"]) {
+      if (!nodeIds.has(rel[end])) {
+        errors.push({ field: `relationships[${index}].${end}`, message: "grafikte böyle bir karakter yok" });
+      }
+    }
+  });
+  return errors;
+}
+
+// ===== Bölümlere göre ilişki geçmişi =====
+
+// history kayıtları senaryoda olan bölümlere bağlı olmalı ve her bölüm bir kez geçmeli
+function historyErrors(graph, chapterIds) {
+  const errors = [];
+  graph.relationships.forEach((rel, index) => {
+    const seen = new Set();
+    (rel.history || []).forEach((state, stateIndex) => {
+      const field = `relationships[${index}].history[${stateIndex}].chapterId`;
+      if (!chapterIds.has(state.chapterId)) {
+        errors.push({ field, message: "senaryoda böyle bir bölüm yok" });
+      } else if (seen.has(state.chapterId)) {
+        errors.push({ field, message: "aynı bölüm için birden fazla durum var" });
+      }
+      seen.add(state.chapterId);
+    });
+  });
+  return errors;
+}
+
+// Kayıtlı grafikte aynı ilişkide zaten olan ama bölümü artık senaryoda olmayan history kayıtlarını çıkar.
+// Bölüm silinince kalan kayıtlar GET -> PUT döngüsünü bozmasın diye; yeni eklenen bilinmeyen
+// bölümler (başka bir ilişkide kayıtlı olsa bile) historyErrors'ta hata olarak kalır.
+// Çıkarılan kayıt sayısını döner.
+function dropStaleHistory(graph, storedGraph, chapterIds) {
+  const storedById = new Map(storedGraph.relationships.map(rel => [rel.id, rel]));
+  let dropped = 0;
+  for (const rel of graph.relationships) {
+    if (!rel.history) continue;
+    const stored = storedById.get(rel.id);
+    const storedChapterIds = new Set(((stored && stored.history) || []).map(state => state.chapterId));
+    const kept = rel.history.filter(state => chapterIds.has(state.chapterId) || !storedChapterIds.has(state.chapterId));
+    dropped += rel.history.length - kept.length;
+    rel.history = kept;
+  }
+  return dropped;
+}
+
+// İlişkinin verilen bölümdeki durumu: o bölüme kadar (dahil) senaryo sırasındaki son history kaydı
+// temel type/strength'in üzerine yazılır. Senaryoda olmayan bölümlere ait kayıtlar yok sayılır.
+function stateAt(rel, chapterOrder, chapterIndex) {
+  const { history = [], ...base } = rel;
+  const applied = history
+    .filter(state => chapterOrder.has(state.chapterId) && chapterOrder.get(state.chapterId) <= chapterIndex)
+    .sort((a, b) => chapterOrder.get(a.chapterId) - chapterOrder.get(b.chapterId));
+  const latest = applied[applied.length - 1];
+  if (!latest) return { ...base, sinceChapterId: null };
+
+  const { chapterId, ...state } = latest;
+  return { ...base, ...state, sinceChapterId: chapterId };
+}
+
+// Grafiğin senaryodaki bir bölüm itibarıyla hali (history alanları çözülmüş olarak)
+function graphAtChapter(graph, chapters, chapterId) {
+  const chapterOrder = new Map(chapters.map((chapter, index) => [chapter.id, index]));
+  const chapterIndex = chapterOrder.get(chapterId);
+  return {
+    ...graph,
+    atChapter: chapterId,
+    relationships: graph.relationships.map(rel => stateAt(rel, chapterOrder, chapterIndex))
+  };
+}
+
+// ===== Eski düğümlerin taşınması =====
+
+// Karaktere bağlanmamış eski düğüm: adını kendisi taşır (karaktere bağlı düğümlerde ad kaydedilmez)
+function isLegacyNode(node) {
+  return node.name !== undefined;
+}
+
+function normalize(text) {
+  return (text || "").trim().toLocaleLowerCase("tr");
+}
+
+// Eski (karaktere bağlı olmayan) düğümleri isimle eşleştir: önce tam ad, sonra tek eşleşen ad.
+// mapping ({ düğümId: karakterId }) verilen düğümler için isim eşleştirmesi yapılmaz.
+function matchNodes(graph, characters, mapping = {}) {
+  const characterIds = new Set(characters.map(c => c.id));
+  const matches = [];
+  const unmatched = [];
+
+  for (const node of graph.characters) {
+    if (characterIds.has(node.id)) continue;
+
+    if (mapping[node.id] !== undefined) {
+      if (characterIds.has(mapping[node.id])) {
+        matches.push({ nodeId: node.id, name: node.name, characterId: mapping[node.id], by: "mapping" });
+      } else {
+        unmatched.push({ nodeId: node.id, name: node.name, candidates: [], reason: "mapping_character_not_found" });
+      }
+      continue;
+    }
+
+    const name = normalize(node.name);
+    const byFullName = characters.filter(c => name && normalize(characterName(c)) === name);
+    const byFirstName = characters.filter(c => name && normalize(c.firstName) === name);
+    const candidates = byFullName.length > 0 ? byFullName : byFirstName;
+
+    if (candidates.length === 1) {
+      matches.push({ nodeId: node.id, name: node.name, characterId: candidates[0].id, by: byFullName.length > 0 ? "fullName" : "firstName" });
+    } else {
+      unmatched.push({
+        nodeId: node.id,
+        name: node.name,
+        candidates: candidates.map(c => ({ characterId: c.id, name: characterName(c) })),
+        reason: candidates.length > 1 ? "ambiguous" : "no_match"
+      });
+    }
+  }
+
+  // Aynı karaktere birden fazla düğüm eşleşiyorsa hiçbiri taşınmaz
+  const counts = {};
+  for (const match of matches) counts[match.characterId] = (counts[match.characterId] || 0) + 1;
+  const characterTaken = new Set(graph.characters.filter(node => characterIds.has(node.id)).map(node => node.id));
+
+  return {
+    matches: matches.filter(m => counts[m.characterId] === 1 && !characterTaken.has(m.characterId)),
+    unmatched: [
+      ...unmatched,
+      ...matches
+        .filter(m => counts[m.characterId] > 1 || characterTaken.has(m.characterId))
+        .map(m => ({ nodeId: m.nodeId, name: m.name, candidates: [{ characterId: m.characterId }], reason: "duplicate" }))
+    ]
+  };
+}
+
+// Eşleşen düğümlerin id'sini karakter id'siyle değiştir, ilişkileri yeniden bağla.
+// dropUnmatched ise eşleşmeyen düğümler ve ilişkileri silinir.
+function migrateGraph(graph, { matches, unmatched }, { dropUnmatched = false } = {}) {
+  const idMap = new Map(matches.map(m => [m.nodeId, m.characterId]));
+  const dropped = new Set(dropUnmatched ? unmatched.map(u => u.nodeId) : []);
+
+  graph.characters = graph.characters
+    .filter(node => !dropped.has(node.id))
+    .map(node => {
+      const { name, ...rest } = node;
+      return idMap.has(node.id) ? { ...rest, id: idMap.get(node.id) } : node;
+    });
+  graph.relationships = graph.relationships
+    .filter(rel => !dropped.has(rel.from) && !dropped.has(rel.to))
+    .map(rel => ({ ...rel, from: idMap.get(rel.from) || rel.from, to: idMap.get(rel.to) || rel.to }));
+  return graph;
+}
+
+// ===== Karakter silme / geri yükleme =====
+
+// Karakterin düğümü ve ilişkileri (listedeki yerleriyle); grafikte hiç yoksa null
+function characterNode(graph, characterId) {
+  const position = graph.characters.findIndex(node => node.id === characterId);
+  const edges = graph.relationships
+    .map((relationship, index) => ({ position: index, relationship }))
+    .filter(({ relationship }) => relationship.from === characterId || relationship.to === characterId);
+  if (position === -1 && edges.length === 0) return null;
+  return { node: position === -1 ? null : graph.characters[position], position, edges };
+}
+
+// Karakterin düğümünü ve ilişkilerini çıkar, çıkarılan kayıt sayısını döner
+function removeCharacterNode(graph, characterId) {
+  const found = characterNode(graph, characterId);
+  if (!found) return 0;
+  graph.characters = graph.characters.filter(node => node.id !== characterId);
+  graph.relationships = graph.relationships.filter(rel => rel.from !== characterId && rel.to !== characterId);
+  return (found.node ? 1 : 0) + found.edges.length;
+}
+
+function insertAt(list, position, record) {
+  const index = position >= 0 && position <= list.length ? position : list.length;
+  list.splice(index, 0, record);
+}
+
+// Düğümü ve ilişkilerini eski yerlerine geri ekle (grubu silindiyse grupsuz, karşı düğümü yoksa ilişki atlanır)
+function restoreCharacterNode(graph, removed) {
+  const { node, position, edges } = removed;
+  if (node && !graph.characters.some(n => n.id === node.id)) {
+    const groupExists = graph.groups.some(g => g.id === node.groupId);
+    insertAt(graph.characters, position, groupExists || node.groupId === undefined || node.groupId === null ? node : { ...node, groupId: null });
+  }
+
+  const nodeIds = new Set(graph.characters.map(n => n.id));
+  const relIds = new Set(graph.relationships.map(r => r.id));
+  for (const { position: edgePosition, relationship } of edges) {
+    if (!relIds.has(relationship.id) && nodeIds.has(relationship.from) && nodeIds.has(relationship.to)) {
+      insertAt(graph.relationships, edgePosition, relationship);
+    }
+  }
+}
+
+module.exports = {
+  emptyGraph,
+  withNames,
+  graphErrors,
+  historyErrors,
+  dropStaleHistory,
+  isLegacyNode,
+  graphAtChapter,
+  matchNodes,
+  migrateGraph,
+  characterNode,
+  removeCharacterNode,
+  restoreCharacterNode
+};
@@ -0,0 +1,187 @@
+const { isDeepStrictEqual } = require("util");
+
+// Senaryo revizyonları: her kayıtta yazar ve zamanla birlikte saklanır.
+// Ters delta olarak tutulurlar: en yeni revizyon chapters'ın tam kopyasını, öncekiler yalnızca bir
+// sonraki revizyondan farklı olan bölüm ve parçaları (delta) taşır. Böylece en eskiler silindiğinde
+// kalanlar bozulmaz. Her revizyonda tam kopya olan eski biçimdeki kayıtlar da okunur.
+// Proje başına en fazla SCENARIO_REVISION_LIMIT revizyon tutulur, en eskiler silinir (0 ise sınırsız)
+const REVISION_LIMIT = process.env.SCENARIO_REVISION_LIMIT !== undefined
+  ? Number(process.env.SCENARIO_REVISION_LIMIT)
+  : 50;
+
+// Kanvas yerleşimi alanları diff'te tek bir "layout" değişikliği olarak raporlanır
+const LAYOUT_FIELDS = ["x", "y", "width", "height"];
+
+function generateRevisionId() {
+  return "rev-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+}
+
+function countParts(chapters) {
+  return chapters.reduce((sum, chapter) => sum + (chapter.parts || []).length, 0);
+}
+
+// older'ı newer'dan yeniden kurmak için gereken fark. newer'da aynen bulunan bölüm ve parçalar
+// yalnızca id'leriyle ({ ref }), diğerleri tam kopyalarıyla ({ chapter } / { part }) tutulur;
+// parçaları değişen bölüm { fields, parts } olur.
+function encodeDelta(older, newer) {
+  const newerChapters = new Map(newer.map(chapter => [chapter.id, chapter]));
+  return older.map(chapter => {
+    const match = newerChapters.get(chapter.id);
+    if (!match) return { chapter };
+    if (isDeepStrictEqual(chapter, match)) return { ref: chapter.id };
+    if (!Array.isArray(chapter.parts) || !Array.isArray(match.parts)) return { chapter };
+
+    const newerParts = new Map(match.parts.map(part => [part.id, part]));
+    const { parts, ...fields } = chapter;
+    return {
+      fields,
+      parts: parts.map(part => (isDeepStrictEqual(part, newerParts.get(part.id)) ? { ref: part.id } : { part }))
+    };
+  });
+}
+
+// encodeDelta'nın tersi: newer ve delta'dan older'ı kur
+function applyDelta(delta, newer) {
+  const newerChapters = new Map(newer.map(chapter => [chapter.id, chapter]));
+  return delta.map(entry => {
+    if (entry.chapter) return entry.chapter;
+    if (entry.ref !== undefined) return newerChapters.get(entry.ref);
+
+    const newerParts = new Map(newerChapters.get(entry.fields.id).parts.map(part => [part.id, part]));
+    return { ...entry.fields, parts: entry.parts.map(part => (part.part ? part.part : newerParts.get(part.ref))) };
+  });
+}
+
+// index'teki revizyonun chapters'ı: kendisinden sonraki ilk tam kopyadan geriye doğru delta'lar uygulanır
+function revisionChapters(revisions, index) {
+  let full = index;
+  while (!revisions[full].chapters) full++;
+
+  let chapters = revisions[full].chapters;
+  for (let i = full - 1; i >= index; i--) {
+    chapters = applyDelta(revisions[i].delta, chapters);
+  }
+  return structuredClone(chapters);
+}
+
+// Revizyonu chapters'ıyla birlikte bul (yoksa null)
+function findRevision(revisions, revisionId) {
+  const index = revisions.findIndex(r => r.id === revisionId);
+  if (index === -1) return null;
+
+  const { delta, ...revision } = revisions[index];
+  return { ...revision, chapters: revisionChapters(revisions, index) };
+}
+
+// Yeni revizyonu listeye ekle. İçerik son revizyonla aynıysa eklenmez ve null döner.
+// Önceki son revizyonun tam kopyası yeni revizyona göre delta'ya çevrilir.
+function recordRevision(revisions, chapters, user, { restoredFrom } = {}) {
+  const last = revisions[revisions.length - 1];
+  if (last && isDeepStrictEqual(last.chapters, chapters)) return null;
+
+  const revision = {
+    id: generateRevisionId(),
+    number: last ? last.number + 1 : 1,
+    createdAt: new Date().toISOString(),
+    authorId: user ? user.id : null,
+    authorName: user ? user.username : null,
+    chapterCount: chapters.length,
+    partCount: countParts(chapters),
+    chapters
+  };
+  if (restoredFrom) revision.restoredFrom = restoredFrom;
+
+  if (last) {
+    if (last.chapterCount === undefined) Object.assign(last, summarizeRevision(last));
+    last.delta = encodeDelta(last.chapters, chapters);
+    delete last.chapters;
+  }
+  revisions.push(revision);
+  if (REVISION_LIMIT > 0 && revisions.length > REVISION_LIMIT) {
+    revisions.splice(0, revisions.length - REVISION_LIMIT);
+  }
+  return revision;
+}
+
+// Listeleme için chapters/delta olmadan özet (sayıları olmayan eski kayıtlarda chapters'tan hesaplanır)
+function summarizeRevision(revision) {
+  const { chapters, delta, ...summary } = revision;
+  if (summary.chapterCount === undefined) {
+    summary.chapterCount = chapters.length;
+    summary.partCount = countParts(chapters);
+  }
+  return summary;
+}
+
+// İki kaydın alan bazında farkı: [{ field, from, to }]
+function fieldChanges(from, to, skip) {
+  const changes = [];
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+  let layoutChanged = false;
+
+  for (const key of keys) {
+    if (skip.includes(key) || isDeepStrictEqual(from[key], to[key])) continue;
+    if (LAYOUT_FIELDS.includes(key)) {
+      layoutChanged = true;
+      continue;
+    }
+    changes.push({ field: key, from: from[key], to: to[key] });
+  }
+
+  if (layoutChanged) {
+    const pick = record => Object.fromEntries(LAYOUT_FIELDS.filter(f => record[f] !== undefined).map(f => [f, record[f]]));
+    changes.push({ field: "layout", from: pick(from), to: pick(to) });
+  }
+  return changes;
+}
+
+// id'li iki listeyi karşılaştır: eklenen, silinen, değişen ve sırası değişenler
+function diffList(fromList, toList, diffItem) {
+  const fromById = new Map(fromList.map((item, index) => [item.id, { item, index }]));
+  const toById = new Map(toList.map((item, index) => [item.id, { item, index }]));
+  const result = { added: [], removed: [], changed: [] };
+
+  for (const { item } of toById.values()) {
+    if (!fromById.has(item.id)) result.added.push({ id: item.id, title: item.title });
+  }
+  for (const { item } of fromById.values()) {
+    if (!toById.has(item.id)) result.removed.push({ id: item.id, title: item.title });
+  }
+
+  for (const [id, to] of toById) {
+    const from = fromById.get(id);
+    if (!from) continue;
+
+    const change = diffItem(from.item, to.item);
+    if (from.index !== to.index) {
+      change.changes.unshift({ field: "position", from: from.index, to: to.index });
+    }
+    if (change.changes.length > 0 || (change.parts && hasChanges(change.parts))) {
+      result.changed.push({ id, title: to.item.title, ...change });
+    }
+  }
+  return result;
+}
+
+function hasChanges(diff) {
+  return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+}
+
+// Bölüm/parça seviyesinde senaryo farkı
+function diffChapters(fromChapters, toChapters) {
+  return diffList(fromChapters, toChapters, (from, to) => ({
+    changes: fieldChanges(from, to, ["id", "parts"]),
+    parts: diffList(from.parts || [], to.parts || [], (fromPart, toPart) => ({
+      changes: fieldChanges(fromPart, toPart, ["id"])
+    }))
+  }));
+}
+
+module.exports = {
+  REVISION_LIMIT,
+  LAYOUT_FIELDS,
+  recordRevision,
+  findRevision,
+  summarizeRevision,
+  diffChapters
+};
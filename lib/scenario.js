@@ -0,0 +1,219 @@
+// Senaryo panosu (bölümler ve içlerindeki parçalar) üzerinde tekil değişiklikler
+// Fonksiyonlar chapters dizisini yerinde değiştirir, kaydetmek çağırana aittir
+const { LAYOUT_FIELDS } = require("./revisions");
+
+function generateChapterId() {
+  return "chapter-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+}
+
+function generatePartId() {
+  return "part-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+}
+
+// index verilmemişse ya da liste dışındaysa sona ekle
+function insertAt(list, index, item) {
+  const position = index !== undefined && index <= list.length ? index : list.length;
+  list.splice(position, 0, item);
+}
+
+function moveTo(list, item, index) {
+  if (index === undefined) return;
+  list.splice(list.indexOf(item), 1);
+  insertAt(list, index, item);
+}
+
+function findChapter(chapters, chapterId) {
+  return chapters.find(c => c.id === chapterId) || null;
+}
+
+function findPart(chapter, partId) {
+  return (chapter.parts || []).find(p => p.id === partId) || null;
+}
+
+// Gönderilen alanlar kayda yazılır (index alanı kaydın parçası değil, yerini belirler)
+function applyFields(record, fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (key !== "index") record[key] = value;
+  }
+  return record;
+}
+
+function addChapter(chapters, fields) {
+  const chapter = applyFields({ id: generateChapterId(), title: "", content: "" }, fields);
+  chapter.parts = [];
+  insertAt(chapters, fields.index, chapter);
+  return chapter;
+}
+
+function addPart(chapter, fields) {
+  const part = applyFields({ id: generatePartId(), title: "", content: "" }, fields);
+  if (!chapter.parts) chapter.parts = [];
+  insertAt(chapter.parts, fields.index, part);
+  return part;
+}
+
+function updateItem(list, item, fields) {
+  applyFields(item, fields);
+  moveTo(list, item, fields.index);
+  return item;
+}
+
+function removeById(list, id) {
+  const index = list.findIndex(item => item.id === id);
+  if (index === -1) return null;
+  return list.splice(index, 1)[0];
+}
+
+// Parçayı başka bir bölüme (veya aynı bölümde başka bir yere) taşı
+function movePart(fromChapter, part, toChapter, index) {
+  fromChapter.parts.splice(fromChapter.parts.indexOf(part), 1);
+  if (!toChapter.parts) toChapter.parts = [];
+  insertAt(toChapter.parts, index, part);
+  return part;
+}
+
+// Listelenen id'ler verilen sırayla başa, listelenmeyenler mevcut sıralarıyla sona
+function reorder(list, ids) {
+  const byId = new Map(list.map(item => [item.id, item]));
+  const ordered = [...new Set(ids)].filter(id => byId.has(id)).map(id => byId.get(id));
+  const rest = list.filter(item => !ordered.includes(item));
+  list.splice(0, list.length, ...ordered, ...rest);
+  return list;
+}
+
+// Sadece kanvas yerleşimi değişiyorsa (kart sürükleme) revizyon kaydedilmez
+function isLayoutOnly(fields) {
+  return Object.keys(fields).every(key => LAYOUT_FIELDS.includes(key));
+}
+
+// ===== Karakter bağlantıları =====
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function fullName(character) {
+  return [character.firstName, character.lastName].filter(Boolean).join(" ").trim();
+}
+
+// Adın metinde kelime olarak kaç kez geçtiği ("Luna'nın" eşleşir, "Lunapark" eşleşmez)
+function countMentions(text, name) {
+  if (!text) return 0;
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(name)}(?![\\p{L}\\p{N}])`, "giu");
+  return (text.match(pattern) || []).length;
+}
+
+// Karakter metinde kaç kez geçiyor? Ad ile aranır (tam ad geçişlerini de kapsar);
+// 2 harften kısa adlar yanlış eşleşmesin diye tam adla aranır
+function mentionsOf(text, character) {
+  const firstName = (character.firstName || "").trim();
+  const name = firstName.length >= 2 ? firstName : fullName(character);
+  return name.length >= 2 ? countMentions(text, name) : 0;
+}
+
+// Parça içeriğinde adı geçen ama henüz bağlanmamış karakterler
+function suggestCharacters(part, characters) {
+  const linked = new Set(part.characterIds || []);
+  return characters
+    .filter(character => !linked.has(character.id))
+    .map(character => ({
+      characterId: character.id,
+      name: fullName(character) || character.id,
+      mentions: mentionsOf(`${part.title || ""}\n${part.content || ""}`, character)
+    }))
+    .filter(suggestion => suggestion.mentions > 0)
+    .sort((a, b) => b.mentions - a.mentions);
+}
+
+// Karakterin geçtiği bölüm ve parçalar: bağlı (characterIds) veya metinde adı geçen
+function findAppearances(chapters, character) {
+  const appearances = [];
+  for (const chapter of chapters) {
+    const parts = [];
+    for (const part of chapter.parts || []) {
+      const linked = (part.characterIds || []).includes(character.id);
+      const mentions = mentionsOf(`${part.title || ""}\n${part.content || ""}`, character);
+      if (linked || mentions > 0) {
+        parts.push({ partId: part.id, title: part.title || "", linked, mentions });
+      }
+    }
+
+    const chapterMentions = mentionsOf(`${chapter.title || ""}\n${chapter.content || ""}`, character);
+    if (parts.length > 0 || chapterMentions > 0) {
+      appearances.push({ chapterId: chapter.id, title: chapter.title || "", mentions: chapterMentions, parts });
+    }
+  }
+  return appearances;
+}
+
+// Projede olmayan karakter id'leri için alan bazında hata
+function characterIdErrors(characterIds, knownIds, path) {
+  return (characterIds || [])
+    .map((id, index) => (knownIds.has(id) ? null : { field: `${path}[${index}]`, message: "projede böyle bir karakter yok" }))
+    .filter(Boolean);
+}
+
+function scenarioCharacterIdErrors(chapters, knownIds) {
+  const errors = [];
+  chapters.forEach((chapter, chapterIndex) => {
+    (chapter.parts || []).forEach((part, partIndex) => {
+      errors.push(...characterIdErrors(part.characterIds, knownIds, `chapters[${chapterIndex}].parts[${partIndex}].characterIds`));
+    });
+  });
+  return errors;
+}
+
+// Karakterin bağlı olduğu parçalar: [{ chapterId, partId }]
+function characterLinks(chapters, characterId) {
+  const links = [];
+  for (const chapter of chapters) {
+    for (const part of chapter.parts || []) {
+      if ((part.characterIds || []).includes(characterId)) links.push({ chapterId: chapter.id, partId: part.id });
+    }
+  }
+  return links;
+}
+
+// Karakteri tüm parçalardan çıkar, kaç parçadan çıkarıldığını döner
+function unlinkCharacter(chapters, characterId) {
+  let count = 0;
+  for (const chapter of chapters) {
+    for (const part of chapter.parts || []) {
+      if ((part.characterIds || []).includes(characterId)) {
+        part.characterIds = part.characterIds.filter(id => id !== characterId);
+        count += 1;
+      }
+    }
+  }
+  return count;
+}
+
+// Bağlantıları geri ekle (parça hâlâ varsa)
+function relinkCharacter(chapters, characterId, links) {
+  for (const { chapterId, partId } of links) {
+    const chapter = findChapter(chapters, chapterId);
+    const part = chapter && findPart(chapter, partId);
+    if (part && !(part.characterIds || []).includes(characterId)) {
+      part.characterIds = [...(part.characterIds || []), characterId];
+    }
+  }
+}
+
+module.exports = {
+  findChapter,
+  findPart,
+  addChapter,
+  addPart,
+  updateItem,
+  removeById,
+  movePart,
+  reorder,
+  isLayoutOnly,
+  suggestCharacters,
+  findAppearances,
+  characterIdErrors,
+  scenarioCharacterIdErrors,
+  characterLinks,
+  unlinkCharacter,
+  relinkCharacter
+};
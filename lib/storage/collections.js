@@ -0,0 +1,29 @@
+// Tüm veri koleksiyonları: dosya adı, commit mesajı etiketi ve varsayılan değer
+const COLLECTIONS = {
+  projects: {
+    file: "projects.json",
+    label: "projects",
+    defaultValue: () => [
+      { id: "proje-1", name: "Örnek Proje 1" },
+      { id: "proje-2", name: "Örnek Proje 2" }
+    ]
+  },
+  characters: { file: "characters.json", label: "characters", defaultValue: () => ({}) },
+  characterTemplates: { file: "character-templates.json", label: "character templates", defaultValue: () => ({}) },
+  characterImages: { file: "character-images.json", label: "character images", defaultValue: () => ({}) },
+  users: { file: "users.json", label: "users", defaultValue: () => [] },
+  chatMessages: { file: "chat-messages.json", label: "chat messages", defaultValue: () => [] },
+  scenarios: { file: "scenarios.json", label: "scenarios", defaultValue: () => ({}) },
+  scenarioRevisions: { file: "scenario-revisions.json", label: "scenario revisions", defaultValue: () => ({}) },
+  relationships: { file: "relationships.json", label: "relationships", defaultValue: () => ({}) },
+  todos: { file: "todos.json", label: "todos", defaultValue: () => ({}) },
+  trash: { file: "trash.json", label: "trash", defaultValue: () => [] },
+  // Ayarlar kritik veri - GitHub'a debounce olmadan commit edilir
+  settings: { file: "settings.json", label: "settings", defaultValue: () => ({}), immediate: true }
+};
+
+for (const name of Object.keys(COLLECTIONS)) {
+  COLLECTIONS[name].name = name;
+}
+
+module.exports = { COLLECTIONS };
@@ -0,0 +1,224 @@
+const github = require("../github");
+const syncQueue = require("../sync-queue");
+const { mergeDocuments } = require("../merge");
+const { createLocalStorage } = require("./local");
+
+// Uzak değişiklik kontrolü aralığı (varsayılan 5 dakika, 0 ise kapalı)
+const RECONCILE_INTERVAL_MS = process.env.SYNC_RECONCILE_INTERVAL_MS !== undefined
+  ? Number(process.env.SYNC_RECONCILE_INTERVAL_MS)
+  : 5 * 60 * 1000;
+
+// GitHub backend'i: local dosyalar hızlı erişim için cache, GitHub kalıcı kaynak
+// Render'ın ephemeral filesystem'i nedeniyle restart sonrası local dosyalar kaybolur
+function createGitHubStorage({ dataDir, collections, withLock }) {
+  const local = createLocalStorage({ dataDir });
+  let reconcileTimer = null;
+
+  function githubPath(collection) {
+    return `data/${collection.file}`;
+  }
+
+  function collectionForPath(filePath) {
+    return Object.values(collections).find(collection => githubPath(collection) === filePath);
+  }
+
+  // Önce local'den oku (save sonrası her zaman güncel), yoksa GitHub'dan çekip cache'le.
+  // GitHub'dan okunamazsa hata fırlatılır: varsayılan değer dönülürse bir sonraki kayıt
+  // uzak veriyi boş haliyle ezer.
+  async function read(collection) {
+    try {
+      const value = await local.read(collection);
+      if (value !== undefined) return value;
+    } catch (localErr) {
+      console.error(`Local ${collection.file} okunamadı, GitHub'dan yüklenecek:`, localErr.message);
+    }
+
+    if (!github.GITHUB_TOKEN) return undefined;
+
+    try {
+      const remote = await github.fetchFile(githubPath(collection));
+      if (!remote) return undefined;
+
+      const value = JSON.parse(remote.content);
+      await local.writeRaw(collection, remote.content);
+      syncQueue.setBase(githubPath(collection), remote.content, remote.sha);
+      return value;
+    } catch (err) {
+      console.error(`GitHub'dan ${collection.file} yüklenirken hata:`, err.message);
+      throw new Error(`${collection.file} GitHub'dan yüklenemedi: ${err.message}`);
+    }
+  }
+
+  // Local'e kaydet, sonra GitHub commit kuyruğuna ekle
+  async function write(collection, value) {
+    const content = await local.write(collection, value);
+
+    if (github.GITHUB_TOKEN) {
+      const message = `Update ${collection.label}: ${new Date().toISOString()}`;
+      // Kritik veri (ayarlar) debounce beklemeden commit edilir
+      syncQueue.enqueue(githubPath(collection), content, message, { immediate: collection.immediate });
+    }
+
+    return content;
+  }
+
+  // Bir dosyayı GitHub'daki haliyle uzlaştır
+  // - Uzak dosya son senkrondan beri değişmediyse bir şey yapılmaz
+  // - Local'de commit edilmemiş değişiklik yoksa uzak hali alınır
+  // - İkisi de değiştiyse id bazlı üç yönlü merge yapılır; conflict varsa dosya bekletilir ve raporlanır
+  async function reconcile(collection) {
+    const filePath = githubPath(collection);
+    const remote = await github.fetchFile(filePath);
+    if (!remote) return "missing";
+
+    const base = syncQueue.getBase(filePath);
+    if (base && base.sha === remote.sha && !syncQueue.getConflict(filePath)) return "unchanged";
+
+    return withLock(collection.name, async () => {
+      const localContent = await local.readRaw(collection);
+      const pending = syncQueue.hasPending(filePath);
+
+      if (localContent === remote.content) {
+        syncQueue.setBase(filePath, remote.content, remote.sha);
+        syncQueue.clearConflict(filePath);
+        if (pending) syncQueue.discard(filePath);
+        return "unchanged";
+      }
+
+      const baseContent = await syncQueue.getBaseContent(filePath);
+
+      // Local'de gönderilmemiş değişiklik yok: uzak hali al
+      // (base yoksa ve kuyrukta bir şey yoksa local sadece eski bir cache'tir)
+      if (localContent === undefined || (!pending && (baseContent === null || localContent === baseContent))) {
+        await local.writeRaw(collection, remote.content);
+        syncQueue.setBase(filePath, remote.content, remote.sha);
+        syncQueue.clearConflict(filePath);
+        console.log(`  ✓ ${filePath} GitHub'dan güncellendi`);
+        return "pulled";
+      }
+
+      // Ortak ata bilinmiyorsa local değişiklikler uzak halin üzerine kurulmuş sayılır
+      const baseValue = JSON.parse(baseContent !== null ? baseContent : remote.content);
+      const { value, conflicts } = mergeDocuments(baseValue, JSON.parse(localContent), JSON.parse(remote.content));
+
+      if (conflicts.length > 0) {
+        syncQueue.markConflict(filePath, remote.sha, conflicts);
+        console.error(`  ✗ ${filePath} merge edilemedi (${conflicts.length} conflict), çözülene kadar commit edilmeyecek`);
+        return "conflict";
+      }
+
+      const merged = JSON.stringify(value, null, 2);
+      await local.writeRaw(collection, merged);
+      syncQueue.setBase(filePath, remote.content, remote.sha);
+      syncQueue.clearConflict(filePath);
+
+      if (merged === remote.content) {
+        syncQueue.discard(filePath);
+      } else {
+        syncQueue.enqueue(filePath, merged, `Merge ${collection.label}: ${new Date().toISOString()}`, { immediate: true });
+      }
+      console.log(`  ✓ ${filePath} uzak değişikliklerle merge edildi`);
+      return "merged";
+    });
+  }
+
+  async function reconcileAll() {
+    const results = {};
+    for (const collection of Object.values(collections)) {
+      try {
+        results[collection.name] = await reconcile(collection);
+      } catch (err) {
+        results[collection.name] = "error";
+        console.error(`  ✗ ${githubPath(collection)} senkronizasyon hatası:`, err.message);
+      }
+    }
+    return results;
+  }
+
+  // Merge edilemeyen dosyayı seçilen tarafla çöz: "local" (local'i gönder) veya "remote" (GitHub'dakini al)
+  async function resolveConflict(filePath, strategy) {
+    const collection = collectionForPath(filePath);
+    const conflict = syncQueue.getConflict(filePath);
+    if (!collection || !conflict) return false;
+
+    const remote = await github.fetchFile(filePath);
+
+    await withLock(collection.name, async () => {
+      if (strategy === "remote") {
+        if (remote) {
+          await local.writeRaw(collection, remote.content);
+          syncQueue.setBase(filePath, remote.content, remote.sha);
+        }
+        syncQueue.clearConflict(filePath);
+        syncQueue.discard(filePath);
+        return;
+      }
+
+      // local: uzak hali base kabul et, local içerik üzerine commit edilsin
+      const localContent = await local.readRaw(collection);
+      if (remote) syncQueue.setBase(filePath, remote.content, remote.sha);
+      syncQueue.clearConflict(filePath);
+      if (localContent !== undefined) {
+        syncQueue.enqueue(filePath, localContent, `Resolve ${collection.label}: ${new Date().toISOString()}`, { immediate: true });
+      }
+    });
+
+    return true;
+  }
+
+  // Sunucu başlatıldığında ve periyodik olarak GitHub'la uzlaş
+  async function init() {
+    if (!github.GITHUB_TOKEN) return;
+
+    // Kuyruk ephemeral diskte tutulursa restart/deploy sonrası gönderilmemiş commit'ler kaybolur,
+    // bu yüzden yol verilmeden açılmaz
+    if (!process.env.SYNC_QUEUE_FILE) {
+      throw new Error("GitHub backend'i için SYNC_QUEUE_FILE kalıcı bir diskteki dosya yolu olarak verilmeli");
+    }
+
+    // Önceki çalışmadan kalan commit'leri geri yükle
+    await syncQueue.load();
+
+    // Commit'ten önce uzak değişiklikleri merge et, böylece başka instance'ların commit'leri ezilmez
+    syncQueue.setBeforeCommit(async (paths) => {
+      for (const filePath of paths) {
+        const collection = collectionForPath(filePath);
+        if (!collection) continue;
+        try {
+          await reconcile(collection);
+        } catch (err) {
+          console.error(`  ✗ ${filePath} commit öncesi senkronizasyon hatası:`, err.message);
+        }
+      }
+    });
+
+    console.log("GitHub ile senkronizasyon başlıyor...");
+    await reconcileAll();
+    console.log("GitHub senkronizasyonu tamamlandı.");
+
+    if (RECONCILE_INTERVAL_MS > 0) {
+      reconcileTimer = setInterval(() => {
+        reconcileAll().catch(err => console.error("Periyodik senkronizasyon hatası:", err.message));
+      }, RECONCILE_INTERVAL_MS);
+      reconcileTimer.unref();
+    }
+  }
+
+  // Kapanışta bekleyen commit'leri gönder
+  async function shutdown() {
+    if (reconcileTimer) clearInterval(reconcileTimer);
+    await syncQueue.flushAll();
+  }
+
+  return {
+    name: "github",
+    read,
+    write,
+    init,
+    shutdown,
+    reconcileAll,
+    resolveConflict
+  };
+}
+
+module.exports = { createGitHubStorage };
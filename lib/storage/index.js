@@ -0,0 +1,140 @@
+const { createLocalStorage } = require("./local");
+const { createGitHubStorage } = require("./github");
+const { createSqliteStorage } = require("./sqlite");
+const { COLLECTIONS } = require("./collections");
+const github = require("../github");
+const { DATA_DIR, SQLITE_FILE } = require("../config");
+
+// STORAGE_BACKEND: local | github | sqlite
+// Verilmezse GITHUB_TOKEN varsa github, yoksa local kullanılır
+function createBackend(backendName) {
+  switch (backendName) {
+    case "local":
+      return createLocalStorage({ dataDir: DATA_DIR });
+    case "github":
+      return createGitHubStorage({ dataDir: DATA_DIR, collections: COLLECTIONS, withLock });
+    case "sqlite":
+      return createSqliteStorage({ file: SQLITE_FILE });
+    default:
+      throw new Error(`Bilinmeyen STORAGE_BACKEND: ${backendName}`);
+  }
+}
+
+const backend = createBackend(process.env.STORAGE_BACKEND || (github.GITHUB_TOKEN ? "github" : "local"));
+console.log(`Storage backend: ${backend.name}`);
+
+function getCollection(name) {
+  const collection = COLLECTIONS[name];
+  if (!collection) {
+    throw new Error(`Bilinmeyen koleksiyon: ${name}`);
+  }
+  return collection;
+}
+
+// Koleksiyonu yükle, kayıt yoksa varsayılan değeri döndür
+async function load(name) {
+  const collection = getCollection(name);
+  const value = await backend.read(collection);
+  return value === undefined ? collection.defaultValue() : value;
+}
+
+async function save(name, value) {
+  await backend.write(getCollection(name), value);
+}
+
+// Koleksiyon başına yazma kuyruğu: name -> kuyruğun sonundaki promise
+const locks = new Map();
+
+function acquire(name) {
+  const previous = locks.get(name) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  locks.set(name, tail);
+
+  return previous.then(() => () => {
+    release();
+    if (locks.get(name) === tail) locks.delete(name);
+  });
+}
+
+// Verilen koleksiyonları kilitle, tüm kilitleri bırakan fonksiyonu döndür
+// Deadlock olmaması için kilitler her zaman aynı (alfabetik) sırayla alınır
+async function acquireLocks(names) {
+  const sorted = [...new Set([].concat(names))].sort();
+  sorted.forEach(getCollection);
+
+  const releases = [];
+  try {
+    for (const name of sorted) {
+      releases.push(await acquire(name));
+    }
+  } catch (err) {
+    releases.reverse().forEach(release => release());
+    throw err;
+  }
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    releases.reverse().forEach(release => release());
+  };
+}
+
+// Koleksiyonları kilitleyip fn'i çalıştır (load -> değiştir -> save arası başka yazma araya giremez)
+async function withLock(names, fn) {
+  const release = await acquireLocks(names);
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+// Route süresince koleksiyonları kilitleyen Express middleware'i: aynı koleksiyona yazan istekler
+// sırayla çalışır, böylece eşzamanlı load -> değiştir -> save işlemleri birbirinin üzerine yazmaz.
+// Kilit handler yanıtı bitirdiğinde (res.end) bırakılır; "close" dinlenmez çünkü istemci
+// bağlantıyı kapattığında handler hâlâ load ile save arasında olabilir.
+function lockCollections(...names) {
+  return async (req, res, next) => {
+    try {
+      const release = await acquireLocks(names);
+      const end = res.end;
+      res.end = function (...args) {
+        release();
+        return end.apply(this, args);
+      };
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// Backend'e özel başlangıç işlemleri (ör. GitHub senkronizasyonu)
+async function init() {
+  if (backend.init) {
+    await backend.init();
+  }
+}
+
+// Kapanış öncesi backend'e özel temizlik (ör. bekleyen GitHub commit'leri)
+async function shutdown() {
+  if (backend.shutdown) {
+    await backend.shutdown();
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  COLLECTIONS,
+  backend,
+  load,
+  save,
+  acquireLocks,
+  withLock,
+  lockCollections,
+  init,
+  shutdown
+};
@@ -0,0 +1,67 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// Atomik yazma: önce geçici dosyaya yaz, diske flush et, sonra rename ile değiştir
+// Yazma sırasında crash olursa eski dosya sağlam kalır
+async function writeFileAtomic(target, content) {
+  await fs.mkdir(path.dirname(target), { recursive: true });
+
+  const tempFile = `${target}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+  const handle = await fs.open(tempFile, "w");
+  try {
+    await handle.writeFile(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempFile, target);
+  } catch (err) {
+    await fs.unlink(tempFile).catch(() => {});
+    throw err;
+  }
+}
+
+// Local JSON dosya backend'i: her koleksiyon data/ altında tek bir dosya
+function createLocalStorage({ dataDir }) {
+  function filePath(collection) {
+    return path.join(dataDir, collection.file);
+  }
+
+  // Dosya yoksa undefined döner
+  async function readRaw(collection) {
+    try {
+      return await fs.readFile(filePath(collection), "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return undefined;
+      throw err;
+    }
+  }
+
+  async function read(collection) {
+    const data = await readRaw(collection);
+    return data === undefined ? undefined : JSON.parse(data);
+  }
+
+  async function write(collection, value) {
+    const content = JSON.stringify(value, null, 2);
+    await writeRaw(collection, content);
+    return content;
+  }
+
+  async function writeRaw(collection, content) {
+    await writeFileAtomic(filePath(collection), content);
+  }
+
+  return {
+    name: "local",
+    filePath,
+    readRaw,
+    read,
+    write,
+    writeRaw
+  };
+}
+
+module.exports = { writeFileAtomic, createLocalStorage };
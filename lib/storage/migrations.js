@@ -0,0 +1,171 @@
+// SQLite şema migration'ları - sırayla uygulanır, uygulananlar schema_migrations tablosunda tutulur
+// Yeni migration eklerken sadece listenin sonuna ekle, mevcutları değiştirme
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_tables",
+    up: `
+      CREATE TABLE collections (
+        name TEXT PRIMARY KEY,
+        updated_at TEXT NOT NULL
+      );
+
+      -- grouped koleksiyonların grup anahtarları ve sırası (boş gruplar da korunur)
+      CREATE TABLE collection_groups (
+        collection TEXT NOT NULL,
+        group_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (collection, group_id)
+      );
+
+      CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        name TEXT,
+        description TEXT,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE characters (
+        project_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        first_name TEXT,
+        last_name TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (project_id, id)
+      );
+
+      CREATE TABLE character_images (
+        character_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        url TEXT,
+        title TEXT,
+        order_index INTEGER,
+        created_at TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (character_id, id)
+      );
+
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        username TEXT,
+        role TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX users_username ON users (username);
+
+      CREATE TABLE chat_messages (
+        id TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        user_id TEXT,
+        username TEXT,
+        created_at TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX chat_messages_created_at ON chat_messages (created_at);
+
+      CREATE TABLE scenarios (
+        project_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE relationships (
+        project_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE todos (
+        project_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: "create_character_templates",
+    up: `
+      CREATE TABLE character_templates (
+        project_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 3,
+    name: "create_trash",
+    up: `
+      CREATE TABLE trash (
+        id TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        type TEXT,
+        project_id TEXT,
+        deleted_at TEXT,
+        expires_at TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX trash_expires_at ON trash (expires_at);
+    `
+  },
+  {
+    version: 4,
+    name: "create_scenario_revisions",
+    up: `
+      CREATE TABLE scenario_revisions (
+        project_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        number INTEGER,
+        author_id TEXT,
+        created_at TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (project_id, id)
+      );
+    `
+  },
+  {
+    version: 5,
+    name: "add_chat_message_project",
+    up: `
+      ALTER TABLE chat_messages ADD COLUMN project_id TEXT;
+      CREATE INDEX chat_messages_project_created_at ON chat_messages (project_id, created_at);
+    `
+  }
+];
+
+// Bekleyen migration'ları transaction içinde uygula
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(db.prepare("SELECT version FROM schema_migrations").all().map(r => r.version));
+  const record = db.prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)");
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+
+    db.transaction(() => {
+      if (typeof migration.up === "function") {
+        migration.up(db);
+      } else {
+        db.exec(migration.up);
+      }
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    console.log(`SQLite migration uygulandı: ${migration.version}_${migration.name}`);
+  }
+}
+
+module.exports = { MIGRATIONS, migrate };
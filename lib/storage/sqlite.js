@@ -0,0 +1,267 @@
+const fs = require("fs");
+const path = require("path");
+const { migrate } = require("./migrations");
+
+// Gömülü SQLite backend'i (better-sqlite3 opsiyonel bağımlılık)
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (err) {
+    throw new Error("SQLite backend için better-sqlite3 paketi gerekli (npm install better-sqlite3)");
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  return db;
+}
+
+// Koleksiyon -> tablo eşlemesi
+// list: dizi koleksiyonlar (her kayıt bir satır, sıra position kolonunda)
+// grouped: { grupId: [kayıt] } koleksiyonlar (ör. proje -> karakterler)
+// document: { anahtar: değer } koleksiyonlar (her anahtar bir satır)
+// columns: sorgu/index için kayıttan çıkarılan kolonlar, kaydın tamamı data kolonunda JSON olarak durur
+const TABLES = {
+  projects: {
+    table: "projects",
+    kind: "list",
+    columns: { name: r => r.name, description: r => r.description }
+  },
+  characters: {
+    table: "characters",
+    kind: "grouped",
+    groupColumn: "project_id",
+    columns: { first_name: r => r.firstName, last_name: r => r.lastName }
+  },
+  characterTemplates: { table: "character_templates", kind: "document", keyColumn: "project_id" },
+  characterImages: {
+    table: "character_images",
+    kind: "grouped",
+    groupColumn: "character_id",
+    columns: { url: r => r.url, title: r => r.title, order_index: r => r.orderIndex, created_at: r => r.createdAt }
+  },
+  users: {
+    table: "users",
+    kind: "list",
+    columns: { username: r => r.username, role: r => r.role }
+  },
+  chatMessages: {
+    table: "chat_messages",
+    kind: "list",
+    columns: { user_id: r => r.userId, username: r => r.username, project_id: r => r.projectId, created_at: r => r.createdAt }
+  },
+  scenarios: { table: "scenarios", kind: "document", keyColumn: "project_id" },
+  scenarioRevisions: {
+    table: "scenario_revisions",
+    kind: "grouped",
+    groupColumn: "project_id",
+    columns: { number: r => r.number, author_id: r => r.authorId, created_at: r => r.createdAt }
+  },
+  relationships: { table: "relationships", kind: "document", keyColumn: "project_id" },
+  todos: { table: "todos", kind: "document", keyColumn: "project_id" },
+  trash: {
+    table: "trash",
+    kind: "list",
+    columns: { type: r => r.type, project_id: r => r.projectId, deleted_at: r => r.deletedAt, expires_at: r => r.expiresAt }
+  },
+  settings: { table: "settings", kind: "document", keyColumn: "key" }
+};
+
+// Koleksiyon değerini tablo satırlarına çevir.
+// Satır anahtarı kayıt id'si olduğundan id'siz veya aynı id'li kayıtlar tabloya sığmaz;
+// sessizce birleştirmek yerine yazım reddedilir.
+function toRows(spec, value) {
+  const seen = new Set();
+  const checkId = (record, group) => {
+    if (!record || typeof record !== "object" || record.id === undefined || record.id === null) {
+      throw new Error(`${spec.table}: id alanı olmayan kayıt SQLite'a yazılamaz`);
+    }
+    const key = JSON.stringify([group, record.id]);
+    if (seen.has(key)) {
+      throw new Error(`${spec.table}: ${record.id} id'si birden fazla kayıtta kullanılmış`);
+    }
+    seen.add(key);
+  };
+
+  const columnValues = (record) => {
+    const values = {};
+    for (const [column, pick] of Object.entries(spec.columns || {})) {
+      const picked = pick(record);
+      values[column] = picked === undefined ? null : picked;
+    }
+    return values;
+  };
+
+  if (spec.kind === "list") {
+    return (value || []).map((record, position) => {
+      checkId(record, null);
+      return {
+        id: record.id,
+        position,
+        ...columnValues(record),
+        data: JSON.stringify(record)
+      };
+    });
+  }
+
+  if (spec.kind === "grouped") {
+    const rows = [];
+    for (const [group, records] of Object.entries(value || {})) {
+      if (!Array.isArray(records)) {
+        throw new Error(`${spec.table}: ${group} grubu dizi değil`);
+      }
+      records.forEach((record, position) => {
+        checkId(record, group);
+        rows.push({
+          [spec.groupColumn]: group,
+          id: record.id,
+          position,
+          ...columnValues(record),
+          data: JSON.stringify(record)
+        });
+      });
+    }
+    return rows;
+  }
+
+  return Object.entries(value || {}).map(([key, record]) => ({
+    [spec.keyColumn]: key,
+    data: JSON.stringify(record)
+  }));
+}
+
+// Tablo satırlarından koleksiyon değerini geri oluştur.
+// groups: grouped koleksiyonun kayıtlı grup anahtarları, sırasıyla (kaydı olmayan gruplar dahil)
+function fromRows(spec, rows, groups = []) {
+  if (spec.kind === "list") {
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  const value = {};
+  if (spec.kind === "grouped") {
+    for (const group of groups) {
+      value[group] = [];
+    }
+    for (const row of rows) {
+      const group = row[spec.groupColumn];
+      if (!value[group]) value[group] = [];
+      value[group].push(JSON.parse(row.data));
+    }
+    return value;
+  }
+
+  for (const row of rows) {
+    value[row[spec.keyColumn]] = JSON.parse(row.data);
+  }
+  return value;
+}
+
+function keyColumns(spec) {
+  if (spec.kind === "list") return ["id"];
+  if (spec.kind === "grouped") return [spec.groupColumn, "id"];
+  return [spec.keyColumn];
+}
+
+// Her koleksiyon kendi tablosunda; kayıtlar satır satır tutulur
+function createSqliteStorage({ file }) {
+  const db = openDatabase(file);
+  const statements = {};
+
+  // Hiç yazılmamış koleksiyonları ayırt etmek için (boş koleksiyon != hiç olmayan koleksiyon)
+  function collectionStatements() {
+    if (!statements.collections) {
+      statements.collections = {
+        touch: db.prepare("INSERT OR REPLACE INTO collections (name, updated_at) VALUES (?, ?)"),
+        select: db.prepare("SELECT name FROM collections WHERE name = ?"),
+        selectGroups: db.prepare("SELECT group_id FROM collection_groups WHERE collection = ? ORDER BY position"),
+        clearGroups: db.prepare("DELETE FROM collection_groups WHERE collection = ?"),
+        insertGroup: db.prepare("INSERT INTO collection_groups (collection, group_id, position) VALUES (?, ?, ?)")
+      };
+    }
+    return statements.collections;
+  }
+
+  function prepare(spec) {
+    if (statements[spec.table]) return statements[spec.table];
+
+    const keys = keyColumns(spec);
+    const columns = [
+      ...keys,
+      ...(spec.kind === "document" ? [] : ["position"]),
+      ...Object.keys(spec.columns || {}),
+      "data"
+    ];
+    const orderBy = spec.kind === "list" ? "position" : spec.kind === "grouped" ? `${spec.groupColumn}, position` : "rowid";
+    const where = keys.map(k => `${k} = ?`).join(" AND ");
+
+    statements[spec.table] = {
+      columns,
+      selectAll: db.prepare(`SELECT * FROM ${spec.table} ORDER BY ${orderBy}`),
+      upsert: db.prepare(
+        `INSERT OR REPLACE INTO ${spec.table} (${columns.join(", ")}) VALUES (${columns.map(c => "@" + c).join(", ")})`
+      ),
+      remove: db.prepare(`DELETE FROM ${spec.table} WHERE ${where}`)
+    };
+    return statements[spec.table];
+  }
+
+  // Koleksiyonun tamamını yazar ama sadece değişen satırlara dokunur
+  function writeCollection(name, value) {
+    const spec = TABLES[name];
+    if (!spec) throw new Error(`SQLite tablosu tanımlı değil: ${name}`);
+
+    const stmt = prepare(spec);
+    const keys = keyColumns(spec);
+    const keyOf = row => JSON.stringify(keys.map(k => row[k]));
+
+    const existing = new Map(stmt.selectAll.all().map(row => [keyOf(row), row]));
+    const rows = toRows(spec, value);
+
+    db.transaction(() => {
+      for (const row of rows) {
+        const current = existing.get(keyOf(row));
+        existing.delete(keyOf(row));
+        if (current && stmt.columns.every(c => current[c] === row[c])) continue;
+
+        const params = {};
+        for (const column of stmt.columns) params[column] = row[column];
+        stmt.upsert.run(params);
+      }
+      for (const stale of existing.values()) {
+        stmt.remove.run(...keys.map(k => stale[k]));
+      }
+      if (spec.kind === "grouped") {
+        const { clearGroups, insertGroup } = collectionStatements();
+        clearGroups.run(name);
+        Object.keys(value || {}).forEach((group, position) => insertGroup.run(name, group, position));
+      }
+      collectionStatements().touch.run(name, new Date().toISOString());
+    })();
+  }
+
+  migrate(db);
+
+  // Koleksiyon hiç yazılmamışsa undefined döner (varsayılan değer kullanılsın diye)
+  async function read(collection) {
+    const { select, selectGroups } = collectionStatements();
+    if (!select.get(collection.name)) return undefined;
+    const spec = TABLES[collection.name];
+    const groups = spec.kind === "grouped" ? selectGroups.all(collection.name).map(row => row.group_id) : [];
+    return fromRows(spec, prepare(spec).selectAll.all(), groups);
+  }
+
+  async function write(collection, value) {
+    writeCollection(collection.name, value);
+    return JSON.stringify(value, null, 2);
+  }
+
+  return {
+    name: "sqlite",
+    db,
+    read,
+    write
+  };
+}
+
+module.exports = { TABLES, openDatabase, createSqliteStorage };
@@ -0,0 +1,339 @@
+const fs = require("fs").promises;
+const github = require("./github");
+const { SYNC_QUEUE_FILE } = require("./config");
+const { writeFileAtomic } = require("./storage/local");
+
+// GitHub commit kuyruğu
+// - Aynı dosyaya gelen yazmalar debounce edilir (son içerik commit edilir)
+// - Bekleyen tüm dosyalar tek bir commit'te gönderilir (Git Data API)
+// - Kuyruk diske yazılır, restart sonrası kaldığı yerden devam eder
+// - SHA çakışması (409/422), rate limit ve ağ hatalarında backoff ile tekrar denenir
+// - Denemeleri tükenen veya tekrar denenemeyen hatayla failed olan dosyalar uzun aralıklarla yeniden denenir
+// - SIGTERM'de bekleyen her şey flush edilir
+// - Her dosyanın GitHub'la son ortak hali (base) tutulur, uzak değişiklikler merge edilir (bkz. storage/github.js).
+//   Diske base'in yalnızca sha'sı yazılır, içerik bellekte tutulur ve restart sonrası gerekirse GitHub'dan okunur
+const DEBOUNCE_MS = Number(process.env.SYNC_DEBOUNCE_MS) || 5000;
+const RETRY_BASE_MS = Number(process.env.SYNC_RETRY_BASE_MS) || 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = Number(process.env.SYNC_MAX_ATTEMPTS) || 10;
+const FAILED_RETRY_MS = Number(process.env.SYNC_FAILED_RETRY_MS) || 60 * 60 * 1000;
+
+const entries = new Map(); // filePath -> { content, message, queuedAt, nextAttemptAt, attempts, state, lastError }
+const lastSucceeded = new Map(); // filePath -> { at, message, commitSha }
+const bases = new Map(); // filePath -> { sha, content? } (GitHub'la son senkron içerik, restart sonrası sadece sha)
+const conflicts = new Map(); // filePath -> { detectedAt, remoteSha, conflicts }
+
+let timer = null;
+let flushing = null;
+let persisting = Promise.resolve();
+let beforeCommit = null;
+
+// Kuyruğu diske yaz (yazmalar sırayla yapılır)
+function persist() {
+  const snapshot = JSON.stringify({
+    entries: Object.fromEntries(entries),
+    lastSucceeded: Object.fromEntries(lastSucceeded),
+    bases: Object.fromEntries([...bases].map(([filePath, base]) => [filePath, { sha: base.sha }])),
+    conflicts: Object.fromEntries(conflicts)
+  }, null, 2);
+
+  persisting = persisting
+    .then(() => writeFileAtomic(SYNC_QUEUE_FILE, snapshot))
+    .catch(err => console.error("Sync kuyruğu diske yazılamadı:", err.message));
+  return persisting;
+}
+
+// Restart sonrası diskteki kuyruğu geri yükle
+async function load() {
+  let saved;
+  try {
+    saved = JSON.parse(await fs.readFile(SYNC_QUEUE_FILE, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error("Sync kuyruğu okunamadı:", err.message);
+    }
+    return;
+  }
+
+  for (const [filePath, entry] of Object.entries(saved.entries || {})) {
+    entries.set(filePath, entry);
+  }
+  for (const [filePath, info] of Object.entries(saved.lastSucceeded || {})) {
+    lastSucceeded.set(filePath, info);
+  }
+  for (const [filePath, base] of Object.entries(saved.bases || {})) {
+    bases.set(filePath, { sha: base.sha });
+  }
+  for (const [filePath, conflict] of Object.entries(saved.conflicts || {})) {
+    conflicts.set(filePath, conflict);
+  }
+
+  const pending = [...entries.values()].filter(e => e.state === "pending").length;
+  if (pending > 0) {
+    console.log(`Sync kuyruğundan ${pending} bekleyen commit geri yüklendi`);
+  }
+  schedule();
+}
+
+// Dosyayı commit kuyruğuna ekle (aynı dosyanın eski bekleyen içeriğinin yerine geçer)
+function enqueue(filePath, content, message, { immediate = false } = {}) {
+  if (!github.GITHUB_TOKEN) {
+    console.warn("GITHUB_TOKEN yok, veriler sadece geçici olarak kaydedilecek");
+    return;
+  }
+
+  const now = Date.now();
+  entries.set(filePath, {
+    content: typeof content === "string" ? content : JSON.stringify(content, null, 2),
+    message,
+    queuedAt: new Date(now).toISOString(),
+    nextAttemptAt: immediate ? now : now + DEBOUNCE_MS,
+    attempts: 0,
+    // Çözülmemiş conflict varken yeni yazmalar da bekletilir
+    state: conflicts.has(filePath) ? "conflict" : "pending",
+    lastError: null
+  });
+  persist();
+  schedule();
+
+  if (!immediate) {
+    console.log(`GitHub commit planlandı: ${filePath} (${DEBOUNCE_MS / 1000} saniye içinde commit edilecek)`);
+  }
+}
+
+// Bir sonraki zamanı gelen commit için timer kur
+function schedule() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+
+  const due = [...entries.values()].filter(e => e.state === "pending" || e.state === "failed").map(e => e.nextAttemptAt);
+  if (due.length === 0) return;
+
+  const delay = Math.max(0, Math.min(...due) - Date.now());
+  timer = setTimeout(() => {
+    timer = null;
+    flush().catch(err => console.error("Sync kuyruğu işlenirken hata:", err.message));
+  }, delay);
+}
+
+function isRateLimited(err) {
+  const status = err.response?.status;
+  return status === 429 || (status === 403 && err.response.headers?.["x-ratelimit-remaining"] === "0");
+}
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (!status) return true; // ağ hatası
+  return status === 409 || status === 422 || status >= 500 || isRateLimited(err);
+}
+
+// Tekrar deneme gecikmesi: rate limit'te GitHub'ın verdiği süre, diğerlerinde exponential backoff
+function retryDelay(err, attempts) {
+  const headers = err.response?.headers || {};
+  if (isRateLimited(err)) {
+    if (headers["retry-after"]) return Number(headers["retry-after"]) * 1000;
+    if (headers["x-ratelimit-reset"]) {
+      return Math.max(0, Number(headers["x-ratelimit-reset"]) * 1000 - Date.now()) + 1000;
+    }
+  }
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+}
+
+function describeError(err) {
+  const status = err.response?.status;
+  const detail = err.response?.data?.message || err.message;
+  return status ? `${status}: ${detail}` : detail;
+}
+
+function batchMessage(batch) {
+  if (batch.length === 1) return batch[0][1].message;
+  const names = batch.map(([filePath]) => filePath.replace(/^data\//, "")).join(", ");
+  return `Update ${names}: ${new Date().toISOString()}`;
+}
+
+// Verilen dosyaları tek commit olarak gönder, sonucu her kayda işle
+async function commitBatch(batch) {
+  try {
+    const result = await github.commitFiles(
+      batch.map(([filePath, entry]) => ({ path: filePath, content: entry.content })),
+      batchMessage(batch)
+    );
+
+    const at = new Date().toISOString();
+    for (const [filePath, entry] of batch) {
+      // Commit sırasında aynı dosyaya yeni içerik geldiyse o kuyrukta kalır
+      if (entries.get(filePath) === entry) {
+        entries.delete(filePath);
+      }
+      lastSucceeded.set(filePath, { at, message: entry.message, commitSha: result.sha });
+      bases.set(filePath, { sha: github.blobSha(entry.content), content: entry.content });
+    }
+  } catch (err) {
+    const lastError = describeError(err);
+    const retryable = isRetryable(err);
+
+    for (const [filePath, entry] of batch) {
+      entry.attempts += 1;
+      entry.lastError = lastError;
+
+      if (retryable && entry.attempts < MAX_ATTEMPTS) {
+        entry.nextAttemptAt = Date.now() + retryDelay(err, entry.attempts);
+      } else {
+        entry.state = "failed";
+        entry.nextAttemptAt = Date.now() + FAILED_RETRY_MS;
+        console.error(`GitHub commit başarısız, ${Math.round(FAILED_RETRY_MS / 60000)} dk sonra tekrar denenecek: ${filePath} (${lastError})`);
+      }
+    }
+
+    const waiting = batch.filter(([, entry]) => entry.state === "pending");
+    if (waiting.length > 0) {
+      const delay = Math.max(0, waiting[0][1].nextAttemptAt - Date.now());
+      console.warn(`GitHub commit tekrar denenecek: ${waiting.length} dosya (${Math.round(delay / 1000)} sn sonra)`);
+    }
+  }
+}
+
+// Zamanı gelen commit varsa bekleyen tüm dosyaları tek commit'te gönder.
+// Failed dosyalar yalnızca kendi tekrar deneme zamanları geldiyse gönderilir, diğer commit'leri bozmasınlar diye.
+// force: true ise bekleme süreleri yok sayılır
+function flush({ force = false } = {}) {
+  if (flushing) {
+    return flushing.then(() => (force ? flush({ force }) : undefined));
+  }
+
+  flushing = (async () => {
+    const now = Date.now();
+    // Conflict'teki dosyalar çözülene kadar asla commit edilmez
+    const isCandidate = entry => entry.state === "pending" || (entry.state === "failed" && (force || entry.nextAttemptAt <= now));
+    const anyDue = [...entries.values()].some(entry => isCandidate(entry) && (force || entry.nextAttemptAt <= now));
+
+    if (anyDue) {
+      // Commit öncesi uzak değişiklikleri merge et (ezmemek için)
+      if (beforeCommit) {
+        const paths = [...entries.entries()].filter(([, entry]) => isCandidate(entry)).map(([filePath]) => filePath);
+        await beforeCommit(paths);
+      }
+
+      const batch = [...entries.entries()].filter(([, entry]) => isCandidate(entry));
+      if (batch.length > 0) {
+        await commitBatch(batch);
+      }
+    }
+    await persist();
+  })();
+
+  return flushing.finally(() => {
+    flushing = null;
+    schedule();
+  });
+}
+
+// Kapanışta bekleyen her şeyi hemen commit et
+async function flushAll() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  if (entries.size === 0) return;
+
+  console.log(`Kapanış öncesi ${entries.size} bekleyen GitHub commit'i gönderiliyor...`);
+  await flush({ force: true });
+}
+
+// Commit öncesi çağrılacak hook (uzak değişiklikleri merge etmek için)
+function setBeforeCommit(fn) {
+  beforeCommit = fn;
+}
+
+function getBase(filePath) {
+  return bases.get(filePath) || null;
+}
+
+// Base içeriği: bellekte yoksa sha ile GitHub'dan okunur. Blob artık yoksa null döner.
+async function getBaseContent(filePath) {
+  const base = bases.get(filePath);
+  if (!base) return null;
+  if (base.content === undefined) {
+    try {
+      base.content = await github.fetchBlob(base.sha);
+    } catch (err) {
+      if (err.response?.status === 404) return null;
+      throw err;
+    }
+  }
+  return base.content;
+}
+
+function setBase(filePath, content, sha) {
+  bases.set(filePath, { sha, content });
+  persist();
+}
+
+function hasPending(filePath) {
+  return entries.has(filePath);
+}
+
+// Bekleyen commit'i kuyruktan çıkar (ör. local ve remote aynı içeriğe geldiyse)
+function discard(filePath) {
+  entries.delete(filePath);
+  persist();
+}
+
+// Merge edilemeyen uzak değişiklik: dosya çözülene kadar commit edilmez
+function markConflict(filePath, remoteSha, fileConflicts) {
+  conflicts.set(filePath, {
+    detectedAt: new Date().toISOString(),
+    remoteSha,
+    conflicts: fileConflicts
+  });
+  const entry = entries.get(filePath);
+  if (entry) entry.state = "conflict";
+  persist();
+}
+
+function clearConflict(filePath) {
+  if (!conflicts.delete(filePath)) return;
+  const entry = entries.get(filePath);
+  if (entry && entry.state === "conflict") entry.state = "pending";
+  persist();
+}
+
+function getConflict(filePath) {
+  return conflicts.get(filePath) || null;
+}
+
+// Dosya bazında kuyruk durumu
+function getStatus() {
+  const paths = new Set([...entries.keys(), ...lastSucceeded.keys(), ...conflicts.keys()]);
+  return [...paths].sort().map(filePath => {
+    const entry = entries.get(filePath);
+    const succeeded = lastSucceeded.get(filePath);
+    const conflict = conflicts.get(filePath);
+    return {
+      path: filePath,
+      state: conflict ? "conflict" : entry ? entry.state : "synced",
+      queuedAt: entry ? entry.queuedAt : null,
+      attempts: entry ? entry.attempts : 0,
+      nextAttemptAt: entry && (entry.state === "pending" || entry.state === "failed") ? new Date(entry.nextAttemptAt).toISOString() : null,
+      lastError: entry ? entry.lastError : null,
+      lastSucceededAt: succeeded ? succeeded.at : null,
+      lastCommitSha: succeeded ? succeeded.commitSha : null,
+      conflicts: conflict ? conflict.conflicts : []
+    };
+  });
+}
+
+module.exports = {
+  load,
+  enqueue,
+  flush,
+  flushAll,
+  getStatus,
+  setBeforeCommit,
+  getBase,
+  getBaseContent,
+  setBase,
+  hasPending,
+  discard,
+  markConflict,
+  clearConflict,
+  getConflict
+};
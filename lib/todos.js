@@ -0,0 +1,168 @@
+// Proje yapılacakları: kayıt oluşturma/güncelleme, referans doğrulama ve filtreleme
+// Fonksiyonlar items dizisi üzerinde çalışır, kaydetmek çağırana aittir.
+const { isDeepStrictEqual } = require("util");
+const { TODO_STATUSES, TODO_PRIORITIES, TODO_LINK_TYPES } = require("./validation");
+
+function generateTodoId() {
+  return "todo-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+}
+
+// Durum done'a geçince completedAt yazılır, done'dan çıkınca silinir
+function applyStatus(item, previousStatus) {
+  if (item.status === "done" && previousStatus !== "done") item.completedAt = new Date().toISOString();
+  if (item.status !== "done") item.completedAt = null;
+}
+
+function createTodo(fields, user) {
+  const now = new Date().toISOString();
+  const item = {
+    id: generateTodoId(),
+    title: fields.title,
+    notes: "",
+    status: "todo",
+    assigneeId: null,
+    dueDate: null,
+    priority: "medium",
+    links: [],
+    ...fields,
+    createdAt: now,
+    createdBy: user ? user.id : null,
+    updatedAt: now,
+    completedAt: null
+  };
+  applyStatus(item, null);
+  return item;
+}
+
+function updateTodo(item, fields) {
+  const previousStatus = item.status;
+  Object.assign(item, fields, { updatedAt: new Date().toISOString() });
+  applyStatus(item, previousStatus);
+  return item;
+}
+
+// Toplu kayıtta (PUT) gelen listeyi mevcut kayıtlarla birleştir: id'si bilinen kayıtların
+// oluşturma bilgileri korunur (değişmeyenlerin updatedAt'i de), diğerleri yeni kayıt olur.
+// values doğrulanmış alanlar, inputs ham istek elemanları (id buradan okunur).
+function replaceTodos(currentItems, values, inputs, user) {
+  const currentById = new Map(currentItems.map(item => [item.id, item]));
+  const seen = new Set();
+  return values.map((fields, index) => {
+    const id = inputs[index] && inputs[index].id;
+    const usable = typeof id === "string" && id !== "" && !seen.has(id);
+    if (usable) seen.add(id);
+
+    const existing = usable ? currentById.get(id) : null;
+    if (existing) {
+      return isDeepStrictEqual({ ...existing, ...fields }, existing) ? existing : updateTodo({ ...existing }, fields);
+    }
+    const item = createTodo(fields, user);
+    if (usable) item.id = id;
+    return item;
+  });
+}
+
+// Atanan kişi proje üyesi, bağlantılar projedeki karakter/görsel/parça olmalı
+// context: { memberIds, characterIds, imageIds, partIds } (Set'ler)
+// previous verilirse (kayıtlı hali) değişmemiş atama ve bağlantılar kontrol edilmez; bağlı kayıt
+// sonradan silindiyse liste yine kaydedilebilsin diye
+function todoReferenceErrors(fields, context, path = "", previous = null) {
+  const errors = [];
+  const prefix = path ? `${path}.` : "";
+  const unchangedAssignee = previous && fields.assigneeId === previous.assigneeId;
+  if (fields.assigneeId && !unchangedAssignee && !context.memberIds.has(fields.assigneeId)) {
+    errors.push({ field: `${prefix}assigneeId`, message: "projede böyle bir kullanıcı yok" });
+  }
+
+  const known = { character: context.characterIds, image: context.imageIds, part: context.partIds };
+  const messages = { character: "projede böyle bir karakter yok", image: "projede böyle bir görsel yok", part: "senaryoda böyle bir parça yok" };
+  const previousLinks = new Set(((previous && previous.links) || []).map(link => `${link.type}:${link.id}`));
+  (fields.links || []).forEach((link, index) => {
+    if (!previousLinks.has(`${link.type}:${link.id}`) && !known[link.type].has(link.id)) {
+      errors.push({ field: `${prefix}links[${index}].id`, message: messages[link.type] });
+    }
+  });
+  return errors;
+}
+
+// ===== Filtreler =====
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const SINGLE_FILTERS = ["assignee", "dueBefore", "dueAfter", "priority", "linkType", "linkId"];
+
+// Sorgu parametrelerini filtreye çevir. Hatalıysa { error } döner.
+// assignee: me | none | kullanıcı id, status: open (done olmayanlar) | todo | doing | done
+// (virgülle ya da parametre tekrarlanarak birden fazla), dueBefore/dueAfter: YYYY-MM-DD (dahil), priority, linkType + linkId
+function parseTodoFilters(query, user) {
+  const filters = {};
+
+  // Express tekrarlanan parametreleri dizi, status[x]=... biçimini nesne olarak verir
+  for (const key of SINGLE_FILTERS) {
+    if (query[key] !== undefined && typeof query[key] !== "string") return { error: `${key} bir kez verilmeli` };
+  }
+  const statusValues = [].concat(query.status === undefined ? [] : query.status);
+  if (statusValues.some(status => typeof status !== "string")) return { error: "Geçersiz status" };
+  const status = statusValues.join(",");
+
+  if (query.assignee) {
+    filters.assigneeId = query.assignee === "me" ? user.id : query.assignee === "none" ? null : query.assignee;
+  }
+
+  if (status) {
+    const statuses = status.split(",").flatMap(status => (status === "open" ? ["todo", "doing"] : [status]));
+    const invalid = statuses.find(status => !TODO_STATUSES.includes(status));
+    if (invalid) return { error: `Geçersiz status: ${invalid}. Desteklenenler: open, ${TODO_STATUSES.join(", ")}` };
+    filters.statuses = new Set(statuses);
+  }
+
+  for (const key of ["dueBefore", "dueAfter"]) {
+    if (query[key] === undefined) continue;
+    if (!DATE_PATTERN.test(query[key])) return { error: `${key} YYYY-AA-GG biçiminde olmalı` };
+    filters[key] = query[key];
+  }
+
+  if (query.priority) {
+    if (!TODO_PRIORITIES.includes(query.priority)) {
+      return { error: `Geçersiz priority. Desteklenenler: ${TODO_PRIORITIES.join(", ")}` };
+    }
+    filters.priority = query.priority;
+  }
+
+  if (query.linkType) {
+    if (!TODO_LINK_TYPES.includes(query.linkType)) {
+      return { error: `Geçersiz linkType. Desteklenenler: ${TODO_LINK_TYPES.join(", ")}` };
+    }
+    filters.linkType = query.linkType;
+  }
+  if (query.linkId) filters.linkId = query.linkId;
+  return { filters };
+}
+
+function matchesFilters(item, filters) {
+  if (filters.assigneeId !== undefined && (item.assigneeId || null) !== filters.assigneeId) return false;
+  if (filters.statuses && !filters.statuses.has(item.status)) return false;
+  // Bitiş tarihi filtresi varsa tarihsiz kayıtlar elenir
+  if (filters.dueBefore && !(item.dueDate && item.dueDate <= filters.dueBefore)) return false;
+  if (filters.dueAfter && !(item.dueDate && item.dueDate >= filters.dueAfter)) return false;
+  if (filters.priority && item.priority !== filters.priority) return false;
+  if (filters.linkType || filters.linkId) {
+    const linked = (item.links || []).some(link =>
+      (!filters.linkType || link.type === filters.linkType) && (!filters.linkId || link.id === filters.linkId));
+    if (!linked) return false;
+  }
+  return true;
+}
+
+function filterTodos(items, filters) {
+  return items.filter(item => matchesFilters(item, filters));
+}
+
+module.exports = {
+  createTodo,
+  updateTodo,
+  replaceTodos,
+  todoReferenceErrors,
+  parseTodoFilters,
+  filterTodos
+};
@@ -0,0 +1,221 @@
+// Çöp kutusu: silinen proje/karakter/görseller geri yüklenebilir şekilde trash koleksiyonunda tutulur
+// Her öğe silme anında kaldırılan her şeyin kopyasını taşır (ör. proje için karakterleri, galerileri,
+// senaryo/ilişki/todo dokümanları, chat mesajları ve üyelikler). Fonksiyonlar yüklenmiş koleksiyonlar üzerinde çalışır
+// (bkz. lib/integrity.js), kaydetmek çağırana aittir.
+const { PROJECT_DOCUMENTS, projectMessages } = require("./integrity");
+const { characterLinks, relinkCharacter } = require("./scenario");
+const { characterNode, restoreCharacterNode } = require("./relationships");
+
+// Öğelerin saklanma süresi (gün). 0 ise süresiz saklanır.
+const RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS !== undefined
+  ? Number(process.env.TRASH_RETENTION_DAYS)
+  : 30;
+
+// Öğe tipi -> yetki kaynağı (geri yükleme/kalıcı silme bu kaynağın yetkisiyle yapılır)
+const TRASH_RESOURCES = {
+  project: "projects",
+  character: "characters",
+  image: "images"
+};
+
+// Geri yüklerken ilgili koleksiyonların tamamı lazım
+const TRASH_COLLECTIONS = ["trash", "projects", "characters", "characterImages", "users", "chatMessages", ...PROJECT_DOCUMENTS];
+
+function generateTrashId() {
+  return "trash-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+}
+
+function createItem(type, { label, projectId, deletedBy, data }) {
+  const deletedAt = new Date();
+  return {
+    id: generateTrashId(),
+    type,
+    label,
+    projectId: projectId || null,
+    deletedAt: deletedAt.toISOString(),
+    deletedBy,
+    expiresAt: RETENTION_DAYS > 0
+      ? new Date(deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      : null,
+    data
+  };
+}
+
+function characterLabel(character) {
+  return [character.firstName, character.lastName].filter(Boolean).join(" ") || character.id;
+}
+
+// Görselin hangi projeye ait olduğunu karakterinden bul
+function projectOfCharacter(data, characterId) {
+  for (const [projectId, characters] of Object.entries(data.characters)) {
+    if ((characters || []).some(c => c.id === characterId)) return projectId;
+  }
+  return null;
+}
+
+// Proje silinmeden önce kaldırılacak her şeyin kopyası
+function projectItem(data, projectId, deletedBy) {
+  const position = data.projects.findIndex(p => p.id === projectId);
+  const project = data.projects[position];
+  const characters = data.characters[projectId] || [];
+
+  const characterImages = {};
+  for (const character of characters) {
+    if (data.characterImages[character.id] !== undefined) {
+      characterImages[character.id] = data.characterImages[character.id];
+    }
+  }
+
+  const documents = {};
+  for (const name of PROJECT_DOCUMENTS) {
+    if (data[name][projectId] !== undefined) documents[name] = data[name][projectId];
+  }
+
+  const members = data.users.filter(u => (u.projects || []).includes(projectId)).map(u => u.id);
+  const messages = projectMessages(data, projectId);
+
+  return createItem("project", {
+    label: project.name,
+    projectId,
+    deletedBy,
+    data: { project, position, characters, characterImages, documents, members, messages }
+  });
+}
+
+function characterItem(data, projectId, characterId, deletedBy) {
+  const characters = data.characters[projectId] || [];
+  const position = characters.findIndex(c => c.id === characterId);
+  const character = characters[position];
+  const scenario = data.scenarios && data.scenarios[projectId];
+  const graph = data.relationships && data.relationships[projectId];
+
+  return createItem("character", {
+    label: characterLabel(character),
+    projectId,
+    deletedBy,
+    data: {
+      projectId,
+      character,
+      position,
+      images: data.characterImages[characterId] || [],
+      // Senaryo parçalarındaki bağlantılar (geri yüklenince tekrar bağlanır)
+      links: scenario ? characterLinks(scenario.chapters, characterId) : [],
+      // İlişki grafiğindeki düğümü ve ilişkileri
+      graphNode: graph ? characterNode(graph, characterId) : null
+    }
+  });
+}
+
+function imageItem(data, characterId, image, deletedBy) {
+  const position = (data.characterImages[characterId] || []).findIndex(img => img.id === image.id);
+  return createItem("image", {
+    label: image.title || image.id,
+    projectId: projectOfCharacter(data, characterId),
+    deletedBy,
+    data: { characterId, image, position }
+  });
+}
+
+// Var olan listeye geri ekle (aynı id'li kayıt varsa atlanır)
+function mergeById(existing, restored) {
+  const ids = new Set((existing || []).map(r => r.id));
+  return [...(existing || []), ...restored.filter(r => !ids.has(r.id))];
+}
+
+function insertAt(list, position, record) {
+  const index = position >= 0 && position <= list.length ? position : list.length;
+  list.splice(index, 0, record);
+}
+
+// Öğeyi geri yükle. Geri yüklenemiyorsa sebebini döndürür, başarılıysa null.
+function restoreItem(data, item) {
+  if (item.type === "project") {
+    const { project, position, characters, characterImages, documents, members, messages = [] } = item.data;
+    if (data.projects.some(p => p.id === project.id)) {
+      return "Aynı id ile bir proje zaten var";
+    }
+
+    insertAt(data.projects, position, project);
+    if (characters.length > 0 || data.characters[project.id] !== undefined) {
+      data.characters[project.id] = mergeById(data.characters[project.id], characters);
+    }
+    for (const [characterId, images] of Object.entries(characterImages)) {
+      data.characterImages[characterId] = mergeById(data.characterImages[characterId], images);
+    }
+    for (const [name, document] of Object.entries(documents)) {
+      if (data[name][project.id] === undefined) data[name][project.id] = document;
+    }
+    for (const user of data.users) {
+      if (members.includes(user.id) && !(user.projects || []).includes(project.id)) {
+        user.projects = [...(user.projects || []), project.id];
+      }
+    }
+    if (messages.length > 0) {
+      data.chatMessages = mergeById(data.chatMessages, messages);
+    }
+    return null;
+  }
+
+  if (item.type === "character") {
+    const { projectId, character, position, images, links = [], graphNode = null } = item.data;
+    if (!data.projects.some(p => p.id === projectId)) {
+      return "Karakterin projesi artık yok, önce projeyi geri yükleyin";
+    }
+    const characters = data.characters[projectId] || [];
+    if (characters.some(c => c.id === character.id)) {
+      return "Aynı id ile bir karakter zaten var";
+    }
+
+    insertAt(characters, position, character);
+    data.characters[projectId] = characters;
+    if (images.length > 0) {
+      data.characterImages[character.id] = mergeById(data.characterImages[character.id], images);
+    }
+    if (links.length > 0 && data.scenarios[projectId]) {
+      relinkCharacter(data.scenarios[projectId].chapters, character.id, links);
+    }
+    if (graphNode && data.relationships[projectId]) {
+      restoreCharacterNode(data.relationships[projectId], graphNode);
+    }
+    return null;
+  }
+
+  if (item.type === "image") {
+    const { characterId, image, position } = item.data;
+    if (!projectOfCharacter(data, characterId)) {
+      return "Görselin karakteri artık yok, önce karakteri geri yükleyin";
+    }
+    const images = data.characterImages[characterId] || [];
+    if (images.some(img => img.id === image.id)) {
+      return "Aynı id ile bir görsel zaten var";
+    }
+
+    insertAt(images, position, image);
+    data.characterImages[characterId] = images;
+    return null;
+  }
+
+  return `Bilinmeyen öğe tipi: ${item.type}`;
+}
+
+function isExpired(item, now = Date.now()) {
+  return Boolean(item.expiresAt) && new Date(item.expiresAt).getTime() <= now;
+}
+
+// Listeleme için öğenin kopyalanan verisi olmadan özeti
+function summarize(item) {
+  const { data, ...summary } = item;
+  return summary;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  TRASH_RESOURCES,
+  TRASH_COLLECTIONS,
+  projectItem,
+  characterItem,
+  imageItem,
+  restoreItem,
+  isExpired,
+  summarize
+};
@@ -0,0 +1,482 @@
+// İstek gövdeleri için deklaratif şema doğrulaması
+// Şema: { fields: { alan: kural }, readOnly: [...] }
+// Kural: { type, required, nullable, trim, maxLength, pattern, format, min, max, enum, items, schema, coerce }
+// - type: "string" | "number" | "integer" | "boolean" | "array" | "object" | "any"
+// - items: dizi elemanlarının kuralı, schema: iç içe obje şeması
+// - format: "date" ise YYYY-MM-DD biçiminde geçerli bir tarih beklenir
+// - coerce: tip kontrolünden önce uygulanan dönüşüm (ör. "a, b" -> ["a", "b"])
+// - readOnly alanlar (id, createdAt...) istemciden gelirse yok sayılır, bilinmeyen alanlar reddedilir
+
+const TYPE_MESSAGES = {
+  string: "metin olmalı",
+  number: "sayı olmalı",
+  integer: "tam sayı olmalı",
+  boolean: "true/false olmalı",
+  array: "dizi olmalı",
+  object: "nesne olmalı"
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "string": return typeof value === "string";
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "boolean": return typeof value === "boolean";
+    case "array": return Array.isArray(value);
+    case "object": return isPlainObject(value);
+    default: return true;
+  }
+}
+
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function joinPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Tek bir değeri kuralına göre doğrula, normalize edilmiş değeri döndür
+function checkValue(rule, input, path, errors) {
+  let value = rule.coerce ? rule.coerce(input) : input;
+
+  if (value === null) {
+    if (!rule.nullable) errors.push({ field: path, message: "boş olamaz" });
+    return value;
+  }
+
+  if (!matchesType(rule.type, value)) {
+    errors.push({ field: path, message: TYPE_MESSAGES[rule.type] });
+    return value;
+  }
+
+  if (rule.type === "string") {
+    if (rule.trim) value = value.trim();
+    if (rule.required && value === "") {
+      errors.push({ field: path, message: "boş olamaz" });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({ field: path, message: `en fazla ${rule.maxLength} karakter olabilir` });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field: path, message: "geçersiz biçim" });
+    }
+    if (rule.format === "date" && !isValidDate(value)) {
+      errors.push({ field: path, message: "YYYY-MM-DD biçiminde tarih olmalı" });
+    }
+  }
+
+  if (rule.type === "number" || rule.type === "integer") {
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field: path, message: `en az ${rule.min} olmalı` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field: path, message: `en fazla ${rule.max} olabilir` });
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field: path, message: `izin verilen değerler: ${rule.enum.join(", ")}` });
+  }
+
+  if (rule.type === "array" && rule.items) {
+    value = value.map((item, index) => checkValue(rule.items, item, joinPath(path, index), errors));
+  }
+
+  if (rule.type === "object" && rule.schema) {
+    value = checkObject(rule.schema, value, path, errors, { partial: false });
+  }
+
+  return value;
+}
+
+function checkObject(schema, input, path, errors, { partial }) {
+  const result = {};
+  const readOnly = schema.readOnly || [];
+
+  for (const key of Object.keys(input)) {
+    if (!schema.fields[key] && !readOnly.includes(key)) {
+      errors.push({ field: joinPath(path, key), message: "bilinmeyen alan" });
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema.fields)) {
+    const fieldPath = joinPath(path, key);
+
+    if (input[key] === undefined) {
+      if (rule.required && !partial) {
+        errors.push({ field: fieldPath, message: "zorunlu alan" });
+      }
+      continue;
+    }
+
+    result[key] = checkValue(rule, input[key], fieldPath, errors);
+  }
+
+  return result;
+}
+
+// Gövdeyi şemaya göre doğrula: { value, errors } döner
+// partial: true ise (güncelleme) sadece gönderilen alanlar doğrulanır, zorunlu alanlar atlanabilir
+function validate(schema, input, { partial = false } = {}) {
+  const errors = [];
+  if (!isPlainObject(input)) {
+    errors.push({ field: "", message: TYPE_MESSAGES.object });
+    return { value: {}, errors };
+  }
+
+  const value = checkObject(schema, input, "", errors, { partial });
+  return { value, errors };
+}
+
+// "a, b" gibi virgüllü metni diziye çevir (eski istemciler tags'i metin olarak gönderiyor)
+function splitList(value) {
+  if (typeof value !== "string") return value;
+  return value.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+// Boş metni null yap (prompt gibi opsiyonel alanlarda "" ile null aynı anlamda)
+function emptyToNull(value) {
+  return value === "" ? null : value;
+}
+
+// Proje bazlı karakter şablonu: customFields alanlarının tipleri
+const TEMPLATE_FIELD_TYPES = ["text", "number", "enum", "date", "list", "richtext"];
+
+const TEMPLATE_SCHEMA = {
+  readOnly: ["updatedAt"],
+  fields: {
+    fields: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        schema: {
+          fields: {
+            key: { type: "string", required: true, trim: true, maxLength: 50, pattern: /^[A-Za-z][A-Za-z0-9_]*$/ },
+            label: { type: "string", required: true, trim: true, maxLength: 100 },
+            type: { type: "string", required: true, enum: TEMPLATE_FIELD_TYPES },
+            required: { type: "boolean" },
+            options: { type: "array", items: { type: "string", required: true, trim: true } },
+            description: { type: "string", maxLength: 500 }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Şema dışında kalan şablon kuralları: tekrarlanan key ve seçeneksiz enum
+function validateTemplate(input) {
+  const { value, errors } = validate(TEMPLATE_SCHEMA, input);
+  if (errors.length > 0) return { value, errors };
+
+  const seen = new Set();
+  value.fields.forEach((field, index) => {
+    if (seen.has(field.key)) {
+      errors.push({ field: `fields[${index}].key`, message: "aynı key birden fazla kullanılamaz" });
+    }
+    seen.add(field.key);
+
+    if (field.type === "enum" && (!field.options || field.options.length === 0)) {
+      errors.push({ field: `fields[${index}].options`, message: "enum alanı için seçenek gerekli" });
+    }
+    if (field.type !== "enum" && field.options !== undefined) {
+      errors.push({ field: `fields[${index}].options`, message: "sadece enum alanlarında kullanılabilir" });
+    }
+  });
+
+  return { value, errors };
+}
+
+// Şablondaki alan tipini doğrulama kuralına çevir
+function customFieldRule(field) {
+  const base = { nullable: !field.required };
+  switch (field.type) {
+    case "number": return { ...base, type: "number" };
+    case "enum": return { ...base, type: "string", enum: field.options };
+    case "date": return { ...base, type: "string", format: "date" };
+    case "list": return { ...base, type: "array", items: { type: "string", trim: true }, coerce: splitList };
+    case "richtext": return { ...base, type: "string", maxLength: 100000 };
+    default: return { ...base, type: "string", trim: true, maxLength: 1000 };
+  }
+}
+
+function customFieldsSchema(template) {
+  const fields = {};
+  for (const field of template.fields) {
+    fields[field.key] = { ...customFieldRule(field), required: field.required };
+  }
+  return { fields };
+}
+
+// Şablon tanımlıysa customFields ona göre doğrulanır, yoksa serbest obje kabul edilir
+function characterSchema(template) {
+  if (!template || template.fields.length === 0) return CHARACTER_SCHEMA;
+  return {
+    ...CHARACTER_SCHEMA,
+    fields: {
+      ...CHARACTER_SCHEMA.fields,
+      customFields: { type: "object", schema: customFieldsSchema(template) }
+    }
+  };
+}
+
+// customFields'ı şablondaki tüm alanları içeren sabit bir şekle getir
+// (eksik alanlar null / boş liste, şablon değiştiği için artık geçersiz olan değerler de null)
+function shapeCustomFields(template, customFields) {
+  if (!template || template.fields.length === 0) return customFields || {};
+
+  const stored = customFields || {};
+  const shaped = {};
+  for (const field of template.fields) {
+    const empty = field.type === "list" ? [] : null;
+    const value = stored[field.key];
+    if (value === undefined || value === null) {
+      shaped[field.key] = empty;
+      continue;
+    }
+
+    const errors = [];
+    const checked = checkValue({ ...customFieldRule(field), required: false }, value, field.key, errors);
+    shaped[field.key] = errors.length > 0 ? empty : checked;
+  }
+  return shaped;
+}
+
+const PROJECT_SCHEMA = {
+  readOnly: ["id", "createdAt", "updatedAt"],
+  fields: {
+    name: { type: "string", required: true, trim: true, maxLength: 200 },
+    description: { type: "string", trim: true, maxLength: 5000 }
+  }
+};
+
+const CHARACTER_SCHEMA = {
+  readOnly: ["id", "createdAt", "updatedAt"],
+  fields: {
+    firstName: { type: "string", required: true, trim: true, maxLength: 100 },
+    lastName: { type: "string", required: true, trim: true, maxLength: 100 },
+    traits: { type: "string", maxLength: 5000 },
+    zodiac: { type: "string", maxLength: 50 },
+    age: { type: "integer", nullable: true, min: 0, max: 100000 },
+    imageUrl: { type: "string", nullable: true },
+    mainImageId: { type: "string", nullable: true },
+    mainImageUrl: { type: "string", nullable: true },
+    customFields: { type: "object" }
+  }
+};
+
+const IMAGE_SCHEMA = {
+  readOnly: ["id", "characterId", "orderIndex", "createdAt", "updatedAt"],
+  fields: {
+    url: { type: "string", required: true, trim: true },
+    fileName: { type: "string" },
+    title: { type: "string", required: true, trim: true, maxLength: 200 },
+    description: { type: "string" },
+    positivePrompt: { type: "string", nullable: true, coerce: emptyToNull },
+    negativePrompt: { type: "string", nullable: true, coerce: emptyToNull },
+    tags: { type: "array", items: { type: "string", trim: true }, coerce: splitList },
+    createdByUserId: { type: "string" }
+  }
+};
+
+const IMAGE_UPDATE_SCHEMA = {
+  readOnly: ["id", "characterId", "url", "fileName", "createdAt", "createdByUserId", "updatedAt"],
+  fields: {
+    title: { type: "string", required: true, trim: true, maxLength: 200 },
+    description: { type: "string" },
+    positivePrompt: { type: "string", nullable: true, coerce: emptyToNull },
+    negativePrompt: { type: "string", nullable: true, coerce: emptyToNull },
+    tags: { type: "array", items: { type: "string", trim: true }, coerce: splitList },
+    orderIndex: { type: "integer", min: 0 },
+    defaultImageId: { type: "string", nullable: true }
+  }
+};
+
+// Senaryo kanvasındaki bölüm ve parçalar (x/y/width/height kanvas yerleşimi)
+const BOARD_ITEM_FIELDS = {
+  title: { type: "string", maxLength: 500 },
+  content: { type: "string" },
+  x: { type: "number" },
+  y: { type: "number" },
+  width: { type: "number", min: 0 },
+  height: { type: "number", min: 0 }
+};
+
+// Parçada geçen karakterler (characters.json id'leri)
+const CHARACTER_IDS_RULE = { type: "array", items: { type: "string", required: true } };
+
+const PART_SCHEMA = {
+  fields: {
+    id: { type: "string", required: true },
+    ...BOARD_ITEM_FIELDS,
+    characterIds: CHARACTER_IDS_RULE
+  }
+};
+
+const CHAPTER_SCHEMA = {
+  fields: {
+    id: { type: "string", required: true },
+    ...BOARD_ITEM_FIELDS,
+    parts: { type: "array", items: { type: "object", schema: PART_SCHEMA } }
+  }
+};
+
+// Tekil bölüm/parça endpoint'leri: id sunucuda üretilir, parçalar kendi endpoint'leriyle yönetilir
+// index: listedeki yeri (verilmezse sona eklenir / yeri değişmez)
+const CHAPTER_INPUT_SCHEMA = {
+  readOnly: ["id", "parts"],
+  fields: {
+    ...BOARD_ITEM_FIELDS,
+    index: { type: "integer", min: 0 }
+  }
+};
+
+const PART_INPUT_SCHEMA = {
+  readOnly: ["id"],
+  fields: {
+    ...CHAPTER_INPUT_SCHEMA.fields,
+    characterIds: CHARACTER_IDS_RULE
+  }
+};
+
+const PART_MOVE_SCHEMA = {
+  fields: {
+    toChapterId: { type: "string", required: true },
+    index: { type: "integer", min: 0 }
+  }
+};
+
+const SCENARIO_SCHEMA = {
+  fields: {
+    chapters: { type: "array", required: true, items: { type: "object", schema: CHAPTER_SCHEMA } }
+  }
+};
+
+const RELATIONSHIP_SCHEMA = {
+  fields: {
+    characters: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        // id: characters.json'daki karakter id'si, name karakterden okunur
+        schema: {
+          readOnly: ["name"],
+          fields: {
+            id: { type: "string", required: true },
+            groupId: { type: "string", nullable: true },
+            position: {
+              type: "object",
+              schema: { fields: { x: { type: "number", required: true }, y: { type: "number", required: true } } }
+            }
+          }
+        }
+      }
+    },
+    groups: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        schema: {
+          fields: {
+            id: { type: "string", required: true },
+            name: { type: "string", trim: true },
+            color: { type: "string" }
+          }
+        }
+      }
+    },
+    relationships: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        schema: {
+          fields: {
+            id: { type: "string", required: true },
+            from: { type: "string", required: true },
+            to: { type: "string", required: true },
+            type: { type: "string", required: true },
+            strength: { type: "number", min: 0, max: 100 },
+            // Bölümlere göre değişen durumlar: o bölümden itibaren type/strength bu değerlerdir
+            history: {
+              type: "array",
+              items: {
+                type: "object",
+                schema: {
+                  fields: {
+                    chapterId: { type: "string", required: true },
+                    type: { type: "string" },
+                    strength: { type: "number", min: 0, max: 100 },
+                    note: { type: "string", maxLength: 1000 }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Proje yapılacakları: durum, atanan kullanıcı, bitiş tarihi, öncelik ve karakter/görsel/parça bağlantıları
+const TODO_STATUSES = ["todo", "doing", "done"];
+const TODO_PRIORITIES = ["low", "medium", "high"];
+const TODO_LINK_TYPES = ["character", "image", "part"];
+
+const TODO_SCHEMA = {
+  readOnly: ["id", "createdAt", "createdBy", "updatedAt", "completedAt"],
+  fields: {
+    title: { type: "string", required: true, trim: true, maxLength: 500 },
+    notes: { type: "string", maxLength: 5000 },
+    status: { type: "string", enum: TODO_STATUSES },
+    assigneeId: { type: "string", nullable: true, coerce: emptyToNull },
+    dueDate: { type: "string", nullable: true, format: "date", coerce: emptyToNull },
+    priority: { type: "string", enum: TODO_PRIORITIES },
+    links: {
+      type: "array",
+      items: {
+        type: "object",
+        schema: {
+          fields: {
+            type: { type: "string", required: true, enum: TODO_LINK_TYPES },
+            id: { type: "string", required: true }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  validate,
+  validateTemplate,
+  characterSchema,
+  shapeCustomFields,
+  TEMPLATE_FIELD_TYPES,
+  PROJECT_SCHEMA,
+  CHARACTER_SCHEMA,
+  IMAGE_SCHEMA,
+  IMAGE_UPDATE_SCHEMA,
+  CHAPTER_SCHEMA,
+  CHAPTER_INPUT_SCHEMA,
+  PART_INPUT_SCHEMA,
+  PART_MOVE_SCHEMA,
+  SCENARIO_SCHEMA,
+  RELATIONSHIP_SCHEMA,
+  TODO_STATUSES,
+  TODO_PRIORITIES,
+  TODO_LINK_TYPES,
+  TODO_SCHEMA
+};
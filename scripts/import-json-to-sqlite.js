@@ -0,0 +1,41 @@
+// data/*.json dosyalarını SQLite veritabanına tek seferlik aktarır
+// Kullanım: npm run db:import [-- --force]
+// --force verilmezse veritabanında veri olan koleksiyonlar atlanır
+require("dotenv").config();
+
+const { createLocalStorage } = require("../lib/storage/local");
+const { createSqliteStorage } = require("../lib/storage/sqlite");
+const { COLLECTIONS } = require("../lib/storage/collections");
+const { DATA_DIR, SQLITE_FILE } = require("../lib/config");
+
+async function main() {
+  const force = process.argv.includes("--force");
+  const local = createLocalStorage({ dataDir: DATA_DIR });
+  const sqlite = createSqliteStorage({ file: SQLITE_FILE });
+
+  console.log(`${DATA_DIR} -> ${SQLITE_FILE}`);
+
+  for (const collection of Object.values(COLLECTIONS)) {
+    const value = await local.read(collection);
+    if (value === undefined) {
+      console.log(`  - ${collection.file} bulunamadı, atlandı`);
+      continue;
+    }
+
+    if (!force && (await sqlite.read(collection)) !== undefined) {
+      console.log(`  - ${collection.name} veritabanında zaten var, atlandı (üzerine yazmak için --force)`);
+      continue;
+    }
+
+    await sqlite.write(collection, value);
+    console.log(`  ✓ ${collection.file} aktarıldı`);
+  }
+
+  sqlite.db.close();
+  console.log("Aktarım tamamlandı.");
+}
+
+main().catch(err => {
+  console.error("Aktarım hatası:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+// GitHub API'nin bu projede kullanılan kısmını taklit eden local mock sunucu
+// (contents okuma/yazma + Git Data API ile commit). Veriler bellekte tutulur.
+//
+// Kullanım:
+//   node scripts/mock-github-server.js            # boş repo
+//   MOCK_SEED_DIR=data node scripts/mock-github-server.js   # data/*.json ile başlat
+//   GITHUB_API_URL=http://localhost:4010 GITHUB_TOKEN=test npm start
+//   MOCK_CONTENTS_SIZE_LIMIT=1000 ...     # büyük dosya (blob API) yolunu denemek için
+//
+// GET /__mock/commits ile yapılan commit'ler görülebilir.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+
+const PORT = process.env.MOCK_GITHUB_PORT || 4010;
+// Contents API bu boyuttan büyük dosyaların içeriğini döndürmez (GitHub'da 1 MB)
+const CONTENTS_SIZE_LIMIT = Number(process.env.MOCK_CONTENTS_SIZE_LIMIT || 1024 * 1024);
+
+const blobs = new Map(); // sha -> content
+const trees = new Map(); // sha -> { path: blobSha }
+const commits = new Map(); // sha -> { sha, message, tree, parents, date }
+const refs = new Map(); // branch -> commit sha
+
+function sha1(input) {
+  return crypto.createHash("sha1").update(input).digest("hex");
+}
+
+// Git ile aynı blob SHA'sı
+function blobSha(content) {
+  const buffer = Buffer.from(content);
+  return sha1(Buffer.concat([Buffer.from(`blob ${buffer.length}\0`), buffer]));
+}
+
+function putBlob(content) {
+  const sha = blobSha(content);
+  blobs.set(sha, content);
+  return sha;
+}
+
+function putTree(entries) {
+  const sorted = Object.fromEntries(Object.entries(entries).sort(([a], [b]) => a.localeCompare(b)));
+  const sha = sha1(`tree ${JSON.stringify(sorted)}`);
+  trees.set(sha, sorted);
+  return sha;
+}
+
+function putCommit(message, tree, parents) {
+  const date = new Date().toISOString();
+  const sha = sha1(`commit ${tree} ${parents.join(",")} ${message} ${date} ${Math.random()}`);
+  commits.set(sha, { sha, message, tree, parents, date });
+  return sha;
+}
+
+function headTree(branch) {
+  const head = refs.get(branch);
+  return head ? trees.get(commits.get(head).tree) : {};
+}
+
+// Başlangıç commit'i (opsiyonel olarak bir dizindeki .json dosyalarıyla)
+function seed() {
+  const entries = {};
+  const seedDir = process.env.MOCK_SEED_DIR;
+  if (seedDir) {
+    for (const file of fs.readdirSync(seedDir).filter(f => f.endsWith(".json"))) {
+      entries[`data/${file}`] = putBlob(fs.readFileSync(path.join(seedDir, file), "utf8"));
+    }
+  }
+  refs.set(process.env.GITHUB_BRANCH || "main", putCommit("Initial commit", putTree(entries), []));
+}
+
+const app = express();
+app.use(express.json({ limit: "50mb" }));
+
+app.get("/repos/:owner/:repo/contents/*", (req, res) => {
+  const filePath = req.params[0];
+  const branch = req.query.ref || "main";
+  const sha = headTree(branch)[filePath];
+  if (!sha) {
+    return res.status(404).json({ message: "Not Found" });
+  }
+  const content = Buffer.from(blobs.get(sha));
+  if (content.length > CONTENTS_SIZE_LIMIT) {
+    return res.json({ path: filePath, sha, size: content.length, encoding: "none", content: "" });
+  }
+  res.json({
+    path: filePath,
+    sha,
+    size: content.length,
+    encoding: "base64",
+    content: content.toString("base64")
+  });
+});
+
+app.get("/repos/:owner/:repo/git/blobs/:sha", (req, res) => {
+  if (!blobs.has(req.params.sha)) {
+    return res.status(404).json({ message: "Not Found" });
+  }
+  const content = Buffer.from(blobs.get(req.params.sha));
+  res.json({ sha: req.params.sha, size: content.length, encoding: "base64", content: content.toString("base64") });
+});
+
+// Web arayüzünden düzenleme gibi tek dosya commit'i (başka birinin değişikliğini simüle etmek için)
+app.put("/repos/:owner/:repo/contents/*", (req, res) => {
+  const filePath = req.params[0];
+  const branch = req.body.branch || "main";
+  const tree = headTree(branch);
+
+  if (tree[filePath] && req.body.sha !== tree[filePath]) {
+    return res.status(409).json({ message: `${filePath} does not match ${req.body.sha}` });
+  }
+
+  const entries = { ...tree, [filePath]: putBlob(Buffer.from(req.body.content, "base64").toString("utf8")) };
+  const head = refs.get(branch);
+  const sha = putCommit(req.body.message || `Update ${filePath}`, putTree(entries), head ? [head] : []);
+  refs.set(branch, sha);
+  console.log(`[mock-github] ${branch} -> ${sha.slice(0, 7)} "${commits.get(sha).message}"`);
+  res.json({ content: { path: filePath, sha: entries[filePath] }, commit: { sha } });
+});
+
+app.get("/repos/:owner/:repo/git/ref/heads/:branch", (req, res) => {
+  const sha = refs.get(req.params.branch);
+  if (!sha) {
+    return res.status(404).json({ message: "Not Found" });
+  }
+  res.json({ ref: `refs/heads/${req.params.branch}`, object: { sha, type: "commit" } });
+});
+
+app.get("/repos/:owner/:repo/git/commits/:sha", (req, res) => {
+  const commit = commits.get(req.params.sha);
+  if (!commit) {
+    return res.status(404).json({ message: "Not Found" });
+  }
+  res.json({ sha: commit.sha, message: commit.message, tree: { sha: commit.tree }, parents: commit.parents.map(sha => ({ sha })) });
+});
+
+app.post("/repos/:owner/:repo/git/trees", (req, res) => {
+  const { base_tree: baseTree, tree } = req.body;
+  if (baseTree && !trees.has(baseTree)) {
+    return res.status(422).json({ message: "base_tree not found" });
+  }
+
+  const entries = { ...(baseTree ? trees.get(baseTree) : {}) };
+  for (const item of tree || []) {
+    entries[item.path] = item.content !== undefined ? putBlob(item.content) : item.sha;
+  }
+  res.status(201).json({ sha: putTree(entries) });
+});
+
+app.post("/repos/:owner/:repo/git/commits", (req, res) => {
+  const { message, tree, parents } = req.body;
+  if (!trees.has(tree)) {
+    return res.status(422).json({ message: "tree not found" });
+  }
+  res.status(201).json({ sha: putCommit(message, tree, parents || []) });
+});
+
+app.patch("/repos/:owner/:repo/git/refs/heads/:branch", (req, res) => {
+  const { sha, force } = req.body;
+  const commit = commits.get(sha);
+  if (!commit) {
+    return res.status(422).json({ message: "Object does not exist" });
+  }
+
+  // Fast-forward değilse GitHub gibi 422 döndür
+  const head = refs.get(req.params.branch);
+  if (!force && head && !commit.parents.includes(head)) {
+    return res.status(422).json({ message: "Update is not a fast forward" });
+  }
+
+  refs.set(req.params.branch, sha);
+  console.log(`[mock-github] ${req.params.branch} -> ${sha.slice(0, 7)} "${commit.message}"`);
+  res.json({ ref: `refs/heads/${req.params.branch}`, object: { sha, type: "commit" } });
+});
+
+app.get("/__mock/commits", (req, res) => {
+  const branch = req.query.ref || "main";
+  const history = [];
+  let sha = refs.get(branch);
+  while (sha) {
+    const commit = commits.get(sha);
+    const tree = trees.get(commit.tree);
+    const parentTree = commit.parents[0] ? trees.get(commits.get(commit.parents[0]).tree) : {};
+    const changed = Object.keys(tree).filter(file => tree[file] !== parentTree[file]);
+    history.push({ sha, message: commit.message, date: commit.date, files: changed });
+    sha = commit.parents[0];
+  }
+  res.json(history);
+});
+
+seed();
+app.listen(PORT, () => {
+  console.log(`Mock GitHub API running on ${PORT}`);
+});
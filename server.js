@@ -4,9 +4,24 @@ const express = require("express");
 const cors = require("cors");
 const multer = require("multer");
 const cloudinary = require("cloudinary").v2;
-const fs = require("fs").promises;
-const path = require("path");
-const axios = require("axios");
+const auth = require("./lib/auth");
+const storage = require("./lib/storage");
+const { lockCollections } = storage;
+const syncQueue = require("./lib/sync-queue");
+const { etagFor, ifMatchSatisfied } = require("./lib/etag");
+const { authorize, can, isProjectMember, requireProjectMember } = require("./lib/permissions");
+const validation = require("./lib/validation");
+const integrity = require("./lib/integrity");
+const trash = require("./lib/trash");
+const revisions = require("./lib/revisions");
+const scenarioBoard = require("./lib/scenario");
+const exporter = require("./lib/export");
+const importer = require("./lib/import");
+const relationshipGraph = require("./lib/relationships");
+const relationshipAnalysis = require("./lib/relationship-analysis");
+const graphFormats = require("./lib/graph-formats");
+const todoList = require("./lib/todos");
+const chat = require("./lib/chat");
 
 const app = express();
 
@@ -14,7 +29,8 @@ const app = express();
 app.use(cors({
   origin: "*",
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS", "PATCH"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "If-Match"],
+  exposedHeaders: ["ETag", "X-Has-More", "X-Next-Before"],
   credentials: false,
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -25,6 +41,12 @@ app.options("*", cors());
 
 app.use(express.json()); // JSON body parser
 
+// /api altındaki tüm istekler oturum gerektirir (login hariç)
+app.use("/api", (req, res, next) => {
+  if (req.path === "/auth/login") return next();
+  authenticate(req, res, next);
+});
+
 // Bellekte tutulan upload (diskte geçici dosya yok)
 const upload = multer({ storage: multer.memoryStorage() });
 
@@ -51,281 +73,61 @@ app.get("/health", (req, res) => {
   res.status(200).json({ status: "healthy", timestamp: new Date().toISOString() });
 });
 
-// Proje verilerini tutmak için dosya yolu
-const PROJECTS_FILE = path.join(__dirname, "data", "projects.json");
-// Karakter verilerini tutmak için dosya yolu
-const CHARACTERS_FILE = path.join(__dirname, "data", "characters.json");
-// Karakter görsellerini tutmak için dosya yolu
-const CHARACTER_IMAGES_FILE = path.join(__dirname, "data", "character-images.json");
-// Kullanıcı verilerini tutmak için dosya yolu
-const USERS_FILE = path.join(__dirname, "data", "users.json");
-// Chat mesajlarını tutmak için dosya yolu
-const CHAT_MESSAGES_FILE = path.join(__dirname, "data", "chat-messages.json");
-// Senaryo verilerini tutmak için dosya yolu
-const SCENARIOS_FILE = path.join(__dirname, "data", "scenarios.json");
-const RELATIONSHIPS_FILE = path.join(__dirname, "data", "relationships.json");
-const TODOS_FILE = path.join(__dirname, "data", "todos.json");
-// Site ayarları (arka plan vb.)
-const SETTINGS_FILE = path.join(__dirname, "data", "settings.json");
-
-// Senaryo verilerini yükle (önce local'den, yoksa GitHub'dan)
-async function loadScenarios() {
-  try {
-    const data = await fs.readFile(SCENARIOS_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (localErr) {
-    // Local dosya yok, GitHub'dan yüklemeyi dene
-  }
-
-  if (GITHUB_TOKEN) {
-    try {
-      const response = await axios.get(
-        `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/data/scenarios.json`,
-        {
-          headers: {
-            Authorization: `token ${GITHUB_TOKEN}`,
-            Accept: "application/vnd.github.v3+json"
-          },
-          params: { ref: GITHUB_BRANCH }
-        }
-      );
-      const content = Buffer.from(response.data.content, "base64").toString("utf8");
-      const scenarios = JSON.parse(content);
-      
-      await fs.mkdir(path.dirname(SCENARIOS_FILE), { recursive: true });
-      await fs.writeFile(SCENARIOS_FILE, content);
-      
-      return scenarios;
-    } catch (err) {
-      if (err.response?.status !== 404) {
-        console.error("GitHub'dan senaryo yüklenirken hata:", err.message);
-      }
-    }
-  }
-
-  return {};
-}
-
-// Senaryo verilerini kaydet (hem local hem GitHub'a)
-async function saveScenarios(scenarios) {
-  const content = JSON.stringify(scenarios, null, 2);
-  
-  await fs.mkdir(path.dirname(SCENARIOS_FILE), { recursive: true });
-  await fs.writeFile(SCENARIOS_FILE, content);
-
-  if (GITHUB_TOKEN) {
-    try {
-      await commitToGitHub("data/scenarios.json", content, `Update scenarios: ${new Date().toISOString()}`);
-    } catch (err) {
-      console.error("GitHub'a senaryo kaydedilemedi, sadece local kaydedildi:", err.message);
-    }
-  }
-}
-
-// İlişki verilerini yükle (önce local'den, yoksa GitHub'dan)
-async function loadRelationships() {
-  try {
-    const data = await fs.readFile(RELATIONSHIPS_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (localErr) {
-    // Local dosya yok, GitHub'dan yüklemeyi dene
-  }
-
-  if (GITHUB_TOKEN) {
-    try {
-      const response = await axios.get(
-        `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/data/relationships.json`,
-        {
-          headers: {
-            Authorization: `token ${GITHUB_TOKEN}`,
-            Accept: "application/vnd.github.v3+json"
-          },
-          params: { ref: GITHUB_BRANCH }
-        }
-      );
-      
-      const content = Buffer.from(response.data.content, "base64").toString("utf8");
-      const relationships = JSON.parse(content);
-      
-      await fs.mkdir(path.dirname(RELATIONSHIPS_FILE), { recursive: true });
-      await fs.writeFile(RELATIONSHIPS_FILE, content);
-      
-      return relationships;
-    } catch (err) {
-      if (err.response?.status !== 404) {
-        console.error("GitHub'dan ilişki yüklenirken hata:", err.message);
-      }
-    }
-  }
-
-  return {};
-}
-
-// İlişki verilerini kaydet
-async function saveRelationships(relationships) {
-  const content = JSON.stringify(relationships, null, 2);
-  
-  await fs.mkdir(path.dirname(RELATIONSHIPS_FILE), { recursive: true });
-  await fs.writeFile(RELATIONSHIPS_FILE, content);
-
-  if (GITHUB_TOKEN) {
-    try {
-      await commitToGitHub("data/relationships.json", content, `Update relationships: ${new Date().toISOString()}`);
-    } catch (err) {
-      console.error("GitHub'a ilişki kaydedilemedi, sadece local kaydedildi:", err.message);
-    }
+// Veri koleksiyonları storage backend'i üzerinden yüklenir/kaydedilir (bkz. lib/storage)
+const loadProjects = () => storage.load("projects");
+const saveProjects = (projects) => storage.save("projects", projects);
+const loadCharacters = () => storage.load("characters");
+const saveCharacters = (characters) => storage.save("characters", characters);
+const loadCharacterTemplates = () => storage.load("characterTemplates");
+const saveCharacterTemplates = (templates) => storage.save("characterTemplates", templates);
+const loadCharacterImages = () => storage.load("characterImages");
+const saveCharacterImages = (images) => storage.save("characterImages", images);
+const loadUsers = () => storage.load("users");
+const saveUsers = (users) => storage.save("users", users);
+const loadChatMessages = () => storage.load("chatMessages");
+const saveChatMessages = (messages) => storage.save("chatMessages", messages);
+const loadScenarios = () => storage.load("scenarios");
+const saveScenarios = (scenarios) => storage.save("scenarios", scenarios);
+const loadScenarioRevisions = () => storage.load("scenarioRevisions");
+const saveScenarioRevisions = (allRevisions) => storage.save("scenarioRevisions", allRevisions);
+const loadRelationships = () => storage.load("relationships");
+const saveRelationships = (relationships) => storage.save("relationships", relationships);
+const loadTodos = () => storage.load("todos");
+const saveTodos = (todos) => storage.save("todos", todos);
+const loadTrash = () => storage.load("trash");
+const saveTrash = (items) => storage.save("trash", items);
+const loadSettings = () => storage.load("settings");
+const saveSettings = (settings) => storage.save("settings", settings);
+
+// Birden fazla koleksiyonu birlikte yükle: { projects, characters, ... }
+// Kaydederken sadece içeriği değişenler yazılsın diye yükleme anındaki hali de tutulur
+async function loadCollections(names) {
+  const data = {};
+  const snapshot = {};
+  for (const name of names) {
+    data[name] = await storage.load(name);
+    snapshot[name] = JSON.stringify(data[name]);
   }
+  return { data, snapshot };
 }
 
-// GitHub API yapılandırması (kalıcı veri için)
-const GITHUB_OWNER = process.env.GITHUB_OWNER || "Timukuu";
-const GITHUB_REPO = process.env.GITHUB_REPO || "character-backend";
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN; // Personal Access Token
-const GITHUB_BRANCH = process.env.GITHUB_BRANCH || "main";
-
-// Debouncing için: Her dosya için pending commit'leri tut
-const pendingCommits = new Map(); // filePath -> { content, message, timeout }
-
-// GitHub API'ye dosya commit et (debounced - 5 saniye içinde birden fazla çağrı olsa bile tek commit)
-async function commitToGitHub(filePath, content, message) {
-  if (!GITHUB_TOKEN) {
-    console.warn("GITHUB_TOKEN yok, veriler sadece geçici olarak kaydedilecek");
-    return;
-  }
-
-  // Eğer bu dosya için zaten bir pending commit varsa, timeout'u iptal et
-  if (pendingCommits.has(filePath)) {
-    clearTimeout(pendingCommits.get(filePath).timeout);
-  }
-
-  const fileContent = typeof content === "string" ? content : JSON.stringify(content, null, 2);
-
-  // Yeni timeout ayarla (5 saniye sonra commit yapılacak)
-  const timeout = setTimeout(async () => {
-    const pending = pendingCommits.get(filePath);
-    if (pending) {
-      pendingCommits.delete(filePath);
-      await executeCommit(filePath, pending.content, pending.message);
+async function saveChangedCollections({ data, snapshot }) {
+  for (const name of Object.keys(snapshot)) {
+    if (JSON.stringify(data[name]) !== snapshot[name]) {
+      await storage.save(name, data[name]);
     }
-  }, 5000); // 5 saniye debounce
-
-  // Pending commit'i güncelle
-  pendingCommits.set(filePath, { content: fileContent, message, timeout });
-  console.log(`GitHub commit planlandı: ${filePath} (5 saniye içinde commit edilecek)`);
-}
-
-// Gerçek commit işlemini yapan fonksiyon
-async function executeCommit(filePath, content, message) {
-  try {
-    const base64Content = Buffer.from(content).toString("base64");
-
-    // Önce dosyanın mevcut SHA'sını al (varsa)
-    let sha = null;
-    try {
-      const getResponse = await axios.get(
-        `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${filePath}`,
-        {
-          headers: {
-            Authorization: `token ${GITHUB_TOKEN}`,
-            Accept: "application/vnd.github.v3+json"
-          },
-          params: { ref: GITHUB_BRANCH }
-        }
-      );
-      sha = getResponse.data.sha;
-    } catch (err) {
-      // Dosya yoksa, yeni oluşturulacak
-      if (err.response?.status !== 404) throw err;
-    }
-
-    // Dosyayı commit et
-    const commitResponse = await axios.put(
-      `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${filePath}`,
-      {
-        message: message,
-        content: base64Content,
-        branch: GITHUB_BRANCH,
-        ...(sha && { sha: sha }) // Güncelleme için SHA gerekli
-      },
-      {
-        headers: {
-          Authorization: `token ${GITHUB_TOKEN}`,
-          Accept: "application/vnd.github.v3+json",
-          "Content-Type": "application/json"
-        }
-      }
-    );
-
-    console.log(`GitHub'a commit edildi: ${filePath}`);
-    return commitResponse.data;
-  } catch (err) {
-    console.error("GitHub commit hatası:", err.response?.data || err.message);
-    throw err;
   }
 }
 
-// Proje verilerini yükle (önce GitHub'dan, yoksa local'den)
-async function loadProjects() {
-  // Önce local'den yükle (save sonrası her zaman güncel)
-  try {
-    const data = await fs.readFile(PROJECTS_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (localErr) {
-    // Local dosya yok, GitHub'dan yüklemeyi dene
-  }
-
-  if (GITHUB_TOKEN) {
-    try {
-      const response = await axios.get(
-        `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/data/projects.json`,
-        {
-          headers: {
-            Authorization: `token ${GITHUB_TOKEN}`,
-            Accept: "application/vnd.github.v3+json"
-          },
-          params: { ref: GITHUB_BRANCH }
-        }
-      );
-      const content = Buffer.from(response.data.content, "base64").toString("utf8");
-      const projects = JSON.parse(content);
-      
-      await fs.mkdir(path.dirname(PROJECTS_FILE), { recursive: true });
-      await fs.writeFile(PROJECTS_FILE, content);
-      
-      return projects;
-    } catch (err) {
-      if (err.response?.status !== 404) {
-        console.error("GitHub'dan yüklenirken hata:", err.message);
-      }
-    }
-  }
-
-  // Hiçbir kaynak bulunamadı, varsayılan projeleri oluştur
-  const defaultProjects = [
-    { id: "proje-1", name: "Örnek Proje 1" },
-    { id: "proje-2", name: "Örnek Proje 2" }
-  ];
-  await fs.mkdir(path.dirname(PROJECTS_FILE), { recursive: true });
-  await fs.writeFile(PROJECTS_FILE, JSON.stringify(defaultProjects, null, 2));
-  return defaultProjects;
+// Silme modu: cascade (varsayılan, bağlı kayıtlar da silinir) veya block (bağlı kayıt varsa 409)
+function deleteMode(req) {
+  const mode = req.query.mode || "cascade";
+  return ["cascade", "block"].includes(mode) ? mode : null;
 }
 
-// Proje verilerini kaydet (hem local hem GitHub'a)
-async function saveProjects(projects) {
-  const content = JSON.stringify(projects, null, 2);
-  
-  // Local'e kaydet (hızlı erişim için)
-  await fs.mkdir(path.dirname(PROJECTS_FILE), { recursive: true });
-  await fs.writeFile(PROJECTS_FILE, content);
-
-  // GitHub'a commit et (kalıcılık için)
-  if (GITHUB_TOKEN) {
-    try {
-      await commitToGitHub("data/projects.json", content, `Update projects: ${new Date().toISOString()}`);
-    } catch (err) {
-      console.error("GitHub'a kaydedilemedi, sadece local kaydedildi:", err.message);
-    }
-  }
+// Şema doğrulaması başarısızsa alan bazında hatalarla 400 döndür
+function sendValidationError(res, message, errors) {
+  return res.status(400).json({ error: message, fields: errors });
 }
 
 // ID oluştur
@@ -337,69 +139,13 @@ function generateCharacterId() {
   return "char-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
 }
 
-// Karakter verilerini yükle (önce GitHub'dan, yoksa local'den)
-async function loadCharacters() {
-  // Önce local'den yükle (save sonrası her zaman güncel)
-  try {
-    const data = await fs.readFile(CHARACTERS_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (localErr) {
-    // Local dosya yok, GitHub'dan yüklemeyi dene
-  }
-
-  if (GITHUB_TOKEN) {
-    try {
-      const response = await axios.get(
-        `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/data/characters.json`,
-        {
-          headers: {
-            Authorization: `token ${GITHUB_TOKEN}`,
-            Accept: "application/vnd.github.v3+json"
-          },
-          params: { ref: GITHUB_BRANCH }
-        }
-      );
-      const content = Buffer.from(response.data.content, "base64").toString("utf8");
-      const characters = JSON.parse(content);
-      
-      await fs.mkdir(path.dirname(CHARACTERS_FILE), { recursive: true });
-      await fs.writeFile(CHARACTERS_FILE, content);
-      
-      return characters;
-    } catch (err) {
-      if (err.response?.status !== 404) {
-        console.error("GitHub'dan yüklenirken hata:", err.message);
-      }
-    }
-  }
-
-  return {};
-}
-
-// Karakter verilerini kaydet (hem local hem GitHub'a)
-async function saveCharacters(characters) {
-  const content = JSON.stringify(characters, null, 2);
-  
-  // Local'e kaydet (hızlı erişim için)
-  await fs.mkdir(path.dirname(CHARACTERS_FILE), { recursive: true });
-  await fs.writeFile(CHARACTERS_FILE, content);
-
-  // GitHub'a commit et (kalıcılık için)
-  if (GITHUB_TOKEN) {
-    try {
-      await commitToGitHub("data/characters.json", content, `Update characters: ${new Date().toISOString()}`);
-    } catch (err) {
-      console.error("GitHub'a kaydedilemedi, sadece local kaydedildi:", err.message);
-    }
-  }
-}
-
 // Proje endpoint'leri
 // Tüm projeleri getir
-app.get("/api/projects", async (req, res) => {
+app.get("/api/projects", authorize("projects", "read"), async (req, res) => {
   try {
     const projects = await loadProjects();
-    res.json(projects);
+    // Sadece kullanıcının üyesi olduğu projeler (admin hepsini görür)
+    res.json(projects.filter(p => isProjectMember(req.user, p.id)));
   } catch (err) {
     console.error("Projeler yüklenirken hata:", err);
     res.status(500).json({ error: "Projeler yüklenemedi" });
@@ -407,17 +153,17 @@ app.get("/api/projects", async (req, res) => {
 });
 
 // Yeni proje oluştur
-app.post("/api/projects", async (req, res) => {
+app.post("/api/projects", authorize("projects", "create"), lockCollections("projects"), async (req, res) => {
   try {
-    const { name } = req.body;
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: "Proje adı gerekli" });
+    const { value, errors } = validation.validate(validation.PROJECT_SCHEMA, req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz proje verisi", errors);
     }
 
     const projects = await loadProjects();
     const newProject = {
       id: generateProjectId(),
-      name: name.trim()
+      ...value
     };
     projects.push(newProject);
     await saveProjects(projects);
@@ -430,14 +176,15 @@ app.post("/api/projects", async (req, res) => {
 });
 
 // Proje güncelle
-app.put("/api/projects/:id", async (req, res) => {
+app.put("/api/projects/:id", authorize("projects", "update"), lockCollections("projects"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description } = req.body;
+    const { value, errors } = validation.validate(validation.PROJECT_SCHEMA, req.body);
 
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: "Proje adı gerekli" });
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz proje verisi", errors);
     }
+    const { name, description } = value;
 
     const projects = await loadProjects();
     const projectIndex = projects.findIndex(p => p.id === id);
@@ -448,8 +195,8 @@ app.put("/api/projects/:id", async (req, res) => {
 
     projects[projectIndex] = {
       ...projects[projectIndex],
-      name: name.trim(),
-      description: description !== undefined ? description.trim() : projects[projectIndex].description,
+      name,
+      description: description !== undefined ? description : projects[projectIndex].description,
       updatedAt: new Date().toISOString()
     };
     await saveProjects(projects);
@@ -462,20 +209,31 @@ app.put("/api/projects/:id", async (req, res) => {
 });
 
 // Proje sil
-app.delete("/api/projects/:id", async (req, res) => {
+app.delete("/api/projects/:id", authorize("projects", "delete"), lockCollections(...trash.TRASH_COLLECTIONS), async (req, res) => {
   try {
     const { id } = req.params;
+    const mode = deleteMode(req);
+    if (!mode) {
+      return res.status(400).json({ error: "mode cascade veya block olmalı" });
+    }
 
-    const projects = await loadProjects();
-    const filteredProjects = projects.filter(p => p.id !== id);
-
-    if (projects.length === filteredProjects.length) {
+    const collections = await loadCollections(trash.TRASH_COLLECTIONS);
+    if (!collections.data.projects.some(p => p.id === id)) {
       return res.status(404).json({ error: "Proje bulunamadı" });
     }
 
-    await saveProjects(filteredProjects);
+    const dependents = integrity.projectDependents(collections.data, id);
+    if (mode === "block" && Object.keys(dependents).length > 0) {
+      return res.status(409).json({ error: "Projeye bağlı kayıtlar var", dependents });
+    }
+
+    // Silinen her şey geri yüklenebilsin diye önce çöp kutusuna kopyalanır
+    const item = trash.projectItem(collections.data, id, req.user.id);
+    collections.data.trash.push(item);
+    const removed = integrity.removeProject(collections.data, id);
+    await saveChangedCollections(collections);
 
-    res.json({ success: true, message: "Proje silindi" });
+    res.json({ success: true, message: "Proje çöp kutusuna taşındı", removed, trashId: item.id });
   } catch (err) {
     console.error("Proje silinirken hata:", err);
     res.status(500).json({ error: "Proje silinemedi" });
@@ -484,12 +242,13 @@ app.delete("/api/projects/:id", async (req, res) => {
 
 // Karakter endpoint'leri
 // Projeye ait karakterleri getir
-app.get("/api/projects/:projectId/characters", async (req, res) => {
+app.get("/api/projects/:projectId/characters", authorize("characters", "read"), requireProjectMember, async (req, res) => {
   try {
     const { projectId } = req.params;
     const allCharacters = await loadCharacters();
+    const templates = await loadCharacterTemplates();
     const projectCharacters = allCharacters[projectId] || [];
-    res.json(projectCharacters);
+    res.json(projectCharacters.map(c => shapeCharacter(templates[projectId], c)));
   } catch (err) {
     console.error("Karakterler yüklenirken hata:", err);
     res.status(500).json({ error: "Karakterler yüklenemedi" });
@@ -497,13 +256,15 @@ app.get("/api/projects/:projectId/characters", async (req, res) => {
 });
 
 // Yeni karakter oluştur
-app.post("/api/projects/:projectId/characters", async (req, res) => {
+app.post("/api/projects/:projectId/characters", authorize("characters", "create"), requireProjectMember, lockCollections("characters"), async (req, res) => {
   try {
     const { projectId } = req.params;
-    const characterData = req.body;
+    const templates = await loadCharacterTemplates();
+    const template = templates[projectId];
+    const { value: characterData, errors } = validation.validate(validation.characterSchema(template), req.body);
 
-    if (!characterData.firstName || !characterData.lastName) {
-      return res.status(400).json({ error: "İsim ve soyisim gerekli" });
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz karakter verisi", errors);
     }
 
     const allCharacters = await loadCharacters();
@@ -519,7 +280,7 @@ app.post("/api/projects/:projectId/characters", async (req, res) => {
     allCharacters[projectId] = projectCharacters;
     await saveCharacters(allCharacters);
 
-    res.json(newCharacter);
+    res.json(shapeCharacter(template, newCharacter));
   } catch (err) {
     console.error("Karakter oluşturulurken hata:", err);
     res.status(500).json({ error: "Karakter oluşturulamadı" });
@@ -527,10 +288,9 @@ app.post("/api/projects/:projectId/characters", async (req, res) => {
 });
 
 // Karakter güncelle
-app.put("/api/projects/:projectId/characters/:characterId", async (req, res) => {
+app.put("/api/projects/:projectId/characters/:characterId", authorize("characters", "update"), requireProjectMember, lockCollections("characters"), async (req, res) => {
   try {
     const { projectId, characterId } = req.params;
-    const characterData = req.body;
 
     const allCharacters = await loadCharacters();
     const projectCharacters = allCharacters[projectId] || [];
@@ -540,16 +300,28 @@ app.put("/api/projects/:projectId/characters/:characterId", async (req, res) =>
       return res.status(404).json({ error: "Karakter bulunamadı" });
     }
 
+    const templates = await loadCharacterTemplates();
+    const template = templates[projectId];
+    const body = mergeCustomFields(template, projectCharacters[characterIndex], req.body);
+    const { value: characterData, errors } = validation.validate(validation.characterSchema(template), body, { partial: true });
+
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz karakter verisi", errors);
+    }
+
     projectCharacters[characterIndex] = {
       ...projectCharacters[characterIndex],
       ...characterData,
-      id: characterId // ID değiştirilmemeli
+      // id ve createdAt şema tarafından zaten kabul edilmez
+      id: characterId,
+      createdAt: projectCharacters[characterIndex].createdAt,
+      updatedAt: new Date().toISOString()
     };
 
     allCharacters[projectId] = projectCharacters;
     await saveCharacters(allCharacters);
 
-    res.json(projectCharacters[characterIndex]);
+    res.json(shapeCharacter(template, projectCharacters[characterIndex]));
   } catch (err) {
     console.error("Karakter güncellenirken hata:", err);
     res.status(500).json({ error: "Karakter güncellenemedi" });
@@ -557,81 +329,117 @@ app.put("/api/projects/:projectId/characters/:characterId", async (req, res) =>
 });
 
 // Karakter sil
-app.delete("/api/projects/:projectId/characters/:characterId", async (req, res) => {
+app.delete("/api/projects/:projectId/characters/:characterId", authorize("characters", "delete"), requireProjectMember, lockCollections("characters", "characterImages", "scenarios", "relationships", "trash"), async (req, res) => {
   try {
     const { projectId, characterId } = req.params;
+    const mode = deleteMode(req);
+    if (!mode) {
+      return res.status(400).json({ error: "mode cascade veya block olmalı" });
+    }
 
-    const allCharacters = await loadCharacters();
-    const projectCharacters = allCharacters[projectId] || [];
-    const filteredCharacters = projectCharacters.filter(c => c.id !== characterId);
-
-    if (projectCharacters.length === filteredCharacters.length) {
+    const collections = await loadCollections(["characters", "characterImages", "scenarios", "relationships", "trash"]);
+    const projectCharacters = collections.data.characters[projectId] || [];
+    if (!projectCharacters.some(c => c.id === characterId)) {
       return res.status(404).json({ error: "Karakter bulunamadı" });
     }
 
-    allCharacters[projectId] = filteredCharacters;
-    await saveCharacters(allCharacters);
+    const dependents = integrity.characterDependents(collections.data, projectId, characterId);
+    if (mode === "block" && Object.keys(dependents).length > 0) {
+      return res.status(409).json({ error: "Karaktere bağlı kayıtlar var", dependents });
+    }
+
+    const item = trash.characterItem(collections.data, projectId, characterId, req.user.id);
+    collections.data.trash.push(item);
+    const removed = integrity.removeCharacter(collections.data, projectId, characterId);
+    await saveChangedCollections(collections);
 
-    res.json({ success: true, message: "Karakter silindi" });
+    res.json({ success: true, message: "Karakter çöp kutusuna taşındı", removed, trashId: item.id });
   } catch (err) {
     console.error("Karakter silinirken hata:", err);
     res.status(500).json({ error: "Karakter silinemedi" });
   }
 });
 
-// CharacterImage yükle/kaydet fonksiyonları
-async function loadCharacterImages() {
-  // Önce local'den yükle (save sonrası her zaman güncel)
+// Karakterin senaryoda geçtiği bölüm ve parçalar (bağlı olduğu ya da adının geçtiği)
+app.get("/api/projects/:projectId/characters/:characterId/appearances", authorize("characters", "read"), requireProjectMember, async (req, res) => {
   try {
-    const data = await fs.readFile(CHARACTER_IMAGES_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (localErr) {
-    // Local dosya yok, GitHub'dan yüklemeyi dene
+    const { projectId, characterId } = req.params;
+    const allCharacters = await loadCharacters();
+    const character = (allCharacters[projectId] || []).find(c => c.id === characterId);
+    if (!character) {
+      return res.status(404).json({ error: "Karakter bulunamadı" });
+    }
+
+    const scenarios = await loadScenarios();
+    const chapters = (scenarios[projectId] || { chapters: [] }).chapters;
+    res.json({ characterId, chapters: scenarioBoard.findAppearances(chapters, character) });
+  } catch (err) {
+    console.error("Karakterin geçtiği yerler yüklenirken hata:", err);
+    res.status(500).json({ error: "Karakterin geçtiği yerler yüklenemedi" });
   }
+});
 
-  if (GITHUB_TOKEN) {
-    try {
-      const response = await axios.get(
-        `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/data/character-images.json`,
-        {
-          headers: {
-            Authorization: `token ${GITHUB_TOKEN}`,
-            Accept: "application/vnd.github.v3+json"
-          },
-          params: { ref: GITHUB_BRANCH }
-        }
-      );
-      const content = Buffer.from(response.data.content, "base64").toString("utf8");
-      const images = JSON.parse(content);
-      
-      await fs.mkdir(path.dirname(CHARACTER_IMAGES_FILE), { recursive: true });
-      await fs.writeFile(CHARACTER_IMAGES_FILE, content);
-      
-      return images;
-    } catch (err) {
-      if (err.response?.status !== 404) {
-        console.error("GitHub'dan yüklenirken hata:", err.message);
-      }
-    }
+// Karakteri projenin şablonundaki tüm alanlarla sabit bir şekilde döndür
+function shapeCharacter(template, character) {
+  return { ...character, customFields: validation.shapeCustomFields(template, character.customFields) };
+}
+
+// Güncellemede gönderilen customFields mevcut değerlerin üzerine yazılır (sadece gönderilen alanlar değişir).
+// Şablonda olmayan eski alanlar taşınmaz, yoksa bilinmeyen alan hatası verirlerdi.
+function mergeCustomFields(template, character, body) {
+  if (!template || !body || typeof body.customFields !== "object" || body.customFields === null || Array.isArray(body.customFields)) {
+    return body;
   }
 
-  return {};
+  const existing = {};
+  for (const field of template.fields) {
+    const value = (character.customFields || {})[field.key];
+    if (value !== undefined) existing[field.key] = value;
+  }
+  return { ...body, customFields: { ...existing, ...body.customFields } };
 }
 
-async function saveCharacterImages(images) {
-  const content = JSON.stringify(images, null, 2);
-  
-  await fs.mkdir(path.dirname(CHARACTER_IMAGES_FILE), { recursive: true });
-  await fs.writeFile(CHARACTER_IMAGES_FILE, content);
+// Karakter şablonu endpoint'leri
+// Projenin karakter şablonunu getir (customFields alanlarının tanımı)
+app.get("/api/projects/:projectId/character-template", authorize("templates", "read"), requireProjectMember, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const templates = await loadCharacterTemplates();
+    const template = templates[projectId] || { fields: [] };
+    res.set("ETag", etagFor(template));
+    res.json(template);
+  } catch (err) {
+    console.error("Karakter şablonu yüklenirken hata:", err);
+    res.status(500).json({ error: "Karakter şablonu yüklenemedi" });
+  }
+});
+
+// Projenin karakter şablonunu kaydet/güncelle
+app.put("/api/projects/:projectId/character-template", authorize("templates", "update"), requireProjectMember, lockCollections("characterTemplates"), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { value, errors } = validation.validateTemplate(req.body);
+
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz şablon verisi", errors);
+    }
 
-  if (GITHUB_TOKEN) {
-    try {
-      await commitToGitHub("data/character-images.json", content, `Update character images: ${new Date().toISOString()}`);
-    } catch (err) {
-      console.error("GitHub'a kaydedilemedi:", err.message);
+    const templates = await loadCharacterTemplates();
+    const current = templates[projectId] || { fields: [] };
+    if (!ifMatchSatisfied(req, etagFor(current))) {
+      return sendVersionConflict(res, current);
     }
+
+    templates[projectId] = { fields: value.fields, updatedAt: new Date().toISOString() };
+    await saveCharacterTemplates(templates);
+
+    res.set("ETag", etagFor(templates[projectId]));
+    res.json(templates[projectId]);
+  } catch (err) {
+    console.error("Karakter şablonu kaydedilirken hata:", err);
+    res.status(500).json({ error: "Karakter şablonu kaydedilemedi" });
   }
-}
+});
 
 function generateImageId() {
   return "img-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
@@ -641,174 +449,161 @@ function generateUserId() {
   return "user-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
 }
 
-// Kullanıcı yükle/kaydet fonksiyonları
-async function loadUsers() {
-  // Önce local'den yükle (save sonrası her zaman güncel)
-  try {
-    const data = await fs.readFile(USERS_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (localErr) {
-    // Local dosya yok, GitHub'dan yüklemeyi dene
-  }
-
-  if (GITHUB_TOKEN) {
-    try {
-      const response = await axios.get(
-        `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/data/users.json`,
-        {
-          headers: {
-            Authorization: `token ${GITHUB_TOKEN}`,
-            Accept: "application/vnd.github.v3+json"
-          },
-          params: { ref: GITHUB_BRANCH }
-        }
-      );
-      const content = Buffer.from(response.data.content, "base64").toString("utf8");
-      const users = JSON.parse(content);
-      
-      await fs.mkdir(path.dirname(USERS_FILE), { recursive: true });
-      await fs.writeFile(USERS_FILE, content);
-      
-      return users;
-    } catch (err) {
-      if (err.response?.status !== 404) {
-        console.error("GitHub'dan yüklenirken hata:", err.message);
-      }
-    }
+// Chat endpoint'leri
+// Genel kanal /api/chat/messages, proje kanalları /api/projects/:projectId/chat/messages altındadır.
+// Route'ta projectId yoksa genel kanal (null) kullanılır.
+
+// Proje kanalında proje var mı? Yoksa 404 gönderir ve false döner
+async function chatChannelExists(req, res) {
+  const { projectId } = req.params;
+  if (!projectId) return true;
+  const projects = await loadProjects();
+  if (!projects.some(p => p.id === projectId)) {
+    res.status(404).json({ error: "Proje bulunamadı" });
+    return false;
   }
-
-  return [];
+  return true;
 }
 
-async function saveUsers(users) {
-  const content = JSON.stringify(users, null, 2);
-  
-  await fs.mkdir(path.dirname(USERS_FILE), { recursive: true });
-  await fs.writeFile(USERS_FILE, content);
+// Kanal mesajları sayfa sayfa (?before=<mesajId>&limit=, varsayılan son 50 mesaj, en yeni en sonda)
+// Daha eski mesaj varsa X-Has-More: true ve X-Next-Before ile bir sonraki before değeri döner
+async function listChatMessages(req, res) {
+  try {
+    const parsed = chat.parsePageQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    if (!(await chatChannelExists(req, res))) return;
 
-  if (GITHUB_TOKEN) {
-    try {
-      await commitToGitHub("data/users.json", content, `Update users: ${new Date().toISOString()}`);
-    } catch (err) {
-      console.error("GitHub'a kaydedilemedi:", err.message);
+    const messages = chat.channelMessages(await loadChatMessages(), req.params.projectId || null);
+    const page = chat.pageMessages(messages, parsed.page);
+    if (!page) {
+      return res.status(400).json({ error: "before mesajı bu kanalda bulunamadı" });
     }
+
+    res.set("X-Has-More", String(page.hasMore));
+    if (page.nextBefore) res.set("X-Next-Before", page.nextBefore);
+    res.json(page.messages);
+  } catch (err) {
+    console.error("Chat mesajları yüklenirken hata:", err);
+    res.status(500).json({ error: "Chat mesajları yüklenemedi" });
   }
 }
 
-// Chat mesajlarını yükle
-async function loadChatMessages() {
-  // Önce GitHub'dan yüklemeyi dene
-  if (GITHUB_TOKEN) {
-    try {
-      const response = await axios.get(
-        `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/data/chat-messages.json`,
-        {
-          headers: {
-            Authorization: `token ${GITHUB_TOKEN}`,
-            Accept: "application/vnd.github.v3+json"
-          },
-          params: { ref: GITHUB_BRANCH }
-        }
-      );
-      const content = Buffer.from(response.data.content, "base64").toString("utf8");
-      const messages = JSON.parse(content);
-      
-      await fs.mkdir(path.dirname(CHAT_MESSAGES_FILE), { recursive: true });
-      await fs.writeFile(CHAT_MESSAGES_FILE, content);
-      
-      return messages;
-    } catch (err) {
-      if (err.response?.status !== 404) {
-        console.error("GitHub'dan chat mesajları yüklenirken hata:", err.message);
-      }
+// Yeni chat mesajı gönder (gönderen oturumdaki kullanıcıdır, body'deki userId/username kullanılmaz)
+async function postChatMessage(req, res) {
+  try {
+    const { message } = req.body;
+
+    if (typeof message !== "string" || !message.trim()) {
+      return res.status(400).json({ error: "message gerekli" });
     }
-  }
+    if (!(await chatChannelExists(req, res))) return;
 
-  // Local'den yükle
-  try {
-    const data = await fs.readFile(CHAT_MESSAGES_FILE, "utf8");
-    return JSON.parse(data);
+    const messages = await loadChatMessages();
+    const newMessage = chat.createMessage(message.trim(), req.user, req.params.projectId || null);
+    messages.push(newMessage);
+    await saveChatMessages(messages);
+
+    res.json(newMessage);
   } catch (err) {
-    // Dosya yoksa boş array döndür
-    const defaultMessages = [];
-    await fs.mkdir(path.dirname(CHAT_MESSAGES_FILE), { recursive: true });
-    await fs.writeFile(CHAT_MESSAGES_FILE, JSON.stringify(defaultMessages, null, 2));
-    return defaultMessages;
+    console.error("Chat mesajı oluşturulurken hata:", err);
+    res.status(500).json({ error: "Chat mesajı oluşturulamadı" });
+  }
+}
+
+// Kanaldaki mesajı bul ve sahibini kontrol et. Uygun değilse hata gönderir ve null döner
+function findOwnChatMessage(req, res, messages) {
+  const projectId = req.params.projectId || null;
+  const index = messages.findIndex(m => m.id === req.params.messageId && chat.messageProjectId(m) === projectId);
+  if (index === -1) {
+    res.status(404).json({ error: "Mesaj bulunamadı" });
+    return null;
+  }
+  if (!chat.isAuthor(messages[index], req.user)) {
+    res.status(403).json({ error: "Sadece kendi mesajlarınızı değiştirebilirsiniz" });
+    return null;
   }
+  return index;
 }
 
-// Chat mesajlarını kaydet
-async function saveChatMessages(messages) {
-  const content = JSON.stringify(messages, null, 2);
-  
-  await fs.mkdir(path.dirname(CHAT_MESSAGES_FILE), { recursive: true });
-  await fs.writeFile(CHAT_MESSAGES_FILE, content);
+// Kendi mesajını düzenle
+async function editChatMessage(req, res) {
+  try {
+    const { message } = req.body;
+
+    if (typeof message !== "string" || !message.trim()) {
+      return res.status(400).json({ error: "message gerekli" });
+    }
+
+    const messages = await loadChatMessages();
+    const index = findOwnChatMessage(req, res, messages);
+    if (index === null) return;
 
-  if (GITHUB_TOKEN) {
-    try {
-      await commitToGitHub("data/chat-messages.json", content, `Update chat messages: ${new Date().toISOString()}`);
-    } catch (err) {
-      console.error("GitHub'a chat mesajları kaydedilemedi:", err.message);
+    if (messages[index].message !== message.trim()) {
+      messages[index] = { ...messages[index], message: message.trim(), editedAt: new Date().toISOString() };
+      await saveChatMessages(messages);
     }
+
+    res.json(messages[index]);
+  } catch (err) {
+    console.error("Chat mesajı güncellenirken hata:", err);
+    res.status(500).json({ error: "Chat mesajı güncellenemedi" });
   }
 }
 
-// Chat endpoint'leri
-// Chat mesajlarını getir (son 50 mesaj)
-app.get("/api/chat/messages", async (req, res) => {
+// Kendi mesajını sil
+async function deleteChatMessage(req, res) {
   try {
-    // TODO: Auth kontrolü ekle (sadece admin)
     const messages = await loadChatMessages();
-    
-    // Son 50 mesajı döndür (en yeni en sonda)
-    const sortedMessages = messages.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-    const last50Messages = sortedMessages.slice(-50);
-    
-    res.json(last50Messages);
+    const index = findOwnChatMessage(req, res, messages);
+    if (index === null) return;
+
+    messages.splice(index, 1);
+    await saveChatMessages(messages);
+
+    res.json({ success: true, message: "Mesaj silindi" });
   } catch (err) {
-    console.error("Chat mesajları yüklenirken hata:", err);
-    res.status(500).json({ error: "Chat mesajları yüklenemedi" });
+    console.error("Chat mesajı silinirken hata:", err);
+    res.status(500).json({ error: "Chat mesajı silinemedi" });
   }
-});
+}
 
-// Yeni chat mesajı gönder
-app.post("/api/chat/messages", async (req, res) => {
-  try {
-    // TODO: Auth kontrolü ekle (sadece admin)
-    const { userId, username, message } = req.body;
+app.get("/api/chat/messages", authorize("chat", "read"), listChatMessages);
+app.post("/api/chat/messages", authorize("chat", "create"), lockCollections("chatMessages"), postChatMessage);
+app.patch("/api/chat/messages/:messageId", authorize("chat", "update"), lockCollections("chatMessages"), editChatMessage);
+app.delete("/api/chat/messages/:messageId", authorize("chat", "delete"), lockCollections("chatMessages"), deleteChatMessage);
 
-    if (!userId || !username || !message || !message.trim()) {
-      return res.status(400).json({ error: "userId, username ve message gerekli" });
-    }
+app.get("/api/projects/:projectId/chat/messages", authorize("chat", "read"), requireProjectMember, listChatMessages);
+app.post("/api/projects/:projectId/chat/messages", authorize("chat", "create"), requireProjectMember, lockCollections("chatMessages"), postChatMessage);
+app.patch("/api/projects/:projectId/chat/messages/:messageId", authorize("chat", "update"), requireProjectMember, lockCollections("chatMessages"), editChatMessage);
+app.delete("/api/projects/:projectId/chat/messages/:messageId", authorize("chat", "delete"), requireProjectMember, lockCollections("chatMessages"), deleteChatMessage);
 
-    const messages = await loadChatMessages();
-    
-    const newMessage = {
-      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      userId,
-      username,
-      message: message.trim(),
-      createdAt: new Date().toISOString()
-    };
+// CharacterImage endpoint'leri
+// Görsellerin projesi karakterinden bulunur; projesi olmayan karakterlerin görsellerine sadece admin erişir
 
-    messages.push(newMessage);
-    
-    // Son 50 mesajı tut (eski mesajları sil)
-    const sortedMessages = messages.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-    const last50Messages = sortedMessages.slice(-50);
-    
-    await saveChatMessages(last50Messages);
+// Karakterin ait olduğu proje, bulunamazsa null
+function characterProjectId(allCharacters, characterId) {
+  const entry = Object.entries(allCharacters).find(([, characters]) => (characters || []).some(c => c.id === characterId));
+  return entry ? entry[0] : null;
+}
 
-    res.json(newMessage);
+// :characterId parametreli route'larda karakterin projesine üyelik kontrolü
+async function requireCharacterMember(req, res, next) {
+  try {
+    const allCharacters = await loadCharacters();
+    if (!isProjectMember(req.user, characterProjectId(allCharacters, req.params.characterId))) {
+      return res.status(403).json({ error: "Bu projeye erişim yetkiniz yok" });
+    }
+    next();
   } catch (err) {
-    console.error("Chat mesajı oluşturulurken hata:", err);
-    res.status(500).json({ error: "Chat mesajı oluşturulamadı" });
+    console.error("Karakter projesi kontrol edilirken hata:", err);
+    res.status(500).json({ error: "Yetki kontrol edilemedi" });
   }
-});
+}
 
-// CharacterImage endpoint'leri
 // Karaktere ait tüm görselleri getir
-app.get("/api/characters/:characterId/images", async (req, res) => {
+app.get("/api/characters/:characterId/images", authorize("images", "read"), requireCharacterMember, async (req, res) => {
   try {
     const { characterId } = req.params;
     const allImages = await loadCharacterImages();
@@ -831,14 +626,15 @@ app.get("/api/characters/:characterId/images", async (req, res) => {
 });
 
 // Yeni görsel ekle
-app.post("/api/characters/:characterId/images", async (req, res) => {
+app.post("/api/characters/:characterId/images", authorize("images", "create"), requireCharacterMember, lockCollections("characterImages"), async (req, res) => {
   try {
     const { characterId } = req.params;
-    const { url, fileName, title, description, positivePrompt, negativePrompt, tags, createdByUserId } = req.body;
+    const { value, errors } = validation.validate(validation.IMAGE_SCHEMA, req.body);
 
-    if (!url || !title) {
-      return res.status(400).json({ error: "URL ve başlık gerekli" });
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz görsel verisi", errors);
     }
+    const { url, fileName, title, description, positivePrompt, negativePrompt, tags, createdByUserId } = value;
 
     const allImages = await loadCharacterImages();
     const characterImages = allImages[characterId] || [];
@@ -848,11 +644,11 @@ app.post("/api/characters/:characterId/images", async (req, res) => {
       characterId,
       url,
       fileName: fileName || "",
-      title: title.trim(),
+      title,
       description: description || "",
       positivePrompt: positivePrompt || null,
       negativePrompt: negativePrompt || null,
-      tags: Array.isArray(tags) ? tags : (tags ? tags.split(",").map(t => t.trim()) : []),
+      tags: tags || [],
       orderIndex: characterImages.length, // Yeni resim en sona eklenir
       createdAt: new Date().toISOString(),
       createdByUserId: createdByUserId || "system"
@@ -870,12 +666,18 @@ app.post("/api/characters/:characterId/images", async (req, res) => {
 });
 
 // Görsel güncelle
-app.put("/api/images/:imageId", async (req, res) => {
+app.put("/api/images/:imageId", authorize("images", "update"), lockCollections("characterImages"), async (req, res) => {
   try {
     const { imageId } = req.params;
-    const { title, description, positivePrompt, negativePrompt, tags, defaultImageId } = req.body;
+    const { value, errors } = validation.validate(validation.IMAGE_UPDATE_SCHEMA, req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz görsel verisi", errors);
+    }
+    const { title, description, positivePrompt, negativePrompt, tags, orderIndex, defaultImageId } = value;
 
     const allImages = await loadCharacterImages();
+    const allCharacters = await loadCharacters();
     
     // Tüm karakterlerde ara
     for (const characterId in allImages) {
@@ -883,14 +685,17 @@ app.put("/api/images/:imageId", async (req, res) => {
       const imageIndex = images.findIndex(img => img.id === imageId);
       
       if (imageIndex !== -1) {
+        if (!isProjectMember(req.user, characterProjectId(allCharacters, characterId))) {
+          return res.status(403).json({ error: "Bu projeye erişim yetkiniz yok" });
+        }
         images[imageIndex] = {
           ...images[imageIndex],
-          title: title !== undefined ? title.trim() : images[imageIndex].title,
+          title: title !== undefined ? title : images[imageIndex].title,
           description: description !== undefined ? description : images[imageIndex].description,
-          positivePrompt: positivePrompt !== undefined ? (positivePrompt || null) : images[imageIndex].positivePrompt,
-          negativePrompt: negativePrompt !== undefined ? (negativePrompt || null) : images[imageIndex].negativePrompt,
-          tags: tags !== undefined ? (Array.isArray(tags) ? tags : tags.split(",").map(t => t.trim())) : images[imageIndex].tags,
-          orderIndex: req.body.orderIndex !== undefined ? req.body.orderIndex : images[imageIndex].orderIndex,
+          positivePrompt: positivePrompt !== undefined ? positivePrompt : images[imageIndex].positivePrompt,
+          negativePrompt: negativePrompt !== undefined ? negativePrompt : images[imageIndex].negativePrompt,
+          tags: tags !== undefined ? tags : images[imageIndex].tags,
+          orderIndex: orderIndex !== undefined ? orderIndex : images[imageIndex].orderIndex,
           defaultImageId: defaultImageId !== undefined ? defaultImageId : images[imageIndex].defaultImageId,
           updatedAt: new Date().toISOString()
         };
@@ -908,7 +713,7 @@ app.put("/api/images/:imageId", async (req, res) => {
 });
 
 // Resim sıralamasını toplu güncelle (drag & drop için)
-app.patch("/api/characters/:characterId/images/reorder", async (req, res) => {
+app.patch("/api/characters/:characterId/images/reorder", authorize("images", "update"), requireCharacterMember, lockCollections("characterImages"), async (req, res) => {
   try {
     const { characterId } = req.params;
     const { imageIds } = req.body; // Yeni sıralama: [id1, id2, id3, ...]
@@ -943,28 +748,39 @@ app.patch("/api/characters/:characterId/images/reorder", async (req, res) => {
 });
 
 // Toplu görsel sil
-app.post("/api/images/batch-delete", async (req, res) => {
+app.post("/api/images/batch-delete", authorize("images", "delete"), lockCollections("characters", "characterImages", "trash"), async (req, res) => {
   try {
     const { imageIds } = req.body;
     if (!imageIds || !Array.isArray(imageIds) || imageIds.length === 0) {
       return res.status(400).json({ error: "imageIds dizisi gerekli" });
     }
 
-    const allImages = await loadCharacterImages();
+    const collections = await loadCollections(["characters", "characterImages", "trash"]);
+    const allImages = collections.data.characterImages;
     const idsToDelete = new Set(imageIds);
-    let deletedCount = 0;
+    const trashIds = [];
+
+    // Biri bile üyesi olunmayan bir projedeyse hiçbiri silinmez
+    const forbidden = Object.entries(allImages).some(([characterId, images]) =>
+      images.some(img => idsToDelete.has(img.id)) &&
+      !isProjectMember(req.user, characterProjectId(collections.data.characters, characterId)));
+    if (forbidden) {
+      return res.status(403).json({ error: "Görsellerden bazılarının projesine erişim yetkiniz yok" });
+    }
 
     for (const characterId in allImages) {
-      const before = allImages[characterId].length;
-      allImages[characterId] = allImages[characterId].filter(img => !idsToDelete.has(img.id));
-      deletedCount += before - allImages[characterId].length;
+      allImages[characterId] = allImages[characterId].filter(img => {
+        if (!idsToDelete.has(img.id)) return true;
+        const item = trash.imageItem(collections.data, characterId, img, req.user.id);
+        collections.data.trash.push(item);
+        trashIds.push(item.id);
+        return false;
+      });
     }
 
-    if (deletedCount > 0) {
-      await saveCharacterImages(allImages);
-    }
+    await saveChangedCollections(collections);
 
-    res.json({ success: true, deletedCount, requestedCount: imageIds.length });
+    res.json({ success: true, deletedCount: trashIds.length, requestedCount: imageIds.length, trashIds });
   } catch (err) {
     console.error("Toplu görsel silinirken hata:", err);
     res.status(500).json({ error: "Görseller silinemedi" });
@@ -972,20 +788,26 @@ app.post("/api/images/batch-delete", async (req, res) => {
 });
 
 // Görsel sil
-app.delete("/api/images/:imageId", async (req, res) => {
+app.delete("/api/images/:imageId", authorize("images", "delete"), lockCollections("characters", "characterImages", "trash"), async (req, res) => {
   try {
     const { imageId } = req.params;
 
-    const allImages = await loadCharacterImages();
-    
+    const collections = await loadCollections(["characters", "characterImages", "trash"]);
+    const allImages = collections.data.characterImages;
+
     for (const characterId in allImages) {
       const images = allImages[characterId];
-      const filteredImages = images.filter(img => img.id !== imageId);
-      
-      if (images.length !== filteredImages.length) {
-        allImages[characterId] = filteredImages;
-        await saveCharacterImages(allImages);
-        return res.json({ success: true, message: "Görsel silindi" });
+      const image = images.find(img => img.id === imageId);
+
+      if (image) {
+        if (!isProjectMember(req.user, characterProjectId(collections.data.characters, characterId))) {
+          return res.status(403).json({ error: "Bu projeye erişim yetkiniz yok" });
+        }
+        const item = trash.imageItem(collections.data, characterId, image, req.user.id);
+        collections.data.trash.push(item);
+        allImages[characterId] = images.filter(img => img.id !== imageId);
+        await saveChangedCollections(collections);
+        return res.json({ success: true, message: "Görsel çöp kutusuna taşındı", trashId: item.id });
       }
     }
 
@@ -996,20 +818,105 @@ app.delete("/api/images/:imageId", async (req, res) => {
   }
 });
 
+// Kullanıcıyı şifresiz döndür
+function toSafeUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    projects: user.projects || []
+  };
+}
+
+// Bearer token'ı doğrula ve req.user'ı doldur
+async function authenticate(req, res, next) {
+  try {
+    const payload = auth.verifyToken(auth.getBearerToken(req));
+    if (!payload) {
+      return res.status(401).json({ error: "Geçersiz veya süresi dolmuş oturum" });
+    }
+
+    const users = await loadUsers();
+    const user = users.find(u => u.id === payload.sub);
+    if (!user) {
+      return res.status(401).json({ error: "Kullanıcı bulunamadı" });
+    }
+    if (!auth.isTokenCurrent(payload, user)) {
+      return res.status(401).json({ error: "Geçersiz veya süresi dolmuş oturum" });
+    }
+
+    req.user = toSafeUser(user);
+    next();
+  } catch (err) {
+    console.error("Oturum doğrulanırken hata:", err);
+    res.status(500).json({ error: "Oturum doğrulanamadı" });
+  }
+}
+
+// Auth endpoint'leri
+// Giriş yap
+app.post("/api/auth/login", lockCollections("users"), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: "Kullanıcı adı ve şifre gerekli" });
+    }
+
+    const users = await loadUsers();
+    const user = users.find(u => u.username === String(username).trim());
+    const { valid, needsRehash } = auth.verifyPassword(String(password), user ? user.password : "");
+
+    if (!user || !valid) {
+      return res.status(401).json({ error: "Kullanıcı adı veya şifre hatalı" });
+    }
+
+    // Düz metin şifreyi ilk girişte hash'e çevir
+    if (needsRehash) {
+      user.password = auth.hashPassword(password);
+      await saveUsers(users);
+    }
+
+    const { token, payload } = auth.signToken(user);
+    res.json({
+      token,
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+      user: toSafeUser(user)
+    });
+  } catch (err) {
+    console.error("Giriş yapılırken hata:", err);
+    res.status(500).json({ error: "Giriş yapılamadı" });
+  }
+});
+
+// Çıkış yap (kullanıcının tüm oturumlarını geçersiz kıl)
+app.post("/api/auth/logout", lockCollections("users"), async (req, res) => {
+  try {
+    const users = await loadUsers();
+    const user = users.find(u => u.id === req.user.id);
+    if (user) {
+      auth.revokeTokens(user);
+      await saveUsers(users);
+    }
+    res.json({ success: true, message: "Çıkış yapıldı" });
+  } catch (err) {
+    console.error("Çıkış yapılırken hata:", err);
+    res.status(500).json({ error: "Çıkış yapılamadı" });
+  }
+});
+
+// Oturumdaki kullanıcıyı getir
+app.get("/api/auth/me", (req, res) => {
+  res.json(req.user);
+});
+
 // Kullanıcı endpoint'leri (admin-only)
 // Tüm kullanıcıları getir
-app.get("/api/users", async (req, res) => {
+app.get("/api/users", authorize("users", "read"), async (req, res) => {
   try {
-    // TODO: Auth kontrolü ekle (sadece admin)
     const users = await loadUsers();
     // Şifreleri gizle
-    const safeUsers = users.map(u => ({
-      id: u.id,
-      username: u.username,
-      role: u.role,
-      projects: u.projects || []
-    }));
-    res.json(safeUsers);
+    res.json(users.map(toSafeUser));
   } catch (err) {
     console.error("Kullanıcılar yüklenirken hata:", err);
     res.status(500).json({ error: "Kullanıcılar yüklenemedi" });
@@ -1017,10 +924,11 @@ app.get("/api/users", async (req, res) => {
 });
 
 // Yeni kullanıcı oluştur
-app.post("/api/users", async (req, res) => {
+app.post("/api/users", authorize("users", "create"), lockCollections("users"), async (req, res) => {
   try {
-    // TODO: Auth kontrolü ekle (sadece admin)
-    const { username, password, role, projects } = req.body;
+    const { password, role, projects } = req.body;
+    // Girişte kullanıcı adı kırpılarak arandığı için kontrol de kırpılmış adla yapılır
+    const username = typeof req.body.username === "string" ? req.body.username.trim() : "";
 
     if (!username || !password || !role) {
       return res.status(400).json({ error: "Kullanıcı adı, şifre ve rol gerekli" });
@@ -1035,8 +943,8 @@ app.post("/api/users", async (req, res) => {
 
     const newUser = {
       id: generateUserId(),
-      username: username.trim(),
-      password: password, // TODO: Hash'le
+      username,
+      password: auth.hashPassword(password),
       role: role,
       projects: Array.isArray(projects) ? projects : []
     };
@@ -1044,9 +952,7 @@ app.post("/api/users", async (req, res) => {
     users.push(newUser);
     await saveUsers(users);
 
-    // Şifreyi gizle
-    const { password: _, ...safeUser } = newUser;
-    res.json(safeUser);
+    res.json(toSafeUser(newUser));
   } catch (err) {
     console.error("Kullanıcı oluşturulurken hata:", err);
     res.status(500).json({ error: "Kullanıcı oluşturulamadı" });
@@ -1054,11 +960,17 @@ app.post("/api/users", async (req, res) => {
 });
 
 // Kullanıcı güncelle
-app.put("/api/users/:id", async (req, res) => {
+app.put("/api/users/:id", authorize("users", "update"), lockCollections("users"), async (req, res) => {
   try {
-    // TODO: Auth kontrolü ekle (sadece admin)
     const { id } = req.params;
-    const { username, password, role, projects } = req.body;
+    const { password, role, projects } = req.body;
+    let { username } = req.body;
+    if (username !== undefined) {
+      username = typeof username === "string" ? username.trim() : "";
+      if (!username) {
+        return res.status(400).json({ error: "Kullanıcı adı boş olamaz" });
+      }
+    }
 
     const users = await loadUsers();
     const userIndex = users.findIndex(u => u.id === id);
@@ -1076,17 +988,19 @@ app.put("/api/users/:id", async (req, res) => {
 
     users[userIndex] = {
       ...users[userIndex],
-      username: username !== undefined ? username.trim() : users[userIndex].username,
-      password: password !== undefined ? password : users[userIndex].password, // TODO: Hash'le
+      username: username !== undefined ? username : users[userIndex].username,
+      password: password !== undefined ? auth.hashPassword(password) : users[userIndex].password,
       role: role !== undefined ? role : users[userIndex].role,
       projects: projects !== undefined ? (Array.isArray(projects) ? projects : []) : users[userIndex].projects
     };
+    // Şifre değişince açık oturumlar kapanır
+    if (password !== undefined) {
+      auth.revokeTokens(users[userIndex]);
+    }
 
     await saveUsers(users);
 
-    // Şifreyi gizle
-    const { password: _, ...safeUser } = users[userIndex];
-    res.json(safeUser);
+    res.json(toSafeUser(users[userIndex]));
   } catch (err) {
     console.error("Kullanıcı güncellenirken hata:", err);
     res.status(500).json({ error: "Kullanıcı güncellenemedi" });
@@ -1094,9 +1008,8 @@ app.put("/api/users/:id", async (req, res) => {
 });
 
 // Kullanıcı sil
-app.delete("/api/users/:id", async (req, res) => {
+app.delete("/api/users/:id", authorize("users", "delete"), lockCollections("users"), async (req, res) => {
   try {
-    // TODO: Auth kontrolü ekle (sadece admin)
     const { id } = req.params;
 
     const users = await loadUsers();
@@ -1181,13 +1094,50 @@ app.post("/upload", cors(), upload.single("file"), async (req, res) => {
   }
 });
 
+// If-Match eski bir versiyonu gösteriyorsa 409 ve sunucudaki güncel kopyayı döndür (client merge edebilsin)
+function sendVersionConflict(res, current) {
+  const etag = etagFor(current);
+  res.set("ETag", etag);
+  return res.status(409).json({
+    error: "Doküman başka biri tarafından değiştirildi",
+    etag,
+    current
+  });
+}
+
+// Senaryoyu kaydet ve değiştiyse yeni revizyon olarak geçmişe ekle (skipRevision: sadece kaydet)
+// Çağıran scenarios ve scenarioRevisions kilitlerini almış olmalı
+async function commitScenario(scenarios, projectId, chapters, user, options) {
+  const allRevisions = await loadScenarioRevisions();
+  const projectRevisions = allRevisions[projectId] || [];
+
+  // Geçmişi henüz olmayan senaryonun mevcut hali ilk revizyon olarak saklanır, üzerine yazılınca kaybolmasın
+  const previous = scenarios[projectId];
+  if (projectRevisions.length === 0 && previous && previous.chapters.length > 0) {
+    revisions.recordRevision(projectRevisions, previous.chapters, null);
+  }
+  const revision = options && options.skipRevision
+    ? null
+    : revisions.recordRevision(projectRevisions, chapters, user, options);
+
+  scenarios[projectId] = { chapters };
+  await saveScenarios(scenarios);
+
+  if (projectRevisions.length > 0) {
+    allRevisions[projectId] = projectRevisions;
+    await saveScenarioRevisions(allRevisions);
+  }
+  return revision;
+}
+
 // Senaryo endpoint'leri
 // Projeye ait senaryoyu getir
-app.get("/api/projects/:projectId/scenario", async (req, res) => {
+app.get("/api/projects/:projectId/scenario", authorize("scenarios", "read"), requireProjectMember, async (req, res) => {
   try {
     const { projectId } = req.params;
     const scenarios = await loadScenarios();
     const scenario = scenarios[projectId] || { chapters: [] };
+    res.set("ETag", etagFor(scenario));
     res.json(scenario);
   } catch (err) {
     console.error("Senaryo yüklenirken hata:", err);
@@ -1195,204 +1145,843 @@ app.get("/api/projects/:projectId/scenario", async (req, res) => {
   }
 });
 
-// Projeye ait senaryoyu kaydet/güncelle
-app.put("/api/projects/:projectId/scenario", async (req, res) => {
+// Dosya adı: ASCII karşılığı + RFC 5987 ile UTF-8 adı
+function attachmentHeader(name, extension) {
+  const ascii = name
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/ı/g, "i")
+    .replace(/[^A-Za-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase() || "senaryo";
+  return `attachment; filename="${ascii}.${extension}"; filename*=UTF-8''${encodeURIComponent(`${name}.${extension}`)}`;
+}
+
+// Senaryoyu dışa aktar (?format=md|html|epub|fountain, ?order=list|position, ?characters=true karakter eki)
+app.get("/api/projects/:projectId/scenario/export", authorize("scenarios", "read"), requireProjectMember, async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { chapters } = req.body;
-    
-    if (!Array.isArray(chapters)) {
-      return res.status(400).json({ error: "Geçersiz senaryo verisi" });
+    const { format = "md", order = "list" } = req.query;
+
+    if (!exporter.isExportFormat(format)) {
+      return res.status(400).json({ error: `Geçersiz format. Desteklenenler: ${Object.keys(exporter.EXPORT_FORMATS).join(", ")}` });
+    }
+    if (!exporter.EXPORT_ORDERS.includes(order)) {
+      return res.status(400).json({ error: `Geçersiz sıralama. Desteklenenler: ${exporter.EXPORT_ORDERS.join(", ")}` });
     }
 
-    const scenarios = await loadScenarios();
-    scenarios[projectId] = { chapters };
-    await saveScenarios(scenarios);
+    const projects = await loadProjects();
+    const project = projects.find(p => p.id === projectId);
+    if (!project) {
+      return res.status(404).json({ error: "Proje bulunamadı" });
+    }
+
+    const scenarios = await loadScenarios();
+    const { chapters } = scenarios[projectId] || { chapters: [] };
+
+    let characters = null;
+    let template = null;
+    if (req.query.characters === "true") {
+      const allCharacters = await loadCharacters();
+      const templates = await loadCharacterTemplates();
+      characters = allCharacters[projectId] || [];
+      template = templates[projectId] || null;
+    }
+
+    const result = exporter.exportScenario(format, { project, chapters, characters, template, order });
+    res.set("Content-Type", result.contentType);
+    res.set("Content-Disposition", attachmentHeader(project.name || project.id, result.extension));
+    res.send(result.body);
+  } catch (err) {
+    console.error("Senaryo dışa aktarılırken hata:", err);
+    res.status(500).json({ error: "Senaryo dışa aktarılamadı" });
+  }
+});
+
+// Markdown/.txt dosyasından senaryo içe aktar (multipart: file, mode=append|replace)
+// Başlıklar bölüm ve parçalara ayrılır, yeni kartlar panoda varsayılan ızgaraya yerleştirilir
+app.post("/api/projects/:projectId/scenario/import", authorize("scenarios", "update"), requireProjectMember, upload.single("file"), lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const mode = req.body.mode || "append";
+
+    if (!req.file) {
+      return res.status(400).json({ error: "Dosya bulunamadı" });
+    }
+    if (!importer.IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Geçersiz mode. Desteklenenler: ${importer.IMPORT_MODES.join(", ")}` });
+    }
+
+    const filename = req.file.originalname;
+    const format = importer.importFormat(filename);
+    if (!format) {
+      return res.status(400).json({ error: "Sadece .md, .markdown ve .txt dosyaları içe aktarılabilir" });
+    }
+
+    const parsed = importer.parseScenarioText(req.file.buffer.toString("utf8"), format, filename.replace(/\.[^.]+$/, ""));
+    if (parsed.length === 0) {
+      return res.status(400).json({ error: "Dosyada içe aktarılacak metin bulunamadı" });
+    }
+
+    const scenarios = await loadScenarios();
+    const current = scenarios[projectId] || { chapters: [] };
+    if (!ifMatchSatisfied(req, etagFor(current))) {
+      return sendVersionConflict(res, current);
+    }
+
+    const chapters = mode === "replace" ? [] : structuredClone(current.chapters);
+    const imported = importer.importChapters(chapters, parsed);
+
+    const { errors } = validation.validate(validation.SCENARIO_SCHEMA, { chapters });
+    if (errors.length > 0) {
+      return sendValidationError(res, "İçe aktarılan senaryo geçersiz", errors);
+    }
+
+    const revision = await commitScenario(scenarios, projectId, chapters, req.user);
+
+    res.set("ETag", etagFor(scenarios[projectId]));
+    res.json({
+      success: true,
+      mode,
+      imported: {
+        chapters: imported.length,
+        parts: imported.reduce((sum, chapter) => sum + chapter.parts.length, 0)
+      },
+      scenario: { chapters },
+      revision: revision && revisions.summarizeRevision(revision)
+    });
+  } catch (err) {
+    console.error("Senaryo içe aktarılırken hata:", err);
+    res.status(500).json({ error: "Senaryo içe aktarılamadı" });
+  }
+});
+
+// Projeye ait senaryoyu kaydet/güncelle
+app.put("/api/projects/:projectId/scenario", authorize("scenarios", "update"), requireProjectMember, lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { value, errors } = validation.validate(validation.SCENARIO_SCHEMA, req.body);
+
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz senaryo verisi", errors);
+    }
+    const { chapters } = value;
+
+    const characterErrors = scenarioBoard.scenarioCharacterIdErrors(chapters, await projectCharacterIds(projectId));
+    if (characterErrors.length > 0) {
+      return sendValidationError(res, "Geçersiz senaryo verisi", characterErrors);
+    }
+
+    const scenarios = await loadScenarios();
+    const current = scenarios[projectId] || { chapters: [] };
+    if (!ifMatchSatisfied(req, etagFor(current))) {
+      return sendVersionConflict(res, current);
+    }
+
+    const revision = await commitScenario(scenarios, projectId, chapters, req.user);
 
-    res.json({ success: true, scenario: { chapters } });
+    res.set("ETag", etagFor(scenarios[projectId]));
+    res.json({ success: true, scenario: { chapters }, revision: revision && revisions.summarizeRevision(revision) });
   } catch (err) {
     console.error("Senaryo kaydedilirken hata:", err);
     res.status(500).json({ error: "Senaryo kaydedilemedi" });
   }
 });
 
-// İlişki endpoint'leri
-app.get("/api/projects/:projectId/relationships", async (req, res) => {
+// ===== SENARYO PANOSU (tekil bölüm/parça) =====
+
+// Senaryoyu yükle, If-Match kontrol et, chapters'ı değiştir ve kaydet
+// mutate(chapters) ya { status, error } ya da { body, skipRevision } döner
+async function mutateScenario(req, res, mutate) {
+  const { projectId } = req.params;
+  const scenarios = await loadScenarios();
+  const current = scenarios[projectId] || { chapters: [] };
+  if (!ifMatchSatisfied(req, etagFor(current))) {
+    return sendVersionConflict(res, current);
+  }
+
+  const chapters = structuredClone(current.chapters);
+  const result = mutate(chapters);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  await commitScenario(scenarios, projectId, chapters, req.user, { skipRevision: result.skipRevision });
+  res.set("ETag", etagFor(scenarios[projectId]));
+  res.json(result.body);
+}
+
+// Parçalardaki characterIds bu kümeye göre doğrulanır
+async function projectCharacterIds(projectId) {
+  const allCharacters = await loadCharacters();
+  return new Set((allCharacters[projectId] || []).map(c => c.id));
+}
+
+const chapterNotFound = { status: 404, error: "Bölüm bulunamadı" };
+const partNotFound = { status: 404, error: "Parça bulunamadı" };
+
+// Yeni bölüm ekle (index verilmezse sona)
+app.post("/api/projects/:projectId/scenario/chapters", authorize("scenarios", "update"), requireProjectMember, lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    const { value, errors } = validation.validate(validation.CHAPTER_INPUT_SCHEMA, req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz bölüm verisi", errors);
+    }
+
+    await mutateScenario(req, res, chapters => ({ body: scenarioBoard.addChapter(chapters, value) }));
+  } catch (err) {
+    console.error("Bölüm eklenirken hata:", err);
+    res.status(500).json({ error: "Bölüm eklenemedi" });
+  }
+});
+
+// Bölümlerin sırasını güncelle
+app.patch("/api/projects/:projectId/scenario/chapters/reorder", authorize("scenarios", "update"), requireProjectMember, lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    const { chapterIds } = req.body;
+    if (!Array.isArray(chapterIds)) {
+      return res.status(400).json({ error: "chapterIds bir array olmalı" });
+    }
+
+    await mutateScenario(req, res, chapters => {
+      scenarioBoard.reorder(chapters, chapterIds);
+      return { body: { success: true, chapterIds: chapters.map(c => c.id) } };
+    });
+  } catch (err) {
+    console.error("Bölüm sıralaması güncellenirken hata:", err);
+    res.status(500).json({ error: "Bölüm sıralaması güncellenemedi" });
+  }
+});
+
+// Bölümü kısmi güncelle (başlık, içerik, konum, index)
+app.patch("/api/projects/:projectId/scenario/chapters/:chapterId", authorize("scenarios", "update"), requireProjectMember, lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    const { value, errors } = validation.validate(validation.CHAPTER_INPUT_SCHEMA, req.body, { partial: true });
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz bölüm verisi", errors);
+    }
+
+    await mutateScenario(req, res, chapters => {
+      const chapter = scenarioBoard.findChapter(chapters, req.params.chapterId);
+      if (!chapter) return chapterNotFound;
+      return {
+        body: scenarioBoard.updateItem(chapters, chapter, value),
+        skipRevision: scenarioBoard.isLayoutOnly(value)
+      };
+    });
+  } catch (err) {
+    console.error("Bölüm güncellenirken hata:", err);
+    res.status(500).json({ error: "Bölüm güncellenemedi" });
+  }
+});
+
+// Bölümü (parçalarıyla) sil
+app.delete("/api/projects/:projectId/scenario/chapters/:chapterId", authorize("scenarios", "update"), requireProjectMember, lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    await mutateScenario(req, res, chapters => {
+      if (!scenarioBoard.removeById(chapters, req.params.chapterId)) return chapterNotFound;
+      return { body: { success: true, message: "Bölüm silindi" } };
+    });
+  } catch (err) {
+    console.error("Bölüm silinirken hata:", err);
+    res.status(500).json({ error: "Bölüm silinemedi" });
+  }
+});
+
+// Bölüme yeni parça ekle
+app.post("/api/projects/:projectId/scenario/chapters/:chapterId/parts", authorize("scenarios", "update"), requireProjectMember, lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    const { value, errors } = validation.validate(validation.PART_INPUT_SCHEMA, req.body);
+    errors.push(...scenarioBoard.characterIdErrors(value.characterIds, await projectCharacterIds(req.params.projectId), "characterIds"));
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz parça verisi", errors);
+    }
+
+    await mutateScenario(req, res, chapters => {
+      const chapter = scenarioBoard.findChapter(chapters, req.params.chapterId);
+      if (!chapter) return chapterNotFound;
+      return { body: scenarioBoard.addPart(chapter, value) };
+    });
+  } catch (err) {
+    console.error("Parça eklenirken hata:", err);
+    res.status(500).json({ error: "Parça eklenemedi" });
+  }
+});
+
+// Bölümdeki parçaların sırasını güncelle
+app.patch("/api/projects/:projectId/scenario/chapters/:chapterId/parts/reorder", authorize("scenarios", "update"), requireProjectMember, lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    const { partIds } = req.body;
+    if (!Array.isArray(partIds)) {
+      return res.status(400).json({ error: "partIds bir array olmalı" });
+    }
+
+    await mutateScenario(req, res, chapters => {
+      const chapter = scenarioBoard.findChapter(chapters, req.params.chapterId);
+      if (!chapter) return chapterNotFound;
+      scenarioBoard.reorder(chapter.parts || [], partIds);
+      return { body: { success: true, partIds: (chapter.parts || []).map(p => p.id) } };
+    });
+  } catch (err) {
+    console.error("Parça sıralaması güncellenirken hata:", err);
+    res.status(500).json({ error: "Parça sıralaması güncellenemedi" });
+  }
+});
+
+// Parçayı kısmi güncelle (başlık, içerik, konum, index)
+app.patch("/api/projects/:projectId/scenario/chapters/:chapterId/parts/:partId", authorize("scenarios", "update"), requireProjectMember, lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    const { value, errors } = validation.validate(validation.PART_INPUT_SCHEMA, req.body, { partial: true });
+    errors.push(...scenarioBoard.characterIdErrors(value.characterIds, await projectCharacterIds(req.params.projectId), "characterIds"));
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz parça verisi", errors);
+    }
+
+    await mutateScenario(req, res, chapters => {
+      const chapter = scenarioBoard.findChapter(chapters, req.params.chapterId);
+      if (!chapter) return chapterNotFound;
+      const part = scenarioBoard.findPart(chapter, req.params.partId);
+      if (!part) return partNotFound;
+      return {
+        body: scenarioBoard.updateItem(chapter.parts, part, value),
+        skipRevision: scenarioBoard.isLayoutOnly(value)
+      };
+    });
+  } catch (err) {
+    console.error("Parça güncellenirken hata:", err);
+    res.status(500).json({ error: "Parça güncellenemedi" });
+  }
+});
+
+// Parça metninde adı geçen ama henüz bağlanmamış karakterler
+app.get("/api/projects/:projectId/scenario/chapters/:chapterId/parts/:partId/character-suggestions", authorize("scenarios", "read"), requireProjectMember, async (req, res) => {
+  try {
+    const { projectId, chapterId, partId } = req.params;
+    const scenarios = await loadScenarios();
+    const chapter = scenarioBoard.findChapter((scenarios[projectId] || { chapters: [] }).chapters, chapterId);
+    const part = chapter && scenarioBoard.findPart(chapter, partId);
+    if (!part) {
+      return res.status(404).json({ error: chapter ? "Parça bulunamadı" : "Bölüm bulunamadı" });
+    }
+
+    const allCharacters = await loadCharacters();
+    res.json(scenarioBoard.suggestCharacters(part, allCharacters[projectId] || []));
+  } catch (err) {
+    console.error("Karakter önerileri hazırlanırken hata:", err);
+    res.status(500).json({ error: "Karakter önerileri hazırlanamadı" });
+  }
+});
+
+// Parçayı başka bir bölüme taşı
+app.post("/api/projects/:projectId/scenario/chapters/:chapterId/parts/:partId/move", authorize("scenarios", "update"), requireProjectMember, lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    const { value, errors } = validation.validate(validation.PART_MOVE_SCHEMA, req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz taşıma verisi", errors);
+    }
+
+    await mutateScenario(req, res, chapters => {
+      const chapter = scenarioBoard.findChapter(chapters, req.params.chapterId);
+      if (!chapter) return chapterNotFound;
+      const part = scenarioBoard.findPart(chapter, req.params.partId);
+      if (!part) return partNotFound;
+      const target = scenarioBoard.findChapter(chapters, value.toChapterId);
+      if (!target) return { status: 404, error: "Hedef bölüm bulunamadı" };
+      return { body: scenarioBoard.movePart(chapter, part, target, value.index) };
+    });
+  } catch (err) {
+    console.error("Parça taşınırken hata:", err);
+    res.status(500).json({ error: "Parça taşınamadı" });
+  }
+});
+
+// Parçayı sil
+app.delete("/api/projects/:projectId/scenario/chapters/:chapterId/parts/:partId", authorize("scenarios", "update"), requireProjectMember, lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    await mutateScenario(req, res, chapters => {
+      const chapter = scenarioBoard.findChapter(chapters, req.params.chapterId);
+      if (!chapter) return chapterNotFound;
+      if (!scenarioBoard.removeById(chapter.parts || [], req.params.partId)) return partNotFound;
+      return { body: { success: true, message: "Parça silindi" } };
+    });
+  } catch (err) {
+    console.error("Parça silinirken hata:", err);
+    res.status(500).json({ error: "Parça silinemedi" });
+  }
+});
+
+// Senaryo revizyonları (en yeni önce)
+app.get("/api/projects/:projectId/scenario/revisions", authorize("scenarios", "read"), requireProjectMember, async (req, res) => {
   try {
     const { projectId } = req.params;
-    const relationships = await loadRelationships();
-    const relationship = relationships[projectId] || { characters: [], groups: [], relationships: [] };
-    res.json(relationship);
+    const allRevisions = await loadScenarioRevisions();
+    const projectRevisions = allRevisions[projectId] || [];
+    res.json(projectRevisions.map(revisions.summarizeRevision).reverse());
   } catch (err) {
-    console.error("İlişki yüklenirken hata:", err);
-    res.status(500).json({ error: "İlişki yüklenemedi" });
+    console.error("Senaryo revizyonları yüklenirken hata:", err);
+    res.status(500).json({ error: "Senaryo revizyonları yüklenemedi" });
   }
 });
 
-app.put("/api/projects/:projectId/relationships", async (req, res) => {
+// İki revizyon arasındaki bölüm/parça farkı (?from=revId&to=revId, to verilmezse güncel senaryo)
+app.get("/api/projects/:projectId/scenario/revisions/diff", authorize("scenarios", "read"), requireProjectMember, async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { characters, groups, relationships: rels } = req.body;
-    
-    if (!Array.isArray(characters) || !Array.isArray(groups) || !Array.isArray(rels)) {
-      return res.status(400).json({ error: "characters, groups, and relationships must be arrays" });
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: "from revizyonu gerekli" });
     }
-    
+
+    const allRevisions = await loadScenarioRevisions();
+    const projectRevisions = allRevisions[projectId] || [];
+    const fromRevision = revisions.findRevision(projectRevisions, from);
+    const toRevision = to && to !== "current" ? revisions.findRevision(projectRevisions, to) : null;
+
+    if (!fromRevision || (to && to !== "current" && !toRevision)) {
+      return res.status(404).json({ error: "Revizyon bulunamadı" });
+    }
+
+    let toChapters;
+    if (toRevision) {
+      toChapters = toRevision.chapters;
+    } else {
+      const scenarios = await loadScenarios();
+      toChapters = (scenarios[projectId] || { chapters: [] }).chapters;
+    }
+
+    res.json({
+      from: revisions.summarizeRevision(fromRevision),
+      to: toRevision ? revisions.summarizeRevision(toRevision) : "current",
+      chapters: revisions.diffChapters(fromRevision.chapters, toChapters)
+    });
+  } catch (err) {
+    console.error("Senaryo revizyonları karşılaştırılırken hata:", err);
+    res.status(500).json({ error: "Revizyonlar karşılaştırılamadı" });
+  }
+});
+
+// Tek revizyon (chapters dahil)
+app.get("/api/projects/:projectId/scenario/revisions/:revisionId", authorize("scenarios", "read"), requireProjectMember, async (req, res) => {
+  try {
+    const { projectId, revisionId } = req.params;
+    const allRevisions = await loadScenarioRevisions();
+    const revision = revisions.findRevision(allRevisions[projectId] || [], revisionId);
+
+    if (!revision) {
+      return res.status(404).json({ error: "Revizyon bulunamadı" });
+    }
+    res.json(revision);
+  } catch (err) {
+    console.error("Senaryo revizyonu yüklenirken hata:", err);
+    res.status(500).json({ error: "Senaryo revizyonu yüklenemedi" });
+  }
+});
+
+// Senaryoyu bir revizyona geri döndür (geri dönüş de yeni bir revizyon olarak kaydedilir)
+app.post("/api/projects/:projectId/scenario/revisions/:revisionId/restore", authorize("scenarios", "update"), requireProjectMember, lockCollections("scenarios", "scenarioRevisions"), async (req, res) => {
+  try {
+    const { projectId, revisionId } = req.params;
+    const allRevisions = await loadScenarioRevisions();
+    const revision = revisions.findRevision(allRevisions[projectId] || [], revisionId);
+
+    if (!revision) {
+      return res.status(404).json({ error: "Revizyon bulunamadı" });
+    }
+
+    const scenarios = await loadScenarios();
+    const current = scenarios[projectId] || { chapters: [] };
+    if (!ifMatchSatisfied(req, etagFor(current))) {
+      return sendVersionConflict(res, current);
+    }
+
+    const restored = await commitScenario(scenarios, projectId, revision.chapters, req.user, { restoredFrom: revision.id });
+
+    res.set("ETag", etagFor(scenarios[projectId]));
+    res.json({
+      success: true,
+      scenario: scenarios[projectId],
+      revision: restored && revisions.summarizeRevision(restored)
+    });
+  } catch (err) {
+    console.error("Senaryo revizyonu geri yüklenirken hata:", err);
+    res.status(500).json({ error: "Senaryo revizyonu geri yüklenemedi" });
+  }
+});
+
+// İlişki endpoint'leri
+// Düğüm id'leri characters.json'daki karakter id'leridir, name alanı karakterden doldurulur
+
+// Grafiği karakter adlarıyla, atChapter verildiyse o bölümdeki haliyle döner; bölüm senaryoda yoksa null
+async function relationshipGraphAt(projectId, atChapter) {
+  const relationships = await loadRelationships();
+  const allCharacters = await loadCharacters();
+  const graph = relationshipGraph.withNames(relationships[projectId] || relationshipGraph.emptyGraph(), allCharacters[projectId] || []);
+  if (!atChapter) return graph;
+
+  const scenarios = await loadScenarios();
+  const { chapters } = scenarios[projectId] || { chapters: [] };
+  if (!scenarioBoard.findChapter(chapters, atChapter)) return null;
+  return relationshipGraph.graphAtChapter(graph, chapters, atChapter);
+}
+
+// ?atChapter=bölümId: ilişkiler o bölüm itibarıyla (history çözülmüş) döner, bu görünüm kaydedilmek için değildir
+app.get("/api/projects/:projectId/relationships", authorize("relationships", "read"), requireProjectMember, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { atChapter } = req.query;
+
+    if (atChapter) {
+      const graph = await relationshipGraphAt(projectId, atChapter);
+      if (!graph) {
+        return res.status(404).json({ error: "Bölüm bulunamadı" });
+      }
+      return res.json(graph);
+    }
+
     const relationships = await loadRelationships();
-    relationships[projectId] = { characters, groups, relationships: rels };
-    await saveRelationships(relationships);
+    const relationship = relationships[projectId] || relationshipGraph.emptyGraph();
+    const allCharacters = await loadCharacters();
+    res.set("ETag", etagFor(relationship));
+    res.json(relationshipGraph.withNames(relationship, allCharacters[projectId] || []));
+  } catch (err) {
+    console.error("İlişki yüklenirken hata:", err);
+    res.status(500).json({ error: "İlişki yüklenemedi" });
+  }
+});
+
+// Gönderilen grafiği doğrula (şema, karakter/grup referansları, history bölümleri) ve kaydet.
+// PUT ve içe aktarma aynı yoldan yazar.
+async function writeRelationshipGraph(req, res, input) {
+  const { projectId } = req.params;
+  const { value, errors } = validation.validate(validation.RELATIONSHIP_SCHEMA, input);
 
-    res.json({ success: true, relationship: { characters, groups, relationships: rels } });
+  if (errors.length > 0) {
+    return sendValidationError(res, "Geçersiz ilişki verisi", errors);
+  }
+  const { characters, groups, relationships: rels } = value;
+
+  const allCharacters = await loadCharacters();
+  const graph = { characters, groups, relationships: rels };
+  const referenceErrors = relationshipGraph.graphErrors(graph, new Set((allCharacters[projectId] || []).map(c => c.id)));
+  const scenarios = await loadScenarios();
+  const chapterIds = new Set(((scenarios[projectId] || { chapters: [] }).chapters).map(c => c.id));
+  const relationships = await loadRelationships();
+  const current = relationships[projectId] || relationshipGraph.emptyGraph();
+  relationshipGraph.dropStaleHistory(graph, current, chapterIds);
+  referenceErrors.push(...relationshipGraph.historyErrors(graph, chapterIds));
+  if (referenceErrors.length > 0) {
+    return sendValidationError(res, "Geçersiz ilişki verisi", referenceErrors);
+  }
+
+  if (!ifMatchSatisfied(req, etagFor(current))) {
+    return sendVersionConflict(res, current);
+  }
+
+  relationships[projectId] = graph;
+  await saveRelationships(relationships);
+
+  res.set("ETag", etagFor(relationships[projectId]));
+  res.json({ success: true, relationship: relationshipGraph.withNames(graph, allCharacters[projectId] || []) });
+}
+
+app.put("/api/projects/:projectId/relationships", authorize("relationships", "update"), requireProjectMember, lockCollections("relationships"), async (req, res) => {
+  try {
+    await writeRelationshipGraph(req, res, req.body);
   } catch (err) {
     console.error("İlişki kaydedilirken hata:", err);
     res.status(500).json({ error: "İlişki kaydedilemedi" });
   }
 });
 
-// ===== TO DO LİST ENDPOİNT'LERİ =====
+// İlişki grafiğini dışa aktar (?format=graphml|dot|jgf): düğümler grup rengi ve konumuyla,
+// ilişkiler tip ve güçle
+app.get("/api/projects/:projectId/relationships/export", authorize("relationships", "read"), requireProjectMember, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { format = "graphml" } = req.query;
+    if (!graphFormats.isGraphFormat(format)) {
+      return res.status(400).json({ error: `Geçersiz format. Desteklenenler: ${Object.keys(graphFormats.GRAPH_FORMATS).join(", ")}` });
+    }
+
+    const projects = await loadProjects();
+    const project = projects.find(p => p.id === projectId);
+    if (!project) {
+      return res.status(404).json({ error: "Proje bulunamadı" });
+    }
+    const graph = await relationshipGraphAt(projectId);
+    const title = project.name || projectId;
+
+    const result = graphFormats.exportGraph(format, graph, { id: projectId, label: title });
+    res.set("Content-Type", result.contentType);
+    res.set("Content-Disposition", attachmentHeader(`${title} ilişkiler`, result.extension));
+    res.send(result.body);
+  } catch (err) {
+    console.error("İlişkiler dışa aktarılırken hata:", err);
+    res.status(500).json({ error: "İlişkiler dışa aktarılamadı" });
+  }
+});
 
-async function loadTodos() {
+// GraphML/DOT/JGF dosyasından ilişki grafiği içe aktar (multipart: file, format verilmezse uzantıdan)
+// Grafiğin tamamı PUT ile aynı doğrulamadan geçerek değiştirilir; düğüm id'leri karakter id'leri olmalı
+app.post("/api/projects/:projectId/relationships/import", authorize("relationships", "update"), requireProjectMember, upload.single("file"), lockCollections("relationships"), async (req, res) => {
   try {
-    const data = await fs.readFile(TODOS_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (localErr) {
-    // Local dosya yok, GitHub'dan yüklemeyi dene
+    if (!req.file) {
+      return res.status(400).json({ error: "Dosya bulunamadı" });
+    }
+    const format = req.body.format || graphFormats.formatFromFilename(req.file.originalname);
+    if (!graphFormats.isGraphFormat(format)) {
+      return res.status(400).json({ error: `Format belirlenemedi. Desteklenenler: ${Object.keys(graphFormats.GRAPH_FORMATS).join(", ")}` });
+    }
+
+    const { graph, error } = graphFormats.importGraph(format, req.file.buffer.toString("utf8"));
+    if (error) {
+      return res.status(400).json({ error: `Dosya okunamadı: ${error}` });
+    }
+
+    await writeRelationshipGraph(req, res, graph);
+  } catch (err) {
+    console.error("İlişkiler içe aktarılırken hata:", err);
+    res.status(500).json({ error: "İlişkiler içe aktarılamadı" });
   }
+});
 
-  if (GITHUB_TOKEN) {
-    try {
-      const response = await axios.get(
-        `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/data/todos.json`,
-        {
-          headers: {
-            Authorization: `token ${GITHUB_TOKEN}`,
-            Accept: "application/vnd.github.v3+json"
-          },
-          params: { ref: GITHUB_BRANCH }
-        }
-      );
-      
-      const content = Buffer.from(response.data.content, "base64").toString("utf8");
-      const todos = JSON.parse(content);
-      
-      await fs.mkdir(path.dirname(TODOS_FILE), { recursive: true });
-      await fs.writeFile(TODOS_FILE, content);
-      
-      return todos;
-    } catch (err) {
-      if (err.response?.status !== 404) {
-        console.error("GitHub'dan todolar yüklenirken hata:", err.message);
+// İlişki grafiği analizi (?from=karakterId&to=karakterId verilirse en kısa yol da hesaplanır,
+// ?atChapter=bölümId ile grafiğin o bölümdeki hali analiz edilir)
+app.get("/api/projects/:projectId/relationships/analysis", authorize("relationships", "read"), requireProjectMember, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { from, to, atChapter } = req.query;
+    if (Boolean(from) !== Boolean(to)) {
+      return res.status(400).json({ error: "Yol için from ve to birlikte verilmeli" });
+    }
+
+    const graph = await relationshipGraphAt(projectId, atChapter);
+    if (!graph) {
+      return res.status(404).json({ error: "Bölüm bulunamadı" });
+    }
+
+    for (const id of [from, to].filter(Boolean)) {
+      if (!graph.characters.some(node => node.id === id)) {
+        return res.status(404).json({ error: `Karakter grafikte bulunamadı: ${id}` });
       }
     }
+
+    res.json(relationshipAnalysis.analyzeGraph(graph, { from, to }));
+  } catch (err) {
+    console.error("İlişki analizi yapılırken hata:", err);
+    res.status(500).json({ error: "İlişki analizi yapılamadı" });
   }
+});
 
-  return {};
-}
+// Karakterlere bağlı olmayan eski düğümleri isimle eşleştirip karakter id'lerine taşı
+// Body: { dryRun, mapping: { düğümId: karakterId }, dropUnmatched }
+// dryRun ise sadece eşleşmeler raporlanır, kaydedilmez
+app.post("/api/projects/:projectId/relationships/migrate", authorize("relationships", "update"), requireProjectMember, lockCollections("relationships"), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { dryRun = false, mapping = {}, dropUnmatched = false } = req.body || {};
+
+    if (typeof mapping !== "object" || mapping === null || Array.isArray(mapping)) {
+      return sendValidationError(res, "Geçersiz taşıma isteği", [{ field: "mapping", message: "düğüm id -> karakter id nesnesi olmalı" }]);
+    }
 
-async function saveTodos(todos) {
-  const content = JSON.stringify(todos, null, 2);
-  
-  await fs.mkdir(path.dirname(TODOS_FILE), { recursive: true });
-  await fs.writeFile(TODOS_FILE, content);
+    const relationships = await loadRelationships();
+    const current = relationships[projectId] || relationshipGraph.emptyGraph();
+    if (!ifMatchSatisfied(req, etagFor(current))) {
+      return sendVersionConflict(res, current);
+    }
+
+    const allCharacters = await loadCharacters();
+    const characters = allCharacters[projectId] || [];
+    const result = relationshipGraph.matchNodes(current, characters, mapping);
 
-  if (GITHUB_TOKEN) {
-    try {
-      await commitToGitHub("data/todos.json", content, `Update todos: ${new Date().toISOString()}`);
-    } catch (err) {
-      console.error("GitHub'a todolar kaydedilemedi, sadece local kaydedildi:", err.message);
+    if (dryRun === true) {
+      res.set("ETag", etagFor(current));
+      return res.json({ success: true, dryRun: true, ...result });
     }
+
+    relationships[projectId] = relationshipGraph.migrateGraph(structuredClone(current), result, { dropUnmatched: dropUnmatched === true });
+    await saveRelationships(relationships);
+
+    res.set("ETag", etagFor(relationships[projectId]));
+    res.json({
+      success: true,
+      dryRun: false,
+      ...result,
+      dropped: dropUnmatched === true ? result.unmatched.map(u => u.nodeId) : [],
+      relationship: relationshipGraph.withNames(relationships[projectId], characters)
+    });
+  } catch (err) {
+    console.error("İlişki düğümleri taşınırken hata:", err);
+    res.status(500).json({ error: "İlişki düğümleri taşınamadı" });
+  }
+});
+
+// ===== TO DO LİST ENDPOİNT'LERİ =====
+
+// Todo referanslarını doğrulamak için projenin kullanıcı, karakter, görsel ve parça id'leri
+async function todoContext(projectId) {
+  const users = await loadUsers();
+  const allCharacters = await loadCharacters();
+  const allImages = await loadCharacterImages();
+  const scenarios = await loadScenarios();
+
+  const characters = allCharacters[projectId] || [];
+  const { chapters } = scenarios[projectId] || { chapters: [] };
+  return {
+    memberIds: new Set(users.filter(u => isProjectMember(u, projectId)).map(u => u.id)),
+    characterIds: new Set(characters.map(c => c.id)),
+    imageIds: new Set(characters.flatMap(c => (allImages[c.id] || []).map(img => img.id))),
+    partIds: new Set(chapters.flatMap(chapter => (chapter.parts || []).map(part => part.id)))
+  };
+}
+
+// Todo dokümanını yükle, If-Match kontrol et, items'ı değiştir ve kaydet
+// mutate(items) ya { status, error } ya da { body } döner
+async function mutateTodos(req, res, mutate) {
+  const { projectId } = req.params;
+  const allTodos = await loadTodos();
+  const current = allTodos[projectId] || { items: [] };
+  if (!ifMatchSatisfied(req, etagFor(current))) {
+    return sendVersionConflict(res, current);
+  }
+
+  const items = structuredClone(current.items);
+  const result = mutate(items);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
   }
+
+  allTodos[projectId] = { items };
+  await saveTodos(allTodos);
+  res.set("ETag", etagFor(allTodos[projectId]));
+  res.json(result.body);
 }
 
-app.get("/api/projects/:projectId/todos", async (req, res) => {
+const todoNotFound = { status: 404, error: "Todo bulunamadı" };
+
+// Filtreler: ?assignee=me|none|kullanıcıId&status=open|todo|doing|done&dueBefore=&dueAfter=&priority=&linkType=&linkId=
+app.get("/api/projects/:projectId/todos", authorize("todos", "read"), requireProjectMember, async (req, res) => {
   try {
     const { projectId } = req.params;
+    const { filters, error } = todoList.parseTodoFilters(req.query, req.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     const allTodos = await loadTodos();
     const projectTodos = allTodos[projectId] || { items: [] };
     res.set("Cache-Control", "no-store, no-cache, must-revalidate");
-    res.json(projectTodos);
+    res.set("ETag", etagFor(projectTodos));
+    res.json({ ...projectTodos, items: todoList.filterTodos(projectTodos.items, filters) });
   } catch (err) {
     console.error("Todolar yüklenirken hata:", err);
     res.status(500).json({ error: "Todolar yüklenemedi" });
   }
 });
 
-app.put("/api/projects/:projectId/todos", async (req, res) => {
+// Listenin tamamını değiştir (sıralama vb. için); her kayıt tek tek doğrulanır
+app.put("/api/projects/:projectId/todos", authorize("todos", "update"), requireProjectMember, lockCollections("todos"), async (req, res) => {
   try {
     const { projectId } = req.params;
     const { items } = req.body;
-    
+
     if (!Array.isArray(items)) {
-      return res.status(400).json({ error: "items must be an array" });
+      return sendValidationError(res, "Geçersiz todo verisi", [{ field: "items", message: "dizi olmalı" }]);
     }
 
+    const context = await todoContext(projectId);
     const allTodos = await loadTodos();
-    allTodos[projectId] = { items };
-    await saveTodos(allTodos);
+    const storedById = new Map((allTodos[projectId] || { items: [] }).items.map(item => [item.id, item]));
+    const values = [];
+    const errors = [];
+    items.forEach((item, index) => {
+      const result = validation.validate(validation.TODO_SCHEMA, item);
+      errors.push(...result.errors.map(e => ({ ...e, field: `items[${index}].${e.field}` })));
+      if (result.errors.length === 0) {
+        const previous = item && typeof item.id === "string" ? storedById.get(item.id) : null;
+        errors.push(...todoList.todoReferenceErrors(result.value, context, `items[${index}]`, previous));
+      }
+      values.push(result.value);
+    });
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz todo verisi", errors);
+    }
 
-    res.json({ success: true, todos: { items } });
+    await mutateTodos(req, res, current => {
+      const replaced = todoList.replaceTodos(current, values, items, req.user);
+      current.splice(0, current.length, ...replaced);
+      return { body: { success: true, todos: { items: replaced } } };
+    });
   } catch (err) {
     console.error("Todolar kaydedilirken hata:", err);
     res.status(500).json({ error: "Todolar kaydedilemedi" });
   }
 });
 
-// ===== SİTE AYARLARI (arka plan vb.) =====
-
-async function loadSettings() {
+// Yeni todo ekle
+app.post("/api/projects/:projectId/todos/items", authorize("todos", "update"), requireProjectMember, lockCollections("todos"), async (req, res) => {
   try {
-    const data = await fs.readFile(SETTINGS_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (localErr) {
-    // Local dosya yok, GitHub'dan yüklemeyi dene
-  }
-
-  if (GITHUB_TOKEN) {
-    try {
-      const response = await axios.get(
-        `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/data/settings.json`,
-        {
-          headers: {
-            Authorization: `token ${GITHUB_TOKEN}`,
-            Accept: "application/vnd.github.v3+json"
-          },
-          params: { ref: GITHUB_BRANCH }
-        }
-      );
-      const content = Buffer.from(response.data.content, "base64").toString("utf8");
-      const settings = JSON.parse(content);
-      
-      await fs.mkdir(path.dirname(SETTINGS_FILE), { recursive: true });
-      await fs.writeFile(SETTINGS_FILE, content);
-      
-      return settings;
-    } catch (err) {
-      if (err.response?.status !== 404) {
-        console.error("GitHub'dan ayarlar yüklenirken hata:", err.message);
-      }
+    const { value, errors } = validation.validate(validation.TODO_SCHEMA, req.body);
+    if (errors.length === 0) {
+      errors.push(...todoList.todoReferenceErrors(value, await todoContext(req.params.projectId)));
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz todo verisi", errors);
     }
+
+    await mutateTodos(req, res, items => {
+      const item = todoList.createTodo(value, req.user);
+      items.push(item);
+      return { body: item };
+    });
+  } catch (err) {
+    console.error("Todo eklenirken hata:", err);
+    res.status(500).json({ error: "Todo eklenemedi" });
   }
+});
 
-  return {};
-}
+// Todo güncelle (sadece gönderilen alanlar)
+app.patch("/api/projects/:projectId/todos/items/:itemId", authorize("todos", "update"), requireProjectMember, lockCollections("todos"), async (req, res) => {
+  try {
+    const { projectId, itemId } = req.params;
+    const { value, errors } = validation.validate(validation.TODO_SCHEMA, req.body, { partial: true });
+    if (errors.length === 0) {
+      const allTodos = await loadTodos();
+      const previous = (allTodos[projectId] || { items: [] }).items.find(i => i.id === itemId);
+      errors.push(...todoList.todoReferenceErrors(value, await todoContext(projectId), "", previous));
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, "Geçersiz todo verisi", errors);
+    }
 
-async function saveSettings(settings) {
-  const content = JSON.stringify(settings, null, 2);
-  
-  await fs.mkdir(path.dirname(SETTINGS_FILE), { recursive: true });
-  await fs.writeFile(SETTINGS_FILE, content);
+    await mutateTodos(req, res, items => {
+      const item = items.find(i => i.id === itemId);
+      if (!item) return todoNotFound;
+      return { body: todoList.updateTodo(item, value) };
+    });
+  } catch (err) {
+    console.error("Todo güncellenirken hata:", err);
+    res.status(500).json({ error: "Todo güncellenemedi" });
+  }
+});
 
-  // Ayarlar kritik veri - debounce olmadan anında GitHub'a commit et
-  if (GITHUB_TOKEN) {
-    try {
-      await executeCommit("data/settings.json", content, `Update settings: ${new Date().toISOString()}`);
-    } catch (err) {
-      console.error("GitHub'a ayarlar kaydedilemedi:", err.message);
-    }
+app.delete("/api/projects/:projectId/todos/items/:itemId", authorize("todos", "update"), requireProjectMember, lockCollections("todos"), async (req, res) => {
+  try {
+    await mutateTodos(req, res, items => {
+      const removed = scenarioBoard.removeById(items, req.params.itemId);
+      if (!removed) return todoNotFound;
+      return { body: { success: true, id: removed.id } };
+    });
+  } catch (err) {
+    console.error("Todo silinirken hata:", err);
+    res.status(500).json({ error: "Todo silinemedi" });
   }
-}
+});
+
+// ===== SİTE AYARLARI (arka plan vb.) =====
 
-app.get("/api/settings", async (req, res) => {
+app.get("/api/settings", authorize("settings", "read"), async (req, res) => {
   try {
     const settings = await loadSettings();
     res.json(settings);
@@ -1402,7 +1991,7 @@ app.get("/api/settings", async (req, res) => {
   }
 });
 
-app.put("/api/settings", async (req, res) => {
+app.put("/api/settings", authorize("settings", "update"), lockCollections("settings"), async (req, res) => {
   try {
     const currentSettings = await loadSettings();
     const updated = { ...currentSettings, ...req.body };
@@ -1414,61 +2003,224 @@ app.put("/api/settings", async (req, res) => {
   }
 });
 
-// Sunucu başlatıldığında GitHub'dan local dosyalara tek seferlik senkronizasyon
-// Render'ın ephemeral filesystem'i nedeniyle restart sonrası local dosyalar kaybolur
-async function syncFromGitHub() {
-  if (!GITHUB_TOKEN) return;
-  
-  const filesToSync = [
-    { githubPath: "data/projects.json", localPath: PROJECTS_FILE },
-    { githubPath: "data/characters.json", localPath: CHARACTERS_FILE },
-    { githubPath: "data/character-images.json", localPath: CHARACTER_IMAGES_FILE },
-    { githubPath: "data/users.json", localPath: USERS_FILE },
-    { githubPath: "data/scenarios.json", localPath: SCENARIOS_FILE },
-    { githubPath: "data/relationships.json", localPath: RELATIONSHIPS_FILE },
-    { githubPath: "data/todos.json", localPath: TODOS_FILE },
-    { githubPath: "data/settings.json", localPath: SETTINGS_FILE },
-  ];
-
-  console.log("GitHub'dan local dosyalara senkronizasyon başlıyor...");
-  
-  await Promise.all(filesToSync.map(async ({ githubPath, localPath }) => {
-    try {
-      await fs.access(localPath);
-      return;
-    } catch {
-      // Local dosya yok, GitHub'dan çek
-    }
-
-    try {
-      const response = await axios.get(
-        `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${githubPath}`,
-        {
-          headers: {
-            Authorization: `token ${GITHUB_TOKEN}`,
-            Accept: "application/vnd.github.v3+json"
-          },
-          params: { ref: GITHUB_BRANCH }
-        }
-      );
-      const content = Buffer.from(response.data.content, "base64").toString("utf8");
-      await fs.mkdir(path.dirname(localPath), { recursive: true });
-      await fs.writeFile(localPath, content);
-      console.log(`  ✓ ${githubPath} senkronize edildi`);
-    } catch (err) {
-      if (err.response?.status === 404) {
-        console.log(`  - ${githubPath} GitHub'da bulunamadı (yeni dosya)`);
-      } else {
-        console.error(`  ✗ ${githubPath} senkronizasyon hatası:`, err.message);
-      }
+// ===== GITHUB SENKRONİZASYON DURUMU =====
+
+app.get("/api/sync/status", authorize("sync", "read"), (req, res) => {
+  res.json({
+    backend: storage.backend.name,
+    enabled: storage.backend.name === "github",
+    files: storage.backend.name === "github" ? syncQueue.getStatus() : []
+  });
+});
+
+// GitHub'daki değişiklikleri hemen kontrol et ve merge et
+app.post("/api/sync/reconcile", authorize("sync", "update"), async (req, res) => {
+  try {
+    if (!storage.backend.reconcileAll) {
+      return res.status(400).json({ error: "GitHub senkronizasyonu aktif değil" });
+    }
+    const results = await storage.backend.reconcileAll();
+    res.json({ success: true, results, files: syncQueue.getStatus() });
+  } catch (err) {
+    console.error("Senkronizasyon yapılırken hata:", err);
+    res.status(500).json({ error: "Senkronizasyon yapılamadı" });
+  }
+});
+
+// Merge edilemeyen dosyayı çöz: strategy "local" (bizdeki hali gönder) veya "remote" (GitHub'dakini al)
+app.post("/api/sync/conflicts/resolve", authorize("sync", "update"), async (req, res) => {
+  try {
+    const { path: filePath, strategy } = req.body;
+
+    if (!storage.backend.resolveConflict) {
+      return res.status(400).json({ error: "GitHub senkronizasyonu aktif değil" });
     }
-  }));
+    if (!filePath || !["local", "remote"].includes(strategy)) {
+      return res.status(400).json({ error: "path ve strategy (local | remote) gerekli" });
+    }
+
+    const resolved = await storage.backend.resolveConflict(filePath, strategy);
+    if (!resolved) {
+      return res.status(404).json({ error: "Bu dosya için conflict bulunamadı" });
+    }
+
+    res.json({ success: true, files: syncQueue.getStatus() });
+  } catch (err) {
+    console.error("Conflict çözülürken hata:", err);
+    res.status(500).json({ error: "Conflict çözülemedi" });
+  }
+});
+
+// ===== ÇÖP KUTUSU =====
 
-  console.log("GitHub senkronizasyonu tamamlandı.");
+// Kullanıcı bu öğeyi görebilir mi? (projesiz öğeler sadece admin'e görünür)
+function canAccessTrashItem(user, item) {
+  if (user.role === "admin") return true;
+  return item.projectId !== null && isProjectMember(user, item.projectId);
 }
 
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, async () => {
-  console.log("Server running on", PORT);
-  await syncFromGitHub();
+// Süresi dolan öğeleri kalıcı olarak sil
+async function purgeExpiredTrash() {
+  const release = await storage.acquireLocks(["trash"]);
+  try {
+    const items = await loadTrash();
+    const remaining = items.filter(item => !trash.isExpired(item));
+    if (remaining.length !== items.length) {
+      await saveTrash(remaining);
+      console.log(`Çöp kutusundan süresi dolan ${items.length - remaining.length} öğe silindi`);
+    }
+  } finally {
+    release();
+  }
+}
+
+// Çöp kutusundaki öğeler (?type=project|character|image, ?projectId=)
+app.get("/api/trash", authorize("trash", "read"), async (req, res) => {
+  try {
+    const { type, projectId } = req.query;
+    const items = (await loadTrash())
+      .filter(item => !trash.isExpired(item))
+      .filter(item => canAccessTrashItem(req.user, item))
+      .filter(item => !type || item.type === type)
+      .filter(item => !projectId || item.projectId === projectId)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+    res.json(items.map(trash.summarize));
+  } catch (err) {
+    console.error("Çöp kutusu yüklenirken hata:", err);
+    res.status(500).json({ error: "Çöp kutusu yüklenemedi" });
+  }
 });
+
+// Öğeyi geri yükle (bağlı kayıtlarıyla birlikte)
+app.post("/api/trash/:id/restore", authorize("trash", "update"), lockCollections(...trash.TRASH_COLLECTIONS), async (req, res) => {
+  try {
+    const collections = await loadCollections(trash.TRASH_COLLECTIONS);
+    const item = collections.data.trash.find(i => i.id === req.params.id && !trash.isExpired(i));
+
+    if (!item || !canAccessTrashItem(req.user, item)) {
+      return res.status(404).json({ error: "Çöp kutusu öğesi bulunamadı" });
+    }
+    if (!can(req.user, trash.TRASH_RESOURCES[item.type], "create")) {
+      return res.status(403).json({ error: "Bu işlem için yetkiniz yok" });
+    }
+
+    const error = trash.restoreItem(collections.data, item);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+
+    collections.data.trash = collections.data.trash.filter(i => i.id !== item.id);
+    await saveChangedCollections(collections);
+
+    res.json({ success: true, message: "Geri yüklendi", item: trash.summarize(item) });
+  } catch (err) {
+    console.error("Çöp kutusu öğesi geri yüklenirken hata:", err);
+    res.status(500).json({ error: "Geri yüklenemedi" });
+  }
+});
+
+// Öğeyi kalıcı olarak sil
+app.delete("/api/trash/:id", authorize("trash", "delete"), lockCollections("trash"), async (req, res) => {
+  try {
+    const items = await loadTrash();
+    const item = items.find(i => i.id === req.params.id);
+
+    if (!item || !canAccessTrashItem(req.user, item)) {
+      return res.status(404).json({ error: "Çöp kutusu öğesi bulunamadı" });
+    }
+    if (!can(req.user, trash.TRASH_RESOURCES[item.type], "delete")) {
+      return res.status(403).json({ error: "Bu işlem için yetkiniz yok" });
+    }
+
+    await saveTrash(items.filter(i => i.id !== item.id));
+    res.json({ success: true, message: "Kalıcı olarak silindi" });
+  } catch (err) {
+    console.error("Çöp kutusu öğesi silinirken hata:", err);
+    res.status(500).json({ error: "Kalıcı olarak silinemedi" });
+  }
+});
+
+// ===== BAKIM =====
+
+// Var olmayan proje/karakter/görsele bağlı kayıtları raporla; { "cleanup": true } ile temizle
+app.post("/api/maintenance/orphans", authorize("maintenance", "update"), lockCollections(...integrity.INTEGRITY_COLLECTIONS), async (req, res) => {
+  try {
+    const cleanup = req.body && req.body.cleanup === true;
+    const collections = await loadCollections(integrity.INTEGRITY_COLLECTIONS);
+    const orphans = integrity.findOrphans(collections.data);
+
+    let removed = {};
+    if (cleanup && orphans.length > 0) {
+      removed = integrity.removeOrphans(collections.data, orphans);
+      await saveChangedCollections(collections);
+    }
+
+    res.json({ orphans, cleanup, removed });
+  } catch (err) {
+    console.error("Sahipsiz kayıtlar kontrol edilirken hata:", err);
+    res.status(500).json({ error: "Sahipsiz kayıtlar kontrol edilemedi" });
+  }
+});
+
+const PORT = process.env.PORT || 4000;
+// Çöp kutusu saatte bir temizlenir
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Storage hazır olmadan istek kabul edilmez; başlatılamazsa süreç hata koduyla kapanır
+let server = null;
+// Kullanıcı adıyla kaydedilmiş eski chat mesajlarını kullanıcı id'sine taşı
+async function migrateChatAuthors() {
+  const messages = await loadChatMessages();
+  const migrated = chat.migrateMessageAuthors(messages, await loadUsers());
+  if (migrated > 0) {
+    await saveChatMessages(messages);
+    console.log(`${migrated} chat mesajının yazarı kullanıcı id'sine taşındı`);
+  }
+}
+
+async function start() {
+  try {
+    await storage.init();
+  } catch (err) {
+    console.error("Storage başlatılamadı, sunucu kapanıyor:", err);
+    process.exit(1);
+  }
+
+  try {
+    await migrateChatAuthors();
+  } catch (err) {
+    console.error("Chat mesajları taşınırken hata:", err);
+  }
+
+  server = app.listen(PORT, () => {
+    console.log("Server running on", PORT);
+  });
+
+  if (trash.RETENTION_DAYS > 0) {
+    const purge = () => purgeExpiredTrash().catch(err => console.error("Çöp kutusu temizlenirken hata:", err.message));
+    purge();
+    setInterval(purge, TRASH_PURGE_INTERVAL_MS).unref();
+  }
+}
+
+start();
+
+// Render restart/deploy sırasında SIGTERM gönderir - bekleyen commit'leri kaybetmeden kapan
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} alındı, kapanılıyor...`);
+
+  if (server) server.close();
+  try {
+    await storage.shutdown();
+  } catch (err) {
+    console.error("Kapanış sırasında hata:", err.message);
+  }
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
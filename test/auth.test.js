@@ -0,0 +1,140 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.AUTH_SECRET = "test";
+const auth = require("../lib/auth");
+const { startServer } = require("./support/server");
+
+describe("şifre hash'leme", () => {
+  test("hash doğru şifreyle doğrulanır, yanlışla doğrulanmaz", () => {
+    const stored = auth.hashPassword("gizli");
+    assert.ok(auth.isPasswordHash(stored));
+    assert.deepEqual(auth.verifyPassword("gizli", stored), { valid: true, needsRehash: false });
+    assert.equal(auth.verifyPassword("yanlis", stored).valid, false);
+  });
+
+  test("düz metin kayıt doğrulanır ve yeniden hash'lenmesi istenir", () => {
+    assert.deepEqual(auth.verifyPassword("timuku", "timuku"), { valid: true, needsRehash: true });
+    assert.deepEqual(auth.verifyPassword("timuk", "timuku"), { valid: false, needsRehash: false });
+  });
+
+  test("şifre string değilse geçersiz", () => {
+    assert.equal(auth.verifyPassword(undefined, auth.hashPassword("x")).valid, false);
+    assert.equal(auth.verifyPassword("x", null).valid, false);
+  });
+});
+
+describe("token", () => {
+  test("imzalı token doğrulanır ve kullanıcı id'sini taşır", () => {
+    const { token, payload } = auth.signToken({ id: "user-1" });
+    assert.equal(auth.verifyToken(token).sub, "user-1");
+    assert.equal(payload.exp - payload.iat, auth.TOKEN_TTL_SECONDS);
+  });
+
+  test("imzası bozulmuş token reddedilir", () => {
+    const { token } = auth.signToken({ id: "user-1" });
+    const [encoded, signature] = token.split(".");
+    assert.equal(auth.verifyToken(`${encoded}.bozuk`), null);
+
+    // Payload değiştirilip eski imza kullanılırsa
+    const forged = Buffer.from(JSON.stringify({ sub: "admin", jti: "x", exp: 9999999999 })).toString("base64url");
+    assert.equal(auth.verifyToken(`${forged}.${signature}`), null);
+    assert.equal(auth.verifyToken("token-degil"), null);
+  });
+
+  test("token sürümü artırılınca kullanıcının eski token'ları geçersiz olur", () => {
+    const user = { id: "user-1" };
+    const { payload } = auth.signToken(user);
+    assert.equal(payload.ver, 0);
+    assert.ok(auth.isTokenCurrent(payload, user));
+
+    auth.revokeTokens(user);
+    assert.equal(user.tokenVersion, 1);
+    assert.ok(!auth.isTokenCurrent(payload, user));
+    assert.ok(auth.isTokenCurrent(auth.signToken(user).payload, user));
+    // Sürüm alanı olmayan eski token'lar 0 sayılır
+    assert.ok(auth.isTokenCurrent({ sub: "user-2" }, { id: "user-2" }));
+  });
+
+  test("Bearer header'ı ayrıştırılır", () => {
+    assert.equal(auth.getBearerToken({ headers: { authorization: "Bearer abc" } }), "abc");
+    assert.equal(auth.getBearerToken({ headers: { authorization: "Basic abc" } }), null);
+    assert.equal(auth.getBearerToken({ headers: {} }), null);
+  });
+});
+
+describe("auth endpoint'leri", () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(async () => { await server.stop(); });
+
+  test("giriş, me ve çıkış", async () => {
+    const login = await server.request("POST", "/api/auth/login", { body: { username: "timuku", password: "timuku" } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.username, "timuku");
+    assert.equal(login.body.user.password, undefined);
+
+    const { token } = login.body;
+    const me = await server.request("GET", "/api/auth/me", { token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.id, "user-timuku-001");
+
+    assert.equal((await server.request("POST", "/api/auth/logout", { token })).status, 200);
+    assert.equal((await server.request("GET", "/api/auth/me", { token })).status, 401);
+  });
+
+  test("çıkış kullanıcının tüm token'larını kalıcı olarak geçersiz kılar", async () => {
+    const admin = await server.login("timuku");
+    const created = await server.request("POST", "/api/users", { token: admin, body: { username: "oturum", password: "oturum", role: "user" } });
+    assert.equal(created.status, 200);
+
+    const first = await server.login("oturum");
+    const second = await server.login("oturum");
+    assert.equal((await server.request("POST", "/api/auth/logout", { token: first })).status, 200);
+    assert.equal((await server.request("GET", "/api/auth/me", { token: second })).status, 401);
+
+    // Sürüm users koleksiyonunda saklanır, restart sonrası da eski token'lar geçersizdir
+    const users = JSON.parse(require("fs").readFileSync(require("path").join(server.dir, "data", "users.json"), "utf8"));
+    assert.equal(users.find(u => u.id === created.body.id).tokenVersion, 1);
+
+    const fresh = await server.login("oturum");
+    assert.equal((await server.request("GET", "/api/auth/me", { token: fresh })).status, 200);
+  });
+
+  test("şifre değişince açık oturumlar kapanır", async () => {
+    const admin = await server.login("timuku");
+    const created = await server.request("POST", "/api/users", { token: admin, body: { username: "sifreci", password: "eski", role: "user" } });
+    const login = await server.request("POST", "/api/auth/login", { body: { username: "sifreci", password: "eski" } });
+    assert.equal((await server.request("PUT", `/api/users/${created.body.id}`, { token: admin, body: { password: "yeni" } })).status, 200);
+    assert.equal((await server.request("GET", "/api/auth/me", { token: login.body.token })).status, 401);
+  });
+
+  test("hatalı şifre 401, eksik alan 400 döner", async () => {
+    const wrong = await server.request("POST", "/api/auth/login", { body: { username: "timuku", password: "yanlis" } });
+    assert.equal(wrong.status, 401);
+    const missing = await server.request("POST", "/api/auth/login", { body: { username: "timuku" } });
+    assert.equal(missing.status, 400);
+  });
+
+  test("kullanıcı adı kırpılarak kaydedilir ve tekrar kullanılamaz", async () => {
+    const token = await server.login("timuku");
+    const created = await server.request("POST", "/api/users", { token, body: { username: "  yeni  ", password: "yeni", role: "user" } });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.username, "yeni");
+
+    const duplicate = await server.request("POST", "/api/users", { token, body: { username: " timuku ", password: "x", role: "user" } });
+    assert.equal(duplicate.status, 400);
+    assert.match(duplicate.body.error, /zaten kullanılıyor/);
+    const renamed = await server.request("PUT", `/api/users/${created.body.id}`, { token, body: { username: "merycim " } });
+    assert.equal(renamed.status, 400);
+    assert.equal((await server.request("PUT", `/api/users/${created.body.id}`, { token, body: { username: "   " } })).status, 400);
+    assert.equal((await server.request("POST", "/api/auth/login", { body: { username: "yeni", password: "yeni" } })).status, 200);
+  });
+
+  test("düz metin şifre ilk girişte hash'lenir", async () => {
+    await server.login("merycim");
+    const users = require("fs").readFileSync(require("path").join(server.dir, "data", "users.json"), "utf8");
+    const merycim = JSON.parse(users).find(u => u.username === "merycim");
+    assert.ok(auth.isPasswordHash(merycim.password));
+  });
+});
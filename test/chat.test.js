@@ -0,0 +1,158 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const chat = require("../lib/chat");
+const { startServer } = require("./support/server");
+
+const PROJECT_ID = "proje-mioy5tos-jelgwb";
+
+function messages() {
+  return [
+    { id: "m3", projectId: null, createdAt: "2024-01-01T10:02:00.000Z" },
+    { id: "m1", createdAt: "2024-01-01T10:00:00.000Z" },
+    { id: "p1", projectId: "p", createdAt: "2024-01-01T10:01:00.000Z" },
+    { id: "m2a", createdAt: "2024-01-01T10:01:00.000Z" },
+    { id: "m2b", createdAt: "2024-01-01T10:01:00.000Z" }
+  ];
+}
+
+describe("chat kanalları", () => {
+  test("kanalsız eski mesajlar genel kanaldadır, aynı zamanlılar kayıt sırasıyla", () => {
+    assert.deepEqual(chat.channelMessages(messages(), null).map(m => m.id), ["m1", "m2a", "m2b", "m3"]);
+    assert.deepEqual(chat.channelMessages(messages(), "p").map(m => m.id), ["p1"]);
+  });
+
+  test("sayfalar imleçle geriye doğru okunur", () => {
+    const sorted = chat.channelMessages(messages(), null);
+    const latest = chat.pageMessages(sorted, { before: null, limit: 3 });
+    assert.deepEqual(latest.messages.map(m => m.id), ["m2a", "m2b", "m3"]);
+    assert.equal(latest.hasMore, true);
+    assert.equal(latest.nextBefore, "m2a");
+
+    const older = chat.pageMessages(sorted, { before: latest.nextBefore, limit: 3 });
+    assert.deepEqual(older.messages.map(m => m.id), ["m1"]);
+    assert.equal(older.hasMore, false);
+    assert.equal(older.nextBefore, null);
+    assert.equal(chat.pageMessages(sorted, { before: "p1", limit: 3 }), null);
+  });
+
+  test("limit 1 ile üst sınır arasında tam sayı olmalı", () => {
+    assert.deepEqual(chat.parsePageQuery({}), { page: { before: null, limit: 50 } });
+    assert.deepEqual(chat.parsePageQuery({ before: "m1", limit: "10" }), { page: { before: "m1", limit: 10 } });
+    for (const limit of ["0", "201", "2.5", "çok"]) {
+      assert.ok(chat.parsePageQuery({ limit }).error, limit);
+    }
+  });
+
+  test("mesaj oturumdaki kullanıcı adına oluşturulur", () => {
+    const message = chat.createMessage("Merhaba", { id: "u1", username: "luna" }, "p");
+    assert.deepEqual(
+      { userId: message.userId, username: message.username, projectId: message.projectId, editedAt: message.editedAt },
+      { userId: "u1", username: "luna", projectId: "p", editedAt: null }
+    );
+    assert.ok(chat.isAuthor(message, { id: "u1", username: "luna" }));
+    assert.equal(chat.isAuthor({ userId: "luna" }, { id: "u1", username: "luna" }), false);
+    assert.equal(chat.isAuthor(message, { id: "u2", username: "ryan" }), false);
+  });
+
+  test("kullanıcı adıyla kaydedilmiş mesajlar kullanıcı id'sine taşınır", () => {
+    const users = [{ id: "u1", username: "luna" }, { id: "luna-2", username: "ryan" }];
+    const messages = [{ userId: "luna" }, { userId: "u1" }, { userId: "luna-2" }, { userId: "silinmis" }];
+
+    assert.equal(chat.migrateMessageAuthors(messages, users), 1);
+    assert.deepEqual(messages.map(m => m.userId), ["u1", "u1", "luna-2", "silinmis"]);
+    assert.equal(chat.migrateMessageAuthors(messages, users), 0);
+  });
+});
+
+describe("chat endpoint'leri", () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  test("genel kanal sayfa sayfa okunur", async () => {
+    const latest = await server.request("GET", "/api/chat/messages?limit=4", { token });
+    assert.equal(latest.status, 200);
+    assert.equal(latest.body.length, 4);
+    assert.equal(latest.headers.get("x-has-more"), "true");
+
+    const older = await server.request("GET", `/api/chat/messages?limit=4&before=${latest.headers.get("x-next-before")}`, { token });
+    assert.equal(older.body.length, 2);
+    assert.equal(older.headers.get("x-has-more"), "false");
+    assert.equal(older.headers.get("x-next-before"), null);
+    assert.equal((await server.request("GET", "/api/chat/messages?before=yok", { token })).status, 400);
+  });
+
+  test("proje kanalı ayrıdır, gönderen oturumdaki kullanıcıdır", async () => {
+    const url = `/api/projects/${PROJECT_ID}/chat/messages`;
+    const sent = await server.request("POST", url, { token, body: { message: "  Proje notu ", userId: "sahte", username: "sahte" } });
+    assert.equal(sent.status, 200);
+    assert.equal(sent.body.message, "Proje notu");
+    assert.equal(sent.body.userId, "user-timuku-001");
+    assert.equal(sent.body.projectId, PROJECT_ID);
+
+    assert.deepEqual((await server.request("GET", url, { token })).body.map(m => m.id), [sent.body.id]);
+    assert.ok(!(await server.request("GET", "/api/chat/messages?limit=200", { token })).body.some(m => m.id === sent.body.id));
+    assert.equal((await server.request("GET", "/api/projects/yok/chat/messages", { token })).status, 404);
+  });
+
+  test("yalnızca kendi mesajı düzenlenir ve silinir", async () => {
+    const all = (await server.request("GET", "/api/chat/messages", { token })).body;
+    const own = all.find(m => m.username === "timuku");
+    const other = all.find(m => m.username === "merycim");
+
+    const edited = await server.request("PATCH", `/api/chat/messages/${own.id}`, { token, body: { message: "Düzeltildi" } });
+    assert.equal(edited.status, 200);
+    assert.ok(edited.body.editedAt);
+    assert.equal((await server.request("PATCH", `/api/chat/messages/${other.id}`, { token, body: { message: "x" } })).status, 403);
+    assert.equal((await server.request("DELETE", `/api/chat/messages/${other.id}`, { token })).status, 403);
+
+    assert.equal((await server.request("DELETE", `/api/chat/messages/${own.id}`, { token })).status, 200);
+    assert.equal((await server.request("DELETE", `/api/chat/messages/${own.id}`, { token })).status, 404);
+  });
+
+  test("proje silinince kanalı çöp kutusuna gider, geri yüklenince döner", async () => {
+    const url = `/api/projects/${PROJECT_ID}/chat/messages`;
+    const sent = await server.request("POST", url, { token, body: { message: "Silinmeden önce" } });
+
+    const deleted = await server.request("DELETE", `/api/projects/${PROJECT_ID}`, { token });
+    assert.equal(deleted.status, 200);
+    assert.ok(deleted.body.removed.chatMessages >= 1);
+    const orphans = await server.request("POST", "/api/maintenance/orphans", { token });
+    assert.ok(!orphans.body.orphans.some(o => o.collection === "chatMessages"));
+
+    assert.equal((await server.request("POST", `/api/trash/${deleted.body.trashId}/restore`, { token })).status, 200);
+    assert.ok((await server.request("GET", url, { token })).body.some(m => m.id === sent.body.id));
+  });
+});
+
+describe("eski chat mesajlarının taşınması", () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      files: {
+        "chat-messages.json": [
+          { id: "msg_eski", userId: "timuku", username: "timuku", message: "Eski", createdAt: "2025-12-02T11:23:23.214Z" }
+        ]
+      }
+    });
+  });
+  after(async () => { await server.stop(); });
+
+  test("açılışta yazar id'ye taşınır ve mesaj düzenlenebilir", async () => {
+    const stored = JSON.parse(fs.readFileSync(path.join(server.dir, "data", "chat-messages.json"), "utf8"));
+    assert.equal(stored[0].userId, "user-timuku-001");
+
+    const token = await server.login("timuku");
+    const edited = await server.request("PATCH", "/api/chat/messages/msg_eski", { token, body: { message: "Yeni" } });
+    assert.equal(edited.status, 200);
+    const other = await server.login("merycim");
+    assert.equal((await server.request("DELETE", "/api/chat/messages/msg_eski", { token: other })).status, 403);
+  });
+});
@@ -0,0 +1,75 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { etagFor, ifMatchSatisfied } = require("../lib/etag");
+const { startServer } = require("./support/server");
+
+const PROJECT_ID = "proje-mioy5tos-jelgwb";
+
+describe("ETag yardımcıları", () => {
+  test("aynı içerik aynı, farklı içerik farklı ETag üretir", () => {
+    assert.equal(etagFor({ a: 1 }), etagFor({ a: 1 }));
+    assert.notEqual(etagFor({ a: 1 }), etagFor({ a: 2 }));
+    assert.match(etagFor([]), /^"[\w-]+"$/);
+  });
+
+  test("If-Match yoksa veya * ise kontrol geçer", () => {
+    assert.ok(ifMatchSatisfied({ headers: {} }, etagFor(1)));
+    assert.ok(ifMatchSatisfied({ headers: { "if-match": "*" } }, etagFor(1)));
+  });
+
+  test("If-Match listesinde güncel ETag aranır, weak önek yok sayılır", () => {
+    const current = etagFor({ v: 2 });
+    assert.ok(ifMatchSatisfied({ headers: { "if-match": `"eski", ${current}` } }, current));
+    assert.ok(ifMatchSatisfied({ headers: { "if-match": `W/${current}` } }, current));
+    assert.equal(ifMatchSatisfied({ headers: { "if-match": etagFor({ v: 1 }) } }, current), false);
+  });
+});
+
+describe("If-Match ile eşzamanlı düzenleme", () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  test("senaryo: eski ETag ile kayıt 409 ve güncel kopyayı döner", async () => {
+    const url = `/api/projects/${PROJECT_ID}/scenario`;
+    const initial = await server.request("GET", url, { token });
+    const etag = initial.headers.get("etag");
+    assert.equal(etag, etagFor(initial.body));
+
+    const chapters = initial.body.chapters.map((chapter, i) => (i === 0 ? { ...chapter, title: "Yeni başlık" } : chapter));
+    const saved = await server.request("PUT", url, { token, body: { chapters }, headers: { "If-Match": etag } });
+    assert.equal(saved.status, 200);
+    assert.notEqual(saved.headers.get("etag"), etag);
+
+    const stale = await server.request("PUT", url, { token, body: initial.body, headers: { "If-Match": etag } });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.etag, saved.headers.get("etag"));
+    assert.equal(stale.body.current.chapters[0].title, "Yeni başlık");
+  });
+
+  test("If-Match gönderilmezse kayıt her zaman yapılır", async () => {
+    const url = `/api/projects/${PROJECT_ID}/scenario`;
+    const current = await server.request("GET", url, { token });
+    const saved = await server.request("PUT", url, { token, body: { chapters: current.body.chapters } });
+    assert.equal(saved.status, 200);
+  });
+
+  test("todo listesi ve ilişkiler de ETag döner", async () => {
+    const todos = await server.request("GET", `/api/projects/${PROJECT_ID}/todos`, { token });
+    assert.equal(todos.headers.get("etag"), etagFor(todos.body));
+    const relationships = await server.request("GET", `/api/projects/${PROJECT_ID}/relationships`, { token });
+    assert.equal(relationships.headers.get("etag"), etagFor(relationships.body));
+
+    const stale = await server.request("PUT", `/api/projects/${PROJECT_ID}/todos`, {
+      token,
+      body: todos.body,
+      headers: { "If-Match": '"eski"' }
+    });
+    assert.equal(stale.status, 409);
+  });
+});
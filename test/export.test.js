@@ -0,0 +1,134 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const exporter = require("../lib/export");
+const { readZip } = require("./support/read-zip");
+const { startServer } = require("./support/server");
+
+const PROJECT_ID = "proje-mioy5tos-jelgwb";
+
+function input(overrides = {}) {
+  return {
+    project: { id: "p1", name: "Gece <Yarısı>", description: "Kısa özet" },
+    chapters: [
+      { id: "b2", title: "İkinci", content: "", x: 0, y: 200, parts: [] },
+      {
+        id: "b1",
+        title: "Birinci",
+        content: "Giriş",
+        x: 0,
+        y: 0,
+        parts: [
+          { id: "p2", title: "Sonra", content: "RYAN\n\nİkinci satır", x: 300, y: 0 },
+          { id: "p1", title: "Önce", content: "Luna & Ryan", x: 0, y: 0 }
+        ]
+      }
+    ],
+    characters: null,
+    template: null,
+    ...overrides
+  };
+}
+
+describe("doküman modeli", () => {
+  test("list sırası korunur, position sırası panodaki konuma göredir", () => {
+    assert.deepEqual(exporter.buildDocument(input()).chapters.map(c => c.title), ["İkinci", "Birinci"]);
+
+    const doc = exporter.buildDocument(input({ order: "position" }));
+    assert.deepEqual(doc.chapters.map(c => c.title), ["Birinci", "İkinci"]);
+    assert.deepEqual(doc.chapters[0].parts.map(p => p.title), ["Önce", "Sonra"]);
+  });
+
+  test("karakter eki boş alanları atlar, şablon alanlarını ekler", () => {
+    const doc = exporter.buildDocument(input({
+      characters: [{ id: "c1", firstName: "Luna", age: 19, traits: [], customFields: { boy: 165, goz: "" } }],
+      template: { fields: [{ key: "boy", label: "Boy" }, { key: "goz", label: "Göz" }] }
+    }));
+    assert.deepEqual(doc.characters, [{ name: "Luna", fields: [{ label: "Yaş", value: "19" }, { label: "Boy", value: "165" }] }]);
+  });
+});
+
+describe("biçimler", () => {
+  test("Markdown başlık seviyeleri ve paragraflar", () => {
+    const { body, extension } = exporter.exportScenario("md", input());
+    assert.equal(extension, "md");
+    assert.match(body, /^# Gece <Yarısı>\n\nKısa özet\n/);
+    assert.match(body, /## Birinci\n\nGiriş\n\n### Sonra\n\nRYAN\n\nİkinci satır\n/);
+  });
+
+  test("HTML metni kaçışlar", () => {
+    const { body } = exporter.exportScenario("html", input());
+    assert.match(body, /<title>Gece &lt;Yarısı&gt;<\/title>/);
+    assert.match(body, /<p>Luna &amp; Ryan<\/p>/);
+  });
+
+  test("Fountain özel anlamı olan satırları aksiyona çevirir", () => {
+    const { body } = exporter.exportScenario("fountain", input());
+    assert.match(body, /^Title: Gece <Yarısı>\nNotes:\n {4}Kısa özet\n/);
+    assert.match(body, /> BİRİNCİ <\n\n= Giriş\n\n\.SONRA\n\n!RYAN\n\nİkinci satır\n/);
+  });
+
+  test("EPUB sıkıştırılmamış mimetype ile başlar ve her bölüm bir sayfadır", () => {
+    const { body, contentType } = exporter.exportScenario("epub", input(), { identifier: "urn:test", modified: new Date(Date.UTC(2024, 0, 1)) });
+    assert.equal(contentType, "application/epub+zip");
+
+    const entries = readZip(body);
+    assert.deepEqual(entries.map(e => e.name), [
+      "mimetype",
+      "META-INF/container.xml",
+      "OEBPS/content.opf",
+      "OEBPS/nav.xhtml",
+      "OEBPS/title.xhtml",
+      "OEBPS/chapter-1.xhtml",
+      "OEBPS/chapter-2.xhtml"
+    ]);
+    assert.equal(entries[0].method, 0);
+    const opf = entries[2].content;
+    assert.match(opf, /<dc:identifier id="uid">urn:test<\/dc:identifier>/);
+    assert.match(opf, /<meta property="dcterms:modified">2024-01-01T00:00:00Z<\/meta>/);
+    assert.match(entries[6].content, /<h3>Önce<\/h3>\n<p>Luna &amp; Ryan<\/p>/);
+  });
+});
+
+describe("format kontrolü", () => {
+  test("prototip anahtarları ve dizi değerler format sayılmaz", () => {
+    assert.equal(exporter.isExportFormat("epub"), true);
+    for (const format of ["constructor", "toString", "__proto__", ["md"], undefined]) {
+      assert.equal(exporter.isExportFormat(format), false);
+      assert.throws(() => exporter.exportScenario(format, input()), /Bilinmeyen format/);
+    }
+  });
+});
+
+describe("dışa aktarma endpoint'i", () => {
+  const url = `/api/projects/${PROJECT_ID}/scenario/export`;
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  test("Markdown indirme başlıklarıyla döner", async () => {
+    const res = await server.request("GET", `${url}?format=md&characters=true`, { token });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/markdown/);
+    assert.match(res.headers.get("content-disposition"), /^attachment; filename="[a-z0-9-]+\.md"; filename\*=UTF-8''/);
+    assert.match(res.text, /## Deneme/);
+    assert.match(res.text, /### Luna Moon/);
+  });
+
+  test("EPUB ikili olarak döner", async () => {
+    const res = await server.request("GET", `${url}?format=epub`, { token });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/epub+zip");
+  });
+
+  test("bilinmeyen format veya sıralama 400 döner", async () => {
+    assert.equal((await server.request("GET", `${url}?format=docx`, { token })).status, 400);
+    assert.equal((await server.request("GET", `${url}?format=constructor`, { token })).status, 400);
+    assert.equal((await server.request("GET", `${url}?format=md&format=html`, { token })).status, 400);
+    assert.equal((await server.request("GET", `${url}?order=alfabetik`, { token })).status, 400);
+  });
+});
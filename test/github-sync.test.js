@@ -0,0 +1,129 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { startMockGitHub } = require("./support/mock-github");
+
+const PROJECT_ID = "proje-mioy5tos-jelgwb";
+
+// Uzak tarafta başka bir instance'ın yaptığı commit'i taklit eder
+async function commitRemote(github, filePath, change) {
+  const remote = await github.fetchFile(filePath);
+  const value = change(JSON.parse(remote.content));
+  await github.commitFiles([{ path: filePath, content: JSON.stringify(value, null, 2) }], "Uzak değişiklik");
+}
+
+describe("GitHub backend senkronizasyonu", () => {
+  let mock;
+  let tempDir;
+  let github;
+  let syncQueue;
+  let backend;
+  let COLLECTIONS;
+
+  before(async () => {
+    mock = await startMockGitHub({ MOCK_SEED_DIR: path.join(__dirname, "..", "data") });
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "character-backend-github-"));
+    Object.assign(process.env, {
+      GITHUB_API_URL: mock.url,
+      GITHUB_TOKEN: "test",
+      SYNC_QUEUE_FILE: path.join(tempDir, "sync-queue.json"),
+      SYNC_RECONCILE_INTERVAL_MS: "0",
+      SYNC_DEBOUNCE_MS: "60000"
+    });
+
+    github = require("../lib/github");
+    syncQueue = require("../lib/sync-queue");
+    ({ COLLECTIONS } = require("../lib/storage/collections"));
+    const { createGitHubStorage } = require("../lib/storage/github");
+    backend = createGitHubStorage({ dataDir: tempDir, collections: COLLECTIONS, withLock: (names, fn) => fn() });
+    await backend.init();
+  });
+
+  after(async () => {
+    await mock.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("SYNC_QUEUE_FILE verilmeden açılmaz", async () => {
+    const { createGitHubStorage } = require("../lib/storage/github");
+    const queueFile = process.env.SYNC_QUEUE_FILE;
+    delete process.env.SYNC_QUEUE_FILE;
+    try {
+      const other = createGitHubStorage({ dataDir: tempDir, collections: COLLECTIONS, withLock: (names, fn) => fn() });
+      await assert.rejects(other.init(), /SYNC_QUEUE_FILE/);
+    } finally {
+      process.env.SYNC_QUEUE_FILE = queueFile;
+    }
+  });
+
+  test("açılışta GitHub'daki dosyalar local cache'e alınır", async () => {
+    const projects = JSON.parse(fs.readFileSync(path.join(tempDir, "projects.json"), "utf8"));
+    assert.equal(projects[0].id, PROJECT_ID);
+    assert.ok(syncQueue.getBase("data/projects.json").sha);
+  });
+
+  test("farklı kayıtlardaki local ve uzak değişiklikler merge edilip commit edilir", async () => {
+    const characters = await backend.read(COLLECTIONS.characters);
+    const [first, second] = characters[PROJECT_ID];
+    characters[PROJECT_ID][0] = { ...first, firstName: "Yerel" };
+    await backend.write(COLLECTIONS.characters, characters);
+
+    await commitRemote(github, "data/characters.json", value => {
+      value[PROJECT_ID][1] = { ...second, firstName: "Uzak" };
+      return value;
+    });
+
+    await syncQueue.flushAll();
+    const merged = JSON.parse((await github.fetchFile("data/characters.json")).content);
+    assert.equal(merged[PROJECT_ID][0].firstName, "Yerel");
+    assert.equal(merged[PROJECT_ID][1].firstName, "Uzak");
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(tempDir, "characters.json"), "utf8")), merged);
+  });
+
+  test("restart sonrası bellekte olmayan base içeriği sha ile GitHub'dan okunup merge edilir", async () => {
+    const base = syncQueue.getBase("data/characters.json");
+    delete base.content; // diske sadece sha yazıldığı için restart sonrası böyle yüklenir
+
+    const characters = await backend.read(COLLECTIONS.characters);
+    const [first, second] = characters[PROJECT_ID];
+    characters[PROJECT_ID][0] = { ...first, lastName: "Yerel soyad" };
+    await backend.write(COLLECTIONS.characters, characters);
+    await commitRemote(github, "data/characters.json", value => {
+      value[PROJECT_ID][1] = { ...second, lastName: "Uzak soyad" };
+      return value;
+    });
+
+    await syncQueue.flushAll();
+    const merged = JSON.parse((await github.fetchFile("data/characters.json")).content);
+    assert.equal(merged[PROJECT_ID][0].lastName, "Yerel soyad");
+    assert.equal(merged[PROJECT_ID][1].lastName, "Uzak soyad");
+  });
+
+  test("aynı alan iki tarafta değişirse dosya conflict'te bekletilir ve seçilen tarafla çözülür", async () => {
+    const projects = await backend.read(COLLECTIONS.projects);
+    await backend.write(COLLECTIONS.projects, [{ ...projects[0], name: "Yerel ad" }]);
+    await commitRemote(github, "data/projects.json", value => [{ ...value[0], name: "Uzak ad" }]);
+
+    await syncQueue.flushAll();
+    const status = syncQueue.getStatus().find(s => s.path === "data/projects.json");
+    assert.equal(status.state, "conflict");
+    assert.equal(status.conflicts[0].path, `/${PROJECT_ID}/name`);
+    assert.equal(JSON.parse((await github.fetchFile("data/projects.json")).content)[0].name, "Uzak ad");
+
+    assert.ok(await backend.resolveConflict("data/projects.json", "local"));
+    await syncQueue.flushAll();
+    assert.equal(JSON.parse((await github.fetchFile("data/projects.json")).content)[0].name, "Yerel ad");
+    assert.equal(syncQueue.getStatus().find(s => s.path === "data/projects.json").state, "synced");
+  });
+
+  test("GitHub'dan okunamayan dosya varsayılan değerle değil hatayla sonuçlanır", async () => {
+    await github.commitFiles([{ path: "data/todos.json", content: "{bozuk" }], "Bozuk todos");
+    fs.rmSync(path.join(tempDir, "todos.json"), { force: true });
+
+    await assert.rejects(backend.read(COLLECTIONS.todos), /todos\.json GitHub'dan yüklenemedi/);
+    assert.equal(fs.existsSync(path.join(tempDir, "todos.json")), false);
+  });
+});
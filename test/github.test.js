@@ -0,0 +1,47 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { startMockGitHub } = require("./support/mock-github");
+
+describe("GitHub istemcisi (mock sunucu ile)", () => {
+  let mock;
+  let github;
+
+  before(async () => {
+    // character-images.json contents API sınırını aşar ve blob API'den okunmalıdır
+    mock = await startMockGitHub({ MOCK_SEED_DIR: path.join(__dirname, "..", "data"), MOCK_CONTENTS_SIZE_LIMIT: "20000" });
+    process.env.GITHUB_API_URL = mock.url;
+    process.env.GITHUB_TOKEN = "test";
+    github = require("../lib/github");
+  });
+  after(async () => { await mock.stop(); });
+
+  test("seed edilen dosya okunur, olmayan dosya null döner", async () => {
+    const file = await github.fetchFile("data/projects.json");
+    assert.equal(JSON.parse(file.content)[0].id, "proje-mioy5tos-jelgwb");
+    assert.match(file.sha, /^[0-9a-f]{40}$/);
+    assert.equal(await github.fetchFile("data/yok.json"), null);
+  });
+
+  test("contents API sınırını aşan dosya blob API'den tam olarak okunur", async () => {
+    const file = await github.fetchFile("data/character-images.json");
+    const expected = fs.readFileSync(path.join(__dirname, "..", "data", "character-images.json"), "utf8");
+    assert.ok(expected.length > 20000);
+    assert.equal(file.content, expected);
+    assert.equal(file.sha, github.blobSha(expected));
+  });
+
+  test("birden fazla dosya tek commit'te gönderilir", async () => {
+    const result = await github.commitFiles([
+      { path: "data/todos.json", content: "{}" },
+      { path: "data/settings.json", content: "{\"theme\":\"dark\"}" }
+    ], "Update todos.json, settings.json");
+
+    const [head] = await mock.commits();
+    assert.equal(head.sha, result.sha);
+    assert.deepEqual(head.files.sort(), ["data/settings.json", "data/todos.json"]);
+    assert.equal((await github.fetchFile("data/settings.json")).content, "{\"theme\":\"dark\"}");
+  });
+});
@@ -0,0 +1,114 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { GRAPH_FORMATS, exportGraph, importGraph, formatFromFilename, isGraphFormat } = require("../lib/graph-formats");
+const { startServer } = require("./support/server");
+
+// Kaçış gerektiren karakterler (tırnak, ters bölü, satır sonu, <, &, Türkçe harfler) bilerek kullanıldı
+const graph = {
+  characters: [
+    { id: "c1", groupId: "g1", position: { x: 10.5, y: -20 } },
+    { id: "c2", groupId: null },
+    { id: "c3", groupId: "g2", position: { x: 0, y: 300 } }
+  ],
+  groups: [
+    { id: "g1", name: "Kahramanlar", color: "#ff0000" },
+    { id: "g2", name: "Kötü \"adamlar\" & <dostları>", color: "#00ff00" }
+  ],
+  relationships: [
+    {
+      id: "r1",
+      from: "c1",
+      to: "c2",
+      type: "dost; \"eski\" \\ yeni",
+      strength: 80,
+      history: [{ chapterId: "ch1", type: "düşman", strength: 10, note: "satır 1\nsatır \\n 2" }]
+    },
+    { id: "r2", from: "c2", to: "c3", type: "aile" }
+  ]
+};
+
+const byId = list => [...list].sort((a, b) => a.id.localeCompare(b.id));
+
+for (const format of Object.keys(GRAPH_FORMATS)) {
+  test(`${format} dışa aktarılıp geri okununca grafik korunur`, () => {
+    const exported = exportGraph(format, graph, { id: "proje-1", label: "Proje \"1\"" });
+    assert.equal(exported.contentType, GRAPH_FORMATS[format].contentType);
+
+    const { graph: imported, error } = importGraph(format, exported.body);
+    assert.equal(error, undefined);
+    // DOT'ta düğümler grup kümelerine göre yazıldığından sıra korunmaz
+    assert.deepEqual(byId(imported.characters), byId(graph.characters));
+    assert.deepEqual(byId(imported.groups), byId(graph.groups));
+    assert.deepEqual(imported.relationships, graph.relationships);
+  });
+
+  test(`${format} içe aktarmada bozuk dosya hata döner`, () => {
+    const { error } = importGraph(format, format === "jgf" ? "{" : "<graphml><graph>");
+    assert.equal(typeof error, "string");
+  });
+}
+
+test("dosya başındaki BOM yok sayılır", () => {
+  const body = exportGraph("jgf", graph, { id: "p", label: "p" }).body;
+  assert.deepEqual(importGraph("jgf", "\uFEFF" + body).graph.relationships, graph.relationships);
+});
+
+test("prototip anahtarları format olarak kabul edilmez", () => {
+  for (const format of ["constructor", "toString", "__proto__", ["graphml"]]) {
+    assert.equal(isGraphFormat(format), false);
+    assert.ok(importGraph(format, "{}").error);
+    assert.throws(() => exportGraph(format, graph, { id: "p", label: "p" }));
+  }
+});
+
+test("format dosya uzantısından bulunur", () => {
+  assert.equal(formatFromFilename("iliskiler.GraphML"), "graphml");
+  assert.equal(formatFromFilename("iliskiler.gv"), "dot");
+  assert.equal(formatFromFilename("iliskiler.json"), "jgf");
+  assert.equal(formatFromFilename("iliskiler.txt"), null);
+});
+
+describe("ilişki dışa/içe aktarma endpoint'leri", () => {
+  const url = "/api/projects/proje-mioy5tos-jelgwb/relationships";
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  function upload(name, content) {
+    const form = new FormData();
+    form.append("file", new Blob([content]), name);
+    return form;
+  }
+
+  test("eski düğümlü grafik dışa aktarılır ama karakterlere bağlanmadan geri yüklenemez", async () => {
+    const exported = await server.request("GET", `${url}/export?format=jgf`, { token });
+    assert.equal(exported.status, 200);
+    assert.match(exported.headers.get("content-disposition"), /\.json"/);
+
+    const imported = await server.request("POST", `${url}/import`, { token, body: upload("iliskiler.json", exported.text) });
+    assert.equal(imported.status, 400);
+  });
+
+  test("taşınmış grafik her formatta aynı haliyle geri yüklenir", async () => {
+    await server.request("POST", `${url}/migrate`, { token, body: { dropUnmatched: true } });
+    const before = (await server.request("GET", url, { token })).body;
+
+    for (const [format, name] of [["graphml", "a.graphml"], ["dot", "a.gv"], ["jgf", "a.json"]]) {
+      const exported = await server.request("GET", `${url}/export?format=${format}`, { token });
+      const imported = await server.request("POST", `${url}/import`, { token, body: upload(name, exported.text) });
+      assert.equal(imported.status, 200, format);
+      assert.deepEqual(imported.body.relationship.relationships, before.relationships);
+    }
+  });
+
+  test("bilinmeyen format ve bozuk dosya 400 döner", async () => {
+    assert.equal((await server.request("GET", `${url}/export?format=csv`, { token })).status, 400);
+    assert.equal((await server.request("GET", `${url}/export?format=constructor`, { token })).status, 400);
+    assert.equal((await server.request("POST", `${url}/import`, { token, body: upload("a.txt", "x") })).status, 400);
+    assert.equal((await server.request("POST", `${url}/import`, { token, body: upload("a.graphml", "<graphml>") })).status, 400);
+  });
+});
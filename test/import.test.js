@@ -0,0 +1,105 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const importer = require("../lib/import");
+const exporter = require("../lib/export");
+const { startServer } = require("./support/server");
+
+const PROJECT_ID = "proje-mioy5tos-jelgwb";
+
+const outline = chapters => chapters.map(c => [c.title, c.content, c.parts.map(p => [p.title, p.content])]);
+
+describe("metin ayrıştırma", () => {
+  test("dosya uzantısından format bulunur", () => {
+    assert.equal(importer.importFormat("Taslak.MD"), "md");
+    assert.equal(importer.importFormat("notlar.markdown"), "md");
+    assert.equal(importer.importFormat("senaryo.txt"), "txt");
+    assert.equal(importer.importFormat("senaryo.docx"), null);
+  });
+
+  test("Markdown başlıkları bölüm ve parça olur, paragraf satırları birleşir", () => {
+    const text = "﻿Önsöz\r\n\r\n# Bir\r\nGiriş\r\nsatırı\r\n\r\nİkinci paragraf\r\n## Sahne\r\nMetin\r\n```\r\n# kod\r\n```\r\n# İki\r\n### Derin\r\n";
+    assert.deepEqual(outline(importer.parseScenarioText(text, "md", "dosya")), [
+      ["dosya", "Önsöz", []],
+      ["Bir", "Giriş satırı\nİkinci paragraf", [["Sahne", "Metin ``` # kod ```"]]],
+      ["İki", "### Derin", []]
+    ]);
+  });
+
+  test("tek üst başlık belge başlığı sayılır", () => {
+    const text = "# Proje\n\nAçıklama\n\n## Bölüm\n\n### Parça\n\nMetin";
+    assert.deepEqual(outline(importer.parseScenarioText(text, "md")), [["Bölüm", "", [["Parça", "Metin"]]]]);
+  });
+
+  test("düz metinde Bölüm/Sahne satırları başlık olur, satırlar ayrı kalır", () => {
+    const text = "Bölüm 1: Başlangıç\nİlk satır\nİkinci satır\nSahne 1\nOrman\nScene 2\nEv";
+    assert.deepEqual(outline(importer.parseScenarioText(text, "txt")), [
+      ["Bölüm 1: Başlangıç", "İlk satır\nİkinci satır", [["Sahne 1", "Orman"], ["Scene 2", "Ev"]]]
+    ]);
+  });
+
+  test("Markdown dışa aktarımı aynı yapıyla geri okunur", () => {
+    const chapters = [
+      { id: "b1", title: "Bir", content: "Giriş", parts: [{ id: "p1", title: "Orman", content: "Birinci\nİkinci" }] },
+      { id: "b2", title: "İki", content: "", parts: [] }
+    ];
+    const { body } = exporter.exportScenario("md", { project: { id: "p", name: "Proje" }, chapters });
+    assert.deepEqual(outline(importer.parseScenarioText(body, "md")), [
+      ["Bir", "Giriş", [["Orman", "Birinci\nİkinci"]]],
+      ["İki", "", []]
+    ]);
+  });
+});
+
+describe("panoya yerleştirme", () => {
+  test("yeni bölümler mevcut kartların altına satır satır dizilir", () => {
+    const chapters = [{ id: "b0", title: "Var", parts: [{ id: "p0", x: 40, y: 500, height: 100 }], x: 40, y: 70 }];
+    const imported = importer.importChapters(chapters, [
+      { title: "Bir", content: "", parts: [{ title: "A", content: "" }, { title: "B", content: "" }] },
+      { title: "İki", content: "", parts: [] }
+    ]);
+
+    assert.equal(chapters.length, 3);
+    assert.deepEqual(imported.map(c => [c.x, c.y]), [[40, 640], [40, 920]]);
+    assert.deepEqual(imported[0].parts.map(p => [p.x, p.y]), [[340, 640], [640, 640]]);
+  });
+});
+
+describe("içe aktarma endpoint'i", () => {
+  const url = `/api/projects/${PROJECT_ID}/scenario`;
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  function upload(name, content, mode) {
+    const form = new FormData();
+    form.append("file", new Blob([content]), name);
+    if (mode) form.append("mode", mode);
+    return form;
+  }
+
+  test("append mevcut bölümlere ekler, replace yerine koyar", async () => {
+    const before = (await server.request("GET", url, { token })).body.chapters;
+
+    const appended = await server.request("POST", `${url}/import`, { token, body: upload("yeni.md", "# Ek\n\n## Parça\n\nMetin") });
+    assert.equal(appended.status, 200);
+    assert.deepEqual(appended.body.imported, { chapters: 1, parts: 1 });
+    assert.equal(appended.body.scenario.chapters.length, before.length + 1);
+
+    const replaced = await server.request("POST", `${url}/import`, { token, body: upload("taslak.txt", "Bölüm 1\nMetin", "replace") });
+    assert.equal(replaced.status, 200);
+    assert.deepEqual((await server.request("GET", url, { token })).body.chapters.map(c => c.title), ["Bölüm 1"]);
+    assert.ok(replaced.body.revision);
+  });
+
+  test("desteklenmeyen dosya, boş dosya ve geçersiz mode 400 döner", async () => {
+    assert.equal((await server.request("POST", `${url}/import`, { token, body: upload("a.docx", "x") })).status, 400);
+    assert.equal((await server.request("POST", `${url}/import`, { token, body: upload("a.md", "\n\n") })).status, 400);
+    assert.equal((await server.request("POST", `${url}/import`, { token, body: upload("a.md", "x", "merge") })).status, 400);
+    assert.equal((await server.request("POST", `${url}/import`, { token, body: new FormData() })).status, 400);
+  });
+});
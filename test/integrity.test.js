@@ -0,0 +1,152 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const integrity = require("../lib/integrity");
+const { startServer } = require("./support/server");
+
+function fixture() {
+  return {
+    projects: [{ id: "p1" }, { id: "p2" }],
+    characters: {
+      p1: [{ id: "c1", mainImageId: "i1" }, { id: "c2", mainImageId: "silinmis", mainImageUrl: "u" }],
+      p2: [{ id: "c3" }],
+      eski: [{ id: "c9" }]
+    },
+    characterImages: { c1: [{ id: "i1" }, { id: "i2" }], c3: [], c9: [{ id: "i9" }] },
+    users: [{ id: "u1", projects: ["p1", "p2"] }, { id: "u2", projects: ["eski"] }],
+    chatMessages: [{ id: "m1" }, { id: "m2", projectId: "p1" }, { id: "m3", projectId: null }, { id: "m4", projectId: "eski" }],
+    characterTemplates: { p1: { fields: [] } },
+    scenarios: { p1: { chapters: [] }, eski: { chapters: [] } },
+    scenarioRevisions: { p1: [{ id: "rev-1", number: 1, chapters: [] }] },
+    relationships: { p1: { characters: [], groups: [], relationships: [] } },
+    todos: { p2: { items: [] } }
+  };
+}
+
+describe("bağımlı kayıtlar", () => {
+  test("projeye bağlı kayıtlar sayılır", () => {
+    assert.deepEqual(integrity.projectDependents(fixture(), "p1"), {
+      characters: 2,
+      characterImages: 2,
+      characterTemplates: 1,
+      scenarios: 1,
+      scenarioRevisions: 1,
+      relationships: 1,
+      chatMessages: 1
+    });
+    assert.deepEqual(integrity.projectDependents(fixture(), "p2"), { characters: 1, todos: 1 });
+  });
+
+  test("karaktere bağlı görseller, senaryo bağlantıları ve grafik kayıtları sayılır", () => {
+    assert.deepEqual(integrity.characterDependents(fixture(), "p1", "c1"), { characterImages: 2 });
+    assert.deepEqual(integrity.characterDependents(fixture(), "p1", "c2"), {});
+
+    const data = fixture();
+    data.scenarios.p1.chapters = [{ id: "b1", parts: [{ id: "x1", characterIds: ["c2"] }, { id: "x2", characterIds: ["c1", "c2"] }] }];
+    data.relationships.p1 = {
+      characters: [{ id: "c1" }, { id: "c2" }],
+      groups: [],
+      relationships: [{ id: "r1", from: "c1", to: "c2" }]
+    };
+    const dependents = integrity.characterDependents(data, "p1", "c2");
+    assert.deepEqual(dependents, { scenarios: 2, relationships: 2 });
+
+    const { characters, ...removed } = integrity.removeCharacter(data, "p1", "c2");
+    assert.equal(characters, 1);
+    assert.deepEqual(removed, dependents);
+  });
+});
+
+describe("cascade silme", () => {
+  test("proje karakterleri, galerileri, dokümanları, chat kanalı ve üyelikleriyle silinir", () => {
+    const data = fixture();
+    const removed = integrity.removeProject(data, "p1");
+    assert.deepEqual(removed, {
+      projects: 1,
+      characterImages: 2,
+      characters: 2,
+      characterTemplates: 1,
+      scenarios: 1,
+      scenarioRevisions: 1,
+      relationships: 1,
+      chatMessages: 1,
+      users: 1
+    });
+    assert.deepEqual(data.projects, [{ id: "p2" }]);
+    assert.equal(data.characters.p1, undefined);
+    assert.equal(data.characterImages.c1, undefined);
+    assert.deepEqual(data.users[0].projects, ["p2"]);
+    assert.deepEqual(data.scenarios, { eski: { chapters: [] } });
+    assert.deepEqual(data.scenarioRevisions, {});
+    assert.deepEqual(data.chatMessages.map(m => m.id), ["m1", "m3", "m4"]);
+  });
+
+  test("karakter galerisiyle silinir, diğer karakterlere dokunulmaz", () => {
+    const data = fixture();
+    assert.deepEqual(integrity.removeCharacter(data, "p1", "c1"), { characters: 1, characterImages: 2 });
+    assert.deepEqual(data.characters.p1.map(c => c.id), ["c2"]);
+    assert.equal(data.characterImages.c1, undefined);
+    assert.deepEqual(integrity.removeCharacter(data, "p1", "yok"), {});
+  });
+});
+
+describe("sahipsiz kayıtlar", () => {
+  test("var olmayan proje, karakter ve görsele bağlı kayıtlar bulunur", () => {
+    const orphans = integrity.findOrphans(fixture());
+    assert.deepEqual(orphans, [
+      { collection: "characters", key: "eski", reason: "missing_project", count: 1 },
+      { collection: "scenarios", key: "eski", reason: "missing_project", count: 1 },
+      { collection: "characterImages", key: "c9", reason: "missing_character", count: 1 },
+      { collection: "characters", key: "p1", id: "c2", field: "mainImageId", reason: "missing_image", count: 1 },
+      { collection: "chatMessages", key: "eski", reason: "missing_project", count: 1 },
+      { collection: "users", key: "eski", id: "u2", field: "projects", reason: "missing_project", count: 1 }
+    ]);
+  });
+
+  test("temizlikten sonra sahipsiz kayıt kalmaz", () => {
+    const data = fixture();
+    const removed = integrity.removeOrphans(data, integrity.findOrphans(data));
+    assert.deepEqual(removed, { characters: 2, scenarios: 1, characterImages: 1, chatMessages: 1, users: 1 });
+    assert.deepEqual(data.chatMessages.map(m => m.id), ["m1", "m2", "m3"]);
+    assert.deepEqual(integrity.findOrphans(data), []);
+    assert.equal(data.characters.p1[1].mainImageId, null);
+    assert.deepEqual(data.users[1].projects, []);
+  });
+});
+
+describe("silme endpoint'leri", () => {
+  const PROJECT_ID = "proje-mioy5tos-jelgwb";
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  test("block modunda bağımlı kaydı olan proje silinmez", async () => {
+    const response = await server.request("DELETE", `/api/projects/${PROJECT_ID}?mode=block`, { token });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.dependents.characters, 10);
+    assert.equal((await server.request("DELETE", `/api/projects/${PROJECT_ID}?mode=sil`, { token })).status, 400);
+  });
+
+  test("orphan raporu data/ içindeki sahipsiz proje-1 karakterlerini bulur", async () => {
+    const report = await server.request("POST", "/api/maintenance/orphans", { token });
+    assert.equal(report.status, 200);
+    assert.ok(report.body.orphans.some(o => o.collection === "characters" && o.key === "proje-1"));
+    assert.equal(report.body.cleanup, false);
+
+    const cleaned = await server.request("POST", "/api/maintenance/orphans", { token, body: { cleanup: true } });
+    assert.ok(cleaned.body.removed.characters >= 2);
+    const after = await server.request("POST", "/api/maintenance/orphans", { token });
+    assert.deepEqual(after.body.orphans, []);
+  });
+
+  test("cascade modunda proje bağlı kayıtlarıyla silinir", async () => {
+    const response = await server.request("DELETE", `/api/projects/${PROJECT_ID}?mode=cascade`, { token });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.removed.characters, 10);
+    assert.deepEqual((await server.request("GET", "/api/projects", { token })).body, []);
+  });
+});
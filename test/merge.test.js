@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeDocuments } = require("../lib/merge");
+
+const base = [
+  { id: "a", name: "Luna", age: 20 },
+  { id: "b", name: "Ryan", age: 25 }
+];
+
+test("iki tarafta farklı alanlar değişince birleştirir", () => {
+  const local = [{ id: "a", name: "Luna", age: 21 }, base[1]];
+  const remote = [{ id: "a", name: "Luna Star", age: 20 }, base[1]];
+
+  const { value, conflicts } = mergeDocuments(base, local, remote);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(value, [{ id: "a", name: "Luna Star", age: 21 }, base[1]]);
+});
+
+test("aynı alan iki tarafta farklı değişince conflict raporlar", () => {
+  const local = [{ id: "a", name: "Luna", age: 21 }, base[1]];
+  const remote = [{ id: "a", name: "Luna", age: 22 }, base[1]];
+
+  const { conflicts } = mergeDocuments(base, local, remote);
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].path, "/a/age");
+  assert.equal(conflicts[0].reason, "both_modified");
+  assert.equal(conflicts[0].local, 21);
+  assert.equal(conflicts[0].remote, 22);
+});
+
+test("iki tarafta eklenen kayıtları korur, remote'takiler sona eklenir", () => {
+  const local = [...base, { id: "c", name: "Local" }];
+  const remote = [{ id: "d", name: "Remote" }, ...base];
+
+  const { value, conflicts } = mergeDocuments(base, local, remote);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(value.map(r => r.id), ["a", "b", "c", "d"]);
+});
+
+test("diğer tarafta değişmemiş kaydın silinmesi uygulanır", () => {
+  const local = [base[0]];
+  const { value, conflicts } = mergeDocuments(base, local, base);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(value, [base[0]]);
+
+  const remote = [base[1]];
+  assert.deepEqual(mergeDocuments(base, base, remote).value, [base[1]]);
+});
+
+test("bir tarafta silinip diğerinde değişen kayıt conflict olur", () => {
+  const local = [base[0]];
+  const remote = [base[0], { id: "b", name: "Ryan", age: 26 }];
+
+  const { value, conflicts } = mergeDocuments(base, local, remote);
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].path, "/b");
+  assert.equal(conflicts[0].reason, "deleted_locally_modified_remotely");
+  assert.deepEqual(value.map(r => r.id), ["a", "b"]);
+
+  const reverse = mergeDocuments(base, remote, local);
+  assert.equal(reverse.conflicts[0].reason, "deleted_remotely_modified_locally");
+});
+
+test("proje anahtarlı dokümanlarda anahtar bazında birleştirir ve silmeleri uygular", () => {
+  const docBase = { p1: { chapters: [] }, p2: { chapters: [] } };
+  const local = { p1: { chapters: [{ id: "c1", title: "Giriş" }] }, p2: { chapters: [] } };
+  const remote = { p1: { chapters: [] } };
+
+  const { value, conflicts } = mergeDocuments(docBase, local, remote);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(value, { p1: { chapters: [{ id: "c1", title: "Giriş" }] } });
+});
+
+test("base yoksa (ilk senkron) eşit olmayan değerler conflict olur", () => {
+  const { conflicts } = mergeDocuments(undefined, { theme: "dark" }, { theme: "light" });
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].path, "/theme");
+});
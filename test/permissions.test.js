@@ -0,0 +1,142 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { can, authorize, isProjectMember, requireProjectMember } = require("../lib/permissions");
+const { startServer } = require("./support/server");
+
+const admin = { id: "a", role: "admin", projects: [] };
+const superuser = { id: "s", role: "superuser", projects: ["proje-1"] };
+
+// authorize middleware'ini sahte req/res ile çalıştır
+function runMiddleware(middleware, req) {
+  const result = { status: 200, body: null, nextCalled: false };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  middleware(req, res, () => { result.nextCalled = true; });
+  return result;
+}
+
+describe("rol yetkileri", () => {
+  test("admin her kaynakta her aksiyona sahip", () => {
+    assert.ok(can(admin, "users", "delete"));
+    assert.ok(can(admin, "projects", "create"));
+  });
+
+  test("superuser projeleri sadece okur, kullanıcıları yönetemez", () => {
+    assert.ok(can(superuser, "projects", "read"));
+    assert.equal(can(superuser, "projects", "delete"), false);
+    assert.equal(can(superuser, "users", "read"), false);
+    assert.ok(can(superuser, "characters", "update"));
+    assert.ok(can(superuser, "chat", "create"));
+  });
+
+  test("bilinmeyen rol ve oturumsuz kullanıcı hiçbir şey yapamaz", () => {
+    assert.equal(can({ role: "misafir" }, "projects", "read"), false);
+    assert.equal(can(null, "projects", "read"), false);
+  });
+
+  test("authorize oturum yoksa 401, yetki yoksa 403 döner", () => {
+    const middleware = authorize("users", "read");
+    assert.equal(runMiddleware(middleware, {}).status, 401);
+    assert.equal(runMiddleware(middleware, { user: superuser }).status, 403);
+    assert.ok(runMiddleware(middleware, { user: admin }).nextCalled);
+  });
+
+  test("bilinmeyen kaynak tanımlanırken hata verir", () => {
+    assert.throws(() => authorize("yok", "read"));
+    assert.throws(() => authorize("users", "sil"));
+  });
+});
+
+describe("proje üyeliği", () => {
+  test("admin tüm projelerin üyesi sayılır", () => {
+    assert.ok(isProjectMember(admin, "proje-2"));
+    assert.ok(isProjectMember(superuser, "proje-1"));
+    assert.equal(isProjectMember(superuser, "proje-2"), false);
+    assert.equal(isProjectMember(null, "proje-1"), false);
+  });
+
+  test("requireProjectMember üye olmayana 403 döner", () => {
+    assert.equal(runMiddleware(requireProjectMember, { user: superuser, params: { projectId: "proje-2" } }).status, 403);
+    assert.ok(runMiddleware(requireProjectMember, { user: superuser, params: { projectId: "proje-1" } }).nextCalled);
+    assert.equal(runMiddleware(requireProjectMember, { params: { projectId: "proje-1" } }).status, 401);
+  });
+});
+
+describe("route yetkileri", () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(async () => { await server.stop(); });
+
+  test("oturumsuz istek 401 döner", async () => {
+    assert.equal((await server.request("GET", "/api/projects")).status, 401);
+  });
+
+  test("superuser kullanıcı listesini göremez, admin görür", async () => {
+    const superToken = await server.login("gawain");
+    const adminToken = await server.login("timuku");
+    assert.equal((await server.request("GET", "/api/users", { token: superToken })).status, 403);
+    assert.equal((await server.request("GET", "/api/users", { token: adminToken })).status, 200);
+  });
+});
+
+describe("proje üyeliği route'ları", () => {
+  const PROJECT_ID = "proje-mioy5tos-jelgwb";
+  const CHARACTER_ID = "mipl0jjt-eg7z3x";
+  const IMAGE_ID = "img-miq0x53b-bev6p1";
+  let server;
+  let memberToken;
+  let outsiderToken;
+
+  before(async () => {
+    server = await startServer({
+      files: {
+        "users.json": [
+          { id: "user-uye", username: "uye", password: "uye", role: "superuser", projects: [PROJECT_ID] },
+          { id: "user-yabanci", username: "yabanci", password: "yabanci", role: "superuser", projects: ["proje-1"] }
+        ]
+      }
+    });
+    memberToken = await server.login("uye");
+    outsiderToken = await server.login("yabanci");
+  });
+  after(async () => { await server.stop(); });
+
+  test("proje listesi üyeliğe göre süzülür", async () => {
+    const member = await server.request("GET", "/api/projects", { token: memberToken });
+    assert.deepEqual(member.body.map(p => p.id), [PROJECT_ID]);
+    const outsider = await server.request("GET", "/api/projects", { token: outsiderToken });
+    assert.deepEqual(outsider.body, []);
+  });
+
+  test("üye olunmayan projenin karakterleri 403 döner", async () => {
+    const url = `/api/projects/${PROJECT_ID}/characters`;
+    assert.equal((await server.request("GET", url, { token: outsiderToken })).status, 403);
+    assert.equal((await server.request("GET", url, { token: memberToken })).status, 200);
+  });
+
+  test("görsel route'ları karakterin projesine göre kontrol edilir", async () => {
+    const listUrl = `/api/characters/${CHARACTER_ID}/images`;
+    assert.equal((await server.request("GET", listUrl, { token: outsiderToken })).status, 403);
+    assert.equal((await server.request("GET", listUrl, { token: memberToken })).status, 200);
+
+    const update = await server.request("PUT", `/api/images/${IMAGE_ID}`, { token: outsiderToken, body: { title: "Değişti" } });
+    assert.equal(update.status, 403);
+    const batch = await server.request("POST", "/api/images/batch-delete", { token: outsiderToken, body: { imageIds: [IMAGE_ID] } });
+    assert.equal(batch.status, 403);
+    assert.equal((await server.request("DELETE", `/api/images/${IMAGE_ID}`, { token: outsiderToken })).status, 403);
+
+    const images = await server.request("GET", listUrl, { token: memberToken });
+    assert.ok(images.body.some(img => img.id === IMAGE_ID && img.title !== "Değişti"));
+  });
+
+  test("superuser genel kanalı ve sadece üyesi olduğu projelerin kanallarını kullanır", async () => {
+    const url = `/api/projects/${PROJECT_ID}/chat/messages`;
+    assert.equal((await server.request("POST", "/api/chat/messages", { token: outsiderToken, body: { message: "Selam" } })).status, 200);
+    assert.equal((await server.request("POST", url, { token: memberToken, body: { message: "Proje notu" } })).status, 200);
+    assert.equal((await server.request("GET", url, { token: outsiderToken })).status, 403);
+    assert.equal((await server.request("POST", url, { token: outsiderToken, body: { message: "Sızma" } })).status, 403);
+  });
+});
@@ -0,0 +1,102 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyzeGraph } = require("../lib/relationship-analysis");
+const { startServer } = require("./support/server");
+
+const PROJECT_ID = "proje-mioy5tos-jelgwb";
+
+// a - b - c zinciri, b -> a farklı tipte; d yalnız; e ile f ayrı bir küme
+function graph() {
+  return {
+    characters: [
+      { id: "a", name: "A", groupId: "g1" },
+      { id: "b", name: "B", groupId: "g2" },
+      { id: "c", name: "C", groupId: "g2" },
+      { id: "d", name: "D" },
+      { id: "e", name: "E", groupId: null },
+      { id: "f", name: "F", groupId: "g1" }
+    ],
+    groups: [{ id: "g1" }, { id: "g2" }],
+    relationships: [
+      { id: "r1", from: "a", to: "b", type: "love", strength: 80 },
+      { id: "r2", from: "b", to: "a", type: "friend", strength: 80 },
+      { id: "r3", from: "b", to: "c", type: "friend", strength: 40 },
+      { id: "r4", from: "e", to: "f", type: "rival" },
+      { id: "r5", from: "a", to: "kayip", type: "friend", strength: 100 },
+      { id: "r6", from: "c", to: "c", type: "self", strength: 100 }
+    ]
+  };
+}
+
+describe("ilişki analizi", () => {
+  test("derece ve ağırlıklı merkezilik, kopuk ve kendine ilişkiler sayılmaz", () => {
+    const { characters } = analyzeGraph(graph());
+    assert.deepEqual(characters.map(c => c.characterId), ["b", "a", "c", "e", "f", "d"]);
+
+    const b = characters[0];
+    assert.deepEqual(
+      { degree: b.degree, inDegree: b.inDegree, outDegree: b.outDegree, weightedDegree: b.weightedDegree, centrality: b.centrality },
+      { degree: 2, inDegree: 1, outDegree: 2, weightedDegree: 200, centrality: 0.2 }
+    );
+    assert.equal(characters.find(c => c.characterId === "d").groupId, null);
+    assert.equal(characters.find(c => c.characterId === "e").weightedDegree, 0);
+  });
+
+  test("en kısa yol yön gözetmeden bulunur, yoksa null", () => {
+    const { path } = analyzeGraph(graph(), { from: "c", to: "a" });
+    assert.deepEqual(path.characterIds, ["c", "b", "a"]);
+    assert.deepEqual(path.relationships.map(r => r.id), ["r3", "r1"]);
+    assert.equal(path.length, 2);
+
+    assert.equal(analyzeGraph(graph(), { from: "a", to: "d" }).path, null);
+    assert.deepEqual(analyzeGraph(graph(), { from: "d", to: "d" }).path, { characterIds: ["d"], relationships: [], length: 0 });
+    assert.equal(analyzeGraph(graph()).path, null);
+  });
+
+  test("kümeler büyükten küçüğe, grupları ile", () => {
+    const { clusters } = analyzeGraph(graph());
+    assert.deepEqual(clusters.map(c => [[...c.characterIds].sort(), c.groupIds.sort()]), [
+      [["a", "b", "c"], ["g1", "g2"]],
+      [["e", "f"], ["g1"]],
+      [["d"], []]
+    ]);
+  });
+
+  test("gruplar arası ve asimetrik ilişkiler", () => {
+    const analysis = analyzeGraph(graph());
+    assert.deepEqual(analysis.crossGroupRelationships.map(r => [r.id, r.fromGroupId, r.toGroupId]), [
+      ["r1", "g1", "g2"],
+      ["r2", "g2", "g1"]
+    ]);
+    assert.deepEqual(analysis.asymmetricPairs, [{
+      characterIds: ["a", "b"],
+      forward: { id: "r1", type: "love", strength: 80 },
+      backward: { id: "r2", type: "friend", strength: 80 },
+      differences: ["type"]
+    }]);
+  });
+});
+
+describe("analiz endpoint'i", () => {
+  const url = `/api/projects/${PROJECT_ID}/relationships/analysis`;
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  test("kayıtlı grafik analiz edilir, yol istenebilir", async () => {
+    const res = await server.request("GET", `${url}?from=char-1764850303623&to=char-1764857817549`, { token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.characters.length, 7);
+    assert.deepEqual(res.body.path.characterIds, ["char-1764850303623", "char-1764851113925", "char-1764857817549"]);
+  });
+
+  test("tek uçlu yol 400, grafikte olmayan karakter 404 döner", async () => {
+    assert.equal((await server.request("GET", `${url}?from=char-1764850303623`, { token })).status, 400);
+    assert.equal((await server.request("GET", `${url}?from=yok&to=char-1764850303623`, { token })).status, 404);
+  });
+});
@@ -0,0 +1,303 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const graphs = require("../lib/relationships");
+const integrity = require("../lib/integrity");
+const trash = require("../lib/trash");
+const { startServer } = require("./support/server");
+
+const PROJECT_ID = "proje-mioy5tos-jelgwb";
+
+const characters = [
+  { id: "c1", firstName: "Luna", lastName: "Moon" },
+  { id: "c2", firstName: "Ryan" },
+  { id: "c3", firstName: "Nova", lastName: "Geek" },
+  { id: "c4", firstName: "Nova", lastName: "Star" }
+];
+
+function graph() {
+  return {
+    characters: [
+      { id: "c1", groupId: "g1" },
+      { id: "c2", groupId: null }
+    ],
+    groups: [{ id: "g1", name: "Tilkiler" }],
+    relationships: [
+      { id: "r1", from: "c1", to: "c2", type: "love" },
+      { id: "r2", from: "c2", to: "c1", type: "friend" }
+    ]
+  };
+}
+
+describe("ilişki grafiği", () => {
+  test("düğümlere güncel karakter adı eklenir, eşleşmeyenin adı korunur", () => {
+    const named = graphs.withNames({ ...graph(), characters: [{ id: "c1" }, { id: "eski", name: "Eski" }] }, characters);
+    assert.deepEqual(named.characters, [{ id: "c1", name: "Luna Moon" }, { id: "eski", name: "Eski" }]);
+  });
+
+  test("bilinmeyen karakter, tekrar eden düğüm, grup ve ilişki ucu raporlanır", () => {
+    const invalid = graph();
+    invalid.characters.push({ id: "c1" }, { id: "yok", groupId: "g9" });
+    invalid.relationships.push({ id: "r3", from: "c1", to: "kayip" });
+
+    assert.deepEqual(graphs.graphErrors(invalid, new Set(["c1", "c2"])), [
+      { field: "characters[2].id", message: "karakter grafikte birden fazla kez var" },
+      { field: "characters[3].id", message: "projede böyle bir karakter yok" },
+      { field: "characters[3].groupId", message: "böyle bir grup yok" },
+      { field: "relationships[2].to", message: "grafikte böyle bir karakter yok" }
+    ]);
+    assert.deepEqual(graphs.graphErrors(graph(), new Set(["c1", "c2"])), []);
+  });
+});
+
+describe("eski düğümlerin taşınması", () => {
+  const legacy = () => ({
+    characters: [
+      { id: "n1", name: "luna moon" },
+      { id: "n2", name: "Ryan" },
+      { id: "n3", name: "Nova" },
+      { id: "n4", name: "Kimse" },
+      { id: "n5", name: "Nova Star" }
+    ],
+    groups: [],
+    relationships: [{ id: "r1", from: "n1", to: "n2" }, { id: "r2", from: "n2", to: "n4" }]
+  });
+
+  test("önce tam adla eşleşir, birden fazla aday belirsizdir", () => {
+    const { matches, unmatched } = graphs.matchNodes(legacy(), characters);
+    assert.deepEqual(matches.map(m => [m.nodeId, m.characterId, m.by]), [
+      ["n1", "c1", "fullName"],
+      ["n2", "c2", "fullName"],
+      ["n5", "c4", "fullName"]
+    ]);
+    assert.deepEqual(unmatched.map(u => [u.nodeId, u.reason, u.candidates.length]), [["n3", "ambiguous", 2], ["n4", "no_match", 0]]);
+  });
+
+  test("mapping isim eşleştirmesinin yerine geçer, aynı karaktere iki düğüm taşınmaz", () => {
+    const { matches, unmatched } = graphs.matchNodes(legacy(), characters, { n3: "c3", n4: "c2", n1: "yok" });
+    assert.deepEqual(matches.map(m => [m.nodeId, m.characterId]), [["n3", "c3"], ["n5", "c4"]]);
+    assert.deepEqual(unmatched.map(u => [u.nodeId, u.reason]), [
+      ["n1", "mapping_character_not_found"],
+      ["n2", "duplicate"],
+      ["n4", "duplicate"]
+    ]);
+  });
+
+  test("eşleşen düğümler karakter id'sine taşınır, istenirse eşleşmeyenler silinir", () => {
+    const migrated = graphs.migrateGraph(legacy(), graphs.matchNodes(legacy(), characters), { dropUnmatched: true });
+    assert.deepEqual(migrated.characters, [{ id: "c1" }, { id: "c2" }, { id: "c4" }]);
+    assert.deepEqual(migrated.relationships, [{ id: "r1", from: "c1", to: "c2" }]);
+  });
+});
+
+describe("karakter silinince grafik", () => {
+  function data() {
+    return {
+      trash: [],
+      projects: [{ id: "p1" }],
+      characters: { p1: characters.slice(0, 2) },
+      characterImages: {},
+      scenarios: {},
+      relationships: { p1: graph() }
+    };
+  }
+
+  test("düğüm ve ilişkileri silinir, geri yüklenince yerlerine döner", () => {
+    const store = data();
+    const item = trash.characterItem(store, "p1", "c1", "u1");
+    assert.deepEqual(integrity.removeCharacter(store, "p1", "c1"), { characters: 1, relationships: 3 });
+    assert.deepEqual(store.relationships.p1.characters, [{ id: "c2", groupId: null }]);
+    assert.deepEqual(store.relationships.p1.relationships, []);
+
+    assert.equal(trash.restoreItem(store, item), null);
+    assert.deepEqual(store.relationships.p1, graph());
+  });
+
+  test("grubu silinmişse düğüm grupsuz döner", () => {
+    const store = data();
+    const item = trash.characterItem(store, "p1", "c1", "u1");
+    integrity.removeCharacter(store, "p1", "c1");
+    store.relationships.p1.groups = [];
+
+    trash.restoreItem(store, item);
+    assert.deepEqual(store.relationships.p1.characters[0], { id: "c1", groupId: null });
+  });
+
+  test("karakteri olmayan düğümler ilişkileriyle sahipsiz sayılır, eski düğümler sayılmaz", () => {
+    const store = {
+      ...data(),
+      characters: { p1: characters.slice(1, 2) },
+      users: [],
+      chatMessages: [],
+      characterTemplates: {},
+      scenarioRevisions: {},
+      todos: {}
+    };
+    store.relationships.p1.characters.push({ id: "char-eski", name: "Juniper", groupId: null });
+    store.relationships.p1.relationships.push({ id: "r3", from: "char-eski", to: "c2", type: "friend" });
+
+    const orphans = integrity.findOrphans(store);
+    assert.deepEqual(orphans, [
+      { collection: "relationships", key: "p1", id: "c1", field: "characters", reason: "missing_character", count: 3 }
+    ]);
+    assert.deepEqual(integrity.removeOrphans(store, orphans), { relationships: 3 });
+    assert.deepEqual(store.relationships.p1.characters.map(node => node.id), ["c2", "char-eski"]);
+    assert.deepEqual(store.relationships.p1.relationships.map(rel => rel.id), ["r3"]);
+  });
+});
+
+describe("bölümlere göre ilişki geçmişi", () => {
+  const chapters = [{ id: "b1" }, { id: "b2" }, { id: "b3" }];
+  const withHistory = history => ({
+    ...graph(),
+    relationships: [{ id: "r1", from: "c1", to: "c2", type: "friend", strength: 20, history }]
+  });
+
+  test("bilinmeyen ve tekrar eden bölüm durumları raporlanır", () => {
+    const errors = graphs.historyErrors(withHistory([{ chapterId: "b1" }, { chapterId: "yok" }, { chapterId: "b1" }]), new Set(["b1", "b2"]));
+    assert.deepEqual(errors, [
+      { field: "relationships[0].history[1].chapterId", message: "senaryoda böyle bir bölüm yok" },
+      { field: "relationships[0].history[2].chapterId", message: "aynı bölüm için birden fazla durum var" }
+    ]);
+  });
+
+  test("bölümdeki durum senaryo sırasındaki son kayıttır", () => {
+    const history = [
+      { chapterId: "b3", type: "rival", strength: 90 },
+      { chapterId: "b2", type: "love", note: "itiraf" },
+      { chapterId: "silinmis", type: "enemy" }
+    ];
+    const at = chapterId => graphs.graphAtChapter(withHistory(history), chapters, chapterId).relationships[0];
+
+    assert.deepEqual(at("b1"), { id: "r1", from: "c1", to: "c2", type: "friend", strength: 20, sinceChapterId: null });
+    assert.deepEqual(at("b2"), { id: "r1", from: "c1", to: "c2", type: "love", strength: 20, note: "itiraf", sinceChapterId: "b2" });
+    assert.equal(at("b3").type, "rival");
+    assert.equal(at("b3").strength, 90);
+    assert.equal(graphs.graphAtChapter(withHistory(history), chapters, "b3").atChapter, "b3");
+  });
+
+  test("kaydedilirken yalnızca aynı ilişkide kayıtlı olan silinmiş bölüm durumları düşer", () => {
+    const stored = {
+      ...graph(),
+      relationships: [
+        { id: "r1", from: "c1", to: "c2", type: "friend", history: [{ chapterId: "silinmis", type: "love" }] },
+        { id: "r2", from: "c2", to: "c1", type: "friend" }
+      ]
+    };
+    const incoming = {
+      ...graph(),
+      relationships: [
+        { id: "r1", from: "c1", to: "c2", type: "friend", history: [{ chapterId: "b1" }, { chapterId: "silinmis", type: "love" }] },
+        { id: "r2", from: "c2", to: "c1", type: "friend", history: [{ chapterId: "silinmis", type: "enemy" }] }
+      ]
+    };
+
+    assert.equal(graphs.dropStaleHistory(incoming, stored, new Set(["b1"])), 1);
+    assert.deepEqual(incoming.relationships[0].history, [{ chapterId: "b1" }]);
+    assert.deepEqual(incoming.relationships[1].history, [{ chapterId: "silinmis", type: "enemy" }]);
+    assert.equal(graphs.historyErrors(incoming, new Set(["b1"])).length, 1);
+  });
+
+  test("silinen bölümlere ait durumlar sahipsiz sayılır ve temizlenir", () => {
+    const data = {
+      projects: [{ id: "p1" }],
+      characters: { p1: characters.slice(0, 2) },
+      characterImages: {},
+      users: [],
+      chatMessages: [],
+      characterTemplates: {},
+      scenarios: { p1: { chapters: [{ id: "b1", parts: [] }] } },
+      scenarioRevisions: {},
+      relationships: { p1: withHistory([{ chapterId: "b1", type: "love" }, { chapterId: "silinmis", type: "enemy" }]) },
+      todos: {}
+    };
+    const orphans = integrity.findOrphans(data);
+    assert.deepEqual(orphans, [
+      { collection: "relationships", key: "p1", id: "r1", field: "history", chapterId: "silinmis", reason: "missing_chapter", count: 1 }
+    ]);
+    integrity.removeOrphans(data, orphans);
+    assert.deepEqual(data.relationships.p1.relationships[0].history, [{ chapterId: "b1", type: "love" }]);
+  });
+});
+
+describe("ilişki endpoint'leri", () => {
+  const url = `/api/projects/${PROJECT_ID}/relationships`;
+  const LUNA_ID = "mipl0jjt-eg7z3x";
+  const NOVA_ID = "mjsmbcs9-8haoj5";
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  test("eski düğümler önce denenir, sonra karakterlere taşınır", async () => {
+    const dryRun = await server.request("POST", `${url}/migrate`, { token, body: { dryRun: true } });
+    assert.equal(dryRun.status, 200);
+    assert.deepEqual(dryRun.body.unmatched.map(u => [u.name, u.reason]), [["Ryan", "no_match"], ["Juniper", "no_match"]]);
+    assert.equal((await server.request("GET", url, { token })).body.characters[0].id, "char-1764850303623");
+
+    const migrated = await server.request("POST", `${url}/migrate`, { token, body: { mapping: { "char-1765178662291": "mqun3z93-v35mkt" } } });
+    assert.equal(migrated.status, 200);
+    assert.equal(migrated.body.matches.length, 6);
+
+    const current = (await server.request("GET", url, { token })).body;
+    assert.deepEqual(current.characters[0], { ...current.characters[0], id: LUNA_ID, name: "Luna Moon" });
+    assert.ok(current.relationships.some(r => r.from === LUNA_ID && r.to === "char-1764851113925"));
+  });
+
+  test("projede olmayan karakter düğümü 400, isimler kaydedilmez", async () => {
+    const invalid = await server.request("PUT", url, {
+      token,
+      body: { characters: [{ id: "yok" }], groups: [], relationships: [] }
+    });
+    assert.equal(invalid.status, 400);
+
+    const saved = await server.request("PUT", url, {
+      token,
+      body: { characters: [{ id: NOVA_ID }], groups: [], relationships: [] }
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.relationship.characters[0].name, "Nova Geek");
+    assert.equal((await server.request("POST", `${url}/migrate`, { token, body: { mapping: [] } })).status, 400);
+  });
+
+  test("geçmiş bölümlere bağlanır ve grafik bir bölüm itibarıyla okunur", async () => {
+    const [first, second] = (await server.request("GET", `/api/projects/${PROJECT_ID}/scenario`, { token })).body.chapters;
+    const body = {
+      characters: [{ id: LUNA_ID }, { id: NOVA_ID }],
+      groups: [],
+      relationships: [{ id: "r1", from: LUNA_ID, to: NOVA_ID, type: "friend", strength: 30, history: [{ chapterId: second.id, type: "love" }] }]
+    };
+    assert.equal((await server.request("PUT", url, { token, body })).status, 200);
+
+    const atFirst = await server.request("GET", `${url}?atChapter=${first.id}`, { token });
+    assert.equal(atFirst.body.relationships[0].type, "friend");
+    const atSecond = await server.request("GET", `${url}?atChapter=${second.id}`, { token });
+    assert.equal(atSecond.body.relationships[0].type, "love");
+    assert.equal(atSecond.body.relationships[0].sinceChapterId, second.id);
+    assert.equal((await server.request("GET", `${url}?atChapter=yok`, { token })).status, 404);
+
+    body.relationships[0].history = [{ chapterId: "yok", type: "love" }];
+    assert.equal((await server.request("PUT", url, { token, body })).status, 400);
+  });
+
+  test("bölüm silinince okunan grafik değiştirilmeden tekrar kaydedilebilir", async () => {
+    const scenarioUrl = `/api/projects/${PROJECT_ID}/scenario`;
+    const chapter = await server.request("POST", `${scenarioUrl}/chapters`, { token, body: { title: "Geçici" } });
+    assert.equal(chapter.status, 200);
+    const body = {
+      characters: [{ id: LUNA_ID }, { id: NOVA_ID }],
+      groups: [],
+      relationships: [{ id: "r1", from: LUNA_ID, to: NOVA_ID, type: "friend", history: [{ chapterId: chapter.body.id, type: "rival" }] }]
+    };
+    assert.equal((await server.request("PUT", url, { token, body })).status, 200);
+    assert.equal((await server.request("DELETE", `${scenarioUrl}/chapters/${chapter.body.id}`, { token })).status, 200);
+
+    const current = (await server.request("GET", url, { token })).body;
+    const saved = await server.request("PUT", url, { token, body: current });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.relationship.relationships[0].history, []);
+  });
+});
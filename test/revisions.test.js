@@ -0,0 +1,148 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.SCENARIO_REVISION_LIMIT = "3";
+const revisions = require("../lib/revisions");
+const { startServer } = require("./support/server");
+
+const PROJECT_ID = "proje-mioy5tos-jelgwb";
+const user = { id: "u1", username: "yazar" };
+
+const chapter = (id, fields = {}, parts = []) => ({ id, title: id, content: "", parts, ...fields });
+
+describe("revizyon kaydı", () => {
+  test("içerik değişmediyse yeni revizyon eklenmez", () => {
+    const list = [];
+    const first = revisions.recordRevision(list, [chapter("b1")], user);
+    assert.equal(first.number, 1);
+    assert.equal(first.authorName, "yazar");
+    assert.equal(revisions.recordRevision(list, [chapter("b1")], user), null);
+    assert.equal(revisions.recordRevision(list, [chapter("b1", { title: "Yeni" })], user).number, 2);
+    assert.equal(list.length, 2);
+  });
+
+  test("sınır aşılınca en eski revizyonlar silinir", () => {
+    const list = [];
+    for (let i = 1; i <= 5; i++) revisions.recordRevision(list, [chapter("b1", { content: String(i) })], user);
+    assert.deepEqual(list.map(r => r.number), [3, 4, 5]);
+  });
+
+  test("önceki revizyonlar sonrakine göre fark olarak saklanır ve tam haliyle okunur", () => {
+    const list = [];
+    const long = { id: "p1", title: "Uzun sahne", content: "x".repeat(1000) };
+    const versions = [
+      [chapter("b1", {}, [long, { id: "p2", content: "a" }]), chapter("b2")],
+      [chapter("b1", {}, [long, { id: "p2", content: "b" }]), chapter("b2")],
+      [chapter("b2", { title: "İki" }), chapter("b1", {}, [long, { id: "p2", content: "b" }])]
+    ];
+    for (const chapters of versions) revisions.recordRevision(list, structuredClone(chapters), user);
+
+    assert.equal(list[0].chapters, undefined);
+    assert.deepEqual(list[0].delta[1], { ref: "b2" });
+    assert.deepEqual(list[0].delta[0].parts, [{ ref: "p1" }, { part: { id: "p2", content: "a" } }]);
+    assert.ok(!JSON.stringify(list.slice(0, 2)).includes(long.content));
+    assert.deepEqual(list.map(r => revisions.findRevision(list, r.id).chapters), versions);
+    assert.equal(revisions.findRevision(list, list[0].id).delta, undefined);
+    assert.equal(revisions.findRevision(list, "rev-yok"), null);
+  });
+
+  test("en eskiler silinse de kalan revizyonlar okunur", () => {
+    const list = [];
+    const versions = [1, 2, 3, 4, 5].map(i => [chapter("b1", { content: String(i) }), chapter("b2")]);
+    for (const chapters of versions) revisions.recordRevision(list, structuredClone(chapters), user);
+    assert.deepEqual(list.map(r => revisions.findRevision(list, r.id).chapters), versions.slice(2));
+  });
+
+  test("her revizyonda tam kopya olan eski kayıtlar okunmaya devam eder", () => {
+    const list = [
+      { id: "rev-1", number: 1, chapters: [chapter("b1")] },
+      { id: "rev-2", number: 2, chapters: [chapter("b1", {}, [{ id: "p1" }])] }
+    ];
+    revisions.recordRevision(list, [chapter("b1", { title: "Yeni" }, [{ id: "p1" }])], user);
+
+    assert.deepEqual(revisions.findRevision(list, "rev-1").chapters, [chapter("b1")]);
+    assert.deepEqual(revisions.findRevision(list, "rev-2").chapters, [chapter("b1", {}, [{ id: "p1" }])]);
+    assert.deepEqual(list.map(r => revisions.summarizeRevision(r).partCount), [0, 1, 1]);
+  });
+
+  test("özet chapters yerine sayıları taşır", () => {
+    const list = [];
+    const revision = revisions.recordRevision(list, [chapter("b1", {}, [{ id: "p1" }, { id: "p2" }]), chapter("b2")], null, { restoredFrom: "rev-x" });
+    const summary = revisions.summarizeRevision(revision);
+    assert.equal(summary.chapters, undefined);
+    assert.equal(summary.delta, undefined);
+    assert.equal(summary.chapterCount, 2);
+    assert.equal(summary.partCount, 2);
+    assert.equal(summary.restoredFrom, "rev-x");
+  });
+});
+
+describe("senaryo farkı", () => {
+  test("eklenen, silinen, değişen ve yer değiştiren bölümleri raporlar", () => {
+    const from = [chapter("b1", { x: 0 }), chapter("b2"), chapter("b3")];
+    const to = [chapter("b2", { title: "İki" }), chapter("b1", { x: 40 }), chapter("b4")];
+    const diff = revisions.diffChapters(from, to);
+
+    assert.deepEqual(diff.added, [{ id: "b4", title: "b4" }]);
+    assert.deepEqual(diff.removed, [{ id: "b3", title: "b3" }]);
+    assert.deepEqual(diff.changed.map(c => [c.id, c.changes.map(ch => ch.field)]), [
+      ["b2", ["position", "title"]],
+      ["b1", ["position", "layout"]]
+    ]);
+    assert.deepEqual(diff.changed[1].changes[1], { field: "layout", from: { x: 0 }, to: { x: 40 } });
+  });
+
+  test("parça değişiklikleri bölümün altında raporlanır", () => {
+    const from = [chapter("b1", {}, [{ id: "p1", content: "a" }])];
+    const to = [chapter("b1", {}, [{ id: "p1", content: "b" }, { id: "p2", title: "Yeni" }])];
+    const [changed] = revisions.diffChapters(from, to).changed;
+
+    assert.deepEqual(changed.changes, []);
+    assert.deepEqual(changed.parts.added, [{ id: "p2", title: "Yeni" }]);
+    assert.deepEqual(changed.parts.changed[0].changes, [{ field: "content", from: "a", to: "b" }]);
+  });
+});
+
+describe("revizyon endpoint'leri", () => {
+  const url = `/api/projects/${PROJECT_ID}/scenario`;
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  test("kayıtlar revizyon olur, fark alınır ve eski revizyona dönülür", async () => {
+    const original = (await server.request("GET", url, { token })).body;
+    const edited = original.chapters.map(c => ({ ...c, title: c.title + " (düzenlendi)" }));
+
+    const saved = await server.request("PUT", url, { token, body: { chapters: edited } });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.revision.number, 2);
+
+    const list = await server.request("GET", `${url}/revisions`, { token });
+    assert.deepEqual(list.body.map(r => r.number), [2, 1]);
+    const [latest, initial] = list.body;
+    assert.equal(latest.authorName, "timuku");
+    assert.equal(initial.authorId, null);
+
+    assert.deepEqual((await server.request("GET", `${url}/revisions/${initial.id}`, { token })).body.chapters, original.chapters);
+
+    const diff = await server.request("GET", `${url}/revisions/diff?from=${initial.id}&to=${latest.id}`, { token });
+    assert.equal(diff.status, 200);
+    assert.deepEqual(diff.body.chapters.changed.map(c => c.id), original.chapters.map(c => c.id));
+    assert.ok(diff.body.chapters.changed.every(c => c.changes[0].field === "title"));
+
+    const restored = await server.request("POST", `${url}/revisions/${initial.id}/restore`, { token });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.revision.restoredFrom, initial.id);
+    assert.deepEqual((await server.request("GET", url, { token })).body.chapters, original.chapters);
+  });
+
+  test("bilinmeyen revizyon 404, from olmadan fark 400 döner", async () => {
+    assert.equal((await server.request("GET", `${url}/revisions/rev-yok`, { token })).status, 404);
+    assert.equal((await server.request("GET", `${url}/revisions/diff`, { token })).status, 400);
+    assert.equal((await server.request("POST", `${url}/revisions/rev-yok/restore`, { token })).status, 404);
+  });
+});
@@ -0,0 +1,249 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const board = require("../lib/scenario");
+const integrity = require("../lib/integrity");
+const trash = require("../lib/trash");
+const { startServer } = require("./support/server");
+
+const PROJECT_ID = "proje-mioy5tos-jelgwb";
+
+function chapters() {
+  return [
+    { id: "b1", title: "Bir", parts: [{ id: "p1" }, { id: "p2" }] },
+    { id: "b2", title: "İki", parts: [] },
+    { id: "b3", title: "Üç" }
+  ];
+}
+
+describe("senaryo panosu", () => {
+  test("bölüm ve parça verilen yere, index yoksa sona eklenir", () => {
+    const list = chapters();
+    const chapter = board.addChapter(list, { title: "Yeni", index: 1 });
+    assert.match(chapter.id, /^chapter-/);
+    assert.deepEqual(chapter.parts, []);
+    assert.equal(chapter.index, undefined);
+    assert.deepEqual(list.map(c => c.id), ["b1", chapter.id, "b2", "b3"]);
+
+    const part = board.addPart(list[3], { title: "Parça" });
+    assert.deepEqual(list[3].parts, [part]);
+    board.addPart(list[0], { title: "Sona", index: 99 });
+    assert.equal(list[0].parts[2].title, "Sona");
+  });
+
+  test("güncelleme alanları yazar ve index ile yer değiştirir", () => {
+    const list = chapters();
+    board.updateItem(list, list[0], { title: "Birinci", index: 2 });
+    assert.deepEqual(list.map(c => c.id), ["b2", "b3", "b1"]);
+    assert.equal(list[2].title, "Birinci");
+    assert.equal(list[2].index, undefined);
+  });
+
+  test("parça başka bölüme taşınır", () => {
+    const list = chapters();
+    board.movePart(list[0], list[0].parts[0], list[2], 0);
+    assert.deepEqual(list[0].parts.map(p => p.id), ["p2"]);
+    assert.deepEqual(list[2].parts.map(p => p.id), ["p1"]);
+  });
+
+  test("sıralama listelenmeyenleri sona bırakır, bilinmeyen id'leri yok sayar", () => {
+    const list = chapters();
+    board.reorder(list, ["b3", "yok", "b3"]);
+    assert.deepEqual(list.map(c => c.id), ["b3", "b1", "b2"]);
+  });
+
+  test("silme ve yerleşim kontrolü", () => {
+    const list = chapters();
+    assert.equal(board.removeById(list, "b2").id, "b2");
+    assert.equal(board.removeById(list, "b2"), null);
+    assert.equal(board.isLayoutOnly({ x: 1, y: 2 }), true);
+    assert.equal(board.isLayoutOnly({ x: 1, title: "a" }), false);
+  });
+});
+
+describe("senaryo panosu endpoint'leri", () => {
+  const url = `/api/projects/${PROJECT_ID}/scenario`;
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  const revisionCount = async () => (await server.request("GET", `${url}/revisions`, { token })).body.length;
+
+  test("bölüm ve parça eklenir, taşınır ve silinir", async () => {
+    const chapter = await server.request("POST", `${url}/chapters`, { token, body: { title: "Son", index: 0 } });
+    assert.equal(chapter.status, 200);
+    const chapterId = chapter.body.id;
+
+    const part = await server.request("POST", `${url}/chapters/${chapterId}/parts`, { token, body: { title: "Parça" } });
+    assert.equal(part.status, 200);
+
+    const current = await server.request("GET", url, { token });
+    assert.equal(current.body.chapters[0].id, chapterId);
+    const targetId = current.body.chapters[1].id;
+
+    const moved = await server.request("POST", `${url}/chapters/${chapterId}/parts/${part.body.id}/move`, {
+      token,
+      body: { toChapterId: targetId, index: 0 }
+    });
+    assert.equal(moved.status, 200);
+    const after = (await server.request("GET", url, { token })).body.chapters;
+    assert.deepEqual(after[0].parts, []);
+    assert.equal(after[1].parts[0].id, part.body.id);
+
+    assert.equal((await server.request("DELETE", `${url}/chapters/${targetId}/parts/${part.body.id}`, { token })).status, 200);
+    assert.equal((await server.request("DELETE", `${url}/chapters/${chapterId}`, { token })).status, 200);
+    assert.equal((await server.request("DELETE", `${url}/chapters/${chapterId}`, { token })).status, 404);
+  });
+
+  test("sadece yerleşim değişikliği revizyon oluşturmaz", async () => {
+    const { chapters: [first] } = (await server.request("GET", url, { token })).body;
+    const before = await revisionCount();
+
+    const dragged = await server.request("PATCH", `${url}/chapters/${first.id}`, { token, body: { x: 500, y: 20 } });
+    assert.equal(dragged.status, 200);
+    assert.equal(dragged.body.x, 500);
+    assert.equal(await revisionCount(), before);
+
+    await server.request("PATCH", `${url}/chapters/${first.id}`, { token, body: { title: "Yeni başlık" } });
+    assert.equal(await revisionCount(), before + 1);
+  });
+
+  test("eski ETag ile düzenleme 409, geçersiz gövde 400 döner", async () => {
+    const current = await server.request("GET", url, { token });
+    await server.request("POST", `${url}/chapters`, { token, body: { title: "Araya giren" } });
+
+    const stale = await server.request("POST", `${url}/chapters`, {
+      token,
+      headers: { "If-Match": current.headers.get("etag") },
+      body: { title: "Geç kalan" }
+    });
+    assert.equal(stale.status, 409);
+    assert.equal((await server.request("POST", `${url}/chapters`, { token, body: { title: 5 } })).status, 400);
+    assert.equal((await server.request("PATCH", `${url}/chapters/reorder`, { token, body: {} })).status, 400);
+  });
+});
+
+describe("karakter bağlantıları", () => {
+  const luna = { id: "c1", firstName: "Luna", lastName: "Moon" };
+  const ryan = { id: "c2", firstName: "Ryan" };
+  const kisa = { id: "c3", firstName: "A", lastName: "Kısa" };
+
+  test("adı kelime olarak geçen karakterler önerilir, bağlı olanlar önerilmez", () => {
+    const part = { title: "Karşılaşma", content: "Luna'nın sesi. Ryan ve Luna lunaparkta. A Kısa geldi.", characterIds: ["c2"] };
+    assert.deepEqual(board.suggestCharacters(part, [luna, ryan, kisa]), [
+      { characterId: "c1", name: "Luna Moon", mentions: 2 },
+      { characterId: "c3", name: "A Kısa", mentions: 1 }
+    ]);
+  });
+
+  test("karakterin geçtiği bölüm ve parçalar bulunur", () => {
+    const chapters = [
+      { id: "b1", title: "Luna", parts: [{ id: "p1", title: "", content: "Ryan", characterIds: ["c1"] }] },
+      { id: "b2", title: "Boş", parts: [{ id: "p2", content: "Luna, Luna" }] },
+      { id: "b3", title: "Yok", parts: [] }
+    ];
+    assert.deepEqual(board.findAppearances(chapters, luna), [
+      { chapterId: "b1", title: "Luna", mentions: 1, parts: [{ partId: "p1", title: "", linked: true, mentions: 0 }] },
+      { chapterId: "b2", title: "Boş", mentions: 0, parts: [{ partId: "p2", title: "", linked: false, mentions: 2 }] }
+    ]);
+  });
+
+  test("bilinmeyen karakter id'leri alan yoluyla raporlanır", () => {
+    const chapters = [{ id: "b1", parts: [{ id: "p1", characterIds: ["c1", "yok"] }] }];
+    assert.deepEqual(board.scenarioCharacterIdErrors(chapters, new Set(["c1"])), [
+      { field: "chapters[0].parts[0].characterIds[1]", message: "projede böyle bir karakter yok" }
+    ]);
+  });
+
+  test("silinen karakterin bağlantıları kaldırılır ve geri yüklenince tekrar bağlanır", () => {
+    const data = {
+      trash: [],
+      projects: [{ id: "p1" }],
+      characters: { p1: [luna, ryan] },
+      characterImages: {},
+      scenarios: { p1: { chapters: [{ id: "b1", parts: [{ id: "p1", characterIds: ["c1", "c2"] }, { id: "p2", characterIds: ["c1"] }] }] } }
+    };
+    const item = trash.characterItem(data, "p1", "c1", "u1");
+    assert.deepEqual(integrity.removeCharacter(data, "p1", "c1"), { characters: 1, scenarios: 2 });
+    const parts = data.scenarios.p1.chapters[0].parts;
+    assert.deepEqual(parts.map(p => p.characterIds), [["c2"], []]);
+
+    assert.equal(trash.restoreItem(data, item), null);
+    assert.deepEqual(parts.map(p => p.characterIds), [["c2", "c1"], ["c1"]]);
+  });
+
+  test("projede olmayan karaktere bağlı parçalar sahipsiz sayılır", () => {
+    const data = {
+      projects: [{ id: "p1" }],
+      characters: { p1: [luna] },
+      characterImages: {},
+      users: [],
+      chatMessages: [],
+      characterTemplates: {},
+      scenarios: { p1: { chapters: [{ id: "b1", parts: [{ id: "p1", characterIds: ["c1", "silinmis"] }] }] } },
+      scenarioRevisions: {},
+      relationships: {},
+      todos: {}
+    };
+    const orphans = integrity.findOrphans(data);
+    assert.deepEqual(orphans, [
+      { collection: "scenarios", key: "p1", id: "p1", field: "characterIds", characterId: "silinmis", reason: "missing_character", count: 1 }
+    ]);
+    integrity.removeOrphans(data, orphans);
+    assert.deepEqual(data.scenarios.p1.chapters[0].parts[0].characterIds, ["c1"]);
+  });
+});
+
+describe("karakter bağlantısı endpoint'leri", () => {
+  const url = `/api/projects/${PROJECT_ID}/scenario`;
+  const LUNA_ID = "mipl0jjt-eg7z3x";
+  const TIFFANY_ID = "mjr3k4aa-ui5ftb";
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  async function findPart(title) {
+    const { chapters } = (await server.request("GET", url, { token })).body;
+    for (const chapter of chapters) {
+      const part = (chapter.parts || []).find(p => p.title === title);
+      if (part) return { chapter, part };
+    }
+    throw new Error(`${title} parçası yok`);
+  }
+
+  test("öneri alınır, bağlanır ve karakterin geçtiği yerlerde görünür", async () => {
+    const { chapter, part } = await findPart("Ryan Tiffany ile karşılaşır.");
+    const partUrl = `${url}/chapters/${chapter.id}/parts/${part.id}`;
+
+    const suggestions = await server.request("GET", `${partUrl}/character-suggestions`, { token });
+    assert.equal(suggestions.status, 200);
+    assert.equal(suggestions.body[0].characterId, TIFFANY_ID);
+
+    const linked = await server.request("PATCH", partUrl, { token, body: { characterIds: [TIFFANY_ID] } });
+    assert.equal(linked.status, 200);
+    assert.ok(!(await server.request("GET", `${partUrl}/character-suggestions`, { token })).body.some(s => s.characterId === TIFFANY_ID));
+
+    const appearances = await server.request("GET", `/api/projects/${PROJECT_ID}/characters/${TIFFANY_ID}/appearances`, { token });
+    const entry = appearances.body.chapters.find(c => c.chapterId === chapter.id);
+    assert.ok(entry.parts.some(p => p.partId === part.id && p.linked));
+  });
+
+  test("projede olmayan karakter bağlanamaz", async () => {
+    const { chapter, part } = await findPart("Orman");
+    const patched = await server.request("PATCH", `${url}/chapters/${chapter.id}/parts/${part.id}`, { token, body: { characterIds: ["yok"] } });
+    assert.equal(patched.status, 400);
+    assert.equal(patched.body.fields[0].field, "characterIds[0]");
+
+    const { chapters } = (await server.request("GET", url, { token })).body;
+    chapters[0].parts[0].characterIds = [LUNA_ID, "yok"];
+    assert.equal((await server.request("PUT", url, { token, body: { chapters } })).status, 400);
+  });
+});
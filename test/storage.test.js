@@ -0,0 +1,233 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "character-backend-storage-"));
+process.env.STORAGE_BACKEND = "local";
+process.env.DATA_DIR = tempDir;
+
+const storage = require("../lib/storage");
+const { createLocalStorage } = require("../lib/storage/local");
+const { createSqliteStorage } = require("../lib/storage/sqlite");
+const { MIGRATIONS } = require("../lib/storage/migrations");
+const { startServer } = require("./support/server");
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe("storage arayüzü", () => {
+  test("STORAGE_BACKEND ile seçilen backend kullanılır", () => {
+    assert.equal(storage.backend.name, "local");
+  });
+
+  test("kaydı olmayan koleksiyon varsayılan değerini döner", async () => {
+    assert.deepEqual(await storage.load("todos"), {});
+    assert.deepEqual(await storage.load("users"), []);
+  });
+
+  test("kaydedilen koleksiyon geri okunur", async () => {
+    const todos = { "proje-1": [{ id: "todo-1", text: "Yaz" }] };
+    await storage.save("todos", todos);
+    assert.deepEqual(await storage.load("todos"), todos);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(tempDir, "todos.json"), "utf8")), todos);
+  });
+
+  test("bilinmeyen koleksiyon hata verir", async () => {
+    await assert.rejects(storage.load("yok"), /Bilinmeyen koleksiyon/);
+  });
+});
+
+describe("koleksiyon kilitleri", () => {
+  test("aynı koleksiyona yazanlar sırayla çalışır", async () => {
+    await storage.save("settings", { counter: 0 });
+    const increment = () => storage.withLock("settings", async () => {
+      const settings = await storage.load("settings");
+      await new Promise(resolve => setImmediate(resolve));
+      await storage.save("settings", { counter: settings.counter + 1 });
+    });
+
+    await Promise.all(Array.from({ length: 10 }, increment));
+    assert.deepEqual(await storage.load("settings"), { counter: 10 });
+  });
+
+  test("kilitler isim sırasıyla alınır, ters sırada istenseler de kilitlenme olmaz", async () => {
+    const order = [];
+    const first = storage.withLock(["users", "projects"], async () => {
+      order.push("ilk başladı");
+      await new Promise(resolve => setTimeout(resolve, 10));
+      order.push("ilk bitti");
+    });
+    const second = storage.withLock(["projects", "users"], async () => { order.push("ikinci"); });
+    await Promise.all([first, second]);
+    assert.deepEqual(order, ["ilk başladı", "ilk bitti", "ikinci"]);
+  });
+
+  test("farklı koleksiyonlar birbirini beklemez", { timeout: 1000 }, async () => {
+    const releaseUsers = await storage.acquireLocks("users");
+    const releaseTodos = await storage.acquireLocks("todos");
+    releaseTodos();
+    releaseUsers();
+  });
+
+  test("fn hata verse de kilit bırakılır", async () => {
+    await assert.rejects(storage.withLock("todos", async () => { throw new Error("hata"); }), /hata/);
+    await storage.withLock("todos", async () => {});
+  });
+
+  test("route kilidi yanıt bitene kadar tutulur, bağlantı kapanması kilidi bırakmaz", async () => {
+    const { EventEmitter } = require("events");
+    const fakeResponse = () => Object.assign(new EventEmitter(), { ended: false, end() { this.ended = true; } });
+    const middleware = storage.lockCollections("todos");
+    const order = [];
+
+    const first = fakeResponse();
+    await middleware({}, first, () => order.push("ilk"));
+    const second = fakeResponse();
+    const waiting = middleware({}, second, () => order.push("ikinci"));
+
+    first.emit("close");
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(order, ["ilk"]);
+
+    first.end();
+    assert.equal(first.ended, true);
+    await waiting;
+    assert.deepEqual(order, ["ilk", "ikinci"]);
+    second.end();
+  });
+
+  test("bilinmeyen koleksiyon kilitlenemez", async () => {
+    await assert.rejects(storage.acquireLocks(["yok"]), /Bilinmeyen koleksiyon/);
+  });
+});
+
+describe("local backend", () => {
+  test("dosya yoksa undefined döner, yazılan içerik okunur", async () => {
+    const dataDir = path.join(tempDir, "local");
+    const local = createLocalStorage({ dataDir });
+    const collection = storage.COLLECTIONS.projects;
+
+    assert.equal(await local.read(collection), undefined);
+    await local.write(collection, [{ id: "p1", name: "Proje" }]);
+    assert.deepEqual(await local.read(collection), [{ id: "p1", name: "Proje" }]);
+  });
+
+  test("yazım geçici dosya üzerinden yapılır, geride dosya kalmaz", async () => {
+    const dataDir = path.join(tempDir, "atomic");
+    const local = createLocalStorage({ dataDir });
+    await Promise.all(Array.from({ length: 5 }, (_, i) => local.write(storage.COLLECTIONS.settings, { i })));
+    assert.deepEqual(fs.readdirSync(dataDir), ["settings.json"]);
+    assert.equal(typeof (await local.read(storage.COLLECTIONS.settings)).i, "number");
+  });
+});
+
+describe("sqlite backend", () => {
+  let sqlite;
+  before(() => {
+    sqlite = createSqliteStorage({ file: path.join(tempDir, "test.sqlite") });
+  });
+  after(() => {
+    sqlite.db.close();
+  });
+
+  test("kaydı olmayan koleksiyon undefined döner", async () => {
+    assert.equal(await sqlite.read(storage.COLLECTIONS.settings), undefined);
+  });
+
+  test("koleksiyonlar yazılıp geri okunur", async () => {
+    const characters = { "proje-1": [{ id: "c1", name: "Luna", customFields: { yas: 20 } }] };
+    await sqlite.write(storage.COLLECTIONS.characters, characters);
+    await sqlite.write(storage.COLLECTIONS.settings, { theme: "dark" });
+    assert.deepEqual(await sqlite.read(storage.COLLECTIONS.characters), characters);
+    assert.deepEqual(await sqlite.read(storage.COLLECTIONS.settings), { theme: "dark" });
+  });
+
+  test("migration'lar bir kez uygulanır ve kaydedilir", () => {
+    const versions = sqlite.db.prepare("SELECT version FROM schema_migrations ORDER BY version").all().map(r => r.version);
+    assert.deepEqual(versions, MIGRATIONS.map(m => m.version));
+    const documents = sqlite.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'documents'").get();
+    assert.equal(documents, undefined);
+  });
+
+  test("kayıtlar tablolarda satır satır tutulur", () => {
+    const rows = sqlite.db.prepare("SELECT project_id, id, first_name FROM characters").all();
+    assert.deepEqual(rows, [{ project_id: "proje-1", id: "c1", first_name: null }]);
+  });
+
+  test("boş gruplar ve grup sırası korunur", async () => {
+    const images = { "karakter-b": [], "karakter-a": [{ id: "img-1", url: "u" }], "karakter-c": [] };
+    await sqlite.write(storage.COLLECTIONS.characterImages, images);
+    const read = await sqlite.read(storage.COLLECTIONS.characterImages);
+    assert.deepEqual(read, images);
+    assert.deepEqual(Object.keys(read), ["karakter-b", "karakter-a", "karakter-c"]);
+
+    await sqlite.write(storage.COLLECTIONS.characterImages, { "karakter-a": [] });
+    assert.deepEqual(await sqlite.read(storage.COLLECTIONS.characterImages), { "karakter-a": [] });
+  });
+
+  test("liste sırası ve değişmeyen satırlar korunur", async () => {
+    const users = [{ id: "u2", username: "b" }, { id: "u1", username: "a" }];
+    await sqlite.write(storage.COLLECTIONS.users, users);
+    await sqlite.write(storage.COLLECTIONS.users, [...users, { id: "u3", username: "c" }]);
+    assert.deepEqual((await sqlite.read(storage.COLLECTIONS.users)).map(u => u.id), ["u2", "u1", "u3"]);
+  });
+
+  test("aynı id'li veya id'siz kayıtlar reddedilir, mevcut veri değişmez", async () => {
+    const before = await sqlite.read(storage.COLLECTIONS.users);
+    await assert.rejects(
+      sqlite.write(storage.COLLECTIONS.users, [{ id: "u1" }, { id: "u1" }]),
+      /birden fazla/
+    );
+    await assert.rejects(sqlite.write(storage.COLLECTIONS.users, [{ username: "id-yok" }]), /id alanı/);
+    await assert.rejects(
+      sqlite.write(storage.COLLECTIONS.characters, { "proje-1": [{ id: "c1" }, { id: "c1" }] }),
+      /birden fazla/
+    );
+    await assert.rejects(sqlite.write(storage.COLLECTIONS.characters, { "proje-1": null }), /dizi değil/);
+    assert.deepEqual(await sqlite.read(storage.COLLECTIONS.users), before);
+  });
+
+  test("farklı gruplarda aynı id kullanılabilir", async () => {
+    const characters = { "proje-1": [{ id: "c1" }], "proje-2": [{ id: "c1" }] };
+    await sqlite.write(storage.COLLECTIONS.characters, characters);
+    assert.deepEqual(await sqlite.read(storage.COLLECTIONS.characters), characters);
+  });
+});
+
+describe("db:import", () => {
+  test("data/*.json dosyaları SQLite'a kayıpsız aktarılır", async () => {
+    const dataDir = path.join(__dirname, "..", "data");
+    const file = path.join(tempDir, "import.sqlite");
+    execFileSync(process.execPath, [path.join(__dirname, "..", "scripts", "import-json-to-sqlite.js")], {
+      env: { ...process.env, DATA_DIR: dataDir, SQLITE_FILE: file },
+      stdio: "ignore"
+    });
+
+    const sqlite = createSqliteStorage({ file });
+    try {
+      for (const collection of Object.values(storage.COLLECTIONS)) {
+        const jsonFile = path.join(dataDir, collection.file);
+        if (!fs.existsSync(jsonFile)) continue;
+        assert.deepEqual(await sqlite.read(collection), JSON.parse(fs.readFileSync(jsonFile, "utf8")), collection.name);
+      }
+    } finally {
+      sqlite.db.close();
+    }
+  });
+});
+
+describe("sunucu açılışı", () => {
+  test("storage başlatılamazsa sunucu istek kabul etmeden hata koduyla kapanır", async () => {
+    const env = { STORAGE_BACKEND: "github", GITHUB_TOKEN: "test", GITHUB_API_URL: "http://127.0.0.1:9", SYNC_QUEUE_FILE: "" };
+    await assert.rejects(startServer({ env }), err => {
+      assert.match(err.message, /kapandı \(1\)/);
+      assert.match(err.message, /SYNC_QUEUE_FILE/);
+      assert.doesNotMatch(err.message, /Server running/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,42 @@
+// scripts/mock-github-server.js'i rastgele bir portta başlatır
+const { spawn } = require("child_process");
+const { once } = require("events");
+const path = require("path");
+
+const SCRIPT = path.join(__dirname, "..", "..", "scripts", "mock-github-server.js");
+
+async function startMockGitHub(env = {}) {
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [SCRIPT], {
+    env: { ...process.env, MOCK_GITHUB_PORT: String(port), ...env },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", chunk => {
+      output += chunk;
+      if (output.includes("Mock GitHub API running")) resolve();
+    });
+    child.stderr.on("data", chunk => { output += chunk; });
+    child.on("exit", code => reject(new Error(`Mock GitHub açılmadan kapandı (${code}):\n${output}`)));
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+
+  async function commits() {
+    const response = await fetch(`${url}/__mock/commits`);
+    return response.json();
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      child.kill();
+      await once(child, "exit");
+    }
+  }
+
+  return { url, commits, stop };
+}
+
+module.exports = { startMockGitHub };
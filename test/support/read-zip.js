@@ -0,0 +1,32 @@
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+// Merkezi dizinden kayıtları okuyup içerikleri açan küçük bir okuyucu
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(end), 0x06054b50);
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(position), 0x02014b50);
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString("utf8", position + 46, position + 46 + nameLength);
+
+    assert.equal(buffer.readUInt32LE(offset), 0x04034b50);
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    const content = method === 0 ? raw : zlib.inflateRawSync(raw);
+
+    entries.push({ name, method, crc, content: content.toString("utf8") });
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+module.exports = { readZip };
@@ -0,0 +1,89 @@
+// Sunucuyu repodaki dosyaların geçici bir kopyası üzerinde başlatır.
+// Testler data/ altındaki gerçek dosyalara dokunmaz ve ağ erişimi gerektirmez.
+const { spawn } = require("child_process");
+const { once } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+const COPIED_ENTRIES = ["server.js", "lib", "data", "package.json"];
+
+// files: data/ altındaki dosyaların yerine yazılacak içerikler, ör. { "users.json": [...] }
+async function startServer({ env = {}, files = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "character-backend-test-"));
+  for (const entry of COPIED_ENTRIES) {
+    fs.cpSync(path.join(ROOT, entry), path.join(dir, entry), { recursive: true });
+  }
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, "data", file), JSON.stringify(content, null, 2));
+  }
+  fs.symlinkSync(path.join(ROOT, "node_modules"), path.join(dir, "node_modules"), "dir");
+
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), AUTH_SECRET: "test", GITHUB_TOKEN: "", ...env },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let output = "";
+  try {
+    await new Promise((resolve, reject) => {
+      child.stdout.on("data", chunk => {
+        output += chunk;
+        if (output.includes("Server running")) resolve();
+      });
+      child.stderr.on("data", chunk => { output += chunk; });
+      child.on("exit", code => reject(new Error(`Sunucu açılmadan kapandı (${code}):\n${output}`)));
+    });
+  } catch (err) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw err;
+  }
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  // FormData gövdesi multipart olarak, diğerleri JSON olarak gönderilir
+  async function request(method, url, { token, body, headers = {} } = {}) {
+    const isJson = body !== undefined && !(body instanceof FormData);
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(isJson ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: isJson ? JSON.stringify(body) : body
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  }
+
+  // data/users.json'daki kullanıcıların şifresi kullanıcı adıyla aynı
+  async function login(username, password = username) {
+    const response = await request("POST", "/api/auth/login", { body: { username, password } });
+    if (response.status !== 200) {
+      throw new Error(`${username} giriş yapamadı: ${response.status} ${response.text}`);
+    }
+    return response.body.token;
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      child.kill();
+      await once(child, "exit");
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { baseUrl, dir, request, login, stop };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,166 @@
+const { test, describe, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "character-backend-sync-"));
+process.env.GITHUB_TOKEN = "test";
+process.env.SYNC_QUEUE_FILE = path.join(tempDir, "sync-queue.json");
+process.env.SYNC_DEBOUNCE_MS = "20";
+process.env.SYNC_RETRY_BASE_MS = "20";
+process.env.SYNC_FAILED_RETRY_MS = "100";
+
+const github = require("../lib/github");
+const syncQueue = require("../lib/sync-queue");
+
+// GitHub'a gitmek yerine commit'leri kaydeden sahte commitFiles; sıradaki hatalar responses'tan alınır
+const commits = [];
+let responses = [];
+github.commitFiles = async (files, message) => {
+  const next = responses.shift();
+  if (next) throw next;
+  commits.push({ files, message });
+  return { sha: `sha-${commits.length}` };
+};
+
+function httpError(status, headers = {}) {
+  const err = new Error(`HTTP ${status}`);
+  err.response = { status, headers, data: { message: `HTTP ${status}` } };
+  return err;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const statusOf = filePath => syncQueue.getStatus().find(s => s.path === filePath);
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe("sync kuyruğu", () => {
+  beforeEach(() => {
+    commits.length = 0;
+    responses = [];
+  });
+
+  test("aynı dosyaya gelen yazmalar debounce edilip son içerik commit edilir", async () => {
+    syncQueue.enqueue("data/todos.json", "1", "Update todos");
+    syncQueue.enqueue("data/todos.json", "2", "Update todos");
+    await wait(60);
+    await syncQueue.flush();
+
+    assert.deepEqual(commits.map(c => c.files), [[{ path: "data/todos.json", content: "2" }]]);
+    assert.equal(statusOf("data/todos.json").state, "synced");
+    assert.equal(statusOf("data/todos.json").lastCommitSha, "sha-1");
+  });
+
+  test("bekleyen dosyalar tek commit'te gönderilir", async () => {
+    syncQueue.enqueue("data/characters.json", "{}", "Update characters");
+    syncQueue.enqueue("data/character-images.json", "{}", "Update character images", { immediate: true });
+    await syncQueue.flush();
+
+    assert.equal(commits.length, 1);
+    assert.deepEqual(commits[0].files.map(f => f.path), ["data/characters.json", "data/character-images.json"]);
+    assert.match(commits[0].message, /^Update characters\.json, character-images\.json/);
+  });
+
+  test("SHA çakışmasında backoff ile tekrar denenir", async () => {
+    responses = [httpError(409)];
+    syncQueue.enqueue("data/scenarios.json", "{}", "Update scenarios", { immediate: true });
+    await syncQueue.flush();
+
+    const pending = statusOf("data/scenarios.json");
+    assert.equal(pending.state, "pending");
+    assert.equal(pending.attempts, 1);
+    assert.match(pending.lastError, /409/);
+    assert.ok(new Date(pending.nextAttemptAt) > Date.now());
+
+    await wait(40);
+    await syncQueue.flush();
+    assert.equal(commits.length, 1);
+    assert.equal(statusOf("data/scenarios.json").state, "synced");
+  });
+
+  test("rate limit'te Retry-After süresi beklenir", async () => {
+    responses = [httpError(429, { "retry-after": "60" })];
+    syncQueue.enqueue("data/users.json", "[]", "Update users", { immediate: true });
+    await syncQueue.flush();
+
+    const delay = new Date(statusOf("data/users.json").nextAttemptAt) - Date.now();
+    assert.ok(delay > 55 * 1000 && delay <= 60 * 1000, `gecikme ${delay}`);
+    await syncQueue.flush({ force: true });
+    assert.equal(statusOf("data/users.json").state, "synced");
+  });
+
+  test("tekrar denenemeyen hata failed olarak bekletilir, kapanışta yeniden gönderilir", async () => {
+    responses = [httpError(401)];
+    syncQueue.enqueue("data/settings.json", "{}", "Update settings", { immediate: true });
+    await syncQueue.flush();
+    assert.equal(statusOf("data/settings.json").state, "failed");
+
+    await syncQueue.flushAll();
+    assert.equal(commits.length, 1);
+    assert.equal(statusOf("data/settings.json").state, "synced");
+  });
+
+  test("failed dosya diğer commit'lere katılmaz, uzun aralıkla yeniden denenir", async () => {
+    responses = [httpError(404)];
+    syncQueue.enqueue("data/trash.json", "[]", "Update trash", { immediate: true });
+    await syncQueue.flush();
+    const failed = statusOf("data/trash.json");
+    assert.equal(failed.state, "failed");
+    assert.ok(new Date(failed.nextAttemptAt) > Date.now() + 50);
+
+    syncQueue.enqueue("data/todos.json", "{}", "Update todos", { immediate: true });
+    await syncQueue.flush();
+    assert.deepEqual(commits.map(c => c.files.map(f => f.path)), [["data/todos.json"]]);
+
+    await wait(150);
+    await syncQueue.flush();
+    assert.deepEqual(commits.at(-1).files.map(f => f.path), ["data/trash.json"]);
+    assert.equal(statusOf("data/trash.json").state, "synced");
+  });
+
+  test("conflict'teki dosya çözülene kadar commit edilmez", async () => {
+    syncQueue.enqueue("data/relationships.json", "{}", "Update relationships", { immediate: true });
+    syncQueue.markConflict("data/relationships.json", "uzak-sha", [{ path: "/", reason: "both_modified" }]);
+    await syncQueue.flushAll();
+    assert.equal(commits.length, 0);
+    assert.equal(statusOf("data/relationships.json").state, "conflict");
+
+    syncQueue.clearConflict("data/relationships.json");
+    await syncQueue.flush();
+    assert.equal(commits.length, 1);
+    assert.equal(syncQueue.getBase("data/relationships.json").content, "{}");
+  });
+
+  test("kuyruk diske yazılır ve yeniden yüklenir", async () => {
+    responses = [httpError(500)];
+    syncQueue.enqueue("data/projects.json", "[]", "Update projects", { immediate: true });
+    await syncQueue.flush();
+
+    const saved = JSON.parse(fs.readFileSync(process.env.SYNC_QUEUE_FILE, "utf8"));
+    assert.equal(saved.entries["data/projects.json"].attempts, 1);
+    // Base'lerin içeriği diske yazılmaz, restart sonrası sha ile okunur
+    assert.deepEqual(saved.bases["data/relationships.json"], { sha: github.blobSha("{}") });
+    const fetched = [];
+    github.fetchBlob = async sha => {
+      fetched.push(sha);
+      return "{}";
+    };
+
+    // Restart: modülü baştan yükle
+    delete require.cache[require.resolve("../lib/sync-queue")];
+    const restarted = require("../lib/sync-queue");
+    await restarted.load();
+    assert.equal(restarted.getStatus().find(s => s.path === "data/projects.json").state, "pending");
+    assert.equal(restarted.getBase("data/relationships.json").content, undefined);
+    assert.equal(await restarted.getBaseContent("data/relationships.json"), "{}");
+    assert.equal(await restarted.getBaseContent("data/relationships.json"), "{}");
+    assert.deepEqual(fetched, [github.blobSha("{}")]);
+    assert.equal(await restarted.getBaseContent("data/yok.json"), null);
+    await restarted.flushAll();
+    assert.deepEqual(commits.at(-1).files.map(f => f.path), ["data/projects.json"]);
+    await syncQueue.flushAll();
+  });
+});
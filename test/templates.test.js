@@ -0,0 +1,115 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const validation = require("../lib/validation");
+const { startServer } = require("./support/server");
+
+const template = {
+  fields: [
+    { key: "sinif", label: "Sınıf", type: "enum", options: ["büyücü", "savaşçı"], required: true },
+    { key: "dogum", label: "Doğum", type: "date" },
+    { key: "guc", label: "Güç", type: "number" },
+    { key: "esyalar", label: "Eşyalar", type: "list" }
+  ]
+};
+
+describe("şablon doğrulaması", () => {
+  test("geçerli şablon kabul edilir", () => {
+    assert.deepEqual(validation.validateTemplate(template).errors, []);
+  });
+
+  test("tekrarlanan key, seçeneksiz enum ve geçersiz key reddedilir", () => {
+    const { errors } = validation.validateTemplate({
+      fields: [
+        { key: "ad", label: "Ad", type: "text", options: ["x"] },
+        { key: "ad", label: "Ad 2", type: "enum" }
+      ]
+    });
+    assert.deepEqual(errors, [
+      { field: "fields[0].options", message: "sadece enum alanlarında kullanılabilir" },
+      { field: "fields[1].key", message: "aynı key birden fazla kullanılamaz" },
+      { field: "fields[1].options", message: "enum alanı için seçenek gerekli" }
+    ]);
+
+    const invalidKey = validation.validateTemplate({ fields: [{ key: "1ad", label: "Ad", type: "renk" }] });
+    assert.deepEqual(invalidKey.errors.map(e => e.field), ["fields[0].key", "fields[0].type"]);
+  });
+});
+
+describe("customFields doğrulaması", () => {
+  const schema = validation.characterSchema(template);
+  const character = customFields => ({ firstName: "Luna", lastName: "Star", customFields });
+
+  test("şablona uyan değerler kabul edilir, liste metinden çevrilir", () => {
+    const { value, errors } = validation.validate(schema, character({ sinif: "büyücü", dogum: "2001-02-28", esyalar: "asa, kitap" }));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.customFields, { sinif: "büyücü", dogum: "2001-02-28", esyalar: ["asa", "kitap"] });
+  });
+
+  test("şablon dışı alan, geçersiz tarih ve seçenek dışı değer reddedilir", () => {
+    const { errors } = validation.validate(schema, character({ sinif: "okçu", dogum: "2001-02-30", renk: "mavi" }));
+    assert.deepEqual(errors, [
+      { field: "customFields.renk", message: "bilinmeyen alan" },
+      { field: "customFields.sinif", message: "izin verilen değerler: büyücü, savaşçı" },
+      { field: "customFields.dogum", message: "YYYY-MM-DD biçiminde tarih olmalı" }
+    ]);
+  });
+
+  test("zorunlu alan eksikse reddedilir", () => {
+    const { errors } = validation.validate(schema, character({}));
+    assert.deepEqual(errors, [{ field: "customFields.sinif", message: "zorunlu alan" }]);
+  });
+
+  test("şablon yoksa customFields serbesttir", () => {
+    assert.equal(validation.characterSchema(undefined), validation.CHARACTER_SCHEMA);
+    assert.deepEqual(validation.validate(validation.characterSchema({ fields: [] }), character({ renk: "mavi" })).errors, []);
+  });
+
+  test("kayıtlı değerler şablonun şekline getirilir", () => {
+    assert.deepEqual(validation.shapeCustomFields(template, { sinif: "büyücü", guc: "çok", eski: 1 }), {
+      sinif: "büyücü",
+      dogum: null,
+      guc: null,
+      esyalar: []
+    });
+  });
+});
+
+describe("şablon endpoint'leri", () => {
+  const PROJECT_ID = "proje-mioy5tos-jelgwb";
+  let server;
+  let adminToken;
+  let superToken;
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login("timuku");
+    superToken = await server.login("gawain");
+  });
+  after(async () => { await server.stop(); });
+
+  test("admin şablonu kaydeder, superuser sadece okur", async () => {
+    const url = `/api/projects/${PROJECT_ID}/character-template`;
+    assert.equal((await server.request("PUT", url, { token: superToken, body: template })).status, 403);
+
+    const saved = await server.request("PUT", url, { token: adminToken, body: template });
+    assert.equal(saved.status, 200);
+    const read = await server.request("GET", url, { token: superToken });
+    assert.deepEqual(read.body.fields.map(f => f.key), ["sinif", "dogum", "guc", "esyalar"]);
+  });
+
+  test("karakterler şablona göre doğrulanır ve şekillendirilir", async () => {
+    const url = `/api/projects/${PROJECT_ID}/characters`;
+    const invalid = await server.request("POST", url, {
+      token: adminToken,
+      body: { firstName: "Yeni", lastName: "Karakter", customFields: { sinif: "okçu" } }
+    });
+    assert.equal(invalid.status, 400);
+
+    const created = await server.request("POST", url, {
+      token: adminToken,
+      body: { firstName: "Yeni", lastName: "Karakter", customFields: { sinif: "savaşçı" } }
+    });
+    assert.equal(created.status, 200);
+    assert.deepEqual(created.body.customFields, { sinif: "savaşçı", dogum: null, guc: null, esyalar: [] });
+  });
+});
@@ -0,0 +1,200 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const todos = require("../lib/todos");
+const integrity = require("../lib/integrity");
+const { startServer } = require("./support/server");
+
+const PROJECT_ID = "proje-mioy5tos-jelgwb";
+const user = { id: "u1" };
+
+describe("todo kayıtları", () => {
+  test("yeni kayıt varsayılanlarla oluşur, done olunca completedAt yazılır", () => {
+    const item = todos.createTodo({ title: "Kapak" }, user);
+    assert.match(item.id, /^todo-/);
+    assert.deepEqual(
+      { status: item.status, priority: item.priority, links: item.links, createdBy: item.createdBy, completedAt: item.completedAt },
+      { status: "todo", priority: "medium", links: [], createdBy: "u1", completedAt: null }
+    );
+
+    todos.updateTodo(item, { status: "done" });
+    assert.ok(item.completedAt);
+    todos.updateTodo(item, { status: "doing" });
+    assert.equal(item.completedAt, null);
+  });
+
+  test("toplu kayıtta bilinen id'lerin oluşturma bilgileri korunur", () => {
+    const existing = todos.createTodo({ title: "Eski" }, { id: "yazar" });
+    existing.updatedAt = "2024-01-01T00:00:00.000Z";
+    const unchanged = todos.createTodo({ title: "Aynı" }, { id: "yazar" });
+    unchanged.updatedAt = "2024-01-01T00:00:00.000Z";
+
+    const replaced = todos.replaceTodos(
+      [existing, unchanged],
+      [{ title: "Aynı" }, { title: "Yeni başlık" }, { title: "Yeni" }, { title: "Tekrar" }],
+      [{ id: unchanged.id }, { id: existing.id }, {}, { id: existing.id }],
+      user
+    );
+
+    assert.equal(replaced[0], unchanged);
+    assert.equal(replaced[1].id, existing.id);
+    assert.equal(replaced[1].createdBy, "yazar");
+    assert.notEqual(replaced[1].updatedAt, "2024-01-01T00:00:00.000Z");
+    assert.equal(replaced[2].createdBy, "u1");
+    assert.notEqual(replaced[3].id, existing.id);
+  });
+
+  test("atanan kişi ve bağlantılar projeye göre doğrulanır", () => {
+    const context = {
+      memberIds: new Set(["u1"]),
+      characterIds: new Set(["c1"]),
+      imageIds: new Set(),
+      partIds: new Set(["p1"])
+    };
+    const errors = todos.todoReferenceErrors({
+      assigneeId: "u2",
+      links: [{ type: "character", id: "c1" }, { type: "image", id: "i1" }, { type: "part", id: "p1" }]
+    }, context, "items[0]");
+    assert.deepEqual(errors, [
+      { field: "items[0].assigneeId", message: "projede böyle bir kullanıcı yok" },
+      { field: "items[0].links[1].id", message: "projede böyle bir görsel yok" }
+    ]);
+  });
+
+  test("kayıtlı halinde olan atama ve bağlantılar yeniden doğrulanmaz", () => {
+    const context = { memberIds: new Set(), characterIds: new Set(), imageIds: new Set(), partIds: new Set() };
+    const previous = { assigneeId: "ayrilan", links: [{ type: "part", id: "silinmis" }] };
+    const fields = { assigneeId: "ayrilan", links: [{ type: "part", id: "silinmis" }, { type: "character", id: "yeni" }] };
+    assert.deepEqual(todos.todoReferenceErrors(fields, context, "", previous), [
+      { field: "links[1].id", message: "projede böyle bir karakter yok" }
+    ]);
+    assert.equal(todos.todoReferenceErrors({ assigneeId: "baska" }, context, "", previous).length, 1);
+  });
+});
+
+describe("sahipsiz todo bağlantıları", () => {
+  test("silinmiş karakter, görsel ve parçalara bağlantılar raporlanır ve temizlenir", () => {
+    const links = [{ type: "character", id: "c1" }, { type: "character", id: "silinmis" }, { type: "part", id: "yok" }];
+    const data = {
+      projects: [{ id: "p1" }],
+      characters: { p1: [{ id: "c1" }] },
+      characterImages: {},
+      users: [],
+      chatMessages: [],
+      characterTemplates: {},
+      scenarios: {},
+      scenarioRevisions: {},
+      relationships: {},
+      todos: { p1: { items: [{ id: "t1", title: "İş", links }] } }
+    };
+
+    const orphans = integrity.findOrphans(data);
+    assert.deepEqual(orphans.map(o => [o.collection, o.id, o.reason, o.link.id]), [
+      ["todos", "t1", "missing_character", "silinmis"],
+      ["todos", "t1", "missing_part", "yok"]
+    ]);
+    integrity.removeOrphans(data, orphans);
+    assert.deepEqual(data.todos.p1.items[0].links, [{ type: "character", id: "c1" }]);
+  });
+});
+
+describe("todo filtreleri", () => {
+  const items = [
+    { id: "1", status: "todo", assigneeId: "u1", dueDate: "2024-05-01", priority: "high", links: [{ type: "character", id: "c1" }] },
+    { id: "2", status: "doing", assigneeId: null, dueDate: null, priority: "low", links: [] },
+    { id: "3", status: "done", assigneeId: "u2", dueDate: "2024-06-01", priority: "high", links: [{ type: "part", id: "p1" }] }
+  ];
+  const ids = query => {
+    const { filters, error } = todos.parseTodoFilters(query, user);
+    assert.equal(error, undefined);
+    return todos.filterTodos(items, filters).map(i => i.id);
+  };
+
+  test("atanan, durum, tarih, öncelik ve bağlantıya göre süzülür", () => {
+    assert.deepEqual(ids({}), ["1", "2", "3"]);
+    assert.deepEqual(ids({ assignee: "me" }), ["1"]);
+    assert.deepEqual(ids({ assignee: "none" }), ["2"]);
+    assert.deepEqual(ids({ status: "open" }), ["1", "2"]);
+    assert.deepEqual(ids({ status: "doing,done" }), ["2", "3"]);
+    assert.deepEqual(ids({ dueBefore: "2024-05-01" }), ["1"]);
+    assert.deepEqual(ids({ dueAfter: "2024-05-02" }), ["3"]);
+    assert.deepEqual(ids({ priority: "high", status: "open" }), ["1"]);
+    assert.deepEqual(ids({ linkType: "part" }), ["3"]);
+    assert.deepEqual(ids({ linkId: "c1" }), ["1"]);
+  });
+
+  test("hatalı filtre değeri hata döner", () => {
+    assert.match(todos.parseTodoFilters({ status: "bitti" }, user).error, /Geçersiz status: bitti/);
+    assert.match(todos.parseTodoFilters({ dueBefore: "01.05.2024" }, user).error, /dueBefore/);
+    assert.match(todos.parseTodoFilters({ priority: "acil" }, user).error, /Geçersiz priority/);
+    assert.match(todos.parseTodoFilters({ linkType: "sahne" }, user).error, /Geçersiz linkType/);
+  });
+
+  test("tekrarlanan status birleştirilir, diğer tekrarlar hata döner", () => {
+    assert.deepEqual(ids({ status: ["todo", "done"] }), ["1", "3"]);
+    assert.match(todos.parseTodoFilters({ assignee: ["me", "none"] }, user).error, /assignee bir kez verilmeli/);
+    assert.match(todos.parseTodoFilters({ status: { x: "todo" } }, user).error, /Geçersiz status/);
+  });
+});
+
+describe("todo endpoint'leri", () => {
+  const url = `/api/projects/${PROJECT_ID}/todos`;
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  test("kayıt eklenir, güncellenir, süzülür ve silinir", async () => {
+    const created = await server.request("POST", `${url}/items`, {
+      token,
+      body: { title: "  Luna çizimi  ", assigneeId: "user-timuku-001", links: [{ type: "character", id: "mipl0jjt-eg7z3x" }] }
+    });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.title, "Luna çizimi");
+    await server.request("POST", `${url}/items`, { token, body: { title: "Başka iş" } });
+
+    const mine = await server.request("GET", `${url}?assignee=me&linkType=character`, { token });
+    assert.deepEqual(mine.body.items.map(i => i.id), [created.body.id]);
+
+    const done = await server.request("PATCH", `${url}/items/${created.body.id}`, { token, body: { status: "done" } });
+    assert.ok(done.body.completedAt);
+    assert.deepEqual((await server.request("GET", `${url}?status=open`, { token })).body.items.map(i => i.title), ["Başka iş"]);
+
+    assert.equal((await server.request("DELETE", `${url}/items/${created.body.id}`, { token })).status, 200);
+    assert.equal((await server.request("DELETE", `${url}/items/${created.body.id}`, { token })).status, 404);
+  });
+
+  test("geçersiz kayıt ve referanslar 400 döner", async () => {
+    const invalid = await server.request("POST", `${url}/items`, { token, body: { title: "", priority: "acil" } });
+    assert.equal(invalid.status, 400);
+
+    const stranger = await server.request("POST", `${url}/items`, { token, body: { title: "İş", assigneeId: "yok", links: [{ type: "part", id: "yok" }] } });
+    assert.deepEqual(stranger.body.fields.map(f => f.field), ["assigneeId", "links[0].id"]);
+
+    const replaced = await server.request("PUT", url, { token, body: { items: [{ title: "Bir" }, { status: "bitti" }] } });
+    assert.equal(replaced.status, 400);
+    assert.ok(replaced.body.fields.every(f => f.field.startsWith("items[1].")));
+    assert.equal((await server.request("GET", `${url}?status=bitti`, { token })).status, 400);
+    assert.equal((await server.request("GET", `${url}?priority=high&priority=low`, { token })).status, 400);
+    assert.equal((await server.request("GET", `${url}?linkType=sahne`, { token })).status, 400);
+    assert.equal((await server.request("GET", `${url}?status=todo&status=doing`, { token })).status, 200);
+  });
+
+  test("bağlı parça silinse de todo güncellenir ve liste olduğu gibi kaydedilir", async () => {
+    const scenarioUrl = `/api/projects/${PROJECT_ID}/scenario`;
+    const [chapter] = (await server.request("GET", scenarioUrl, { token })).body.chapters;
+    const part = await server.request("POST", `${scenarioUrl}/chapters/${chapter.id}/parts`, { token, body: { title: "Geçici sahne" } });
+    assert.equal(part.status, 200);
+    const created = await server.request("POST", `${url}/items`, { token, body: { title: "Sahneyi yaz", links: [{ type: "part", id: part.body.id }] } });
+    assert.equal(created.status, 200);
+    assert.equal((await server.request("DELETE", `${scenarioUrl}/chapters/${chapter.id}/parts/${part.body.id}`, { token })).status, 200);
+
+    const updated = await server.request("PATCH", `${url}/items/${created.body.id}`, { token, body: { status: "done", links: created.body.links } });
+    assert.equal(updated.status, 200);
+    const { items } = (await server.request("GET", url, { token })).body;
+    assert.equal((await server.request("PUT", url, { token, body: { items } })).status, 200);
+  });
+});
@@ -0,0 +1,112 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const integrity = require("../lib/integrity");
+const trash = require("../lib/trash");
+const { startServer } = require("./support/server");
+
+function fixture() {
+  return {
+    trash: [],
+    projects: [{ id: "p1", name: "Birinci" }, { id: "p2", name: "İkinci" }],
+    characters: { p1: [{ id: "c1", firstName: "Luna" }, { id: "c2", firstName: "Ryan" }], p2: [] },
+    characterImages: { c1: [{ id: "i1" }, { id: "i2" }, { id: "i3" }], c2: [] },
+    users: [{ id: "u1", projects: ["p2", "p1"] }, { id: "u2", projects: [] }],
+    chatMessages: [{ id: "m1", projectId: null }, { id: "m2", projectId: "p2" }, { id: "m3", projectId: "p1" }],
+    characterTemplates: {},
+    scenarios: { p1: { chapters: [] } },
+    scenarioRevisions: {},
+    relationships: {},
+    todos: { p1: { items: [] } }
+  };
+}
+
+describe("çöp kutusu öğeleri", () => {
+  test("silinen proje bağlı kayıtlarıyla aynı haline geri yüklenir", () => {
+    const data = fixture();
+    const item = trash.projectItem(data, "p1", "u1");
+    integrity.removeProject(data, "p1");
+    assert.deepEqual(data.chatMessages.map(m => m.id), ["m1", "m2"]);
+
+    assert.equal(item.type, "project");
+    assert.equal(item.label, "Birinci");
+    assert.equal(trash.restoreItem(data, item), null);
+    assert.deepEqual(data, fixture());
+  });
+
+  test("karakter galerisiyle ve eski sırasıyla geri yüklenir", () => {
+    const data = fixture();
+    const item = trash.characterItem(data, "p1", "c1", "u1");
+    integrity.removeCharacter(data, "p1", "c1");
+
+    assert.equal(item.label, "Luna");
+    assert.equal(trash.restoreItem(data, item), null);
+    assert.deepEqual(data, fixture());
+  });
+
+  test("görsel projesini karakterinden bulur ve yerine döner", () => {
+    const data = fixture();
+    const image = data.characterImages.c1[1];
+    const item = trash.imageItem(data, "c1", image, "u1");
+    data.characterImages.c1 = data.characterImages.c1.filter(img => img.id !== "i2");
+
+    assert.equal(item.projectId, "p1");
+    assert.equal(trash.restoreItem(data, item), null);
+    assert.deepEqual(data.characterImages.c1.map(img => img.id), ["i1", "i2", "i3"]);
+  });
+
+  test("sahibi olmayan veya zaten var olan öğe geri yüklenmez", () => {
+    const data = fixture();
+    const characterItem = trash.characterItem(data, "p1", "c1", "u1");
+    const projectItem = trash.projectItem(data, "p1", "u1");
+    assert.match(trash.restoreItem(data, characterItem), /zaten var/);
+
+    integrity.removeProject(data, "p1");
+    assert.match(trash.restoreItem(data, characterItem), /önce projeyi geri yükleyin/);
+    assert.equal(trash.restoreItem(data, projectItem), null);
+    assert.match(trash.restoreItem(data, projectItem), /zaten var/);
+  });
+
+  test("süresi dolan öğeler ayırt edilir, özet veri taşımaz", () => {
+    const item = trash.projectItem(fixture(), "p2", "u1");
+    assert.equal(trash.isExpired(item), false);
+    assert.equal(trash.isExpired({ ...item, expiresAt: "2000-01-01T00:00:00.000Z" }), true);
+    assert.equal(trash.isExpired({ ...item, expiresAt: null }), false);
+    assert.equal(trash.summarize(item).data, undefined);
+  });
+});
+
+describe("çöp kutusu endpoint'leri", () => {
+  const CHARACTER_ID = "mipl0jjt-eg7z3x";
+  const IMAGE_ID = "img-miq0x53b-bev6p1";
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  test("silinen görsel çöp kutusundan geri yüklenir", async () => {
+    const imagesUrl = `/api/characters/${CHARACTER_ID}/images`;
+    const before = await server.request("GET", imagesUrl, { token });
+
+    const deleted = await server.request("DELETE", `/api/images/${IMAGE_ID}`, { token });
+    assert.equal(deleted.status, 200);
+    assert.ok(!(await server.request("GET", imagesUrl, { token })).body.some(img => img.id === IMAGE_ID));
+
+    const items = await server.request("GET", "/api/trash?type=image", { token });
+    assert.deepEqual(items.body.map(i => i.id), [deleted.body.trashId]);
+
+    const restored = await server.request("POST", `/api/trash/${deleted.body.trashId}/restore`, { token });
+    assert.equal(restored.status, 200);
+    assert.deepEqual((await server.request("GET", imagesUrl, { token })).body, before.body);
+    assert.deepEqual((await server.request("GET", "/api/trash", { token })).body, []);
+  });
+
+  test("kalıcı silinen öğe geri yüklenemez", async () => {
+    const deleted = await server.request("DELETE", `/api/images/${IMAGE_ID}`, { token });
+    assert.equal((await server.request("DELETE", `/api/trash/${deleted.body.trashId}`, { token })).status, 200);
+    assert.equal((await server.request("POST", `/api/trash/${deleted.body.trashId}/restore`, { token })).status, 404);
+  });
+});
@@ -0,0 +1,166 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const validation = require("../lib/validation");
+const { startServer } = require("./support/server");
+
+const readData = file => JSON.parse(fs.readFileSync(path.join(__dirname, "..", "data", file), "utf8"));
+
+describe("şema doğrulaması", () => {
+  test("geçerli karakter normalize edilir, readOnly alanlar atılır", () => {
+    const { value, errors } = validation.validate(validation.CHARACTER_SCHEMA, {
+      id: "istemciden",
+      firstName: "  Luna ",
+      lastName: "Star",
+      age: 20
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { firstName: "Luna", lastName: "Star", age: 20 });
+  });
+
+  test("eksik, boş, yanlış tipte ve bilinmeyen alanlar raporlanır", () => {
+    const { errors } = validation.validate(validation.CHARACTER_SCHEMA, {
+      firstName: "   ",
+      age: 1.5,
+      customFields: [],
+      hobi: "yüzme"
+    });
+    assert.deepEqual(errors, [
+      { field: "hobi", message: "bilinmeyen alan" },
+      { field: "firstName", message: "boş olamaz" },
+      { field: "lastName", message: "zorunlu alan" },
+      { field: "age", message: "tam sayı olmalı" },
+      { field: "customFields", message: "nesne olmalı" }
+    ]);
+  });
+
+  test("partial doğrulamada zorunlu alanlar atlanabilir", () => {
+    const { value, errors } = validation.validate(validation.CHARACTER_SCHEMA, { age: null }, { partial: true });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { age: null });
+  });
+
+  test("gövde nesne değilse reddedilir", () => {
+    assert.deepEqual(validation.validate(validation.CHARACTER_SCHEMA, ["x"]).errors, [{ field: "", message: "nesne olmalı" }]);
+    assert.equal(validation.validate(validation.CHARACTER_SCHEMA, null).errors.length, 1);
+  });
+
+  test("görsel etiketleri virgüllü metinden diziye çevrilir, boş prompt null olur", () => {
+    const { value, errors } = validation.validate(validation.IMAGE_SCHEMA, {
+      url: "https://example.com/a.png",
+      title: "Portre",
+      tags: "gece, orman ,",
+      positivePrompt: ""
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.tags, ["gece", "orman"]);
+    assert.equal(value.positivePrompt, null);
+  });
+
+  test("iç içe hatalar alan yoluyla raporlanır", () => {
+    const { errors } = validation.validate(validation.SCENARIO_SCHEMA, {
+      chapters: [{ id: "c1", parts: [{ id: "p1", width: -1 }, { title: "id yok" }] }]
+    });
+    assert.deepEqual(errors, [
+      { field: "chapters[0].parts[0].width", message: "en az 0 olmalı" },
+      { field: "chapters[0].parts[1].id", message: "zorunlu alan" }
+    ]);
+  });
+
+  test("proje adı zorunlu, açıklama metin olmalı", () => {
+    assert.deepEqual(
+      validation.validate(validation.PROJECT_SCHEMA, { id: "p", name: "  Roman ", description: " Taslak " }),
+      { value: { name: "Roman", description: "Taslak" }, errors: [] }
+    );
+    assert.deepEqual(validation.validate(validation.PROJECT_SCHEMA, { name: " ", description: 5, owner: "x" }).errors, [
+      { field: "owner", message: "bilinmeyen alan" },
+      { field: "name", message: "boş olamaz" },
+      { field: "description", message: "metin olmalı" }
+    ]);
+  });
+
+  test("ilişki grafiğinde zorunlu diziler ve alanlar kontrol edilir", () => {
+    const { errors } = validation.validate(validation.RELATIONSHIP_SCHEMA, {
+      characters: [{ id: "a", position: { x: 1 } }],
+      groups: [],
+      relationships: [{ id: "r1", from: "a", to: "b", type: "dost", strength: 150 }]
+    });
+    assert.deepEqual(errors, [
+      { field: "characters[0].position.y", message: "zorunlu alan" },
+      { field: "relationships[0].strength", message: "en fazla 100 olabilir" }
+    ]);
+  });
+});
+
+describe("mevcut veri şemalara uyar", () => {
+  test("kayıtlı senaryolar", () => {
+    for (const [projectId, scenario] of Object.entries(readData("scenarios.json"))) {
+      assert.deepEqual(validation.validate(validation.SCENARIO_SCHEMA, scenario).errors, [], projectId);
+    }
+  });
+
+  test("kayıtlı projeler", () => {
+    for (const project of readData("projects.json")) {
+      assert.deepEqual(validation.validate(validation.PROJECT_SCHEMA, project).errors, [], project.id);
+    }
+  });
+
+  test("kayıtlı karakterler", () => {
+    for (const characters of Object.values(readData("characters.json"))) {
+      for (const character of characters) {
+        const { errors } = validation.validate(validation.CHARACTER_SCHEMA, character, { partial: true });
+        assert.deepEqual(errors, [], character.id);
+      }
+    }
+  });
+});
+
+describe("route doğrulaması", () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.login("timuku");
+  });
+  after(async () => { await server.stop(); });
+
+  test("geçersiz karakter 400 ve alan hatalarıyla reddedilir", async () => {
+    const response = await server.request("POST", "/api/projects/proje-mioy5tos-jelgwb/characters", {
+      token,
+      body: { firstName: "Luna", age: "yirmi" }
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.fields, [
+      { field: "lastName", message: "zorunlu alan" },
+      { field: "age", message: "tam sayı olmalı" }
+    ]);
+  });
+
+  test("geçersiz proje güncellemesi 400 ve alan hatalarıyla reddedilir", async () => {
+    const url = "/api/projects/proje-mioy5tos-jelgwb";
+    const invalid = await server.request("PUT", url, { token, body: { name: "Roman", description: 42 } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.fields, [{ field: "description", message: "metin olmalı" }]);
+    assert.equal((await server.request("PUT", url, { token, body: { description: "Taslak" } })).status, 400);
+
+    const updated = await server.request("PUT", url, { token, body: { id: "baska", name: " Roman ", description: " Taslak " } });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(
+      { id: updated.body.id, name: updated.body.name, description: updated.body.description },
+      { id: "proje-mioy5tos-jelgwb", name: "Roman", description: "Taslak" }
+    );
+
+    const created = await server.request("POST", "/api/projects", { token, body: { name: 7 } });
+    assert.equal(created.status, 400);
+    assert.deepEqual(created.body.fields, [{ field: "name", message: "metin olmalı" }]);
+  });
+
+  test("geçersiz senaryo kaydedilmez", async () => {
+    const url = "/api/projects/proje-mioy5tos-jelgwb/scenario";
+    const response = await server.request("PUT", url, { token, body: { chapters: [{ title: "id yok" }] } });
+    assert.equal(response.status, 400);
+    assert.equal((await server.request("GET", url, { token })).body.chapters[0].id, "chapter_1764916442112");
+  });
+});
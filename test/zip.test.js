@@ -0,0 +1,27 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createZip, crc32 } = require("../lib/zip");
+const { readZip } = require("./support/read-zip");
+
+test("crc32 bilinen değerleri üretir", () => {
+  assert.equal(crc32(Buffer.from("")), 0);
+  assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+});
+
+test("kayıtlar sırasıyla, sıkıştırılmış ya da olduğu gibi yazılır", () => {
+  const zip = createZip([
+    { name: "mimetype", content: "application/epub+zip", store: true },
+    { name: "OEBPS/bölüm-1.xhtml", content: "<p>Çağrı ışığı gördü.</p>".repeat(20) }
+  ], new Date(2024, 0, 2, 3, 4, 6));
+
+  // EPUB okuyucuları mimetype'ın ilk kayıt ve sıkıştırılmamış olmasını bekler
+  assert.equal(zip.toString("utf8", 30, 38), "mimetype");
+
+  const entries = readZip(zip);
+  assert.deepEqual(entries.map(e => [e.name, e.method]), [["mimetype", 0], ["OEBPS/bölüm-1.xhtml", 8]]);
+  assert.equal(entries[0].content, "application/epub+zip");
+  assert.equal(entries[1].content, "<p>Çağrı ışığı gördü.</p>".repeat(20));
+  for (const entry of entries) {
+    assert.equal(entry.crc, crc32(Buffer.from(entry.content)));
+  }
+});